@@ -0,0 +1,41 @@
+/**
+ * ReaderState - Parses readerStatus into a friendly object
+ * Readers are read-only entities; an offline reader has lost contact with its door controller
+ */
+
+import { messageTemplates } from './messages.js';
+import { getAllProperties as _getAllProperties } from './message-helpers.js';
+
+const getAllProperties = _getAllProperties.bind(null, messageTemplates);
+
+export default class ReaderState {
+    constructor() {
+        this.isOffline = false;
+        this.isTamper = false;
+        this.isFault = false;
+        this.isDisabled = false;
+        this.rawFlags = {};
+    }
+
+    static fromBytes(bytes) {
+        const state = new ReaderState();
+        if (!bytes || bytes.length < 5) return state;
+
+        state.rawFlags = getAllProperties('readerStatus', bytes);
+        Object.assign(state, state.rawFlags);
+
+        return state;
+    }
+
+    get isOnline() {
+        return !this.isOffline;
+    }
+
+    toString() {
+        const states = [this.isOffline ? 'Offline' : 'Online'];
+        if (this.isTamper) states.push('Tamper');
+        if (this.isFault) states.push('Fault');
+        if (this.isDisabled) states.push('Disabled');
+        return states.join(', ');
+    }
+}
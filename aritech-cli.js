@@ -1,13 +1,26 @@
 #!/usr/bin/env node
-import { AritechClient, AritechError } from './aritech-client.js';
+import { AritechClient, AritechError, ErrorCodes } from './aritech-client.js';
 import { AritechMonitor } from './aritech-monitor.js';
-import { readFileSync } from 'fs';
+import { AritechMqttBridge } from './aritech-mqtt.js';
+import { AritechServer } from './aritech-server.js';
+import { AritechEventStream } from './aritech-stream.js';
+import { EVENT_EXPORT_FORMATS, csvHeader, formatEvent } from './event-export.js';
+import { EventLogSync } from './event-log-sync.js';
+import { TraceReplay, readTrace } from './protocol-trace.js';
+import { readCapture, dissect } from './protocol-dissector.js';
+import { readFileSync, createWriteStream, existsSync, statSync } from 'fs';
+import { appendFile } from 'fs/promises';
+import { once } from 'events';
+import { createInterface } from 'readline';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Panel clock drift (seconds) that aritech time sync tolerates before setting the time
+const DEFAULT_TIME_SYNC_THRESHOLD = 30;
+
 // Load configuration from config.json if it exists
 function loadConfig() {
   try {
@@ -54,17 +67,297 @@ function parseConfigArgs(args) {
           config.password = value;
           i++;
           break;
+        case 'mqttUrl':
+          config.mqttUrl = value;
+          i++;
+          break;
+        case 'mqttUsername':
+          config.mqttUsername = value;
+          i++;
+          break;
+        case 'mqttPassword':
+          config.mqttPassword = value;
+          i++;
+          break;
+        case 'mqttBaseTopic':
+          config.mqttBaseTopic = value;
+          i++;
+          break;
+        case 'mqttDisarmCode':
+          config.mqttDisarmCode = value;
+          i++;
+          break;
+        case 'discoveryPrefix':
+          config.discoveryPrefix = value;
+          i++;
+          break;
+        case 'httpHost':
+          config.httpHost = value;
+          i++;
+          break;
+        case 'httpPort':
+          config.httpPort = parseInt(value);
+          i++;
+          break;
+        case 'token':
+          config.token = value;
+          i++;
+          break;
+        case 'format':
+          config.format = value;
+          i++;
+          break;
+        case 'out':
+          config.out = value;
+          i++;
+          break;
+        case 'since':
+          config.since = value;
+          i++;
+          break;
+        case 'until':
+          config.until = value;
+          i++;
+          break;
+        case 'sync':
+          config.sync = value;
+          i++;
+          break;
+        case 'trace':
+          config.trace = value;
+          i++;
+          break;
+        case 'serial':
+          config.serial = value;
+          i++;
+          break;
+        case 'name':
+          config.name = value;
+          i++;
+          break;
+        case 'userPin':
+          config.userPin = value;
+          i++;
+          break;
+        case 'card':
+          config.card = value;
+          i++;
+          break;
+        case 'userGroup':
+          config.userGroup = value;
+          i++;
+          break;
+        case 'validFrom':
+          config.validFrom = value;
+          i++;
+          break;
+        case 'validUntil':
+          config.validUntil = value;
+          i++;
+          break;
+        case 'areas':
+          config.areas = value;
+          i++;
+          break;
+        case 'doors':
+          config.doors = value;
+          i++;
+          break;
+        case 'calendar':
+          config.calendar = value;
+          i++;
+          break;
+        case 'threshold':
+          config.threshold = value;
+          i++;
+          break;
+        case 'timeZone':
+          config.timeZone = value;
+          i++;
+          break;
       }
     }
   }
   return config;
 }
 
-// Build final configuration: config.json < CLI args
-const allArgs = process.argv.slice(2);
-const configFromFile = loadConfig();
+// Print a parsed event log entry
+function printEvent(event) {
+  // Format the event for display
+  const time = event.timestamp ? new Date(event.timestamp).toLocaleString() : 'Unknown time';
+  const category = event.category || 'Unknown';
+  const name = event.name || 'Unknown event';
+  const entity = `${event.entity?.type} ${event.entity?.id}: ${event.entity?.description}`;
+  const area = event.area?.id ? `Area ${event.area.id}` : '';
+
+  // Color-code by category
+  let icon = '•';
+  if (category.includes('Alarm')) icon = '🚨';
+  else if (category.includes('Arm') || category.includes('Set')) icon = '🔒';
+  else if (category.includes('Disarm') || category.includes('Unset')) icon = '🔓';
+  else if (category.includes('Zone') || category.includes('Access')) icon = '📍';
+  else if (category.includes('User')) icon = '👤';
+  else if (category.includes('System')) icon = '⚙️';
+  else if (category.includes('Trouble')) icon = '⚠️';
+
+  console.log(`${icon} [${time}] ${name}`);
+  if (entity || area) {
+    console.log(`   ${entity}${area ? ` (${area})` : ''}`);
+  }
+  // Who and from where, e.g. "User 5 at keypad 1"
+  const { userId, userName, origin, card, faultCode } = event.decoded || {};
+  const who = [
+    userId ? `User ${userId}${userName ? ` ${userName}` : ''}` : null,
+    origin ? `${userId ? 'at' : 'From'} ${origin.type.replace('_', ' ')} ${origin.id}${origin.name ? ` ${origin.name}` : ''}` : null
+  ].filter(Boolean).join(' ');
+  const extra = [
+    card ? `card ${card.number}` : null,
+    faultCode !== undefined ? `fault code ${faultCode}` : null
+  ].filter(Boolean);
+  if (who || extra.length > 0) {
+    console.log(`   ${[who, ...extra].filter(Boolean).join(', ')}`);
+  }
+}
+
+// User settings for users add/edit from CLI options ("none" clears a setting)
+function userSettingsFromArgs(options) {
+  const settings = {};
+  const value = (v, parse) => (v === 'none' ? null : parse(v));
+  if (options.name !== undefined) settings.name = options.name;
+  if (options.userPin !== undefined) settings.pin = value(options.userPin, String);
+  if (options.card !== undefined) settings.card = value(options.card, String);
+  if (options.userGroup !== undefined) settings.userGroup = value(options.userGroup, Number);
+  if (options.validFrom !== undefined) settings.validFrom = value(options.validFrom, String);
+  if (options.validUntil !== undefined) settings.validUntil = value(options.validUntil, String);
+  return settings;
+}
+
+// User group changes for user-groups edit from CLI options: comma-separated numbers, "none" clears
+function userGroupChangesFromArgs(options) {
+  const changes = {};
+  const list = (v) => (v === 'none' ? [] : v.split(',').map(Number));
+  if (options.name !== undefined) changes.name = options.name;
+  if (options.areas !== undefined) changes.areas = list(options.areas);
+  if (options.doors !== undefined) changes.doors = list(options.doors);
+  if (options.calendar !== undefined) changes.calendar = options.calendar === 'none' ? null : Number(options.calendar);
+  return changes;
+}
+
+// Point to --allowUnverifiedWrites when a write command was refused as unverified
+function printUnverifiedWriteHint(err) {
+  if (err instanceof AritechError && err.code === ErrorCodes.UNVERIFIED_WRITE) {
+    console.log('  Its messages are not checked against a panel capture yet. To try it on a test panel, add --allowUnverifiedWrites');
+  }
+}
+
+// Print a user group with its access rights
+function printUserGroup(group) {
+  console.log(`  👥 User group ${group.number}: ${group.name}`);
+  console.log(`     Areas: ${group.areas.join(', ') || 'none'}`);
+  console.log(`     Doors: ${group.doors.join(', ') || 'none'}`);
+  console.log(`     ${group.calendar !== null ? `Calendar ${group.calendar}` : 'Any time'}`);
+}
+
+// Print a user with its settings
+function printUser(user) {
+  console.log(`  👤 User ${user.number}: ${user.name}`);
+  const settings = [
+    user.hasPin ? 'PIN set' : 'no PIN',
+    user.card !== null ? `card ${user.card}` : null,
+    user.userGroup !== null ? `user group ${user.userGroup}` : null,
+    user.validFrom ? `valid from ${user.validFrom}` : null,
+    user.validUntil ? `valid until ${user.validUntil}` : null
+  ].filter(Boolean);
+  console.log(`     ${settings.join(', ')}`);
+}
+
+// Print a dissected protocol message, one header line followed by payload and properties
+function printMessage(message) {
+  const arrow = message.dir === 'panel' ? 'panel → client' : message.dir === 'client' ? 'client → panel' : '?';
+  const name = message.name ?? (message.request ? `reply to ${message.request}` : '?');
+  const kind = message.kind === 'error' ? `error reply to ${message.request ?? '?'}` : name;
+  const flags = [
+    message.crcError ? '⚠️ CRC error' : null,
+    message.unknown ? `⚠️ unknown message id 0x${message.payload.slice(2, 4)}` : null
+  ].filter(Boolean).join(' ');
+  const bytes = message.payload ? `${message.payload.length / 2} bytes` : '';
+  console.log(`#${message.index} ${message.time ?? ''} ${arrow} [${message.encryption ?? '?'}] ${message.crcError ? '' : kind} ${bytes} ${flags}`.replace(/\s+/g, ' ').trim());
+  if (message.payload) {
+    console.log(`   ${message.payload}`);
+  }
+  for (const [key, value] of Object.entries(message.properties)) {
+    console.log(`   ${key}: ${JSON.stringify(value)}`);
+  }
+  for (const part of message.parts) {
+    const state = Object.entries(part.properties).filter(([, value]) => value === true).map(([key]) => key);
+    console.log(`   ${part.name} ${part.objectId}: ${state.join(', ') || '-'}`);
+  }
+}
+
+// Options not recorded with the command in trace files (connection, credentials, the trace itself)
+const UNRECORDED_OPTIONS = ['host', 'port', 'pin', 'username', 'password', 'encryptionKey', 'mqttPassword', 'mqttDisarmCode', 'token', 'trace'];
+
+// aritech dissect <capture>: decode a pcap, pcapng or hex dump offline, no panel connection needed
+if (process.argv[2] === 'dissect') {
+  const dissectArgs = process.argv.slice(3);
+  const dissectOptions = parseConfigArgs(dissectArgs);
+  const options = { ...loadConfig(), ...dissectOptions };
+  const captureFile = dissectArgs.find((arg, i) =>
+    !arg.startsWith('--') && !(i > 0 && dissectArgs[i - 1].slice(2) in dissectOptions));
+  if (!captureFile) {
+    console.error('Usage: aritech dissect <capture> [--encryptionKey <key>] [--serial <serial>] [--port <port>] [--format jsonl]');
+    process.exit(1);
+  }
+  try {
+    const frames = readCapture(readFileSync(captureFile), { port: options.port });
+    const messages = dissect(frames, { encryptionKey: options.encryptionKey, serial: options.serial });
+    for (const message of messages) {
+      if (options.format === 'jsonl') {
+        console.log(JSON.stringify(message));
+      } else {
+        printMessage(message);
+      }
+    }
+    if (options.format !== 'jsonl') {
+      const crcErrors = messages.filter(m => m.crcError).length;
+      const unknown = messages.filter(m => m.unknown).length;
+      console.log(`\n${messages.length} messages, ${crcErrors} CRC errors, ${unknown} unknown`);
+    }
+    process.exit(0);
+  } catch (err) {
+    console.error(`✗ ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// aritech replay <trace> [command ...]: run a command against a recorded trace instead of a panel
+let allArgs = process.argv.slice(2);
+let replay = null;
+if (allArgs[0] === 'replay') {
+  const [traceFile, ...commandArgs] = allArgs.slice(1);
+  if (!traceFile) {
+    console.error('Usage: aritech replay <trace> [command ...]');
+    process.exit(1);
+  }
+  try {
+    replay = new TraceReplay(readTrace(traceFile));
+  } catch (err) {
+    console.error(`✗ ${err.message}`);
+    process.exit(1);
+  }
+  // Without a command, run the recorded one
+  allArgs = commandArgs.length > 0 ? commandArgs : (replay.header.meta.argv ?? []);
+  console.log(`Replaying ${traceFile} (recorded ${replay.header.startedAt}): aritech ${allArgs.join(' ')}`);
+}
+
+// Build final configuration: config.json < CLI args (a replay brings its own connection config)
+const configFromFile = replay ? {} : loadConfig();
 const configFromArgs = parseConfigArgs(allArgs);
-const CONFIG = { ...configFromFile, ...configFromArgs };
+const CONFIG = { ...configFromFile, ...configFromArgs, ...replay?.clientConfig() };
+// Write commands not verified on a panel (users, user groups, cards, time sync) only run when asked for (the client warns on use)
+if (allArgs.includes('--allowUnverifiedWrites')) {
+  CONFIG.allowUnverifiedWrites = true;
+}
 
 // Validate required configuration fields
 // For x500 panels: host, port, pin, encryptionKey
@@ -86,22 +379,56 @@ if (missingFields.length > 0) {
   process.exit(1);
 }
 
-const client = new AritechClient(CONFIG);
-
 // Get the command (first non-config argument)
-// Convert configFromArgs values to strings for comparison since port is parsed as int
-const configValues = Object.values(configFromArgs).map(v => String(v));
-const args = process.argv.slice(2).filter(arg => !arg.startsWith('--') && !configValues.includes(arg));
+// Values of config options are not positional, even when they look like one (users add 5 --userGroup 5)
+const isOptionValue = (i) => i > 0 && allArgs[i - 1].startsWith('--') && allArgs[i - 1].slice(2) in configFromArgs;
+const args = allArgs.filter((arg, i) => !arg.startsWith('--') && !isOptionValue(i));
 const command = args[0];
 
+// The API server keeps one session for its whole lifetime, reconnect unless configured otherwise
+if (command === 'serve' && CONFIG.reconnect === undefined) {
+  CONFIG.reconnect = true;
+}
+
+const client = new AritechClient(CONFIG);
+
+// Set by commands that keep running after the command block (skips the final disconnect)
+let keepSession = false;
+
+// Record the command with the trace, so a replay can run it again
+if (client.trace) {
+  const isUnrecorded = (arg) => arg?.startsWith('--') && UNRECORDED_OPTIONS.includes(arg.slice(2));
+  client.trace.meta.argv = allArgs.filter((arg, i) => !isUnrecorded(arg) && !isUnrecorded(allArgs[i - 1]));
+}
+
+if (replay) {
+  replay.on('diverged', ({ index, expected, actual }) => {
+    console.error(`\n✗ Replay diverged at trace record ${index + 1}: expected ${expected ?? 'end of trace'}, client sent ${actual}`);
+    process.exit(1);
+  });
+  // Long-running commands (monitor, mqtt, serve) stop with the trace
+  replay.on('end', () => {
+    setTimeout(() => {
+      if (!keepSession && !client.monitoringActive) return;
+      console.log('\nEnd of trace');
+      process.exit(0);
+    }, 1000).unref();
+  });
+}
+
 // Show help if no command given (without connecting to panel)
 if (!command) {
   console.log('\nAvailable commands:');
   console.log('  aritech info                 - Show panel description info');
-  console.log('  aritech monitor              - Start monitoring mode (COS events)');
+  console.log('  aritech monitor [--log] [--readers] - Start monitoring mode (COS events)');
+  console.log('                                 --log: Also print new event log entries');
+  console.log('                                 --readers: Also track card readers (experimental)');
+  console.log('  aritech mqtt                 - Bridge states and commands to MQTT (Home Assistant discovery)');
+  console.log('  aritech serve                - Start the HTTP API and live event stream (bearer token required)');
   console.log('  aritech arm [area] [type] [--force]  - Arm area (default: area 1, type full)');
   console.log('                                 Types: full, part1, part2');
   console.log('                                 --force: Force arm despite faults/active zones');
+  console.log('                                 On a terminal, prompts to force, inhibit or abort');
   console.log('  aritech disarm [area]        - Disarm area (default: 1)');
   console.log('  aritech zones                - Show zone states');
   console.log('  aritech areas                - Show area states');
@@ -109,6 +436,7 @@ if (!command) {
   console.log('  aritech triggers             - Show trigger names and states');
   console.log('  aritech doors                - Show door names and states');
   console.log('  aritech filters              - Show filter names and states');
+  console.log('  aritech readers              - Show card reader names and states (offline readers listed first, experimental)');
   console.log('  aritech inhibit <zone>       - Inhibit a zone');
   console.log('  aritech uninhibit <zone>     - Uninhibit a zone');
   console.log('  aritech force-activate <output>   - Force activate an output (override to ON)');
@@ -122,11 +450,46 @@ if (!command) {
   console.log('  aritech door-unlock-timed <door> <seconds> - Unlock door for specified seconds');
   console.log('  aritech door-disable <door>  - Disable a door');
   console.log('  aritech door-enable <door>   - Enable a door');
+  console.log('  aritech door-groups          - Show door groups and their doors (experimental)');
+  console.log('  aritech door-schedules       - Show the calendar and special days of each door (experimental)');
+  console.log('  aritech lockdown [doors] [--yes] - Lock all doors, or the given doors (1,2,...), experimental');
+  console.log('  aritech unlock-all [doors] [--yes] - Unlock all doors, or the given doors (1,2,...), experimental');
+  console.log('                                 Asks for confirmation unless --yes is given');
+  console.log('  aritech users [list]         - Show users with PIN, card, user group and validity (experimental)');
+  console.log('  aritech users add <number> --name <name> [options] - Add a user (unverified write)');
+  console.log('  aritech users edit <number> [options] - Change a user, "none" clears a setting (unverified write)');
+  console.log('                                 --name <name>, --userPin <pin>, --card <number>, --userGroup <group>');
+  console.log('                                 --validFrom/--validUntil <YYYY-MM-DD>');
+  console.log('  aritech users delete <number> - Delete a user (unverified write)');
+  console.log('  aritech user-groups [list]   - Show user groups with their areas, doors and calendar (experimental)');
+  console.log('  aritech user-groups edit <number> [options] - Change a user group (unverified write)');
+  console.log('                                 --name <name>, --areas <1,2,...|none>, --doors <1,2,...|none>');
+  console.log('                                 --calendar <number|none>');
+  console.log('  aritech cards find <card>    - Show the user a card is assigned to (experimental)');
+  console.log('  aritech cards assign <user> <card> - Assign a card to a user (unverified write)');
+  console.log('  aritech cards remove <user>  - Remove the card of a user (unverified write)');
+  console.log('  aritech cards learn <reader> [user] - Wait for a card at a reader (and assign it to the user, unverified write)');
+  console.log('  aritech time [show]          - Show the panel time and its drift from this host (experimental)');
+  console.log('  aritech time sync            - Set the panel time from this host if it drifted too far (unverified write)');
+  console.log(`                                 --threshold <seconds>: Tolerated drift (default: ${DEFAULT_TIME_SYNC_THRESHOLD})`);
+  console.log('                                 --timeZone <zone>: Time zone of the panel clock (default: this host\'s)');
   console.log('  aritech eventLog [count]     - Read event log (default: 50 events)');
+  console.log('                                 --format csv|jsonl|syslog: Export instead of printing');
+  console.log('                                 --out <file>: Write the export to a file (default: stdout)');
+  console.log('                                 --since/--until <time>: Only events in this time window');
+  console.log('                                 --sync <stateFile>: Only events since the last sync (appends to --out)');
+  console.log('  aritech replay <trace> [command] - Run a command against a recorded trace (default: the recorded command)');
+  console.log('  aritech dissect <capture>    - Decode a pcap, pcapng or hex dump of panel traffic offline');
+  console.log('                                 --serial <serial>: Panel serial (default: from the capture)');
+  console.log('                                 --port <port>: Panel port in a capture file (default: first port contacted)');
+  console.log('                                 --format jsonl: One JSON message per line');
   console.log('\nConfiguration options (override config.json):');
   console.log('  --host <ip>              - Panel IP address');
   console.log('  --port <port>            - Panel port number');
   console.log('  --encryptionKey <key>    - Encryption key (24-48 chars)');
+  console.log('  --trace <file>           - Record a protocol trace (credentials masked) for aritech replay');
+  console.log('  --allowUnverifiedWrites  - Run unverified write commands, whose messages are not checked against a panel');
+  console.log('                             capture yet (try them on a test panel first)');
   console.log('');
   console.log('  x500 panels:');
   console.log('  --pin <pin>              - User PIN code');
@@ -134,6 +497,19 @@ if (!command) {
   console.log('  x700 panels:');
   console.log('  --username <user>        - Login username');
   console.log('  --password <pwd>         - Login password (defaults to username)');
+  console.log('');
+  console.log('  mqtt command:');
+  console.log('  --mqttUrl <url>          - Broker URL (default: mqtt://localhost:1883)');
+  console.log('  --mqttUsername <user>    - Broker username');
+  console.log('  --mqttPassword <pwd>     - Broker password');
+  console.log('  --mqttBaseTopic <topic>  - Topic prefix (default: aritech)');
+  console.log('  --mqttDisarmCode <code>  - Code Home Assistant must send to disarm (disarm is refused without it)');
+  console.log('  --discoveryPrefix <p>    - Home Assistant discovery prefix (default: homeassistant)');
+  console.log('');
+  console.log('  serve command:');
+  console.log('  --token <token>          - API bearer token (or ARITECH_API_TOKEN)');
+  console.log('  --httpPort <port>        - Listen port (default: 8080)');
+  console.log('  --httpHost <ip>          - Listen address (default: 127.0.0.1)');
   console.log('\nExamples:');
   console.log('  aritech --host 192.168.1.100 --pin 1234 --encryptionKey <key> zones');
   console.log('  aritech --host 192.168.1.100 --username ADMIN --password SECRET --encryptionKey <key> zones');
@@ -147,6 +523,11 @@ if (!command) {
   console.log('  aritech cancel-force 1       - Cancel force on output 1 (return to normal)');
   console.log('  aritech triggers             - Show all triggers with states');
   console.log('  aritech trigger-activate 1   - Activate trigger 1');
+  console.log('  aritech eventLog --format csv --out events.csv --since 2025-01-01 - Export events since Jan 1st');
+  console.log('  aritech eventLog --sync cursor.json --out archive.jsonl - Append new events to an archive');
+  console.log('  aritech mqtt --mqttUrl mqtt://192.168.1.10:1883 - Bridge the panel to an MQTT broker');
+  console.log('  aritech serve --token <secret> --httpPort 8080   - Serve the HTTP API on port 8080');
+  console.log('  aritech zones --trace zones.trace  - Record the session, then: aritech replay zones.trace');
   process.exit(0);
 }
 
@@ -177,8 +558,11 @@ try {
       console.log(`  Firmware: ${client.firmwareVersion || 'unknown'}`);
       console.log(`  Protocol: ${client.protocolVersion || 'unknown'}`);
     } else if (command === 'monitor') {
-      // Create monitor instance
-      const monitor = new AritechMonitor(client);
+      // Create monitor instance (--log: also follow the event log, --readers: also track card readers)
+      const monitor = new AritechMonitor(client, {
+        followLog: allArgs.includes('--log'),
+        readers: allArgs.includes('--readers')
+      });
 
       // Set up event handlers
       monitor.on('initialized', (data) => {
@@ -188,7 +572,8 @@ try {
         console.log(`  Outputs: ${data.outputs.length} tracked`);
         console.log(`  Triggers: ${data.triggers.length} tracked`);
         console.log(`  Doors: ${data.doors.length} tracked`);
-        console.log(`  Filters: ${data.filters.length} tracked\n`);
+        console.log(`  Filters: ${data.filters.length} tracked`);
+        console.log(`  Readers: ${data.readers.length} tracked\n`);
       });
 
       monitor.on('zoneChanged', (event) => {
@@ -297,6 +682,23 @@ try {
         }
       });
 
+      monitor.on('readerChanged', (event) => {
+        const { id, name, oldData, newData } = event;
+
+        if (process.env.LOG_LEVEL === 'debug') {
+          console.log(`📇 Reader ${id} (${name}) changed:`);
+          console.log(`   State: ${JSON.stringify(oldData, null, 2)} → ${JSON.stringify(newData, null, 2)}`);
+        } else {
+          const oldState = oldData?.state || 'unknown';
+          const newState = newData?.state || 'unknown';
+          console.log(`📇 Reader ${id} (${name}): ${oldState} → ${newState}`);
+        }
+      });
+
+      monitor.on('logEvent', (event) => {
+        printEvent(event);
+      });
+
       monitor.on('error', (err) => {
         console.error(`\n❌ Monitor error: ${err.message}`);
       });
@@ -318,6 +720,95 @@ try {
 
       console.log('Monitoring for zone/area changes... (Ctrl+C to stop)\n');
 
+    } else if (command === 'mqtt') {
+      // MQTT options: config.json "mqtt" section < CLI args
+      const mqttConfig = {
+        ...CONFIG.mqtt,
+        ...(CONFIG.mqttUrl && { url: CONFIG.mqttUrl }),
+        ...(CONFIG.mqttUsername && { username: CONFIG.mqttUsername }),
+        ...(CONFIG.mqttPassword && { password: CONFIG.mqttPassword }),
+        ...(CONFIG.mqttBaseTopic && { baseTopic: CONFIG.mqttBaseTopic }),
+        ...(CONFIG.mqttDisarmCode && { disarmCode: CONFIG.mqttDisarmCode }),
+        ...(CONFIG.discoveryPrefix && { discoveryPrefix: CONFIG.discoveryPrefix })
+      };
+      const bridge = new AritechMqttBridge(client, mqttConfig);
+
+      bridge.on('command', ({ type, id, command }) => {
+        console.log(`📨 ${type} ${id}: ${command}`);
+      });
+
+      bridge.on('commandError', ({ type, id, command, error }) => {
+        console.log(`✗ ${type} ${id}: ${command} failed: ${error.message}`);
+      });
+
+      bridge.on('error', (err) => {
+        console.error(`\n❌ MQTT bridge error: ${err.message}`);
+      });
+
+      // Handle Ctrl+C gracefully
+      process.on('SIGINT', async () => {
+        console.log('\n\nStopping MQTT bridge...');
+        await bridge.stop();
+        await client.disconnect();
+        process.exit(0);
+      });
+
+      await bridge.start();
+
+      const { zones, areas, outputs, triggers, doors, filters } = bridge.monitor;
+      console.log(`\n✓ MQTT bridge connected to ${bridge.options.url} (topic: ${bridge.baseTopic})`);
+      console.log(`  Publishing ${areas.length} areas, ${zones.length} zones, ${outputs.length} outputs, ` +
+        `${triggers.length} triggers, ${doors.length} doors, ${filters.length} filters`);
+      console.log('Bridging panel to MQTT... (Ctrl+C to stop)\n');
+
+    } else if (command === 'serve') {
+      // Server options: config.json "server" section < environment < CLI args
+      const serverConfig = { ...CONFIG.server };
+      const token = CONFIG.token || process.env.ARITECH_API_TOKEN || serverConfig.token;
+      if (!token) {
+        console.log('Usage: aritech serve --token <secret> [--httpPort 8080] [--httpHost 127.0.0.1]');
+        console.log('The token can also be set with ARITECH_API_TOKEN or "server": { "token": ... } in config.json');
+      } else {
+        // Live state stream on /events (SSE, WebSocket with the ws package installed)
+        const stream = new AritechEventStream(client);
+        stream.monitor.on('error', (err) => {
+          console.error(`\n❌ Monitor error: ${err.message}`);
+        });
+        await stream.start();
+
+        const server = new AritechServer(client, {
+          ...serverConfig,
+          stream,
+          token,
+          ...(CONFIG.httpPort && { port: CONFIG.httpPort }),
+          ...(CONFIG.httpHost && { host: CONFIG.httpHost })
+        });
+
+        server.on('request', ({ method, path, status, duration }) => {
+          console.log(`${status < 400 ? '✓' : '✗'} ${method} ${path} ${status} (${duration}ms)`);
+        });
+
+        server.on('error', (err) => {
+          console.error(`\n❌ Server error: ${err.message}`);
+        });
+
+        client.on('disconnected', ({ error }) => console.log(`⚠ Panel connection lost: ${error.message}`));
+        client.on('reconnected', () => console.log('✓ Panel session re-established'));
+
+        // Handle Ctrl+C gracefully
+        process.on('SIGINT', async () => {
+          console.log('\n\nStopping server...');
+          await server.stop();
+          stream.stop();
+          await client.disconnect();
+          process.exit(0);
+        });
+
+        const { host, port } = await server.start();
+        keepSession = true;
+        console.log(`\n✓ HTTP API listening on http://${host}:${port} (Ctrl+C to stop)\n`);
+      }
+
     } else if (command === 'arm') {
       // Parse arguments: arm [area] [type] [--force]
       // Examples: arm 1, arm 1 full, arm 1 part1 --force
@@ -340,24 +831,51 @@ try {
         setType = posArgs[1];
       }
 
+      // On a terminal, ask what to do about blocking zones like a keypad does
+      const interactive = !force && process.stdin.isTTY;
+      const rl = interactive ? createInterface({ input: process.stdin, output: process.stdout }) : null;
+      const ask = (question) => new Promise(resolve => rl.question(question, answer => resolve(answer.trim().toLowerCase())));
+
+      const onIssues = async ({ reason, zones }) => {
+        console.log(`\n  Area ${areaNum} cannot be set - ${reason} zones:`);
+        for (const issue of zones) {
+          console.log(`  Zone ${issue.zone}${issue.name ? ` ${issue.name}` : ''}: ${issue.reason}`);
+        }
+        // Inhibited zones can only be confirmed, others can also be inhibited first
+        const canInhibit = reason !== 'inhibited' && zones.length > 0;
+        const choices = canInhibit ? '[f]orce, [i]nhibit, [a]bort' : '[f]orce, [a]bort';
+        const answer = await ask(`  ${reason === 'inhibited' ? 'Set anyway' : 'Arm anyway'}? ${choices}: `);
+        if (answer.startsWith('f')) return 'force';
+        if (canInhibit && answer.startsWith('i')) {
+          const listed = zones.map(issue => issue.zone);
+          const selected = await ask(`  Zones to inhibit (Enter for ${listed.join(', ')}): `);
+          const inhibit = selected ? selected.split(/[\s,]+/).map(n => parseInt(n)).filter(n => !isNaN(n)) : listed;
+          return { inhibit };
+        }
+        return 'abort';
+      };
+
       console.log(`\nArming area ${areaNum} (${setType}${force ? ', force' : ''})...`);
       try {
-        await client.armArea(areaNum, setType, force);
+        await client.armArea(areaNum, setType, interactive ? { onIssues } : force);
         console.log(`✓ Area ${areaNum} armed successfully`);
       } catch (err) {
-        if (err instanceof AritechError) {
+        if (err instanceof AritechError && err.details?.aborted) {
+          // Blocking zones were already listed by the prompt
+          console.log(`✗ Arming area ${areaNum} aborted`);
+        } else if (err instanceof AritechError) {
           console.log(`✗ Arm failed: ${err.message}`);
           if (err.status !== undefined) {
             console.log(`  Status: 0x${err.status.toString(16).padStart(4, '0')}`);
           }
-          if (err.details?.faults?.length > 0) {
-            console.log(`  Faults: ${err.details.faults.length} zone(s)`);
-          }
-          if (err.details?.activeZones?.length > 0) {
-            console.log(`  Active zones: ${err.details.activeZones.length} zone(s)`);
-          }
-          if (err.details?.inhibitedZones?.length > 0) {
-            console.log(`  Inhibited zones: ${err.details.inhibitedZones.length} zone(s)`);
+          // Zones blocking the arm, e.g. "Zone 12 Back Door: active"
+          const issues = [
+            ...(err.details?.faults || []),
+            ...(err.details?.activeZones || []),
+            ...(err.details?.inhibitedZones || [])
+          ];
+          for (const issue of issues) {
+            console.log(`  Zone ${issue.zone}${issue.name ? ` ${issue.name}` : ''}: ${issue.reason}`);
           }
           if (!force) {
             console.log('  Use --force to arm anyway');
@@ -365,6 +883,8 @@ try {
         } else {
           throw err;
         }
+      } finally {
+        rl?.close();
       }
     } else if (command === 'disarm') {
       const areaNum = parseInt(args[1]) || 1;  // Default to area 1
@@ -383,29 +903,17 @@ try {
         }
       }
     } else if (command === 'zones') {
-      console.log('\nQuerying zone names...');
-      const zoneNames = await client.getZoneNames();
-      console.log(`Found ${zoneNames.length} zones\n`);
-
-      if (zoneNames.length > 0) {
-        console.log('Querying zone states...');
-        const zoneStates = await client.getZoneStates(zoneNames);
-
-        // Merge names with states
-        const zones = zoneNames.map(zoneName => {
-          const zoneState = zoneStates.find(s => s.zone === zoneName.number);
-          return {
-            id: zoneName.number,
-            name: zoneName.name,
-            state: zoneState?.state || null
-          };
-        });
+      // Names (cached per session) merged with current states
+      console.log('\nQuerying zones...');
+      const zones = await client.getZones();
+      console.log(`Found ${zones.length} zones`);
 
+      if (zones.length > 0) {
         console.log('\nZones:');
         zones.forEach(zone => {
           const s = zone.state;
           if (!s) {
-            console.log(`  ⚫ Zone ${zone.id}: ${zone.name}`);
+            console.log(`  ⚫ Zone ${zone.number}: ${zone.name}`);
             console.log(`     State: unknown`);
             return;
           }
@@ -422,8 +930,11 @@ try {
           else if (s.isActive) { icon = '🟢'; stateDesc = 'Active'; }
           else if (s.isSet) { icon = '⚫'; stateDesc = 'Armed'; }
 
-          console.log(`  ${icon} Zone ${zone.id}: ${zone.name}`);
+          console.log(`  ${icon} Zone ${zone.number}: ${zone.name}`);
           console.log(`     State: ${stateDesc}`);
+          if (zone.areas.length > 0) {
+            console.log(`     Areas: ${zone.areas.join(', ')}`);
+          }
 
           // Show all true flags dynamically
           const activeFlags = Object.entries(s)
@@ -441,29 +952,17 @@ try {
         console.log('No zones found on this panel.');
       }
     } else if (command === 'areas') {
-      console.log('\nQuerying area names...');
-      const areaNames = await client.getAreaNames();
-      console.log(`Found ${areaNames.length} areas\n`);
-
-      if (areaNames.length > 0) {
-        console.log('Querying area states...');
-        const areaStates = await client.getAreaStates(areaNames);
-
-        // Merge names with states
-        const areas = areaNames.map(areaName => {
-          const areaState = areaStates.find(s => s.area === areaName.number);
-          return {
-            id: areaName.number,
-            name: areaName.name,
-            state: areaState?.state || null
-          };
-        });
+      // Names (cached per session) merged with current states
+      console.log('\nQuerying areas...');
+      const areas = await client.getAreas();
+      console.log(`Found ${areas.length} areas`);
 
+      if (areas.length > 0) {
         console.log('\nAreas:');
         areas.forEach(area => {
           const s = area.state;
           if (!s) {
-            console.log(`  ⚫ Area ${area.id}: ${area.name}`);
+            console.log(`  ⚫ Area ${area.number}: ${area.name}`);
             console.log(`     State: unknown`);
             return;
           }
@@ -486,7 +985,7 @@ try {
           else if (s.isUnset && s.isReadyToArm) { icon = '⚫'; stateDesc = 'Disarmed (Ready)'; }
           else if (s.isUnset) { icon = '⚫'; stateDesc = 'Disarmed'; }
 
-          console.log(`  ${icon} Area ${area.id}: ${area.name}`);
+          console.log(`  ${icon} Area ${area.number}: ${area.name}`);
           console.log(`     State: ${stateDesc}`);
 
           // Show all true flags dynamically
@@ -542,59 +1041,95 @@ try {
         }
       }
     } else if (command === 'eventLog') {
-      // Read event log as a stream
-      const maxEvents = parseInt(args[1]) || 50;  // Default to 50 events
-      console.log(`\nReading up to ${maxEvents} events from panel log...\n`);
-
-      let count = 0;
-      for await (const event of client.readEventLog(maxEvents)) {
-        count++;
-        // Format the event for display
-        const time = event.timestamp ? new Date(event.timestamp).toLocaleString() : 'Unknown time';
-        const category = event.category || 'Unknown';
-        const name = event.name || 'Unknown event';
-        const entity = `${event.entity?.type} ${event.entity?.id}: ${event.entity?.description}`;
-        const area = event.area?.id ? `Area ${event.area.id}` : '';
-
-        // Color-code by category
-        let icon = '•';
-        if (category.includes('Alarm')) icon = '🚨';
-        else if (category.includes('Arm') || category.includes('Set')) icon = '🔒';
-        else if (category.includes('Disarm') || category.includes('Unset')) icon = '🔓';
-        else if (category.includes('Zone') || category.includes('Access')) icon = '📍';
-        else if (category.includes('User')) icon = '👤';
-        else if (category.includes('System')) icon = '⚙️';
-        else if (category.includes('Trouble')) icon = '⚠️';
-
-        console.log(`${icon} [${time}] ${name}`);
-        if (entity || area) {
-          console.log(`   ${entity}${area ? ` (${area})` : ''}`);
-        }
-        console.log('');
-      }
-
-      console.log(`\n✓ Displayed ${count} events`);
+      // eventLog [count] [--format csv|jsonl|syslog] [--out file] [--since time] [--until time] [--sync stateFile]
+      const format = CONFIG.format || (CONFIG.out || CONFIG.sync ? 'jsonl' : null);
+      const since = CONFIG.since ? new Date(CONFIG.since) : null;
+      const until = CONFIG.until ? new Date(CONFIG.until) : null;
+      // Without a count, a --since window reads the whole window
+      const maxEvents = parseInt(args[1]) || (since ? 0 : 50);  // Default to 50 events
+
+      if (format && !EVENT_EXPORT_FORMATS.includes(format)) {
+        console.error(`✗ Unknown format '${format}' (use ${EVENT_EXPORT_FORMATS.join(', ')})`);
+        process.exitCode = 1;
+      } else if ((since && isNaN(since)) || (until && isNaN(until))) {
+        console.error('✗ Invalid --since/--until time (use e.g. 2025-01-31 or 2025-01-31T08:00:00)');
+        process.exitCode = 1;
+      } else if (CONFIG.sync && (since || until)) {
+        console.error('✗ --sync reads everything after the stored cursor, it cannot be combined with --since/--until');
+        process.exitCode = 1;
+      } else if (CONFIG.sync) {
+        // Append only the events logged since the previous run, then advance the cursor
+        const sync = new EventLogSync(client, { stateFile: CONFIG.sync, maxEvents: parseInt(args[1]) || 0 });
+        const firstRun = (await sync.loadCursor()) === null;
+        console.error(`\nSyncing event log${firstRun ? ' (first run, reading the whole log)' : ''}...`);
+
+        const { events, cursor, gap } = await sync.readNew();
+        if (gap) {
+          console.error('⚠ Last synced event is no longer in the panel log, events may have been missed');
+        }
+        if (events.length > 0) {
+          const newFile = CONFIG.out ? !existsSync(CONFIG.out) || statSync(CONFIG.out).size === 0 : firstRun;
+          const lines = events.map(event => formatEvent(event, format, { hostname: CONFIG.host }));
+          if (format === 'csv' && newFile) {
+            lines.unshift(csvHeader());
+          }
+          const text = `${lines.join('\n')}\n`;
+          if (CONFIG.out) {
+            await appendFile(CONFIG.out, text);
+          } else if (!process.stdout.write(text)) {
+            await once(process.stdout, 'drain');
+          }
+          // Only advance once the events are written, so a failed run is repeated
+          await sync.saveCursor(cursor);
+        }
+        console.error(`✓ Synced ${events.length} new events`);
+      } else if (format) {
+        // Status goes to stderr so stdout only carries the export
+        console.error(`\nExporting ${maxEvents ? `up to ${maxEvents}` : 'all'} events as ${format}${CONFIG.out ? ` to ${CONFIG.out}` : ''}...`);
+
+        const out = CONFIG.out ? createWriteStream(CONFIG.out) : process.stdout;
+        const write = async (line) => {
+          if (!out.write(`${line}\n`)) {
+            await once(out, 'drain');
+          }
+        };
+
+        let count = 0;
+        try {
+          if (format === 'csv') {
+            await write(csvHeader());
+          }
+          for await (const event of client.readEventLog(maxEvents, { since, until })) {
+            await write(formatEvent(event, format, { hostname: CONFIG.host }));
+            count++;
+          }
+        } finally {
+          if (out !== process.stdout) {
+            out.end();
+            await once(out, 'finish');
+          }
+        }
+        console.error(`✓ Exported ${count} events`);
+      } else {
+        // Read event log as a stream
+        console.log(`\nReading ${maxEvents ? `up to ${maxEvents}` : 'all'} events from panel log...\n`);
+
+        let count = 0;
+        for await (const event of client.readEventLog(maxEvents, { since, until })) {
+          count++;
+          printEvent(event);
+          console.log('');
+        }
+
+        console.log(`\n✓ Displayed ${count} events`);
+      }
     } else if (command === 'outputs') {
-      // Query both names and states, then merge them
-      console.log('\nQuerying output names...');
-      const outputs = await client.getOutputNames();
-      console.log(`Found ${outputs.length} outputs\n`);
-
-      if (outputs.length > 0) {
-        console.log('Querying output states...');
-        const states = await client.getOutputStates(outputs.map(o => o.number));
-
-        // Merge names with states
-        const merged = outputs.map(output => {
-          const stateInfo = states.find(s => s.output === output.number);
-          return {
-            number: output.number,
-            name: output.name,
-            state: stateInfo ? stateInfo.state : null,
-            rawHex: stateInfo ? stateInfo.rawHex : null
-          };
-        });
+      // Names (cached per session) merged with current states
+      console.log('\nQuerying outputs...');
+      const merged = await client.getOutputs();
+      console.log(`Found ${merged.length} outputs`);
 
+      if (merged.length > 0) {
         console.log('\nOutputs:');
         merged.forEach(output => {
           const icon = output.state?.isOn ? '🟢' : '⚫';
@@ -667,26 +1202,12 @@ try {
         }
       }
     } else if (command === 'triggers') {
-      // Query both names and states, then merge them
-      console.log('\nQuerying trigger names...');
-      const triggers = await client.getTriggerNames();
-      console.log(`Found ${triggers.length} triggers\n`);
-
-      if (triggers.length > 0) {
-        console.log('Querying trigger states...');
-        const states = await client.getTriggerStates(triggers.map(t => t.number));
-
-        // Merge names with states
-        const merged = triggers.map(trigger => {
-          const stateInfo = states.find(s => s.trigger === trigger.number);
-          return {
-            number: trigger.number,
-            name: trigger.name,
-            state: stateInfo ? stateInfo.state : null,
-            rawHex: stateInfo ? stateInfo.rawHex : null
-          };
-        });
+      // Names (cached per session) merged with current states
+      console.log('\nQuerying triggers...');
+      const merged = await client.getTriggers();
+      console.log(`Found ${merged.length} triggers`);
 
+      if (merged.length > 0) {
         console.log('\nTriggers:');
         merged.forEach(trigger => {
           // Icon: ⚫ inactive / 🟢 active
@@ -747,26 +1268,12 @@ try {
         }
       }
     } else if (command === 'doors') {
-      // Query both names and states, then merge them
-      console.log('\nQuerying door names...');
-      const doors = await client.getDoorNames();
-      console.log(`Found ${doors.length} doors\n`);
-
-      if (doors.length > 0) {
-        console.log('Querying door states...');
-        const states = await client.getDoorStates(doors.map(d => d.number));
-
-        // Merge names with states
-        const merged = doors.map(door => {
-          const stateInfo = states.find(s => s.door === door.number);
-          return {
-            number: door.number,
-            name: door.name,
-            state: stateInfo ? stateInfo.state : null,
-            rawHex: stateInfo ? stateInfo.rawHex : null
-          };
-        });
+      // Names (cached per session) merged with current states
+      console.log('\nQuerying doors...');
+      const merged = await client.getDoors();
+      console.log(`Found ${merged.length} doors`);
 
+      if (merged.length > 0) {
         console.log('\nDoors:');
         merged.forEach(door => {
           const s = door.state;
@@ -907,26 +1414,12 @@ try {
         }
       }
     } else if (command === 'filters') {
-      // Query both names and states, then merge them
-      console.log('\nQuerying filter names...');
-      const filters = await client.getFilterNames();
-      console.log(`Found ${filters.length} filters\n`);
-
-      if (filters.length > 0) {
-        console.log('Querying filter states...');
-        const states = await client.getFilterStates(filters.map(f => f.number));
-
-        // Merge names with states
-        const merged = filters.map(filter => {
-          const stateInfo = states.find(s => s.filter === filter.number);
-          return {
-            number: filter.number,
-            name: filter.name,
-            state: stateInfo ? stateInfo.state : null,
-            rawHex: stateInfo ? stateInfo.rawHex : null
-          };
-        });
+      // Names (cached per session) merged with current states
+      console.log('\nQuerying filters...');
+      const merged = await client.getFilters();
+      console.log(`Found ${merged.length} filters`);
 
+      if (merged.length > 0) {
         console.log('\nFilters:');
         merged.forEach(filter => {
           const icon = filter.state?.isActive ? '🟢' : '⚫';
@@ -941,6 +1434,277 @@ try {
       } else {
         console.log('No filters found on this panel.');
       }
+    } else if (command === 'readers') {
+      console.log('\nQuerying readers...');
+      const merged = await client.getReaders();
+      console.log(`Found ${merged.length} readers`);
+
+      if (merged.length > 0) {
+        // Offline readers first: these are communication problems, not door faults
+        const offline = merged.filter(reader => reader.state?.isOffline);
+        const online = merged.filter(reader => !reader.state?.isOffline);
+        const printReader = (reader) => {
+          const icon = reader.state?.isOffline ? '🔴' : (reader.state?.isTamper || reader.state?.isFault) ? '⚠️' : '🟢';
+          console.log(`  ${icon} Reader ${reader.number}: ${reader.name}`);
+          console.log(`     State: ${reader.state?.toString() || 'unknown'}`);
+        };
+
+        if (offline.length > 0) {
+          console.log(`\nOffline readers (${offline.length}):`);
+          offline.forEach(printReader);
+        }
+        if (online.length > 0) {
+          console.log('\nReaders:');
+          online.forEach(printReader);
+        }
+
+        if (process.env.LOG_LEVEL === 'debug') {
+          console.log('\nDetailed reader data:');
+          console.log(JSON.stringify(merged, null, 2));
+        }
+      } else {
+        console.log('No readers found on this panel.');
+      }
+    } else if (command === 'door-groups') {
+      console.log('\nQuerying door groups...');
+      const groups = await client.getDoorGroups();
+      const doorNames = await client.getCachedNames('door');
+      console.log(`Found ${groups.length} door groups`);
+      if (groups.length > 0) {
+        console.log('\nDoor groups:');
+        for (const group of groups) {
+          console.log(`  🚪 Door group ${group.number}: ${group.name}`);
+          const doors = group.doors.map(num => `${num} ${doorNames.find(d => d.number === num)?.name ?? ''}`.trim());
+          console.log(`     Doors: ${doors.join(', ') || 'none'}`);
+        }
+      }
+    } else if (command === 'door-schedules') {
+      console.log('\nQuerying door schedules...');
+      const schedules = await client.getDoorSchedules();
+      console.log(`Found ${schedules.length} doors`);
+      if (schedules.length > 0) {
+        console.log('\nDoor schedules:');
+        for (const door of schedules) {
+          console.log(`  🚪 Door ${door.number}: ${door.name}`);
+          const schedule = [
+            door.calendar !== null ? `calendar ${door.calendar}` : 'no calendar',
+            door.specialDays.length > 0 ? `special days ${door.specialDays.join(', ')}` : null
+          ].filter(Boolean);
+          console.log(`     ${schedule.join(', ')}`);
+        }
+      }
+    } else if (command === 'lockdown' || command === 'unlock-all') {
+      // lockdown [doors] | unlock-all [doors]: all named doors, or the given door numbers (1,2,...)
+      // Door groups are not offered here, their door lists are not verified on a panel yet
+      const lock = command === 'lockdown';
+      const doorNums = args[1] ? args[1].split(',').map(Number) : null;
+      const doorNames = await client.getCachedNames('door');
+      const doors = doorNums
+        ? doorNums.map(num => ({ number: num, name: doorNames.find(d => d.number === num)?.name ?? '' }))
+        : doorNames;
+
+      if (doorNums && !doorNums.every(num => Number.isInteger(num) && num > 0)) {
+        console.log(`Usage: aritech ${command} [doors] [--yes]`);
+        console.log(`Example: aritech ${command} 1,2,5   - ${lock ? 'Lock' : 'Unlock'} doors 1, 2 and 5`);
+      } else if (doors.length === 0) {
+        console.log('No doors found');
+      } else {
+        console.log(`\n${lock ? 'Lock' : 'Unlock'} ${doors.length} doors:`);
+        doors.forEach(door => console.log(`  Door ${door.number}${door.name ? `: ${door.name}` : ''}`));
+
+        // Acting on every door at once needs a confirmation, --yes for scripts
+        let confirmed = allArgs.includes('--yes');
+        if (!confirmed && process.stdin.isTTY) {
+          const rl = createInterface({ input: process.stdin, output: process.stdout });
+          const answer = await new Promise(resolve => rl.question(`${lock ? 'Lock' : 'Unlock'} these doors? [y/N]: `, resolve));
+          rl.close();
+          confirmed = answer.trim().toLowerCase().startsWith('y');
+        }
+
+        if (!confirmed) {
+          console.log(`✗ ${lock ? 'Lockdown' : 'Unlock'} not confirmed${process.stdin.isTTY ? '' : ' (use --yes when not on a terminal)'}`);
+        } else {
+          const numbers = doors.map(door => door.number);
+          try {
+            await (lock ? client.lockDoors(numbers) : client.unlockDoors(numbers));
+            console.log(`✓ ${numbers.length} doors ${lock ? 'locked' : 'unlocked'}`);
+          } catch (err) {
+            if (!(err instanceof AritechError) || !err.details?.failed) throw err;
+            console.log(`✓ ${err.details.done.length} doors ${lock ? 'locked' : 'unlocked'}`);
+            for (const { door, error } of err.details.failed) {
+              console.log(`✗ Door ${door}: ${error}`);
+            }
+          }
+        }
+      }
+    } else if (command === 'users') {
+      // users [list] | users add <number> --name <name> [...] | users edit <number> [...] | users delete <number>
+      const action = args[1] || 'list';
+      const userNum = parseInt(args[2]);
+      const settings = userSettingsFromArgs(configFromArgs);
+
+      if (action === 'list') {
+        console.log('\nQuerying users...');
+        const users = await client.getUsers();
+        console.log(`Found ${users.length} users`);
+        if (users.length > 0) {
+          console.log('\nUsers:');
+          users.forEach(printUser);
+        }
+      } else if (!['add', 'edit', 'delete'].includes(action) || !userNum || userNum < 1) {
+        console.log('Usage: aritech users [list]');
+        console.log('       aritech users add <number> --name <name> [--userPin <pin>] [--card <number>] [--userGroup <group>]');
+        console.log('                                  [--validFrom <YYYY-MM-DD>] [--validUntil <YYYY-MM-DD>]');
+        console.log('       aritech users edit <number> [--name ...] [--userPin ...] ... (none clears a setting)');
+        console.log('       aritech users delete <number>');
+        console.log('Example: aritech users add 12 --name "J Smith" --userPin 4711 --userGroup 2 --validUntil 2025-12-31 --allowUnverifiedWrites');
+      } else {
+        const verbs = { add: ['Adding', 'added'], edit: ['Changing', 'changed'], delete: ['Deleting', 'deleted'] };
+        console.log(`\n${verbs[action][0]} user ${userNum}...`);
+        try {
+          if (action === 'add') {
+            await client.createUser(userNum, settings);
+          } else if (action === 'edit') {
+            await client.updateUser(userNum, settings);
+          } else {
+            await client.deleteUser(userNum);
+          }
+          console.log(`✓ User ${userNum} ${verbs[action][1]} successfully!`);
+          const [user] = action === 'delete' ? [] : await client.getUsers({ numbers: [userNum] });
+          if (user) printUser(user);
+        } catch (err) {
+          // Panel rejections and invalid settings (PIN, card, dates) alike
+          console.log(`✗ Failed to ${action} user ${userNum}: ${err.message}`);
+          printUnverifiedWriteHint(err);
+        }
+      }
+    } else if (command === 'user-groups') {
+      // user-groups [list] | user-groups edit <number> [--name ...] [--areas ...] [--doors ...] [--calendar ...]
+      const action = args[1] || 'list';
+      const groupNum = parseInt(args[2]);
+
+      if (action === 'list') {
+        console.log('\nQuerying user groups...');
+        const groups = await client.getUserGroups();
+        console.log(`Found ${groups.length} user groups`);
+        if (groups.length > 0) {
+          console.log('\nUser groups:');
+          groups.forEach(printUserGroup);
+        }
+      } else if (action !== 'edit' || !groupNum || groupNum < 1) {
+        console.log('Usage: aritech user-groups [list]');
+        console.log('       aritech user-groups edit <number> [--name <name>] [--areas <1,2,...|none>] [--doors <1,2,...|none>]');
+        console.log('                                         [--calendar <number|none>]');
+        console.log('Example: aritech user-groups edit 2 --areas 1,3 --doors 1,2 --calendar 4 --allowUnverifiedWrites');
+      } else {
+        console.log(`\nChanging user group ${groupNum}...`);
+        try {
+          await client.updateUserGroup(groupNum, userGroupChangesFromArgs(configFromArgs));
+          console.log(`✓ User group ${groupNum} changed successfully!`);
+          const [group] = await client.getUserGroups({ numbers: [groupNum] });
+          if (group) printUserGroup(group);
+        } catch (err) {
+          console.log(`✗ Failed to edit user group ${groupNum}: ${err.message}`);
+          printUnverifiedWriteHint(err);
+        }
+      }
+    } else if (command === 'cards') {
+      // cards find <card> | cards assign <user> <card> | cards remove <user> | cards learn <reader> [user]
+      const action = args[1];
+      const number = parseInt(args[2]);
+
+      if (!['find', 'assign', 'remove', 'learn'].includes(action) || !number || number < 1) {
+        console.log('Usage: aritech cards find <card>');
+        console.log('       aritech cards assign <user> <card>');
+        console.log('       aritech cards remove <user>');
+        console.log('       aritech cards learn <reader> [user]');
+        console.log('Example: aritech cards learn 1 12 --allowUnverifiedWrites - Assign the next card presented at reader 1 to user 12');
+      } else {
+        try {
+          if (action === 'find') {
+            const user = await client.findUserByCard(args[2]);
+            if (user) {
+              printUser(user);
+            } else {
+              console.log(`Card ${args[2]} is not assigned to any user`);
+            }
+          } else if (action === 'assign') {
+            await client.assignCard(number, args[3]);
+            console.log(`✓ Card ${args[3]} assigned to user ${number}`);
+          } else if (action === 'remove') {
+            await client.removeCard(number);
+            console.log(`✓ Card removed from user ${number}`);
+          } else {
+            const userNum = args[3] ? parseInt(args[3]) : null;
+            // Refuse before the card is presented, not after
+            if (userNum && !CONFIG.allowUnverifiedWrites) {
+              throw new AritechError('assignCard is not verified on a panel yet, set allowUnverifiedWrites to use it', {
+                code: ErrorCodes.UNVERIFIED_WRITE
+              });
+            }
+            const monitor = new AritechMonitor(client, { followLog: true, logPollInterval: 2000 });
+            monitor.on('error', (err) => {
+              console.error(`\n❌ Monitor error: ${err.message}`);
+            });
+            await monitor.start();
+            console.log(`\nPresent a card at reader ${number}...`);
+            let card;
+            try {
+              card = await monitor.learnCard(number);
+            } finally {
+              monitor.stop();
+            }
+            console.log(`✓ Card ${card}`);
+            if (userNum) {
+              await client.assignCard(userNum, card);
+              console.log(`✓ Card ${card} assigned to user ${userNum}`);
+            }
+          }
+        } catch (err) {
+          console.log(`✗ Failed to ${action} card: ${err.message}`);
+          printUnverifiedWriteHint(err);
+        }
+      }
+    } else if (command === 'time') {
+      // time [show] | time sync [--threshold <seconds>]
+      const action = args[1] ?? 'show';
+      const threshold = CONFIG.threshold !== undefined ? Number(CONFIG.threshold) : DEFAULT_TIME_SYNC_THRESHOLD;
+
+      if (!['show', 'sync'].includes(action) || !(threshold >= 0)) {
+        console.log('Usage: aritech time [show] [--timeZone <zone>]');
+        console.log('       aritech time sync [--threshold <seconds>] [--timeZone <zone>]');
+        console.log('Example: aritech time sync --threshold 10 --timeZone Europe/Amsterdam --allowUnverifiedWrites');
+      } else {
+        try {
+          // The panel answers somewhere between sending and receiving, compare with the midpoint
+          const sentAt = Date.now();
+          const panelTime = await client.getPanelTime();
+          const hostTime = new Date((sentAt + Date.now()) / 2);
+          const drift = Math.round((panelTime.getTime() - hostTime.getTime()) / 1000);
+          // Both in the panel's time zone, so the panel time reads as on its keypad
+          const timeZone = CONFIG.timeZone ?? Intl.DateTimeFormat().resolvedOptions().timeZone;
+          const show = (time) => time.toLocaleString(undefined, { timeZone });
+
+          console.log(`\nPanel time: ${show(panelTime)} (${timeZone})`);
+          console.log(`Host time:  ${show(hostTime)}`);
+          console.log(`Drift:      ${drift === 0 ? 'none' : `${Math.abs(drift)} s ${drift > 0 ? 'ahead' : 'behind'}`}`);
+
+          if (action === 'sync') {
+            if (Math.abs(drift) <= threshold) {
+              console.log(`✓ Within ${threshold} s, panel time not changed`);
+            } else {
+              const now = new Date();
+              await client.setPanelTime(now);
+              console.log(`✓ Panel time set to ${show(now)}`);
+            }
+          }
+        } catch (err) {
+          console.log(`✗ Failed to ${action === 'sync' ? 'sync' : 'read'} panel time: ${err.message}`);
+          printUnverifiedWriteHint(err);
+          // Scheduled syncs should notice failures
+          process.exitCode = 1;
+        }
+      }
     } else {
       console.log(`Unknown command: ${command}`);
       console.log('Run without arguments to see available commands.');
@@ -951,8 +1715,8 @@ try {
   console.error('\n!!! Error:', err.message);
   console.error(err.stack);
 } finally {
-  // Gracefully disconnect (unless monitoring, which handles its own cleanup)
-  if (client.socket && !client.monitoringActive) {
+  // Gracefully disconnect (unless monitoring or serving, which handle their own cleanup)
+  if (client.socket && !client.monitoringActive && !keepSession) {
     await client.disconnect();
   }
 }
@@ -8,7 +8,11 @@
  */
 
 import net from 'net';
+import { EventEmitter } from 'events';
+import { AsyncLocalStorage } from 'async_hooks';
 import { parseEvent } from './event-parser.js';
+import { Logger } from './logger.js';
+import { TraceRecorder } from './protocol-trace.js';
 import { createHelperMethods } from './message-helpers.js';
 import { messageTemplates } from './messages.js';
 import {
@@ -21,6 +25,14 @@ import {
     makeEncryptionKeyPBKDF2,
     decodeSerial,
     calculateProtocolVersion,
+    encodeBcdDate,
+    decodeBcdDate,
+    encodeBcdDateTime,
+    decodeBcdDateTime,
+    getWallClock,
+    encodeCardNumber,
+    decodeCardNumber,
+    normalizeCardNumber,
     encryptMessage,
     decryptMessage
 } from './aritech-utils.js';
@@ -30,6 +42,7 @@ import TriggerState from './TriggerState.js';
 import OutputState from './OutputState.js';
 import DoorState from './DoorState.js';
 import FilterState from './FilterState.js';
+import ReaderState from './ReaderState.js';
 
 // Create bound message helpers for this template set
 const {
@@ -99,10 +112,92 @@ const NAMES_PER_PAGE = 16;     // Panel returns 16 names per request
 const EXTENDED_NAME_LENGTH = 30;   // Extended format uses 30-byte names
 const EXTENDED_NAMES_PER_PAGE = 4; // Extended format returns 4 names per request
 
-// Debug logging helper
-const DEBUG = process.env.LOG_LEVEL === 'debug';
-const debug = (...args) => {
-    if (DEBUG) console.debug(...args);
+// Arm blocking issues: zone list to read, how to force past them, and the error raised
+const ARM_ISSUES = {
+    fault: {
+        reason: 'fault',
+        description: 'zone faults',
+        listMessage: 'getFaultZones',
+        forceMessage: 'setAreaForced',
+        code: 'ARM_FAULTS',
+        detailsKey: 'faults'
+    },
+    active: {
+        reason: 'active',
+        description: 'active zones',
+        listMessage: 'getActiveZones',
+        forceMessage: 'setAreaForced',
+        code: 'ARM_ACTIVE_ZONES',
+        detailsKey: 'activeZones'
+    },
+    inhibited: {
+        reason: 'inhibited',
+        description: 'inhibited zones',
+        listMessage: 'getInhibitedZones',
+        forceMessage: 'armAreas',  // Inhibited zones are confirmed by re-sending the set command
+        code: 'ARM_INHIBITED',
+        detailsKey: 'inhibitedZones'
+    }
+};
+
+// Reason reported for the zones returned by each arm issue list
+const ARM_ISSUE_REASONS = Object.fromEntries(
+    Object.values(ARM_ISSUES).map(({ listMessage, reason }) => [listMessage, reason])
+);
+
+// sysEvent typeId of a zone entry; other entries in an arm issue list are not decoded
+const ZONE_TYPE_ID = 0x01;
+
+// Upper bound on onIssues callbacks per armArea call (each inhibit retry can prompt again)
+const MAX_ARM_DECISIONS = 10;
+
+// Name and state queries per entity type (used by getEntities)
+const ENTITY_QUERIES = {
+    area: { getNames: client => client.getAreaNames(), getStates: (client, numbers) => client.getAreaStates(numbers) },
+    zone: { getNames: client => client.getZoneNames(), getStates: (client, numbers) => client.getZoneStates(numbers) },
+    output: { getNames: client => client.getOutputNames(), getStates: (client, numbers) => client.getOutputStates(numbers) },
+    trigger: { getNames: client => client.getTriggerNames(), getStates: (client, numbers) => client.getTriggerStates(numbers) },
+    door: { getNames: client => client.getDoorNames(), getStates: (client, numbers) => client.getDoorStates(numbers) },
+    filter: { getNames: client => client.getFilterNames(), getStates: (client, numbers) => client.getFilterStates(numbers) },
+    reader: { getNames: client => client.getReaderNames(), getStates: (client, numbers) => client.getReaderStates(numbers) }
+};
+
+// Named objects without states, their names are cached like entity names (see getCachedNames)
+const NAMED_OBJECT_QUERIES = {
+    user: { getNames: client => client.getUserNames() },
+    userGroup: { getNames: client => client.getUserGroupNames() },
+    doorGroup: { getNames: client => client.getDoorGroupNames() }
+};
+
+// User settings accepted by createUser/updateUser
+const USER_FIELDS = ['name', 'pin', 'card', 'userGroup', 'validFrom', 'validUntil'];
+const MAX_USER_NUMBER = 0xFFFF;
+
+// User group settings accepted by updateUserGroup; areas and doors are bitmasks for 1-64
+const USER_GROUP_FIELDS = ['name', 'areas', 'doors', 'calendar'];
+const MAX_USER_GROUP_NUMBER = 0xFF;
+const MAX_USER_GROUP_MEMBER = 64;
+
+// Automatic reconnect defaults (used when config.reconnect is enabled)
+const RECONNECT_DEFAULTS = {
+    initialDelay: 1000,     // Delay before the first reconnect attempt (ms)
+    maxDelay: 60000,        // Upper bound for the exponential backoff (ms)
+    factor: 2,              // Backoff multiplier per failed attempt
+    maxAttempts: Infinity,  // Give up after this many failed attempts
+    replayQueued: false     // Replay queued commands after reconnect instead of failing them
+};
+
+// Consecutive keep-alive failures before the connection is considered dead
+const KEEP_ALIVE_MAX_FAILURES = 2;
+
+/**
+ * Request priorities, lower is sent first. Requests of the same priority go out in call order.
+ * Commands run at the priority of the surrounding operation (see _withPriority).
+ */
+export const REQUEST_PRIORITY = {
+    CONTROL: 0,     // Arming, disarming and other control actions
+    NORMAL: 1,      // State queries and everything not marked otherwise
+    BACKGROUND: 2   // Name fetches, monitor status refreshes and event log polls
 };
 
 // ============================================================================
@@ -136,6 +231,8 @@ export class AritechError extends Error {
 export const ErrorCodes = {
     // Connection/Protocol errors
     CONNECTION_FAILED: 'CONNECTION_FAILED',
+    CONNECTION_LOST: 'CONNECTION_LOST',
+    NOT_CONNECTED: 'NOT_CONNECTED',
     PROTOCOL_ERROR: 'PROTOCOL_ERROR',
     CRC_ERROR: 'CRC_ERROR',
     DECRYPT_FAILED: 'DECRYPT_FAILED',
@@ -176,6 +273,20 @@ export const ErrorCodes = {
     DOOR_DISABLE_FAILED: 'DOOR_DISABLE_FAILED',
     DOOR_ENABLE_FAILED: 'DOOR_ENABLE_FAILED',
 
+    // User management errors
+    USER_CREATE_FAILED: 'USER_CREATE_FAILED',
+    USER_UPDATE_FAILED: 'USER_UPDATE_FAILED',
+    USER_DELETE_FAILED: 'USER_DELETE_FAILED',
+    USER_GROUP_UPDATE_FAILED: 'USER_GROUP_UPDATE_FAILED',
+    CARD_IN_USE: 'CARD_IN_USE',
+    CARD_LEARN_TIMEOUT: 'CARD_LEARN_TIMEOUT',
+
+    // Panel clock errors
+    TIME_SET_FAILED: 'TIME_SET_FAILED',
+
+    // Write commands not verified against a panel capture (see config.allowUnverifiedWrites)
+    UNVERIFIED_WRITE: 'UNVERIFIED_WRITE',
+
     // Control context errors
     CREATE_CC_FAILED: 'CREATE_CC_FAILED',
 };
@@ -184,15 +295,70 @@ export const ErrorCodes = {
 // CLIENT
 // ============================================================================
 
-export class AritechClient {
+/**
+ * Client for a single panel connection.
+ *
+ * Commands are queued by priority: control actions go out before queued status queries,
+ * name fetches and monitor refreshes. With config.pipeline > 1, up to that many requests
+ * are sent without waiting for the previous response; the panel answers in order.
+ *
+ * Write commands whose messages have not been checked against a panel capture (user
+ * and user group management, setting the panel clock) fail with UNVERIFIED_WRITE unless config.allowUnverifiedWrites is set.
+ *
+ * Events emitted (only when the connection drops unexpectedly):
+ * - 'disconnected': { error } - Socket closed or keep-alive failed
+ * - 'reconnecting': { attempt, delay } - Next reconnect attempt is scheduled
+ * - 'reconnected': { attempt } - Session re-established (connect, key exchange and login)
+ * - 'reconnectFailed': { attempts, error } - Gave up after reconnect.maxAttempts
+ */
+export class AritechClient extends EventEmitter {
     constructor(config) {
+        super();
         this.config = config;
         this.socket = null;
+
+        // Log entries carry the panel address; the PIN, password and keys are always masked
+        this.log = new Logger(config.logger, {
+            bindings: { host: config.host, port: config.port },
+            secrets: () => [
+                config.pin,
+                config.password || config.username,  // The password defaults to the username
+                config.encryptionKey,
+                this.initialKey,
+                this.sessionKey,
+                this._lostSessionKey
+            ]
+        });
+        // Opt-in protocol trace (see protocol-trace.js), credentials are masked in the file
+        this.trace = config.trace
+            ? new TraceRecorder(config.trace, {
+                host: config.host,
+                port: config.port,
+                login: config.username ? 'account' : 'pin',
+                keyLength: config.encryptionKey.length
+            })
+            : null;
         this.receiveBuffer = Buffer.alloc(0);
-        this.pendingResolve = null;
         this.eventListeners = [];  // For COS events
         this.responseQueue = [];   // Queue for non-COS responses
-        this._commandLock = Promise.resolve();
+
+        // Maximum number of requests in flight (1 = wait for each response before the next request)
+        this.pipeline = config.pipeline ?? 1;
+        if (!Number.isInteger(this.pipeline) || this.pipeline < 1) {
+            throw new Error(`Invalid pipeline: ${config.pipeline} (expected a positive integer)`);
+        }
+
+        // Time zone of the panel clock (getPanelTime/setPanelTime), the host's by default
+        if (config.timeZone !== undefined) {
+            try {
+                getWallClock(0, config.timeZone);
+            } catch {
+                throw new Error(`Invalid timeZone: ${config.timeZone} (expected an IANA time zone, e.g. Europe/Amsterdam)`);
+            }
+        }
+
+        // Unverified write commands already warned about (see _checkUnverifiedWrite)
+        this._unverifiedWritesWarned = new Set();
 
         this.initialKey = makeEncryptionKey(config.encryptionKey);
         this.serialBytes = null;  // Set after getDescription
@@ -218,8 +384,36 @@ export class AritechClient {
         // Populated by getValidZoneNumbers when querying per-area
         this.zoneAreas = {};
 
+        // Entity names per type: { zone: Promise<[{number, name}]>, ... } (see getCachedNames)
+        this._nameCache = {};
+        // Card owners: Promise<Map<card, userNum>>, dropped with the user names (see findUserByCard)
+        this._cardIndex = null;
+
         // Keep-alive interval (started after login, stopped on disconnect)
         this.keepAliveInterval = null;
+        this.keepAliveFailures = 0;
+
+        // Automatic reconnect (opt-in via config.reconnect = true or an options object)
+        this.reconnectOptions = config.reconnect
+            ? { ...RECONNECT_DEFAULTS, ...(typeof config.reconnect === 'object' ? config.reconnect : {}) }
+            : null;
+        this.reconnecting = false;
+        this.loggedIn = false;
+        this.loginType = undefined;      // Login type of the last successful login, reused on reconnect
+        this._closing = false;           // Set by disconnect() to suppress reconnects
+        this._reconnectTimer = null;
+        this._reconnectInProgress = false;
+        this._reconnectPromise = null;   // Resolves when the session is back, rejects when reconnect gives up
+        this._lostSessionKey = null;     // Session key of the dropped session (for replaying queued commands)
+        this._sessionSetup = new AsyncLocalStorage();  // Marks calls made while re-establishing the session
+        this._commandLockOwner = new AsyncLocalStorage();  // Token of the operation holding the command lock
+        this._commandLockToken = null;                     // Token of the current lock holder
+
+        // Request scheduling (see _schedule)
+        this._requestPriority = new AsyncLocalStorage();   // Priority of the current operation
+        this._requestQueue = [];       // Waiting for a slot, in call order: { priority, exclusive, grant }
+        this._inFlight = 0;            // Requests sent and not yet answered
+        this._responseWaiters = [];    // Pending responses in request order: { resolve, reject }
     }
 
     /**
@@ -292,45 +486,74 @@ export class AritechClient {
      * @throws {Error} If connection fails
      */
     async connect() {
-        return new Promise((resolve, reject) => {
-            debug(`Connecting to ${this.config.host}:${this.config.port}...`);
-
-            this.socket = net.createConnection({
-                host: this.config.host,
-                port: this.config.port
-            });
+        this._closing = false;
 
-            this.socket.on('connect', () => {
-                debug('Socket connected');
+        return new Promise((resolve, reject) => {
+            this.log.debug(`Connecting to ${this.config.host}:${this.config.port}...`);
+            this.trace?.connect();
+
+            // Socket callbacks must not inherit the reconnect's session-setup context
+            // (config.replay serves a recorded trace instead of the panel)
+            const socket = this._sessionSetup.exit(() => this.config.replay
+                ? this.config.replay.connect(this)
+                : net.createConnection({
+                    host: this.config.host,
+                    port: this.config.port
+                }));
+            this.socket = socket;
+            let connected = false;
+
+            socket.on('connect', () => {
+                this.log.debug('Socket connected');
+                connected = true;
                 resolve();
             });
 
-            this.socket.on('data', (data) => this.handleData(data));
-            this.socket.on('error', (err) => reject(err));
-            this.socket.setTimeout(10000);
+            socket.on('data', (data) => this.handleData(data));
+            socket.on('error', (err) => {
+                if (!connected) {
+                    reject(err);
+                    return;
+                }
+                this.log.debug(`Socket error: ${err.message}`);
+                socket.lastError = err;
+            });
+            socket.on('close', () => {
+                // Ignore sockets we already replaced or closed ourselves
+                if (!connected || this.socket !== socket) return;
+                this._handleConnectionLost(socket.lastError || new Error('Connection closed by panel'));
+            });
+            socket.setTimeout(10000);
         });
     }
 
     /**
      * Disconnect from the panel gracefully.
      * Sends logout message before closing the socket.
+     * Also cancels a pending automatic reconnect.
      */
     async disconnect() {
+        this._closing = true;
+        this._nameCache = {};
+        this._cardIndex = null;
+        this._cancelReconnect(new AritechError('Client disconnected', { code: ErrorCodes.NOT_CONNECTED }));
+
         if (!this.socket) return;
 
         // Stop keep-alive first
         this._stopKeepAlive();
+        this.loggedIn = false;
 
         try {
             // Send logout message if we have a session
             if (this.sessionKey) {
-                debug('Sending logout...');
+                this.log.debug('Sending logout...');
                 const disconnectMsg = constructMessage('logout', {});
                 await this.callEncrypted(disconnectMsg, this.sessionKey);
                 this.sessionKey = null;
             }
         } catch (err) {
-            debug(`Disconnect message failed: ${err.message}`);
+            this.log.debug(`Disconnect message failed: ${err.message}`);
         }
 
         // Close the socket
@@ -338,7 +561,179 @@ export class AritechClient {
             this.socket.destroy();
             this.socket = null;
         }
-        debug('Disconnected from panel');
+
+        // Fail requests (e.g. from a COS handler) that were sent after the logout
+        this._rejectResponseWaiters(new AritechError('Client disconnected', { code: ErrorCodes.NOT_CONNECTED }));
+        this.log.debug('Disconnected from panel');
+    }
+
+    /**
+     * Handle an unexpected loss of the panel connection.
+     * Fails the in-flight requests, emits 'disconnected' and starts reconnecting if enabled.
+     * @private
+     * @param {Error} cause - Socket error or keep-alive failure that ended the connection
+     */
+    _handleConnectionLost(cause) {
+        if (this._closing) return;
+
+        this.log.debug(`Connection lost: ${cause.message}`);
+
+        const error = new AritechError(`Connection to panel lost: ${cause.message}`, {
+            code: ErrorCodes.CONNECTION_LOST,
+            details: { cause: cause.message }
+        });
+
+        this._stopKeepAlive();
+        if (this.socket) {
+            this.socket.destroy();
+            this.socket = null;
+        }
+        if (this.sessionKey) {
+            this._lostSessionKey = this.sessionKey;
+        }
+        this.sessionKey = null;
+        this.loggedIn = false;
+        this.receiveBuffer = Buffer.alloc(0);
+        this.responseQueue = [];
+        this.processingCOS = false;
+
+        // Fail the requests that were waiting for a response on the dead socket
+        this._rejectResponseWaiters(error);
+
+        const wasReconnecting = this.reconnecting;
+        if (this.reconnectOptions) {
+            this.reconnecting = true;
+            if (!this._reconnectPromise) {
+                this._reconnectPromise = new Promise((resolve, reject) => {
+                    this._resolveReconnect = resolve;
+                    this._rejectReconnect = reject;
+                });
+                // Avoid unhandled rejections when nobody is waiting on the reconnect
+                this._reconnectPromise.catch(() => undefined);
+            }
+        }
+
+        if (!wasReconnecting) {
+            this.emit('disconnected', { error });
+        }
+
+        // A failing reconnect attempt schedules the next one itself
+        if (this.reconnectOptions && !this._reconnectTimer && !this._reconnectInProgress) {
+            this._scheduleReconnect(1);
+        }
+    }
+
+    /**
+     * Schedule a reconnect attempt with exponential backoff.
+     * @private
+     * @param {number} attempt - Attempt number (1-based)
+     */
+    _scheduleReconnect(attempt) {
+        const { initialDelay, maxDelay, factor } = this.reconnectOptions;
+        const delay = Math.min(initialDelay * Math.pow(factor, attempt - 1), maxDelay);
+
+        this.log.debug(`Reconnect attempt ${attempt} in ${delay}ms`);
+        this.emit('reconnecting', { attempt, delay });
+
+        this._reconnectTimer = setTimeout(() => {
+            this._reconnectTimer = null;
+            this._reconnect(attempt);
+        }, delay);
+    }
+
+    /**
+     * Re-run the full session setup: connect, getDescription, changeSessionKey and login.
+     * @private
+     * @param {number} attempt - Attempt number (1-based)
+     */
+    async _reconnect(attempt) {
+        if (this._closing) return;
+
+        this._reconnectInProgress = true;
+        try {
+            await this._sessionSetup.run(true, async () => {
+                if (this.socket) {
+                    this.socket.destroy();
+                    this.socket = null;
+                }
+                await this.connect();
+                await this.getDescription();
+                await this.changeSessionKey();
+                const success = await this.login(this.loginType);
+                if (!success) {
+                    throw new AritechError('Login failed during reconnect', { code: ErrorCodes.LOGIN_FAILED });
+                }
+            });
+        } catch (err) {
+            this._reconnectInProgress = false;
+            if (this._closing) return;
+            this.log.debug(`Reconnect attempt ${attempt} failed: ${err.message}`);
+
+            if (this.socket) {
+                this.socket.destroy();
+                this.socket = null;
+            }
+            this._stopKeepAlive();
+            this.sessionKey = null;
+
+            if (attempt >= this.reconnectOptions.maxAttempts) {
+                const error = new AritechError(`Reconnect failed after ${attempt} attempts: ${err.message}`, {
+                    code: ErrorCodes.CONNECTION_FAILED,
+                    details: { attempts: attempt, cause: err.message }
+                });
+                this._cancelReconnect(error);
+                this.emit('reconnectFailed', { attempts: attempt, error });
+                return;
+            }
+            this._scheduleReconnect(attempt + 1);
+            return;
+        }
+
+        this._reconnectInProgress = false;
+        this.log.debug(`✓ Reconnected after ${attempt} attempt(s)`);
+        this.reconnecting = false;
+        const resolve = this._resolveReconnect;
+        this._reconnectPromise = null;
+        this._resolveReconnect = null;
+        this._rejectReconnect = null;
+        if (resolve) resolve();
+        this.emit('reconnected', { attempt });
+    }
+
+    /**
+     * Stop any pending reconnect and fail commands waiting for it.
+     * @private
+     * @param {AritechError} error - Error used to reject waiting commands
+     */
+    _cancelReconnect(error) {
+        if (this._reconnectTimer) {
+            clearTimeout(this._reconnectTimer);
+            this._reconnectTimer = null;
+        }
+        const reject = this._rejectReconnect;
+        this.reconnecting = false;
+        this._reconnectPromise = null;
+        this._resolveReconnect = null;
+        this._rejectReconnect = null;
+        if (reject) reject(error);
+    }
+
+    /**
+     * Wait for an in-progress reconnect before sending a command.
+     * Fails immediately unless reconnect.replayQueued is enabled.
+     * @private
+     * @throws {AritechError} If the connection is down and commands are not replayed
+     */
+    async _waitForSession() {
+        if (!this.reconnecting) return;
+
+        if (!this.reconnectOptions.replayQueued) {
+            throw new AritechError('Not connected to panel (reconnect in progress)', {
+                code: ErrorCodes.NOT_CONNECTED
+            });
+        }
+        this.log.debug('Command queued until the session is re-established');
+        await this._reconnectPromise;
     }
 
     /**
@@ -362,7 +757,7 @@ export class AritechClient {
                 const decoded = slipDecode(frame);
                 if (decoded && decoded.length > 8) {
                     const nonce = decoded.slice(0, 8);
-                    debug(`[RECV] Frame ${decoded.length} bytes, nonce: ${nonce.toString('hex').substring(0, 8)}...`);
+                    this.log.debug(`[RECV] Frame ${decoded.length} bytes, nonce: ${nonce.toString('hex').substring(0, 8)}...`);
                 }
             }
 
@@ -375,16 +770,9 @@ export class AritechClient {
                 continue;
             }
 
-            // Queue the response
+            // Queue the response and deliver it to the oldest pending request
             this.responseQueue.push(frame);
-
-            // Deliver to pending resolver if waiting
-            if (this.pendingResolve) {
-                const resolve = this.pendingResolve;
-                this.pendingResolve = null;
-                const responseFrame = this.responseQueue.shift();
-                resolve(responseFrame);
-            }
+            this._deliverResponses();
         }
     }
 
@@ -413,24 +801,26 @@ export class AritechClient {
             }
 
             // This is an unsolicited message from the panel (header 0xC0)
+            this.trace?.frame('cos', decrypted, 'session');
+
             // Check if it's a COS message (0xCA prefix = COS message type)
             if (decrypted.length >= 3 && decrypted[1] === 0xCA) {
                 const cosType = decrypted[2];
                 const payload = decrypted.slice(3);
                 const statusByte = payload.length >= 3 ? payload[2] : null;
 
-                debug(`\n━━━ COS Event Received ━━━`);
-                debug(`Time: ${new Date().toISOString()}`);
-                debug(`COS type: 0x${cosType.toString(16).padStart(2, '0')}`);
-                debug(`Status byte: 0x${statusByte ? statusByte.toString(16).padStart(2, '0') : '??'}`);
-                debug(`Full payload: ${payload.toString('hex')}`);
+                this.log.debug(`\n━━━ COS Event Received ━━━`);
+                this.log.debug(`Time: ${new Date().toISOString()}`);
+                this.log.debug(`COS type: 0x${cosType.toString(16).padStart(2, '0')}`);
+                this.log.debug(`Status byte: 0x${statusByte ? statusByte.toString(16).padStart(2, '0') : '??'}`);
+                this.log.debug(`Full payload: ${payload.toString('hex')}`);
 
                 // Notify listeners (async handling with concurrency protection)
                 this.eventListeners.forEach(listener => {
                     // Run listener async to not block receiving more frames
                     setImmediate(async () => {
                         if (this.processingCOS) {
-                            debug('⚠️  COS handler already running, skipping duplicate');
+                            this.log.debug('⚠️  COS handler already running, skipping duplicate');
                             return;
                         }
 
@@ -438,7 +828,7 @@ export class AritechClient {
                             this.processingCOS = true;
                             await listener(statusByte, payload);
                         } catch (err) {
-                            console.error('Error in event listener:', err);
+                            this.log.error('Error in event listener', { err });
                         } finally {
                             this.processingCOS = false;
                         }
@@ -450,7 +840,10 @@ export class AritechClient {
 
             // Unsolicited message but not a COS - log it
             const msgIdByte = decrypted[1];
-            console.warn(`Received unsolicited message from panel (no handler): msgId=0x${msgIdByte.toString(16).padStart(2, '0')}, data=${decrypted.toString('hex')}`);
+            this.log.warn(`Received unsolicited message from panel (no handler): msgId=0x${msgIdByte.toString(16).padStart(2, '0')}`, {
+                msgId: msgIdByte,
+                data: decrypted.toString('hex')
+            });
             return true; // Still unsolicited, don't treat as response
 
         } catch (err) {
@@ -469,51 +862,272 @@ export class AritechClient {
         this.eventListeners.push(callback);
     }
 
+    // ============================================================================
+    // REQUEST SCHEDULING
+    // ============================================================================
+
+    /**
+     * Run an operation at a request priority (see REQUEST_PRIORITY).
+     * Nested operations keep the more urgent priority, so e.g. the name lookups of a
+     * control action are not demoted to background priority.
+     * @private
+     * @param {number} priority - REQUEST_PRIORITY value
+     * @param {Function} fn - Async function whose commands use this priority
+     */
+    _withPriority(priority, fn) {
+        const current = this._requestPriority.getStore();
+        return this._requestPriority.run(current === undefined ? priority : Math.min(current, priority), fn);
+    }
+
+    /**
+     * Run a multi-message operation without other commands in between, e.g. reading the
+     * event log, whose position is per session. Other callers wait until fn completes; the
+     * commands fn sends run directly.
+     * @param {Function} fn - Async function using this client
+     * @returns {Promise<*>} Result of fn
+     */
+    async exclusive(fn) {
+        return this._withCommandLock(fn);
+    }
+
     /**
-     * Serialize command traffic to avoid interleaved writes/responses.
+     * Serialize command traffic to avoid interleaved multi-message operations.
+     * The lock is re-entrant: wrapping a multi-message operation (e.g. reading the event log)
+     * keeps other callers out until it completes, while the calls it makes run under the held lock.
      * @private
      */
     async _withCommandLock(fn) {
-        const previous = this._commandLock;
-        let release;
-        this._commandLock = new Promise((resolve) => { release = resolve; });
-        await previous.catch(() => undefined);
-        try {
-            return await fn();
-        } finally {
-            release();
+        return this._schedule(fn, true);
+    }
+
+    /**
+     * Wait for a request slot, run fn and release the slot.
+     *
+     * Requests take one of config.pipeline slots until their response arrives. Exclusive
+     * operations (_withCommandLock) wait until no request is in flight and hold off all
+     * others; the calls they make run directly. Waiting operations are granted a slot by
+     * priority, then in call order.
+     * @private
+     * @param {Function} fn - Async function to run in the slot
+     * @param {boolean} exclusive - Hold off all other commands while fn runs
+     */
+    async _schedule(fn, exclusive) {
+        if (this._commandLockToken && this._commandLockOwner.getStore() === this._commandLockToken) {
+            return fn();
+        }
+
+        // Session setup during a reconnect bypasses the reconnect gate
+        const isSessionSetup = this._sessionSetup.getStore() === true;
+
+        while (true) {
+            if (!isSessionSetup) {
+                await this._waitForSession();
+            }
+
+            const token = await new Promise((grant) => {
+                this._requestQueue.push({
+                    priority: this._requestPriority.getStore() ?? REQUEST_PRIORITY.NORMAL,
+                    exclusive,
+                    grant
+                });
+                this._dispatchRequests();
+            });
+
+            // Connection dropped while this command was queued: release the slot so the
+            // reconnect can proceed, then fail or wait for the session depending on config
+            if (!isSessionSetup && this.reconnecting) {
+                this._releaseSlot(exclusive);
+                continue;
+            }
+
+            try {
+                return exclusive ? await this._commandLockOwner.run(token, fn) : await fn();
+            } finally {
+                this._releaseSlot(exclusive);
+            }
+        }
+    }
+
+    /**
+     * Grant slots to queued operations while the pipeline has room.
+     * @private
+     */
+    _dispatchRequests() {
+        while (this._requestQueue.length > 0 && !this._commandLockToken) {
+            // Queue is in call order, so the first entry of the most urgent priority is next
+            let next = 0;
+            for (let i = 1; i < this._requestQueue.length; i++) {
+                if (this._requestQueue[i].priority < this._requestQueue[next].priority) next = i;
+            }
+            const entry = this._requestQueue[next];
+            if (entry.exclusive ? this._inFlight > 0 : this._inFlight >= this.pipeline) break;
+
+            this._requestQueue.splice(next, 1);
+            if (entry.exclusive) {
+                this._commandLockToken = {};
+                entry.grant(this._commandLockToken);
+            } else {
+                this._inFlight++;
+                entry.grant(null);
+            }
+        }
+    }
+
+    /**
+     * Release a slot taken by _schedule and grant the next ones.
+     * @private
+     * @param {boolean} exclusive - Slot was taken by an exclusive operation
+     */
+    _releaseSlot(exclusive) {
+        if (exclusive) {
+            this._commandLockToken = null;
+        } else {
+            this._inFlight--;
         }
+        // Let the finished operation queue its next request first, so e.g. the steps of a
+        // disarm follow each other instead of alternating with queued background queries
+        setImmediate(() => this._dispatchRequests());
     }
 
     /**
      * Create a response waiter before sending a request.
+     * Responses are matched to requests in send order; the timeout covers this request only.
+     * A timed-out request keeps its place in line for another timeout, so a late response
+     * is dropped instead of being taken for the response to the next request. Callers wait
+     * for that (_waitForStaleResponses) before sending, so a request that is never answered
+     * cannot take the response of a newer one.
      * @private
      * @param {number} timeout - Timeout in milliseconds
      * @returns {Promise<Buffer>} Received frame
      * @throws {Error} If timeout expires
      */
     _createResponseWaiter(timeout = 5000) {
-        if (this.pendingResolve) {
-            throw new Error('Response already pending');
-        }
+        this._assertSocket();
 
         return new Promise((resolve, reject) => {
+            const waiter = {
+                resolve: (frame) => {
+                    clearTimeout(timer);
+                    resolve(frame);
+                },
+                reject: (err) => {
+                    clearTimeout(timer);
+                    reject(err);
+                }
+            };
             const timer = setTimeout(() => {
-                this.pendingResolve = null;
+                this._responseWaiters[this._responseWaiters.indexOf(waiter)] = this._createStaleWaiter(timeout);
                 reject(new Error('Receive timeout'));
             }, timeout);
-            this.pendingResolve = (frame) => {
-                clearTimeout(timer);
-                resolve(frame);
-            };
+            this._responseWaiters.push(waiter);
+            this._deliverResponses();
+        });
+    }
 
-            if (this.responseQueue.length > 0 && this.pendingResolve) {
-                const responseFrame = this.responseQueue.shift();
-                const pending = this.pendingResolve;
-                this.pendingResolve = null;
-                pending(responseFrame);
+    /**
+     * Placeholder for a timed-out request that discards its late response. Removed when the
+     * response arrives or after the timeout, whichever comes first.
+     * @private
+     * @param {number} timeout - Time to wait for the late response in milliseconds
+     * @returns {Object} Response waiter, settled resolves once it is out of the line
+     */
+    _createStaleWaiter(timeout) {
+        let done;
+        const expiry = setTimeout(() => {
+            const index = this._responseWaiters.indexOf(stale);
+            if (index !== -1) this._responseWaiters.splice(index, 1);
+            this.log.debug('No late response to a timed-out request');
+            done();
+        }, timeout);
+        expiry.unref();
+        const stale = {
+            stale: true,
+            settled: new Promise(resolve => { done = resolve; }),
+            resolve: (frame) => {
+                clearTimeout(expiry);
+                this.log.debug(`Discarding late response (${frame.length} bytes) to a timed-out request`);
+                done();
+            },
+            reject: () => {
+                clearTimeout(expiry);
+                done();
             }
-        });
+        };
+        return stale;
+    }
+
+    /**
+     * Wait until no timed-out request is waiting for its late response. Sending while one is
+     * would hand it the response to the new request if the late one never comes.
+     * @private
+     */
+    async _waitForStaleResponses() {
+        let stale;
+        while ((stale = this._responseWaiters.find(waiter => waiter.stale))) {
+            await stale.settled;
+        }
+    }
+
+    /**
+     * Hand queued response frames to the pending requests, oldest first.
+     * @private
+     */
+    _deliverResponses() {
+        while (this._responseWaiters.length > 0 && this.responseQueue.length > 0) {
+            this._responseWaiters.shift().resolve(this.responseQueue.shift());
+        }
+        // Nothing is waiting for these, e.g. the answer to a request that timed out long ago
+        for (const frame of this.responseQueue.splice(0)) {
+            this.log.debug(`Discarding unexpected response (${frame.length} bytes)`);
+        }
+    }
+
+    /**
+     * Fail all requests waiting for a response.
+     * @private
+     * @param {Error} error - Error to reject them with
+     */
+    _rejectResponseWaiters(error) {
+        const waiters = this._responseWaiters;
+        this._responseWaiters = [];
+        for (const waiter of waiters) {
+            waiter.reject(error);
+        }
+    }
+
+    /**
+     * Ensure there is an open socket before writing.
+     * @private
+     * @throws {AritechError} If not connected
+     */
+    _assertSocket() {
+        if (!this.socket) {
+            throw new AritechError('Not connected to panel', { code: ErrorCodes.NOT_CONNECTED });
+        }
+    }
+
+    /**
+     * Resolve the key to use for a command.
+     * Commands queued before a reconnect carry the old session key; replay them with the new one.
+     * @private
+     * @param {Buffer} key - Key passed by the caller
+     * @returns {Buffer} Key to encrypt with
+     */
+    _resolveKey(key) {
+        if (key && this._lostSessionKey && key === this._lostSessionKey) {
+            return this.sessionKey;
+        }
+        return key;
+    }
+
+    /**
+     * Which key a frame is encrypted with, for the protocol trace.
+     * @private
+     * @param {Buffer} key - Encryption key
+     * @returns {'initial'|'session'}
+     */
+    _keyKind(key) {
+        return key === this.sessionKey ? 'session' : 'initial';
     }
 
     /**
@@ -523,8 +1137,10 @@ export class AritechClient {
      * @param {Buffer} key - Encryption key (16 bytes)
      */
     _sendEncryptedUnlocked(payload, key) {
+        this._assertSocket();
+        this.trace?.frame('send', payload, this._keyKind(key));
         const frame = slipEncode(encryptMessage(payload, key, this.serialBytes));
-        debug(`SEND (${frame.length} bytes): ${frame.toString('hex')}`);
+        this.log.debug(`SEND (${frame.length} bytes): ${frame.toString('hex')}`);
         this.socket.write(frame);
     }
 
@@ -535,9 +1151,9 @@ export class AritechClient {
      * @param {Buffer} key - Encryption key (16 bytes)
      */
     sendEncrypted(payload, key) {
-        return this._withCommandLock(async () => {
-            this._sendEncryptedUnlocked(payload, key);
-        });
+        return this._schedule(async () => {
+            this._sendEncryptedUnlocked(payload, this._resolveKey(key));
+        }, false);
     }
 
     /**
@@ -551,13 +1167,16 @@ export class AritechClient {
      * @throws {AritechError} If panel returns error and throwOnError is true
      */
     async callEncrypted(payload, key, { throwOnError = true } = {}) {
-        return this._withCommandLock(async () => {
+        return this._schedule(async () => {
+            await this._waitForStaleResponses();
+            key = this._resolveKey(key);
             const responsePromise = this._createResponseWaiter();
             this._sendEncryptedUnlocked(payload, key);
             const response = await responsePromise;
-            debug(`RECV (${response.length} bytes): ${response.toString('hex')}`);
+            this.log.debug(`RECV (${response.length} bytes): ${response.toString('hex')}`);
             const decrypted = decryptMessage(response, key, this.serialBytes);
-            debug(`Decrypted response: ${decrypted.toString('hex')}`);
+            this.log.debug(`Decrypted response: ${decrypted.toString('hex')}`);
+            this.trace?.frame('recv', decrypted, this._keyKind(key), payload);
             if (throwOnError) {
                 try {
                     checkResponseError(decrypted);
@@ -572,7 +1191,7 @@ export class AritechClient {
                 }
             }
             return decrypted;
-        });
+        }, false);
     }
 
     /**
@@ -581,8 +1200,10 @@ export class AritechClient {
      * @param {Buffer} payload - Message payload to send
      */
     _sendPlainUnlocked(payload) {
+        this._assertSocket();
+        this.trace?.frame('send', payload, 'plain');
         const frame = slipEncode(appendCrc(payload));
-        debug(`SEND (${frame.length} bytes): ${frame.toString('hex')}`);
+        this.log.debug(`SEND (${frame.length} bytes): ${frame.toString('hex')}`);
         this.socket.write(frame);
     }
 
@@ -597,11 +1218,12 @@ export class AritechClient {
      * @throws {AritechError} If CRC invalid or panel returns error
      */
     async callPlain(payload, { throwOnError = true } = {}) {
-        return this._withCommandLock(async () => {
+        return this._schedule(async () => {
+            await this._waitForStaleResponses();
             const responsePromise = this._createResponseWaiter();
             this._sendPlainUnlocked(payload);
             const response = await responsePromise;
-            debug(`RECV (${response.length} bytes): ${response.toString('hex')}`);
+            this.log.debug(`RECV (${response.length} bytes): ${response.toString('hex')}`);
             const decoded = slipDecode(response);
             if (!verifyCrc(decoded)) {
                 throw new AritechError('Invalid CRC in plain response', {
@@ -610,6 +1232,7 @@ export class AritechClient {
                 });
             }
             const result = decoded.slice(0, -2);  // Strip CRC
+            this.trace?.frame('recv', result, 'plain', payload);
             if (throwOnError) {
                 try {
                     checkResponseError(result);
@@ -624,7 +1247,7 @@ export class AritechClient {
                 }
             }
             return result;
-        });
+        }, false);
     }
 
 
@@ -639,7 +1262,7 @@ export class AritechClient {
      * @returns {Promise<Object>} Panel description object
      */
     async getDescription() {
-        debug('\n=== Getting Panel Description ===');
+        this.log.debug('\n=== Getting Panel Description ===');
 
         // Unencrypted: getDeviceInfo message
         const message = constructMessage('getDeviceInfo', {});
@@ -676,27 +1299,27 @@ export class AritechClient {
             // Mode 5: PBKDF2 + AES-256 with 32-byte session key
             this.encryptionMode = payload[79];
 
-            debug(`Panel: ${this.panelName || 'unknown'}`);
-            debug(`Model: ${this.panelModel || 'unknown'} (${this.getMaxAreaCount()} areas, ${this.getMaxZoneCount()} zones max)`);
-            debug(`Firmware: ${this.firmwareVersion || 'unknown'}`);
-            debug(`Protocol: ${this.protocolVersion || 'unknown'}`);
-            debug(`Encryption mode: ${this.encryptionMode}`);
+            this.log.debug(`Panel: ${this.panelName || 'unknown'}`);
+            this.log.debug(`Model: ${this.panelModel || 'unknown'} (${this.getMaxAreaCount()} areas, ${this.getMaxZoneCount()} zones max)`);
+            this.log.debug(`Firmware: ${this.firmwareVersion || 'unknown'}`);
+            this.log.debug(`Protocol: ${this.protocolVersion || 'unknown'}`);
+            this.log.debug(`Encryption mode: ${this.encryptionMode}`);
         } catch (e) {
-            debug('Could not parse panel description fields:', e.message);
+            this.log.debug(`Could not parse panel description fields: ${e.message}`);
         }
 
         // Derive encryption key from serial if available
         if (this.serialBytes) {
-            debug(`Serial: ${this.config.serial}`);
-            debug(`Serial bytes: ${this.serialBytes.toString('hex')}`);
+            this.log.debug(`Serial: ${this.config.serial}`);
+            this.log.debug(`Serial bytes: ${this.serialBytes.toString('hex')}`);
         }
 
         // Encryption mode 5 uses PBKDF2 key derivation with AES-256
         // Other modes (1, 2) use grayPack with AES-128/192/256
         if (this.usesPBKDF2()) {
-            debug(`Encryption mode ${this.encryptionMode} - using PBKDF2 key derivation (AES-256)`);
+            this.log.debug(`Encryption mode ${this.encryptionMode} - using PBKDF2 key derivation (AES-256)`);
             this.initialKey = makeEncryptionKeyPBKDF2(this.config.encryptionKey);
-            debug(`New initial key (32 bytes): ${this.initialKey.toString('hex')}`);
+            this.log.debug('New initial key (32 bytes)', { initialKey: this.initialKey });
         }
 
         return {
@@ -716,8 +1339,8 @@ export class AritechClient {
      * @throws {Error} If key exchange fails
      */
     async changeSessionKey() {
-        debug('\n=== Key Exchange ===');
-        debug(`Initial key: ${this.initialKey.toString('hex')}`);
+        this.log.debug('\n=== Key Exchange ===');
+        this.log.debug('Initial key', { initialKey: this.initialKey });
 
         // 1. Send createSession with client key contribution
         // PBKDF2 mode (5): 16-byte client key → 32-byte session key (AES-256)
@@ -730,7 +1353,7 @@ export class AritechClient {
                 : Buffer.concat([clientKeyBytes, Buffer.alloc(8)])  // grayPack: 8-byte key + 8-byte padding
         });
 
-        debug('\n1. Sending createSession...');
+        this.log.debug('\n1. Sending createSession...');
         const beginResponse = await this.callEncrypted(beginPayload, this.initialKey);
 
         if (!beginResponse) {
@@ -742,15 +1365,15 @@ export class AritechClient {
         if (this.usesPBKDF2()) {
             // PBKDF2 mode: extract 16-byte panel key, build 32-byte session key
             const panelKeyBytes = beginResponse.slice(3, 19);
-            debug(`Panel key bytes (16): ${panelKeyBytes.toString('hex')}`);
+            this.log.debug('Received panel key bytes (16)');  // Half of the session key, not logged
             this.sessionKey = Buffer.concat([clientKeyBytes, panelKeyBytes]);
-            debug(`Session key (32 bytes): ${this.sessionKey.toString('hex')}`);
+            this.log.debug('Session key (32 bytes)', { sessionKey: this.sessionKey });
         } else {
             // grayPack mode: extract 8-byte panel key, build 16-byte session key
             const panelKeyBytes = beginResponse.slice(3, 11);
-            debug(`Panel key bytes (8): ${panelKeyBytes.toString('hex')}`);
+            this.log.debug('Received panel key bytes (8)');  // Half of the session key, not logged
             this.sessionKey = Buffer.concat([clientKeyBytes, panelKeyBytes]);
-            debug(`Session key (16 bytes): ${this.sessionKey.toString('hex')}`);
+            this.log.debug('Session key (16 bytes)', { sessionKey: this.sessionKey });
         }
 
         // 3. Send enableEncryptionKey (still with initial key!)
@@ -758,14 +1381,14 @@ export class AritechClient {
             typeId: 0x00
         });
 
-        debug('\n2. Sending enableEncryptionKey...');
+        this.log.debug('\n2. Sending enableEncryptionKey...');
         const endResponse = await this.callEncrypted(endPayload, this.initialKey);
 
         if (!endResponse) {
             throw new Error('Failed to decrypt enableEncryptionKey response');
         }
 
-        debug('\n✓ Key exchange complete - session key now active');
+        this.log.debug('\n✓ Key exchange complete - session key now active');
     }
 
     /**
@@ -789,8 +1412,8 @@ export class AritechClient {
      * @returns {Promise<boolean>} True if login successful
      */
     async loginWithPin(loginType = LOGIN_TYPE.USER) {
-        debug('\n=== Login (PIN) ===');
-        debug(`PIN: ${this.config.pin}`);
+        this.log.debug('\n=== Login (PIN) ===');
+        this.log.debug('PIN login', { pin: this.config.pin, loginType });
 
         // Login message for x500 panels
         // Panel automatically sends COS events to all connected clients
@@ -817,11 +1440,13 @@ export class AritechClient {
         // Success: a0 00 00 (header + msgId 0 + status 0)
         if (response[0] === HEADER.RESPONSE && response.length >= 3) {
             if (response[2] === 0x00) {
-                debug('✓ Login successful!');
+                this.log.debug('✓ Login successful!');
+                this.loginType = loginType;
+                this.loggedIn = true;
                 this._startKeepAlive();
                 return true;
             } else {
-                debug(`Login failed with code: ${response[2]}`);
+                this.log.debug(`Login failed with code: ${response[2]}`);
                 return false;
             }
         }
@@ -836,8 +1461,8 @@ export class AritechClient {
      * @returns {Promise<boolean>} True if login successful
      */
     async loginWithAccount(loginType = LOGIN_TYPE.USER) {
-        debug('\n=== Login (Account) ===');
-        debug(`Username: ${this.config.username}`);
+        this.log.debug('\n=== Login (Account) ===');
+        this.log.debug(`Username: ${this.config.username}`, { loginType });
 
         // Login message for x700 panels
         // Uses username/password instead of PIN
@@ -865,15 +1490,17 @@ export class AritechClient {
         // Success: a0 00 00 (header + msgId 0 + status 0)
         if (response[0] === HEADER.RESPONSE && response.length >= 3) {
             if (response[2] === 0x00) {
-                debug('✓ Login successful!');
+                this.log.debug('✓ Login successful!');
 
                 // x700 panels require getUserInfo call after login to activate session permissions
                 await this._getUserInfo();
 
+                this.loginType = loginType;
+                this.loggedIn = true;
                 this._startKeepAlive();
                 return true;
             } else {
-                debug(`Login failed with code: ${response[2]}`);
+                this.log.debug(`Login failed with code: ${response[2]}`);
                 return false;
             }
         }
@@ -886,7 +1513,7 @@ export class AritechClient {
      * @private
      */
     async _getUserInfo() {
-        debug('\n=== Getting User Info ===');
+        this.log.debug('\n=== Getting User Info ===');
         const payload = constructMessage('getUserInfo', {});
         const response = await this.callEncrypted(payload, this.sessionKey);
 
@@ -895,10 +1522,10 @@ export class AritechClient {
             if (response.length >= 22) {
                 const userName = response.slice(6, 22).toString('latin1').replace(/\0+$/, '').trim();
                 if (userName) {
-                    debug(`Logged in as: ${userName}`);
+                    this.log.debug(`Logged in as: ${userName}`);
                 }
             }
-            debug('✓ User session activated');
+            this.log.debug('✓ User session activated');
         }
     }
 
@@ -909,17 +1536,25 @@ export class AritechClient {
      */
     _startKeepAlive() {
         if (this.keepAliveInterval) return; // Already running
+        if (this.config.replay) return;     // Timer-driven, a replay skips the recorded pings
 
-        this.keepAliveInterval = setInterval(async () => {
+        this.keepAliveInterval = this._sessionSetup.exit(() => setInterval(async () => {
             if (!this.sessionKey || !this.socket) return;
 
             try {
                 const aliveMsg = constructMessage('ping', {});
                 await this.callEncrypted(aliveMsg, this.sessionKey);
+                this.keepAliveFailures = 0;
             } catch (err) {
-                debug(`Keep-alive failed: ${err.message}`);
+                this.keepAliveFailures++;
+                this.log.debug(`Keep-alive failed (${this.keepAliveFailures}x): ${err.message}`);
+
+                // Treat repeated ping failures as a dead connection when reconnecting is enabled
+                if (this.reconnectOptions && this.keepAliveFailures >= KEEP_ALIVE_MAX_FAILURES) {
+                    this._handleConnectionLost(new Error(`Keep-alive failed ${this.keepAliveFailures} times: ${err.message}`));
+                }
             }
-        }, 30000); // Every 30 seconds
+        }, 30000)); // Every 30 seconds
     }
 
     /**
@@ -931,6 +1566,7 @@ export class AritechClient {
             clearInterval(this.keepAliveInterval);
             this.keepAliveInterval = null;
         }
+        this.keepAliveFailures = 0;
     }
 
     /**
@@ -946,7 +1582,7 @@ export class AritechClient {
      * @returns {Promise<Array>} Array of {number, name} objects
      */
     async _getNames(msgName, responseName, { maxCount, validNumbers, entityName }) {
-        debug(`\n=== Querying ${entityName} Names ===`);
+        this.log.debug(`\n=== Querying ${entityName} Names ===`, { msgName });
 
         const results = [];
 
@@ -960,7 +1596,7 @@ export class AritechClient {
         const actualMsgName = hasExtendedFormat ? msgName + 'Extended' : msgName;
 
         if (hasExtendedFormat) {
-            debug(`Using extended format: ${actualMsgName}, ${nameLength}-byte names, ${namesPerPage} per page`);
+            this.log.debug(`Using extended format: ${actualMsgName}, ${nameLength}-byte names, ${namesPerPage} per page`);
         }
 
         // Determine which pages to request
@@ -990,7 +1626,7 @@ export class AritechClient {
             const response = await this.callEncrypted(payload, this.sessionKey);
 
             if (!response) {
-                debug(`No response for ${entityName} page starting at ${startIndex}`);
+                this.log.debug(`No response for ${entityName} page starting at ${startIndex}`);
                 if (!maxCount && !validNumbers) break; // Stop pagination on no response
                 continue;
             }
@@ -1019,18 +1655,18 @@ export class AritechClient {
 
                 // Stop pagination if no entities found and not using validNumbers/maxCount
                 if (!foundAny && !validNumbers && !maxCount) {
-                    debug(`No ${entityName}s found starting at index ${startIndex}, stopping pagination`);
+                    this.log.debug(`No ${entityName}s found starting at index ${startIndex}, stopping pagination`);
                     break;
                 }
 
-                debug(`Found ${results.length} ${entityName}s so far (page starting at ${startIndex})`);
+                this.log.debug(`Found ${results.length} ${entityName}s so far (page starting at ${startIndex})`);
             } else {
-                debug(`Unexpected response format for ${entityName} page at ${startIndex}`);
+                this.log.debug(`Unexpected response format for ${entityName} page at ${startIndex}`);
                 if (!maxCount && !validNumbers) break;
             }
         }
 
-        debug(`Total ${entityName}s found: ${results.length}`);
+        this.log.debug(`Total ${entityName}s found: ${results.length}`);
         return results;
     }
 
@@ -1053,7 +1689,7 @@ export class AritechClient {
      * @returns {Promise<Array>} Array of area state objects
      */
     async getAreaStates(areasOrMax = 4) {
-        debug('\n=== Querying Area States (Batch) ===');
+        this.log.debug('\n=== Querying Area States (Batch) ===');
 
         // Accept either:
         // - A number (max areas to query, 1 to N)
@@ -1073,12 +1709,12 @@ export class AritechClient {
         // Build batch request for area states
         const batchPayload = buildBatchStatRequest('AREA', areaNumbers);
 
-        debug(`Batch requesting ${areaNumbers.length} area states`);
+        this.log.debug(`Batch requesting ${areaNumbers.length} area states`);
 
         const response = await this.callEncrypted(batchPayload, this.sessionKey);
 
         if (!response || response.length < 4) {
-            debug('No valid batch response for area states');
+            this.log.debug('No valid batch response for area states');
             return [];
         }
 
@@ -1086,7 +1722,7 @@ export class AritechClient {
         const messages = splitBatchResponse(response, 'areaStatus');
 
         if (messages.length === 0) {
-            debug(`No messages parsed from batch response: ${response.slice(0, 8).toString('hex')}...`);
+            this.log.debug(`No messages parsed from batch response: ${response.slice(0, 8).toString('hex')}...`);
             return [];
         }
 
@@ -1104,7 +1740,7 @@ export class AritechClient {
             });
         }
 
-        debug(`Batch received ${areaStates.length} area states`);
+        this.log.debug(`Batch received ${areaStates.length} area states`);
         return areaStates;
     }
 
@@ -1116,17 +1752,17 @@ export class AritechClient {
     async getValidAreaNumbers() {
         // Return cached value if available
         if (this.validAreaNumbers) {
-            debug(`Using cached valid areas: ${this.validAreaNumbers.join(', ')}`);
+            this.log.debug(`Using cached valid areas: ${this.validAreaNumbers.join(', ')}`);
             return this.validAreaNumbers;
         }
 
-        debug('\n=== Querying Valid Area Numbers ===');
+        this.log.debug('\n=== Querying Valid Area Numbers ===');
 
         // x700 panels don't support getValidAreas command - use all areas based on model
         if (this.isX700Panel()) {
             const maxAreas = this.getMaxAreaCount();
             const validAreas = Array.from({ length: maxAreas }, (_, i) => i + 1);
-            debug(`x700 panel: using all ${maxAreas} areas: ${validAreas.join(', ')}`);
+            this.log.debug(`x700 panel: using all ${maxAreas} areas: ${validAreas.join(', ')}`);
             this.validAreaNumbers = validAreas;
             return validAreas;
         }
@@ -1135,7 +1771,7 @@ export class AritechClient {
         const response = await this.callEncrypted(payload, this.sessionKey);
 
         if (!response) {
-            debug('No response for getValidAreas');
+            this.log.debug('No response for getValidAreas');
             return null;
         }
 
@@ -1154,12 +1790,12 @@ export class AritechClient {
                 }
             }
 
-            debug(`Found ${validAreas.length} valid areas: ${validAreas.join(', ')}`);
+            this.log.debug(`Found ${validAreas.length} valid areas: ${validAreas.join(', ')}`);
             this.validAreaNumbers = validAreas;
             return validAreas;
         }
 
-        debug(`Unexpected response format: ${response.toString('hex')}`);
+        this.log.debug(`Unexpected response format: ${response.toString('hex')}`);
         return null;
     }
 
@@ -1168,12 +1804,12 @@ export class AritechClient {
      * Queries each valid area via batch to build zone-to-areas mapping.
      */
     async getValidZoneNumbers() {
-        debug('\n=== Querying Valid Zone Numbers ===');
+        this.log.debug('\n=== Querying Valid Zone Numbers ===');
 
         // Get valid areas (from cache or query)
         const validAreas = await this.getValidAreaNumbers();
         if (!validAreas || validAreas.length === 0) {
-            debug('No valid areas found');
+            this.log.debug('No valid areas found');
             return null;
         }
 
@@ -1200,18 +1836,18 @@ export class AritechClient {
         const batchMsg = constructMessage('batch', {});
         const lengthByte = Buffer.from([0x0c]); // getZonesAssignedToAreas messages are 12 bytes
         const payload = Buffer.concat([batchMsg, lengthByte, ...requests]);
-        debug(`Zone batch payload (${payload.length} bytes): ${payload.toString('hex')}`);
+        this.log.debug(`Zone batch payload (${payload.length} bytes): ${payload.toString('hex')}`);
         const response = await this.callEncrypted(payload, this.sessionKey);
 
         if (!response || response.length < 4) {
-            debug('No valid batch response for zones');
+            this.log.debug('No valid batch response for zones');
             return null;
         }
 
         // Response format: a0 [ee ee 20] [response1] [20] [response2] [20] ... [responseN]
         // 0x20 is the msgId for zonesAssignedToAreas - error responses already throw
         if (response[1] !== 0xEE || response[2] !== 0xEE || response[3] !== 0x20) {
-            debug(`Unexpected response format: ${response.slice(0, 4).toString('hex')}, falling back to individual queries`);
+            this.log.debug(`Unexpected response format: ${response.slice(0, 4).toString('hex')}, falling back to individual queries`);
             return this._getValidZoneNumbersIndividual(validAreas);
         }
 
@@ -1230,7 +1866,7 @@ export class AritechClient {
             const responseLen = isLast ? ZONE_RESPONSE_LEN : ZONE_RESPONSE_LEN + 1; // +1 for 0x20 separator
 
             if (offset + ZONE_RESPONSE_LEN > response.length) {
-                debug(`Not enough data at offset ${offset} for area ${areaNum}`);
+                this.log.debug(`Not enough data at offset ${offset} for area ${areaNum}`);
                 break;
             }
 
@@ -1239,7 +1875,7 @@ export class AritechClient {
 
             // Parse: 20 0a [bitset...]
             if (zoneResponse[0] !== 0x20) {
-                debug(`Unexpected zone response format for area ${areaNum}: ${zoneResponse.slice(0, 4).toString('hex')}`);
+                this.log.debug(`Unexpected zone response format for area ${areaNum}: ${zoneResponse.slice(0, 4).toString('hex')}`);
                 continue;
             }
 
@@ -1263,8 +1899,8 @@ export class AritechClient {
         }
 
         const validZones = Array.from(validZonesSet).sort((a, b) => a - b);
-        debug(`Found ${validZones.length} valid zones: ${validZones.join(', ')}`);
-        debug(`Zone-to-areas mapping: ${JSON.stringify(this.zoneAreas)}`);
+        this.log.debug(`Found ${validZones.length} valid zones: ${validZones.join(', ')}`);
+        this.log.debug(`Zone-to-areas mapping: ${JSON.stringify(this.zoneAreas)}`);
         return validZones;
     }
 
@@ -1273,7 +1909,7 @@ export class AritechClient {
      * @private
      */
     async _getValidZoneNumbersIndividual(validAreas) {
-        debug('Using individual zone queries (fallback)');
+        this.log.debug('Using individual zone queries (fallback)');
 
         this.zoneAreas = {};
         const validZonesSet = new Set();
@@ -1283,7 +1919,7 @@ export class AritechClient {
             const response = await this.callEncrypted(payload, this.sessionKey);
 
             if (!response) {
-                debug(`No response for area ${areaNum}`);
+                this.log.debug(`No response for area ${areaNum}`);
                 continue;
             }
 
@@ -1308,8 +1944,8 @@ export class AritechClient {
         }
 
         const validZones = Array.from(validZonesSet).sort((a, b) => a - b);
-        debug(`Found ${validZones.length} valid zones: ${validZones.join(', ')}`);
-        debug(`Zone-to-areas mapping: ${JSON.stringify(this.zoneAreas)}`);
+        this.log.debug(`Found ${validZones.length} valid zones: ${validZones.join(', ')}`);
+        this.log.debug(`Zone-to-areas mapping: ${JSON.stringify(this.zoneAreas)}`);
         return validZones;
     }
 
@@ -1339,14 +1975,14 @@ export class AritechClient {
      * Get zone states using batch request (much faster than individual queries)
      * Uses batch (Message ID 921557047) to batch multiple getZoneStatus requests
      *
-     * @param {Array|number} zonesOrMax - Array of zone objects with .number or max zone count
+     * @param {Array|number} zonesOrMax - Array of zone numbers/objects or max zone count
      * @returns {Promise<Array>} Array of zone state objects
      */
     async getZoneStates(zonesOrMax = 24) {
-        debug('\n=== Querying Zone States (Batch) ===');
+        this.log.debug('\n=== Querying Zone States (Batch) ===');
 
         const zoneNumbers = Array.isArray(zonesOrMax)
-            ? zonesOrMax.map(z => z.number)
+            ? zonesOrMax.map(z => typeof z === 'object' ? z.number : z)
             : Array.from({ length: zonesOrMax }, (_, i) => i + 1);
 
         if (zoneNumbers.length === 0) {
@@ -1356,23 +1992,23 @@ export class AritechClient {
         // Build batch request for zone states
         const batchPayload = buildBatchStatRequest('ZONE', zoneNumbers);
 
-        debug(`Batch requesting ${zoneNumbers.length} zones in single call`);
-        debug(`Batch request (${batchPayload.length} bytes): ${batchPayload.toString('hex')}`);
+        this.log.debug(`Batch requesting ${zoneNumbers.length} zones in single call`);
+        this.log.debug(`Batch request (${batchPayload.length} bytes): ${batchPayload.toString('hex')}`);
 
         const response = await this.callEncrypted(batchPayload, this.sessionKey);
 
         if (!response || response.length < 4) {
-            debug('No valid batch response, falling back to individual queries');
+            this.log.debug('No valid batch response, falling back to individual queries');
             return this.getZoneStatesIndividual(zoneNumbers);
         }
 
-        debug(`Batch response (${response.length} bytes): ${response.toString('hex')}`);
+        this.log.debug(`Batch response (${response.length} bytes): ${response.toString('hex')}`);
 
         // Use splitBatchResponse to parse (like C# AdvancedControlPanel.Split)
         const messages = splitBatchResponse(response, 'zoneStatus');
 
         if (messages.length === 0) {
-            debug(`No messages parsed from batch, falling back to individual queries`);
+            this.log.debug(`No messages parsed from batch, falling back to individual queries`);
             return this.getZoneStatesIndividual(zoneNumbers);
         }
 
@@ -1390,7 +2026,7 @@ export class AritechClient {
             });
         }
 
-        debug(`Batch received ${zoneStates.length} zone states`);
+        this.log.debug(`Batch received ${zoneStates.length} zone states`);
         return zoneStates;
     }
 
@@ -1399,7 +2035,7 @@ export class AritechClient {
      * @private
      */
     async getZoneStatesIndividual(zoneNumbers) {
-        debug('Using individual zone state queries');
+        this.log.debug('Using individual zone state queries');
         const zoneStates = [];
 
         for (const zoneNum of zoneNumbers) {
@@ -1431,7 +2067,7 @@ export class AritechClient {
     async _getZoneAreaProps(zoneNum) {
         // If zone-to-areas mapping is empty, populate it first
         if (Object.keys(this.zoneAreas).length === 0) {
-            debug(`  Zone-to-areas mapping empty, querying...`);
+            this.log.debug(`  Zone-to-areas mapping empty, querying...`);
             await this.getValidZoneNumbers();
         }
 
@@ -1441,7 +2077,7 @@ export class AritechClient {
             for (const areaNum of areas) {
                 props[`area.${areaNum}`] = true;
             }
-            debug(`  Zone ${zoneNum} is in areas: ${areas.join(', ')}`);
+            this.log.debug(`  Zone ${zoneNum} is in areas: ${areas.join(', ')}`);
             return props;
         }
         // Fallback to all valid areas if zone mapping unknown
@@ -1450,11 +2086,11 @@ export class AritechClient {
             for (const areaNum of this.validAreaNumbers) {
                 props[`area.${areaNum}`] = true;
             }
-            debug(`  Zone ${zoneNum} area unknown, using all valid areas: ${this.validAreaNumbers.join(', ')}`);
+            this.log.debug(`  Zone ${zoneNum} area unknown, using all valid areas: ${this.validAreaNumbers.join(', ')}`);
             return props;
         }
         // Last resort fallback
-        debug(`  Zone ${zoneNum} area unknown, falling back to area 1`);
+        this.log.debug(`  Zone ${zoneNum} area unknown, falling back to area 1`);
         return { 'area.1': true };
     }
 
@@ -1469,7 +2105,7 @@ export class AritechClient {
      * @param {number|string} entityId - Entity ID for error messages
      */
     async _withControlSession(createMsgName, createProps, actionFn, entityType, entityId) {
-        debug(`  Creating ${createMsgName}...`);
+        this.log.debug(`  Creating ${createMsgName}...`, { msgName: createMsgName, [entityType]: entityId });
         const createPayload = constructMessage(createMsgName, createProps);
         const response = await this.callEncrypted(createPayload, this.sessionKey);
 
@@ -1482,14 +2118,34 @@ export class AritechClient {
         }
 
         const { sessionId } = ccResponse;
-        debug(`  ✓ ${createMsgName} succeeded, sessionId: 0x${sessionId.toString(16)}`);
+        this.log.debug(`  ✓ ${createMsgName} succeeded, sessionId: 0x${sessionId.toString(16)}`, { msgName: createMsgName, sessionId });
 
         try {
             await actionFn(sessionId);
         } finally {
-            debug(`  Cleanup control context...`);
+            this.log.debug(`  Cleanup control context...`);
             await this.callEncrypted(constructMessage('destroyControlSession', { sessionId }), this.sessionKey);
-            debug(`  ✓ Cleanup complete`);
+            this.log.debug(`  ✓ Cleanup complete`);
+        }
+    }
+
+    /**
+     * Refuse a write command whose messages are not verified against a panel capture, unless
+     * config.allowUnverifiedWrites is set. Allowed commands log a warning the first time.
+     * @private
+     * @param {string} operation - Client method, e.g. 'createUser'
+     * @throws {AritechError} UNVERIFIED_WRITE if unverified writes are not allowed
+     */
+    _checkUnverifiedWrite(operation) {
+        if (!this.config.allowUnverifiedWrites) {
+            throw new AritechError(`${operation} is not verified on a panel yet, set allowUnverifiedWrites to use it`, {
+                code: ErrorCodes.UNVERIFIED_WRITE,
+                details: { operation }
+            });
+        }
+        if (!this._unverifiedWritesWarned.has(operation)) {
+            this._unverifiedWritesWarned.add(operation);
+            this.log.warn(`${operation} sends messages not verified against a panel capture, check the result on the panel`);
         }
     }
 
@@ -1499,22 +2155,24 @@ export class AritechClient {
      * @throws {AritechError} If inhibiting fails
      */
     async inhibitZone(zoneNum) {
-        debug(`\n=== Inhibiting Zone ${zoneNum} ===`);
-        const areaProps = await this._getZoneAreaProps(zoneNum);
+        return this._withPriority(REQUEST_PRIORITY.CONTROL, async () => {
+            this.log.debug(`\n=== Inhibiting Zone ${zoneNum} ===`);
+            const areaProps = await this._getZoneAreaProps(zoneNum);
 
-        await this._withControlSession('createZoneControlSession', areaProps, async (sessionId) => {
-            debug(`  Calling inhibitZone...`);
-            const payload = constructMessage('inhibitZone', { sessionId, objectId: zoneNum });
-            const response = await this.callEncrypted(payload, this.sessionKey);
+            await this._withControlSession('createZoneControlSession', areaProps, async (sessionId) => {
+                this.log.debug(`  Calling inhibitZone...`);
+                const payload = constructMessage('inhibitZone', { sessionId, objectId: zoneNum });
+                const response = await this.callEncrypted(payload, this.sessionKey);
 
-            if (parseReturnBool(response) !== true) {
-                throw new AritechError(`Failed to inhibit zone ${zoneNum}`, {
-                    code: ErrorCodes.ZONE_INHIBIT_FAILED,
-                    details: { zoneNum, response: response ? response.toString('hex') : null }
-                });
-            }
-            debug(`  ✓ Zone ${zoneNum} inhibited successfully!`);
-        }, 'zone', zoneNum);
+                if (parseReturnBool(response) !== true) {
+                    throw new AritechError(`Failed to inhibit zone ${zoneNum}`, {
+                        code: ErrorCodes.ZONE_INHIBIT_FAILED,
+                        details: { zoneNum, response: response ? response.toString('hex') : null }
+                    });
+                }
+                this.log.debug(`  ✓ Zone ${zoneNum} inhibited successfully!`);
+            }, 'zone', zoneNum);
+        });
     }
 
     /**
@@ -1523,22 +2181,24 @@ export class AritechClient {
      * @throws {AritechError} If uninhibiting fails
      */
     async uninhibitZone(zoneNum) {
-        debug(`\n=== Uninhibiting Zone ${zoneNum} ===`);
-        const areaProps = await this._getZoneAreaProps(zoneNum);
+        return this._withPriority(REQUEST_PRIORITY.CONTROL, async () => {
+            this.log.debug(`\n=== Uninhibiting Zone ${zoneNum} ===`);
+            const areaProps = await this._getZoneAreaProps(zoneNum);
 
-        await this._withControlSession('createZoneControlSession', areaProps, async (sessionId) => {
-            debug(`  Calling uninhibitZone...`);
-            const payload = constructMessage('uninhibitZone', { sessionId, objectId: zoneNum });
-            const response = await this.callEncrypted(payload, this.sessionKey);
+            await this._withControlSession('createZoneControlSession', areaProps, async (sessionId) => {
+                this.log.debug(`  Calling uninhibitZone...`);
+                const payload = constructMessage('uninhibitZone', { sessionId, objectId: zoneNum });
+                const response = await this.callEncrypted(payload, this.sessionKey);
 
-            if (parseReturnBool(response) !== true) {
-                throw new AritechError(`Failed to uninhibit zone ${zoneNum}`, {
-                    code: ErrorCodes.ZONE_UNINHIBIT_FAILED,
-                    details: { zoneNum, response: response ? response.toString('hex') : null }
-                });
-            }
-            debug(`  ✓ Zone ${zoneNum} uninhibited successfully!`);
-        }, 'zone', zoneNum);
+                if (parseReturnBool(response) !== true) {
+                    throw new AritechError(`Failed to uninhibit zone ${zoneNum}`, {
+                        code: ErrorCodes.ZONE_UNINHIBIT_FAILED,
+                        details: { zoneNum, response: response ? response.toString('hex') : null }
+                    });
+                }
+                this.log.debug(`  ✓ Zone ${zoneNum} uninhibited successfully!`);
+            }, 'zone', zoneNum);
+        });
     }
 
     /**
@@ -1549,21 +2209,23 @@ export class AritechClient {
      * @throws {AritechError} If force activation fails
      */
     async forceActivateOutput(outputNum) {
-        debug(`\n=== Force Activating Output ${outputNum} ===`);
+        return this._withPriority(REQUEST_PRIORITY.CONTROL, async () => {
+            this.log.debug(`\n=== Force Activating Output ${outputNum} ===`);
 
-        await this._withControlSession('createOutputControlSession', { 'area.1': true }, async (sessionId) => {
-            debug(`  Calling forceActivateOutput...`);
-            const payload = constructMessage('forceActivateOutput', { sessionId, objectId: outputNum });
-            const response = await this.callEncrypted(payload, this.sessionKey);
+            await this._withControlSession('createOutputControlSession', { 'area.1': true }, async (sessionId) => {
+                this.log.debug(`  Calling forceActivateOutput...`);
+                const payload = constructMessage('forceActivateOutput', { sessionId, objectId: outputNum });
+                const response = await this.callEncrypted(payload, this.sessionKey);
 
-            if (parseReturnBool(response) !== true) {
-                throw new AritechError(`Failed to force activate output ${outputNum}`, {
-                    code: ErrorCodes.OUTPUT_ACTIVATE_FAILED,
-                    details: { outputNum, response: response ? response.toString('hex') : null }
-                });
-            }
-            debug(`  ✓ Output ${outputNum} force activated successfully!`);
-        }, 'output', outputNum);
+                if (parseReturnBool(response) !== true) {
+                    throw new AritechError(`Failed to force activate output ${outputNum}`, {
+                        code: ErrorCodes.OUTPUT_ACTIVATE_FAILED,
+                        details: { outputNum, response: response ? response.toString('hex') : null }
+                    });
+                }
+                this.log.debug(`  ✓ Output ${outputNum} force activated successfully!`);
+            }, 'output', outputNum);
+        });
     }
 
     /**
@@ -1574,21 +2236,23 @@ export class AritechClient {
      * @throws {AritechError} If force deactivation fails
      */
     async forceDeactivateOutput(outputNum) {
-        debug(`\n=== Force Deactivating Output ${outputNum} ===`);
+        return this._withPriority(REQUEST_PRIORITY.CONTROL, async () => {
+            this.log.debug(`\n=== Force Deactivating Output ${outputNum} ===`);
 
-        await this._withControlSession('createOutputControlSession', { 'area.1': true }, async (sessionId) => {
-            debug(`  Calling forceDeactivateOutput...`);
-            const payload = constructMessage('forceDeactivateOutput', { sessionId, objectId: outputNum });
-            const response = await this.callEncrypted(payload, this.sessionKey);
+            await this._withControlSession('createOutputControlSession', { 'area.1': true }, async (sessionId) => {
+                this.log.debug(`  Calling forceDeactivateOutput...`);
+                const payload = constructMessage('forceDeactivateOutput', { sessionId, objectId: outputNum });
+                const response = await this.callEncrypted(payload, this.sessionKey);
 
-            if (parseReturnBool(response) !== true) {
-                throw new AritechError(`Failed to force deactivate output ${outputNum}`, {
-                    code: ErrorCodes.OUTPUT_DEACTIVATE_FAILED,
-                    details: { outputNum, response: response ? response.toString('hex') : null }
-                });
-            }
-            debug(`  ✓ Output ${outputNum} force deactivated successfully!`);
-        }, 'output', outputNum);
+                if (parseReturnBool(response) !== true) {
+                    throw new AritechError(`Failed to force deactivate output ${outputNum}`, {
+                        code: ErrorCodes.OUTPUT_DEACTIVATE_FAILED,
+                        details: { outputNum, response: response ? response.toString('hex') : null }
+                    });
+                }
+                this.log.debug(`  ✓ Output ${outputNum} force deactivated successfully!`);
+            }, 'output', outputNum);
+        });
     }
 
     /**
@@ -1598,22 +2262,24 @@ export class AritechClient {
      * @throws {AritechError} If cancel force fails
      */
     async cancelForceOutput(outputNum) {
-        debug(`\n=== Canceling Force on Output ${outputNum} ===`);
-
-        await this._withControlSession('createOutputControlSession', { 'area.1': true }, async (sessionId) => {
-            debug(`  Calling cancelForceOutput...`);
-            const payload = constructMessage('cancelForceOutput', { sessionId, objectId: outputNum });
-            const response = await this.callEncrypted(payload, this.sessionKey);
+        return this._withPriority(REQUEST_PRIORITY.CONTROL, async () => {
+            this.log.debug(`\n=== Canceling Force on Output ${outputNum} ===`);
 
-            if (parseReturnBool(response) !== true) {
-                throw new AritechError(`Failed to cancel force on output ${outputNum}`, {
-                    code: ErrorCodes.OUTPUT_CANCEL_FORCE_FAILED,
-                    details: { outputNum, response: response ? response.toString('hex') : null }
-                });
-            }
-            debug(`  ✓ Output ${outputNum} force canceled successfully!`);
-        }, 'output', outputNum);
-    }
+            await this._withControlSession('createOutputControlSession', { 'area.1': true }, async (sessionId) => {
+                this.log.debug(`  Calling cancelForceOutput...`);
+                const payload = constructMessage('cancelForceOutput', { sessionId, objectId: outputNum });
+                const response = await this.callEncrypted(payload, this.sessionKey);
+
+                if (parseReturnBool(response) !== true) {
+                    throw new AritechError(`Failed to cancel force on output ${outputNum}`, {
+                        code: ErrorCodes.OUTPUT_CANCEL_FORCE_FAILED,
+                        details: { outputNum, response: response ? response.toString('hex') : null }
+                    });
+                }
+                this.log.debug(`  ✓ Output ${outputNum} force canceled successfully!`);
+            }, 'output', outputNum);
+        });
+    }
 
     /**
      * Get output names from the panel.
@@ -1641,7 +2307,7 @@ export class AritechClient {
      * @returns {Promise<Array>} Array of trigger state objects
      */
     async getTriggerStates(triggersOrMax = 8) {
-        debug('\n=== Querying Trigger States (Batch) ===');
+        this.log.debug('\n=== Querying Trigger States (Batch) ===');
 
         const triggerNumbers = Array.isArray(triggersOrMax)
             ? (typeof triggersOrMax[0] === 'object' ? triggersOrMax.map(t => t.number) : triggersOrMax)
@@ -1656,7 +2322,7 @@ export class AritechClient {
 
         const messages = splitBatchResponse(response, 'triggerStatus');
         if (messages.length === 0) {
-            debug(`No messages parsed from batch response`);
+            this.log.debug(`No messages parsed from batch response`);
             return [];
         }
 
@@ -1670,7 +2336,7 @@ export class AritechClient {
             });
         }
 
-        debug(`Batch received ${triggerStates.length} trigger states`);
+        this.log.debug(`Batch received ${triggerStates.length} trigger states`);
         return triggerStates;
     }
 
@@ -1680,29 +2346,31 @@ export class AritechClient {
      * @throws {AritechError} If activation fails
      */
     async activateTrigger(triggerNum) {
-        debug(`\n=== Activating Trigger ${triggerNum} ===`);
-
-        // Check current state first
-        const states = await this.getTriggerStates([triggerNum]);
-        if (states.length > 0 && states[0].state.isActive) {
-            debug(`  Trigger ${triggerNum} is already active, skipping`);
-            return { skipped: true, reason: 'already active' };
-        }
+        return this._withPriority(REQUEST_PRIORITY.CONTROL, async () => {
+            this.log.debug(`\n=== Activating Trigger ${triggerNum} ===`);
+
+            // Check current state first
+            const states = await this.getTriggerStates([triggerNum]);
+            if (states.length > 0 && states[0].state.isActive) {
+                this.log.debug(`  Trigger ${triggerNum} is already active, skipping`);
+                return { skipped: true, reason: 'already active' };
+            }
 
-        await this._withControlSession('createTriggerControlSession', {}, async (sessionId) => {
-            debug(`  Calling activateTrigger...`);
-            const payload = constructMessage('activateTrigger', { sessionId, objectId: triggerNum });
-            const response = await this.callEncrypted(payload, this.sessionKey);
+            await this._withControlSession('createTriggerControlSession', {}, async (sessionId) => {
+                this.log.debug(`  Calling activateTrigger...`);
+                const payload = constructMessage('activateTrigger', { sessionId, objectId: triggerNum });
+                const response = await this.callEncrypted(payload, this.sessionKey);
 
-            if (parseReturnBool(response) !== true) {
-                throw new AritechError(`Failed to activate trigger ${triggerNum}`, {
-                    code: ErrorCodes.TRIGGER_ACTIVATE_FAILED,
-                    details: { triggerNum, response: response ? response.toString('hex') : null }
-                });
-            }
-            debug(`  ✓ Trigger ${triggerNum} activated!`);
-        }, 'trigger', triggerNum);
-        return { skipped: false };
+                if (parseReturnBool(response) !== true) {
+                    throw new AritechError(`Failed to activate trigger ${triggerNum}`, {
+                        code: ErrorCodes.TRIGGER_ACTIVATE_FAILED,
+                        details: { triggerNum, response: response ? response.toString('hex') : null }
+                    });
+                }
+                this.log.debug(`  ✓ Trigger ${triggerNum} activated!`);
+            }, 'trigger', triggerNum);
+            return { skipped: false };
+        });
     }
 
     /**
@@ -1711,29 +2379,31 @@ export class AritechClient {
      * @throws {AritechError} If deactivation fails
      */
     async deactivateTrigger(triggerNum) {
-        debug(`\n=== Deactivating Trigger ${triggerNum} ===`);
-
-        // Check current state first
-        const states = await this.getTriggerStates([triggerNum]);
-        if (states.length > 0 && !states[0].state.isActive) {
-            debug(`  Trigger ${triggerNum} is already inactive, skipping`);
-            return { skipped: true, reason: 'already inactive' };
-        }
+        return this._withPriority(REQUEST_PRIORITY.CONTROL, async () => {
+            this.log.debug(`\n=== Deactivating Trigger ${triggerNum} ===`);
+
+            // Check current state first
+            const states = await this.getTriggerStates([triggerNum]);
+            if (states.length > 0 && !states[0].state.isActive) {
+                this.log.debug(`  Trigger ${triggerNum} is already inactive, skipping`);
+                return { skipped: true, reason: 'already inactive' };
+            }
 
-        await this._withControlSession('createTriggerControlSession', {}, async (sessionId) => {
-            debug(`  Calling deactivateTrigger...`);
-            const payload = constructMessage('deactivateTrigger', { sessionId, objectId: triggerNum });
-            const response = await this.callEncrypted(payload, this.sessionKey);
+            await this._withControlSession('createTriggerControlSession', {}, async (sessionId) => {
+                this.log.debug(`  Calling deactivateTrigger...`);
+                const payload = constructMessage('deactivateTrigger', { sessionId, objectId: triggerNum });
+                const response = await this.callEncrypted(payload, this.sessionKey);
 
-            if (parseReturnBool(response) !== true) {
-                throw new AritechError(`Failed to deactivate trigger ${triggerNum}`, {
-                    code: ErrorCodes.TRIGGER_DEACTIVATE_FAILED,
-                    details: { triggerNum, response: response ? response.toString('hex') : null }
-                });
-            }
-            debug(`  ✓ Trigger ${triggerNum} deactivated!`);
-        }, 'trigger', triggerNum);
-        return { skipped: false };
+                if (parseReturnBool(response) !== true) {
+                    throw new AritechError(`Failed to deactivate trigger ${triggerNum}`, {
+                        code: ErrorCodes.TRIGGER_DEACTIVATE_FAILED,
+                        details: { triggerNum, response: response ? response.toString('hex') : null }
+                    });
+                }
+                this.log.debug(`  ✓ Trigger ${triggerNum} deactivated!`);
+            }, 'trigger', triggerNum);
+            return { skipped: false };
+        });
     }
 
     // ========================================================================
@@ -1755,13 +2425,13 @@ export class AritechClient {
      * @returns {Promise<Array>} Array of valid door numbers
      */
     async getValidDoorNumbers() {
-        debug('\n=== Querying Valid Door Numbers ===');
+        this.log.debug('\n=== Querying Valid Door Numbers ===');
 
         const payload = constructMessage('getValidDoors', {});
         const response = await this.callEncrypted(payload, this.sessionKey);
 
         if (!response || response.length < 4) {
-            debug('No valid response for getValidDoors');
+            this.log.debug('No valid response for getValidDoors');
             return [];
         }
 
@@ -1777,7 +2447,7 @@ export class AritechClient {
             }
         }
 
-        debug(`Valid doors: ${validDoors.join(', ') || 'none'}`);
+        this.log.debug(`Valid doors: ${validDoors.join(', ') || 'none'}`);
         return validDoors;
     }
 
@@ -1787,7 +2457,7 @@ export class AritechClient {
      * @returns {Promise<Array>} Array of door state objects
      */
     async getDoorStates(doorsOrMax = 8) {
-        debug('\n=== Querying Door States (Batch) ===');
+        this.log.debug('\n=== Querying Door States (Batch) ===');
 
         const doorNumbers = Array.isArray(doorsOrMax)
             ? (typeof doorsOrMax[0] === 'object' ? doorsOrMax.map(d => d.number) : doorsOrMax)
@@ -1802,7 +2472,7 @@ export class AritechClient {
 
         const messages = splitBatchResponse(response, 'doorStatus');
         if (messages.length === 0) {
-            debug(`No messages parsed from batch response`);
+            this.log.debug(`No messages parsed from batch response`);
             return [];
         }
 
@@ -1816,7 +2486,7 @@ export class AritechClient {
             });
         }
 
-        debug(`Batch received ${doorStates.length} door states`);
+        this.log.debug(`Batch received ${doorStates.length} door states`);
         return doorStates;
     }
 
@@ -1826,18 +2496,20 @@ export class AritechClient {
      * @throws {AritechError} If locking fails
      */
     async lockDoor(doorNum) {
-        debug(`\n=== Locking Door ${doorNum} ===`);
+        return this._withPriority(REQUEST_PRIORITY.CONTROL, async () => {
+            this.log.debug(`\n=== Locking Door ${doorNum} ===`);
 
-        await this._withControlSession('createDoorControlSession', {}, async (sessionId) => {
-            debug(`  Calling lockDoor...`);
-            const payload = constructMessage('lockDoor', { sessionId, objectId: doorNum });
-            const response = await this.callEncrypted(payload, this.sessionKey);
+            await this._withControlSession('createDoorControlSession', {}, async (sessionId) => {
+                this.log.debug(`  Calling lockDoor...`);
+                const payload = constructMessage('lockDoor', { sessionId, objectId: doorNum });
+                const response = await this.callEncrypted(payload, this.sessionKey);
 
-            // Door commands return a0000100 for success (boolean 0x00 = no error)
-            // Error responses have 0xF0 header which checkResponseError will throw on
-            checkResponseError(response);
-            debug(`  ✓ Door ${doorNum} locked!`);
-        }, 'door', doorNum);
+                // Door commands return a0000100 for success (boolean 0x00 = no error)
+                // Error responses have 0xF0 header which checkResponseError will throw on
+                checkResponseError(response);
+                this.log.debug(`  ✓ Door ${doorNum} locked!`);
+            }, 'door', doorNum);
+        });
     }
 
     /**
@@ -1846,17 +2518,19 @@ export class AritechClient {
      * @throws {AritechError} If unlocking fails
      */
     async unlockDoor(doorNum) {
-        debug(`\n=== Unlocking Door ${doorNum} ===`);
+        return this._withPriority(REQUEST_PRIORITY.CONTROL, async () => {
+            this.log.debug(`\n=== Unlocking Door ${doorNum} ===`);
 
-        await this._withControlSession('createDoorControlSession', {}, async (sessionId) => {
-            debug(`  Calling unlockDoor...`);
-            const payload = constructMessage('unlockDoor', { sessionId, objectId: doorNum });
-            const response = await this.callEncrypted(payload, this.sessionKey);
+            await this._withControlSession('createDoorControlSession', {}, async (sessionId) => {
+                this.log.debug(`  Calling unlockDoor...`);
+                const payload = constructMessage('unlockDoor', { sessionId, objectId: doorNum });
+                const response = await this.callEncrypted(payload, this.sessionKey);
 
-            // Door commands return a0000100 for success (boolean 0x00 = no error)
-            checkResponseError(response);
-            debug(`  ✓ Door ${doorNum} unlocked!`);
-        }, 'door', doorNum);
+                // Door commands return a0000100 for success (boolean 0x00 = no error)
+                checkResponseError(response);
+                this.log.debug(`  ✓ Door ${doorNum} unlocked!`);
+            }, 'door', doorNum);
+        });
     }
 
     /**
@@ -1866,17 +2540,19 @@ export class AritechClient {
      * @throws {AritechError} If unlocking fails
      */
     async unlockDoorStandardTime(doorNum) {
-        debug(`\n=== Unlocking Door ${doorNum} (Standard Time) ===`);
+        return this._withPriority(REQUEST_PRIORITY.CONTROL, async () => {
+            this.log.debug(`\n=== Unlocking Door ${doorNum} (Standard Time) ===`);
 
-        await this._withControlSession('createDoorControlSession', {}, async (sessionId) => {
-            debug(`  Calling unlockDoorStandardTime...`);
-            const payload = constructMessage('unlockDoorStandardTime', { sessionId, objectId: doorNum });
-            const response = await this.callEncrypted(payload, this.sessionKey);
+            await this._withControlSession('createDoorControlSession', {}, async (sessionId) => {
+                this.log.debug(`  Calling unlockDoorStandardTime...`);
+                const payload = constructMessage('unlockDoorStandardTime', { sessionId, objectId: doorNum });
+                const response = await this.callEncrypted(payload, this.sessionKey);
 
-            // Door commands return a0000100 for success (boolean 0x00 = no error)
-            checkResponseError(response);
-            debug(`  ✓ Door ${doorNum} unlocked (standard time)!`);
-        }, 'door', doorNum);
+                // Door commands return a0000100 for success (boolean 0x00 = no error)
+                checkResponseError(response);
+                this.log.debug(`  ✓ Door ${doorNum} unlocked (standard time)!`);
+            }, 'door', doorNum);
+        });
     }
 
     /**
@@ -1887,17 +2563,19 @@ export class AritechClient {
      * @throws {AritechError} If unlocking fails
      */
     async unlockDoorTime(doorNum, seconds) {
-        debug(`\n=== Unlocking Door ${doorNum} for ${seconds}s ===`);
+        return this._withPriority(REQUEST_PRIORITY.CONTROL, async () => {
+            this.log.debug(`\n=== Unlocking Door ${doorNum} for ${seconds}s ===`);
 
-        await this._withControlSession('createDoorControlSession', {}, async (sessionId) => {
-            debug(`  Calling unlockDoorTime...`);
-            const payload = constructMessage('unlockDoorTime', { sessionId, objectId: doorNum, timeOpen: seconds });
-            const response = await this.callEncrypted(payload, this.sessionKey);
+            await this._withControlSession('createDoorControlSession', {}, async (sessionId) => {
+                this.log.debug(`  Calling unlockDoorTime...`);
+                const payload = constructMessage('unlockDoorTime', { sessionId, objectId: doorNum, timeOpen: seconds });
+                const response = await this.callEncrypted(payload, this.sessionKey);
 
-            // Door commands return a0000100 for success (boolean 0x00 = no error)
-            checkResponseError(response);
-            debug(`  ✓ Door ${doorNum} unlocked for ${seconds}s!`);
-        }, 'door', doorNum);
+                // Door commands return a0000100 for success (boolean 0x00 = no error)
+                checkResponseError(response);
+                this.log.debug(`  ✓ Door ${doorNum} unlocked for ${seconds}s!`);
+            }, 'door', doorNum);
+        });
     }
 
     /**
@@ -1906,25 +2584,27 @@ export class AritechClient {
      * @throws {AritechError} If disabling fails
      */
     async disableDoor(doorNum) {
-        debug(`\n=== Disabling Door ${doorNum} ===`);
-
-        // Check current state first
-        const states = await this.getDoorStates([doorNum]);
-        if (states.length > 0 && states[0].state.isDisabled) {
-            debug(`  Door ${doorNum} is already disabled, skipping`);
-            return { skipped: true, reason: 'already disabled' };
-        }
+        return this._withPriority(REQUEST_PRIORITY.CONTROL, async () => {
+            this.log.debug(`\n=== Disabling Door ${doorNum} ===`);
+
+            // Check current state first
+            const states = await this.getDoorStates([doorNum]);
+            if (states.length > 0 && states[0].state.isDisabled) {
+                this.log.debug(`  Door ${doorNum} is already disabled, skipping`);
+                return { skipped: true, reason: 'already disabled' };
+            }
 
-        await this._withControlSession('createDoorControlSession', {}, async (sessionId) => {
-            debug(`  Calling disableDoor...`);
-            const payload = constructMessage('disableDoor', { sessionId, objectId: doorNum });
-            const response = await this.callEncrypted(payload, this.sessionKey);
+            await this._withControlSession('createDoorControlSession', {}, async (sessionId) => {
+                this.log.debug(`  Calling disableDoor...`);
+                const payload = constructMessage('disableDoor', { sessionId, objectId: doorNum });
+                const response = await this.callEncrypted(payload, this.sessionKey);
 
-            // Door commands return a0000100 for success (boolean 0x00 = no error)
-            checkResponseError(response);
-            debug(`  ✓ Door ${doorNum} disabled!`);
-        }, 'door', doorNum);
-        return { skipped: false };
+                // Door commands return a0000100 for success (boolean 0x00 = no error)
+                checkResponseError(response);
+                this.log.debug(`  ✓ Door ${doorNum} disabled!`);
+            }, 'door', doorNum);
+            return { skipped: false };
+        });
     }
 
     /**
@@ -1933,54 +2613,226 @@ export class AritechClient {
      * @throws {AritechError} If enabling fails
      */
     async enableDoor(doorNum) {
-        debug(`\n=== Enabling Door ${doorNum} ===`);
+        return this._withPriority(REQUEST_PRIORITY.CONTROL, async () => {
+            this.log.debug(`\n=== Enabling Door ${doorNum} ===`);
+
+            // Check current state first
+            const states = await this.getDoorStates([doorNum]);
+            if (states.length > 0 && !states[0].state.isDisabled) {
+                this.log.debug(`  Door ${doorNum} is already enabled, skipping`);
+                return { skipped: true, reason: 'already enabled' };
+            }
+
+            await this._withControlSession('createDoorControlSession', {}, async (sessionId) => {
+                this.log.debug(`  Calling enableDoor...`);
+                const payload = constructMessage('enableDoor', { sessionId, objectId: doorNum });
+                const response = await this.callEncrypted(payload, this.sessionKey);
+
+                // Door commands return a0000100 for success (boolean 0x00 = no error)
+                checkResponseError(response);
+                this.log.debug(`  ✓ Door ${doorNum} enabled!`);
+            }, 'door', doorNum);
+            return { skipped: false };
+        });
+    }
+
+    /**
+     * Lock several doors at once, e.g. for a lockdown.
+     * Experimental: not yet verified that a panel takes several door commands in one session.
+     * @param {number[]} doorNums - Door numbers (not taken from getDoorGroup, its records are unverified)
+     * @throws {AritechError} DOOR_LOCK_FAILED if any door failed (see _doorsCommand)
+     */
+    async lockDoors(doorNums) {
+        return this._withPriority(REQUEST_PRIORITY.CONTROL, async () => {
+            await this._doorsCommand('lockDoor', doorNums, ErrorCodes.DOOR_LOCK_FAILED);
+        });
+    }
+
+    /**
+     * Unlock several doors at once (indefinitely), e.g. at building open.
+     * Experimental, see lockDoors.
+     * @param {number[]} doorNums - Door numbers
+     * @throws {AritechError} DOOR_UNLOCK_FAILED if any door failed (see _doorsCommand)
+     */
+    async unlockDoors(doorNums) {
+        return this._withPriority(REQUEST_PRIORITY.CONTROL, async () => {
+            await this._doorsCommand('unlockDoor', doorNums, ErrorCodes.DOOR_UNLOCK_FAILED);
+        });
+    }
 
-        // Check current state first
-        const states = await this.getDoorStates([doorNum]);
-        if (states.length > 0 && !states[0].state.isDisabled) {
-            debug(`  Door ${doorNum} is already enabled, skipping`);
-            return { skipped: true, reason: 'already enabled' };
+    /**
+     * Send a door command for each door within a single door control session.
+     * Door commands address one door each, so they go out one after the other. A failing
+     * door does not stop the others; afterwards the error lists the doors done and failed.
+     * @private
+     */
+    async _doorsCommand(msgName, doorNums, code) {
+        if (!Array.isArray(doorNums) || doorNums.length === 0 || !doorNums.every(Number.isInteger)) {
+            throw new Error('Door numbers must be a non-empty array of integers');
         }
+        this.log.debug(`\n=== ${msgName} for Doors ${doorNums.join(', ')} ===`);
 
+        const done = [];
+        const failed = [];
         await this._withControlSession('createDoorControlSession', {}, async (sessionId) => {
-            debug(`  Calling enableDoor...`);
-            const payload = constructMessage('enableDoor', { sessionId, objectId: doorNum });
-            const response = await this.callEncrypted(payload, this.sessionKey);
+            for (const doorNum of doorNums) {
+                try {
+                    const payload = constructMessage(msgName, { sessionId, objectId: doorNum });
+                    checkResponseError(await this.callEncrypted(payload, this.sessionKey));
+                    done.push(doorNum);
+                } catch (err) {
+                    this.log.debug(`  ✗ Door ${doorNum}: ${err.message}`);
+                    failed.push({ door: doorNum, error: err.message });
+                }
+            }
+        }, 'door', doorNums.join(','));
+
+        if (failed.length > 0) {
+            throw new AritechError(`${msgName} failed for door(s) ${failed.map(f => f.door).join(', ')}`, {
+                code,
+                details: { done, failed }
+            });
+        }
+        this.log.debug(`  ✓ ${msgName} done for ${done.length} doors`);
+    }
+
+    /**
+     * Read the schedule of a door: the calendar and special days that unlock it on time.
+     * Unverified: the door schedule record layout is not checked against a panel capture yet.
+     * @param {number} doorNum - Door number
+     * @returns {Promise<Object>} {number, calendar, specialDays}; calendar is null when the door has none
+     * @throws {AritechError} If the door does not exist or the response is not a door schedule
+     */
+    async getDoorSchedule(doorNum) {
+        this.log.debug(`\n=== Reading Door ${doorNum} Schedule ===`);
+
+        const payload = constructMessage('getDoorSchedule', { objectId: doorNum });
+        const response = await this.callEncrypted(payload, this.sessionKey);
+        if (!response || !isMessageType(response, 'doorSchedule', 1)) {
+            throw new AritechError(`Unexpected response reading the schedule of door ${doorNum}`, {
+                code: ErrorCodes.PROTOCOL_ERROR,
+                details: { doorNum, response: response ? response.toString('hex') : null }
+            });
+        }
+
+        const record = response.slice(1);
+        return {
+            number: doorNum,
+            calendar: getProperty('doorSchedule', record, 'calendar') || null,
+            specialDays: Array.from({ length: 32 }, (_, i) => i + 1)
+                .filter(day => getProperty('doorSchedule', record, `specialDay.${day}`))
+        };
+    }
+
+    /**
+     * Doors with their names (from the session cache, see getCachedNames) and schedules.
+     * @param {Object} [options]
+     * @param {boolean} [options.refresh=false] - Query the names again instead of using the cache
+     * @param {number[]} [options.numbers] - Only these door numbers (default: all named doors)
+     * @returns {Promise<Array>} Array of {number, name, calendar, specialDays}
+     */
+    async getDoorSchedules({ refresh = false, numbers } = {}) {
+        let doors = await this.getCachedNames('door', { refresh });
+        if (numbers) {
+            doors = doors.filter(d => numbers.includes(d.number));
+        }
 
-            // Door commands return a0000100 for success (boolean 0x00 = no error)
-            checkResponseError(response);
-            debug(`  ✓ Door ${doorNum} enabled!`);
-        }, 'door', doorNum);
-        return { skipped: false };
+        const results = [];
+        for (const { number, name } of doors) {
+            results.push({ number, name, ...await this.getDoorSchedule(number) });
+        }
+        return results;
+    }
+
+    /**
+     * Get door group names from the panel.
+     * @returns {Promise<Array>} Array of door group objects with {number, name}
+     */
+    async getDoorGroupNames() {
+        return this._getNames('getDoorGroupNames', 'doorGroupNames', {
+            entityName: 'Door group'
+        });
+    }
+
+    /**
+     * Read the doors of a door group.
+     * Unverified: the door group record layout is not checked against a panel capture yet, so
+     * don't choose the doors of a lockdown from it.
+     * @param {number} groupNum - Door group number
+     * @returns {Promise<Object>} {number, doors}
+     * @throws {AritechError} If the group does not exist or the response is not a door group record
+     */
+    async getDoorGroup(groupNum) {
+        this.log.debug(`\n=== Reading Door Group ${groupNum} ===`);
+
+        const payload = constructMessage('getDoorGroup', { objectId: groupNum });
+        const response = await this.callEncrypted(payload, this.sessionKey);
+        if (!response || !isMessageType(response, 'doorGroupRecord', 1)) {
+            throw new AritechError(`Unexpected response reading door group ${groupNum}`, {
+                code: ErrorCodes.PROTOCOL_ERROR,
+                details: { groupNum, response: response ? response.toString('hex') : null }
+            });
+        }
+
+        const record = response.slice(1);
+        return {
+            number: groupNum,
+            doors: Array.from({ length: 64 }, (_, i) => i + 1)
+                .filter(door => getProperty('doorGroupRecord', record, `door.${door}`))
+        };
+    }
+
+    /**
+     * Door groups with their names (from the session cache, see getCachedNames) and doors.
+     * @param {Object} [options]
+     * @param {boolean} [options.refresh=false] - Query the names again instead of using the cache
+     * @param {number[]} [options.numbers] - Only these group numbers (default: all named groups)
+     * @returns {Promise<Array>} Array of {number, name, doors}
+     *
+     * @example
+     * const [entrances] = await client.getDoorGroups({ numbers: [1] });
+     * await client.lockDoors(entrances.doors);
+     */
+    async getDoorGroups({ refresh = false, numbers } = {}) {
+        let groups = await this.getCachedNames('doorGroup', { refresh });
+        if (numbers) {
+            groups = groups.filter(g => numbers.includes(g.number));
+        }
+
+        const results = [];
+        for (const { number, name } of groups) {
+            results.push({ number, name, ...await this.getDoorGroup(number) });
+        }
+        return results;
     }
 
     /**
      * Get output states using batch request.
-     * @param {Array|number} outputsOrMax - Array of output numbers or max output count
+     * @param {Array|number} outputsOrMax - Array of output numbers/objects or max output count
      * @returns {Promise<Array>} Array of output state objects
      */
     async getOutputStates(outputsOrMax = 8) {
-        debug('\n=== Querying Output States (Batch) ===');
+        this.log.debug('\n=== Querying Output States (Batch) ===');
 
         const outputNumbers = Array.isArray(outputsOrMax)
-            ? outputsOrMax
+            ? (typeof outputsOrMax[0] === 'object' ? outputsOrMax.map(o => o.number) : outputsOrMax)
             : Array.from({ length: outputsOrMax }, (_, i) => i + 1);
 
         if (outputNumbers.length === 0) return [];
 
         const batchPayload = buildBatchStatRequest('OUTPUT', outputNumbers);
-        debug(`Batch requesting ${outputNumbers.length} outputs in single call`);
+        this.log.debug(`Batch requesting ${outputNumbers.length} outputs in single call`);
 
         const response = await this.callEncrypted(batchPayload, this.sessionKey);
 
         if (!response || response.length < 4) {
-            debug('No valid batch response');
+            this.log.debug('No valid batch response');
             return [];
         }
 
         const messages = splitBatchResponse(response, 'outputStatus');
         if (messages.length === 0) {
-            debug(`No messages parsed from batch response`);
+            this.log.debug(`No messages parsed from batch response`);
             return [];
         }
 
@@ -1994,7 +2846,7 @@ export class AritechClient {
             });
         }
 
-        debug(`Batch received ${outputStates.length} output states`);
+        this.log.debug(`Batch received ${outputStates.length} output states`);
         return outputStates;
     }
 
@@ -2020,7 +2872,7 @@ export class AritechClient {
      * @returns {Promise<Array>} Array of filter state objects
      */
     async getFilterStates(filtersOrMax = 64) {
-        debug('\n=== Querying Filter States (Batch) ===');
+        this.log.debug('\n=== Querying Filter States (Batch) ===');
 
         const filterNumbers = Array.isArray(filtersOrMax)
             ? (typeof filtersOrMax[0] === 'object' ? filtersOrMax.map(f => f.number) : filtersOrMax)
@@ -2029,18 +2881,18 @@ export class AritechClient {
         if (filterNumbers.length === 0) return [];
 
         const batchPayload = buildBatchStatRequest('FILTER', filterNumbers);
-        debug(`Batch requesting ${filterNumbers.length} filters in single call`);
+        this.log.debug(`Batch requesting ${filterNumbers.length} filters in single call`);
 
         const response = await this.callEncrypted(batchPayload, this.sessionKey);
 
         if (!response || response.length < 4) {
-            debug('No valid batch response');
+            this.log.debug('No valid batch response');
             return [];
         }
 
         const messages = splitBatchResponse(response, 'filterStatus');
         if (messages.length === 0) {
-            debug(`No messages parsed from batch response`);
+            this.log.debug(`No messages parsed from batch response`);
             return [];
         }
 
@@ -2054,226 +2906,888 @@ export class AritechClient {
             });
         }
 
-        debug(`Batch received ${filterStates.length} filter states`);
+        this.log.debug(`Batch received ${filterStates.length} filter states`);
         return filterStates;
     }
 
+    // ========================================================================
+    // READER METHODS
+    // ========================================================================
+
+    /**
+     * Get card reader names from the panel.
+     * @returns {Promise<Array>} Array of reader objects with {number, name}
+     */
+    async getReaderNames() {
+        return this._getNames('getReaderNames', 'readerNames', {
+            entityName: 'Reader'
+        });
+    }
+
     /**
-     * Arm one or more areas.
+     * Get card reader states using batch request.
+     * Readers are read-only entities; an offline reader has lost contact with its
+     * door controller, which the door itself only reports as a generic reader fault.
      *
-     * @param {number|number[]} areas - Area number(s) to arm (1-64)
-     * @param {string} setType - Arm type: 'full', 'part1', or 'part2'
-     * @param {boolean} force - Force arm even with faults/active zones/inhibited zones
-     * @throws {AritechError} If arming fails (with code, status, and details)
+     * @param {Array|number} readersOrMax - Array of reader numbers or max reader count
+     * @returns {Promise<Array>} Array of reader state objects
      */
-    async armArea(areas, setType = 'full', force = false) {
-        const areaList = Array.isArray(areas) ? areas : [areas];
-        debug(`\n=== Arming Area(s) ${areaList.join(', ')} (${setType}${force ? ', force' : ''}) ===`);
+    async getReaderStates(readersOrMax = 64) {
+        this.log.debug('\n=== Querying Reader States (Batch) ===');
 
-        const createMessages = {
-            'full': 'createArmSession',
-            'part1': 'createPartArmSession',
-            'part2': 'createPartArm2Session'
-        };
-        const createMsgName = createMessages[setType] || 'createArmSession';
+        const readerNumbers = Array.isArray(readersOrMax)
+            ? (typeof readersOrMax[0] === 'object' ? readersOrMax.map(r => r.number) : readersOrMax)
+            : Array.from({ length: readersOrMax }, (_, i) => i + 1);
 
-        const successStatuses = {
-            'full': [CC_STATUS.FullSetSetting, CC_STATUS.FullSetSet],
-            'part1': [CC_STATUS.PartSetSetting, CC_STATUS.PartSetSet],
-            'part2': [CC_STATUS.PartSet2Setting, CC_STATUS.PartSet2Set]
-        };
-        const faultStatuses = {
-            'full': CC_STATUS.FullSetFault,
-            'part1': CC_STATUS.PartSetFault,
-            'part2': CC_STATUS.PartSet2Fault
-        };
-        const activeStatuses = {
-            'full': CC_STATUS.FullSetActiveStates,
-            'part1': CC_STATUS.PartSetActiveStates,
-            'part2': CC_STATUS.PartSet2ActiveStates
+        if (readerNumbers.length === 0) return [];
+
+        const batchPayload = buildBatchStatRequest('READER', readerNumbers);
+        this.log.debug(`Batch requesting ${readerNumbers.length} readers in single call`);
+
+        const response = await this.callEncrypted(batchPayload, this.sessionKey);
+
+        if (!response || response.length < 4) {
+            this.log.debug('No valid batch response');
+            return [];
+        }
+
+        const messages = splitBatchResponse(response, 'readerStatus');
+        if (messages.length === 0) {
+            this.log.debug(`No messages parsed from batch response`);
+            return [];
+        }
+
+        const readerStates = [];
+        for (const msg of messages) {
+            const state = ReaderState.fromBytes(msg.bytes);
+            readerStates.push({
+                reader: msg.objectId,
+                state,
+                rawHex: msg.bytes.toString('hex')
+            });
+        }
+
+        this.log.debug(`Batch received ${readerStates.length} reader states`);
+        return readerStates;
+    }
+
+    // ========================================================================
+    // ENTITY METHODS
+    // ========================================================================
+
+    /**
+     * Entity names, cached for the session (names only change through panel programming).
+     * The cache is dropped on disconnect(); pass refresh to query the panel again.
+     * @param {string} type - 'area', 'zone', 'output', 'trigger', 'door', 'filter', 'reader', 'user', 'userGroup' or 'doorGroup'
+     * @param {Object} [options]
+     * @param {boolean} [options.refresh=false] - Query the names again instead of using the cache
+     * @returns {Promise<Array>} Array of {number, name}
+     */
+    getCachedNames(type, { refresh = false } = {}) {
+        const query = ENTITY_QUERIES[type] ?? NAMED_OBJECT_QUERIES[type];
+        if (!query) {
+            const types = [...Object.keys(ENTITY_QUERIES), ...Object.keys(NAMED_OBJECT_QUERIES)];
+            return Promise.reject(new Error(`Unknown entity type: ${type} (expected ${types.join(', ')})`));
+        }
+        if (refresh || !this._nameCache[type]) {
+            // Name pages are sent behind control actions and state queries
+            const names = this._withPriority(REQUEST_PRIORITY.BACKGROUND, () => query.getNames(this));
+            // Don't cache failures, the next call retries
+            names.catch(() => {
+                if (this._nameCache[type] === names) delete this._nameCache[type];
+            });
+            this._nameCache[type] = names;
+        }
+        return this._nameCache[type];
+    }
+
+    /**
+     * Drop cached entity names, so the next query reads them from the panel.
+     * @param {string} [type] - Entity type, all types if omitted
+     */
+    clearNameCache(type) {
+        if (type) {
+            delete this._nameCache[type];
+        } else {
+            this._nameCache = {};
+        }
+        if (!type || type === 'user') {
+            this._cardIndex = null;
+        }
+    }
+
+    /**
+     * Entities of one type with their names and current states merged.
+     * Names come from the session cache (see getCachedNames), states are always queried.
+     *
+     * @param {string} type - 'area', 'zone', 'output', 'trigger', 'door', 'filter' or 'reader'
+     * @param {Object} [options]
+     * @param {boolean} [options.refresh=false] - Query the names again instead of using the cache
+     * @param {number[]} [options.numbers] - Only these entity numbers (default: all named entities)
+     * @returns {Promise<Array>} Array of {number, name, state, rawHex}; zones also have areas: [areaNum, ...]
+     */
+    async getEntities(type, { refresh = false, numbers } = {}) {
+        if (!ENTITY_QUERIES[type]) {
+            throw new Error(`Unknown entity type: ${type} (expected ${Object.keys(ENTITY_QUERIES).join(', ')})`);
+        }
+        let entities = await this.getCachedNames(type, { refresh });
+        if (numbers) {
+            entities = entities.filter(e => numbers.includes(e.number));
+        }
+        if (entities.length === 0) return [];
+
+        const states = await ENTITY_QUERIES[type].getStates(this, entities.map(e => e.number));
+        return entities.map(({ number, name }) => {
+            const stateInfo = states.find(s => s[type] === number);
+            return {
+                number,
+                name,
+                ...(type === 'zone' && { areas: this.getZoneAreas(number) ?? [] }),
+                state: stateInfo?.state ?? null,
+                rawHex: stateInfo?.rawHex ?? null
+            };
+        });
+    }
+
+    /**
+     * Zones with names, ZoneState and the areas each zone belongs to.
+     * @param {Object} [options] - See getEntities
+     * @returns {Promise<Array>} Array of {number, name, areas, state, rawHex}
+     */
+    async getZones(options) {
+        return this.getEntities('zone', options);
+    }
+
+    /**
+     * Areas with names and AreaState.
+     * @param {Object} [options] - See getEntities
+     * @returns {Promise<Array>} Array of {number, name, state, rawHex}
+     */
+    async getAreas(options) {
+        return this.getEntities('area', options);
+    }
+
+    /**
+     * Outputs with names and OutputState.
+     * @param {Object} [options] - See getEntities
+     * @returns {Promise<Array>} Array of {number, name, state, rawHex}
+     */
+    async getOutputs(options) {
+        return this.getEntities('output', options);
+    }
+
+    /**
+     * Triggers with names and TriggerState.
+     * @param {Object} [options] - See getEntities
+     * @returns {Promise<Array>} Array of {number, name, state, rawHex}
+     */
+    async getTriggers(options) {
+        return this.getEntities('trigger', options);
+    }
+
+    /**
+     * Doors with names and DoorState.
+     * @param {Object} [options] - See getEntities
+     * @returns {Promise<Array>} Array of {number, name, state, rawHex}
+     */
+    async getDoors(options) {
+        return this.getEntities('door', options);
+    }
+
+    /**
+     * Filters with names and FilterState.
+     * @param {Object} [options] - See getEntities
+     * @returns {Promise<Array>} Array of {number, name, state, rawHex}
+     */
+    async getFilters(options) {
+        return this.getEntities('filter', options);
+    }
+
+    /**
+     * Card readers with names and ReaderState.
+     * @param {Object} [options] - See getEntities
+     * @returns {Promise<Array>} Array of {number, name, state, rawHex}
+     */
+    async getReaders(options) {
+        return this.getEntities('reader', options);
+    }
+
+    // ========================================================================
+    // USER METHODS
+    // ========================================================================
+
+    /**
+     * Get user names from the panel.
+     * @returns {Promise<Array>} Array of user objects with {number, name}
+     */
+    async getUserNames() {
+        return this._getNames('getUserNames', 'userNames', {
+            entityName: 'User'
+        });
+    }
+
+    /**
+     * Read the settings of one user. Panels never reveal PINs, only whether one is set.
+     * Unverified: the user record layout is not checked against a panel capture yet.
+     * @param {number} userNum - User number
+     * @returns {Promise<Object>} {number, hasPin, card, userGroup, validFrom, validUntil};
+     *   card (a decimal string, as in event log entries) and userGroup are null when not set,
+     *   dates are 'YYYY-MM-DD' or null when not limited
+     * @throws {AritechError} If the user does not exist or the response is not a user record
+     */
+    async getUser(userNum) {
+        this._checkUserNumber(userNum);
+        this.log.debug(`\n=== Reading User ${userNum} ===`);
+
+        const payload = constructMessage('getUser', { objectId: userNum });
+        const response = await this.callEncrypted(payload, this.sessionKey);
+        if (!response || !isMessageType(response, 'userRecord', 1)) {
+            throw new AritechError(`Unexpected response reading user ${userNum}`, {
+                code: ErrorCodes.PROTOCOL_ERROR,
+                details: { userNum, response: response ? response.toString('hex') : null }
+            });
+        }
+
+        const record = response.slice(1);
+        const readField = (propName) => {
+            const { byte, length } = messageTemplates.userRecord.properties[propName][0];
+            return record.slice(byte, byte + length);
         };
-        const inhibitedStatuses = {
-            'full': CC_STATUS.FullSetInhibited,
-            'part1': CC_STATUS.PartSetInhibited,
-            'part2': CC_STATUS.PartSet2Inhibited
+        const readDate = (propName) => decodeBcdDate(readField(propName));
+        return {
+            number: userNum,
+            hasPin: getProperty('userRecord', record, 'hasPin'),
+            card: getProperty('userRecord', record, 'hasCard') ? decodeCardNumber(readField('card'))?.number ?? null : null,
+            userGroup: getProperty('userRecord', record, 'userGroup') || null,
+            validFrom: readDate('validFrom'),
+            validUntil: readDate('validUntil')
         };
+    }
 
-        // Step 1: Create control context with area bitmask
-        const areaProps = {};
-        for (const area of areaList) {
-            areaProps[`area.${area}`] = true;
+    /**
+     * Users with their names (from the session cache, see getCachedNames) and settings.
+     * @param {Object} [options]
+     * @param {boolean} [options.refresh=false] - Query the names again instead of using the cache
+     * @param {number[]} [options.numbers] - Only these user numbers (default: all named users)
+     * @returns {Promise<Array>} Array of {number, name, hasPin, card, userGroup, validFrom, validUntil}
+     */
+    async getUsers({ refresh = false, numbers } = {}) {
+        let users = await this.getCachedNames('user', { refresh });
+        if (numbers) {
+            users = users.filter(u => numbers.includes(u.number));
         }
-        const createPayload = constructMessage(createMsgName, areaProps);
-        debug(`Step 1: Sending ${createMsgName}: ${createPayload.toString('hex')}`);
-        const createResponse = await this.callEncrypted(createPayload, this.sessionKey);
 
-        const ccResponse = parseCreateCCResponse(createResponse);
-        if (!ccResponse) {
-            throw new AritechError(`Failed to create control context for arm operation`, {
-                code: ErrorCodes.CREATE_CC_FAILED,
-                details: { response: createResponse ? createResponse.toString('hex') : null }
-            });
+        const results = [];
+        for (const { number, name } of users) {
+            results.push({ number, name, ...await this.getUser(number) });
         }
+        return results;
+    }
 
-        const sessionId = ccResponse.sessionId;
-        debug(`✓ createArmSession succeeded, sessionId: 0x${sessionId.toString(16)}`);
+    /**
+     * Create a user.
+     * @param {number} userNum - Number of the new user
+     * @param {Object} settings
+     * @param {string} settings.name - User name (up to 16 characters)
+     * @param {string} [settings.pin] - PIN code (4 to 10 digits)
+     * @param {string|number} [settings.card] - Card number (decimal string, or a safe integer)
+     * @param {number} [settings.userGroup] - User group number
+     * @param {Date|string} [settings.validFrom] - First valid day ('YYYY-MM-DD' or Date)
+     * @param {Date|string} [settings.validUntil] - Last valid day ('YYYY-MM-DD' or Date)
+     * @throws {Error} If a setting is invalid
+     * @throws {AritechError} UNVERIFIED_WRITE unless config.allowUnverifiedWrites is set,
+     *   USER_CREATE_FAILED if the panel rejects the user
+     */
+    async createUser(userNum, settings) {
+        this._checkUnverifiedWrite('createUser');
+        return this._withPriority(REQUEST_PRIORITY.CONTROL, async () => {
+            if (!settings?.name) {
+                throw new Error('A new user needs a name');
+            }
+            await this._writeUser('createUser', userNum, settings, ErrorCodes.USER_CREATE_FAILED);
+        });
+    }
 
-        try {
-            // Step 2: Start arm procedure
-            debug(`Step 2: Starting arm procedure (armAreas)`);
-            const setAreasPayload = constructMessage('armAreas', { sessionId: sessionId });
-            await this.callEncrypted(setAreasPayload, this.sessionKey);
-            debug(`✓ armAreas sent`);
-
-            // Step 3: Poll status and handle force scenarios
-            let forcedOnce = false;
-            let pollsAfterForce = 0;
-            let lastStatus = 0;
-            let faults = [];
-            let activeZones = [];
-            let inhibitedZones = [];
-
-            for (let i = 0; i < 60; i++) {
-                if (i > 0) {
-                    await new Promise(r => setTimeout(r, 300));
-                }
+    /**
+     * Change settings of a user. Only the given settings are changed; null clears the
+     * PIN, card, user group or a validity date.
+     * @param {number} userNum - User number
+     * @param {Object} changes - Settings to change, see createUser
+     * @throws {Error} If a setting is invalid
+     * @throws {AritechError} UNVERIFIED_WRITE unless config.allowUnverifiedWrites is set,
+     *   USER_UPDATE_FAILED if the panel rejects the change
+     */
+    async updateUser(userNum, changes) {
+        this._checkUnverifiedWrite('updateUser');
+        return this._withPriority(REQUEST_PRIORITY.CONTROL, async () => {
+            if (!changes || Object.keys(changes).length === 0) {
+                throw new Error('No user settings to change');
+            }
+            await this._writeUser('updateUser', userNum, changes, ErrorCodes.USER_UPDATE_FAILED);
+        });
+    }
 
-                // Read status
-                const statusPayload = constructMessage('getControlSessionStatus', { sessionId: sessionId });
-                const statusResponse = await this.callEncrypted(statusPayload, this.sessionKey);
+    /**
+     * Delete a user.
+     * @param {number} userNum - User number
+     * @throws {AritechError} UNVERIFIED_WRITE unless config.allowUnverifiedWrites is set,
+     *   USER_DELETE_FAILED if deleting fails
+     */
+    async deleteUser(userNum) {
+        this._checkUnverifiedWrite('deleteUser');
+        return this._withPriority(REQUEST_PRIORITY.CONTROL, async () => {
+            this._checkUserNumber(userNum);
+            this.log.debug(`\n=== Deleting User ${userNum} ===`);
+
+            await this._withControlSession('createUserControlSession', {}, async (sessionId) => {
+                const payload = constructMessage('deleteUser', { sessionId, objectId: userNum });
+                const response = await this.callEncrypted(payload, this.sessionKey);
 
-                if (!statusResponse || statusResponse.length < 5) {
-                    debug(`  Poll ${i + 1}: Invalid response`);
-                    continue;
+                if (parseReturnBool(response) !== true) {
+                    throw new AritechError(`Failed to delete user ${userNum}`, {
+                        code: ErrorCodes.USER_DELETE_FAILED,
+                        details: { userNum, response: response ? response.toString('hex') : null }
+                    });
                 }
+                this.log.debug(`  ✓ User ${userNum} deleted`);
+            }, 'user', userNum);
+            this.clearNameCache('user');
+        });
+    }
 
-                // Check if this is actually a controlSessionStatus (msgId 0x20)
-                // Skip COS events or other messages that may interleave
-                if (!isMessageType(statusResponse, 'controlSessionStatus', 1)) {
-                    debug(`  Poll ${i + 1}: Got different message (0x${statusResponse[1].toString(16)}), retrying...`);
-                    continue;
+    /**
+     * Assign a card to a user, replacing the user's current card. Writes the card with updateUser,
+     * so it is unverified like the other user changes.
+     * @param {number} userNum - User number
+     * @param {string|number} cardNumber - Card number, e.g. from monitor.learnCard() or a card event
+     * @throws {Error} If the card number is invalid
+     * @throws {AritechError} UNVERIFIED_WRITE unless config.allowUnverifiedWrites is set,
+     *   CARD_IN_USE if another user has the card, USER_UPDATE_FAILED if the panel rejects it
+     */
+    async assignCard(userNum, cardNumber) {
+        this._checkUnverifiedWrite('assignCard');
+        return this._withPriority(REQUEST_PRIORITY.CONTROL, async () => {
+            const card = normalizeCardNumber(cardNumber);
+            const owner = await this.findUserByCard(card);
+            if (owner && owner.number !== userNum) {
+                throw new AritechError(`Card ${card} is already assigned to user ${owner.number}`, {
+                    code: ErrorCodes.CARD_IN_USE,
+                    details: { card, userNum: owner.number }
+                });
+            }
+            await this.updateUser(userNum, { card });
+        });
+    }
+
+    /**
+     * Remove the card of a user (with updateUser, unverified like assignCard).
+     * @param {number} userNum - User number
+     * @throws {AritechError} UNVERIFIED_WRITE unless config.allowUnverifiedWrites is set,
+     *   USER_UPDATE_FAILED if the panel rejects the change
+     */
+    async removeCard(userNum) {
+        this._checkUnverifiedWrite('removeCard');
+        return this._withPriority(REQUEST_PRIORITY.CONTROL, async () => {
+            await this.updateUser(userNum, { card: null });
+        });
+    }
+
+    /**
+     * Find the user a card is assigned to. The first lookup reads every named user once and
+     * keeps an index of their cards for the session (dropped with the user names, e.g. after
+     * user changes); a match is read again to confirm it. Cards assigned elsewhere since then
+     * (at a keypad, by another tool) are only found with refresh.
+     * Unverified like getUser: the card field of the user record is not checked against a capture.
+     * @param {string|number} cardNumber - Card number
+     * @param {Object} [options]
+     * @param {boolean} [options.refresh=false] - Read all users again instead of using the index
+     * @returns {Promise<Object|null>} User as returned by getUsers, or null if no user has the card
+     */
+    async findUserByCard(cardNumber, { refresh = false } = {}) {
+        const card = normalizeCardNumber(cardNumber);
+        const number = (await this._getCardIndex({ refresh })).get(card);
+        if (number === undefined) {
+            return null;
+        }
+
+        const user = await this.getUser(number);
+        if (user.card !== card) {
+            // The card moved since the index was read
+            return refresh ? null : this.findUserByCard(card, { refresh: true });
+        }
+        const { name } = (await this.getCachedNames('user')).find(u => u.number === number) ?? {};
+        return { number, name, ...user };
+    }
+
+    /**
+     * Cards of the named users: Map of card number to user number, cached like the names.
+     * @private
+     */
+    _getCardIndex({ refresh = false } = {}) {
+        if (refresh || !this._cardIndex) {
+            const index = (async () => {
+                const cards = new Map();
+                for (const { number } of await this.getCachedNames('user', { refresh })) {
+                    const { card } = await this.getUser(number);
+                    if (card !== null) cards.set(card, number);
                 }
+                return cards;
+            })();
+            // Don't cache failures, the next lookup retries
+            index.catch(() => {
+                if (this._cardIndex === index) this._cardIndex = null;
+            });
+            this._cardIndex = index;
+        }
+        return this._cardIndex;
+    }
+
+    /**
+     * Send createUser/updateUser within a user control session.
+     * @private
+     */
+    async _writeUser(msgName, userNum, settings, code) {
+        this._checkUserNumber(userNum);
+        const props = this._userMessageProps(settings);
+        this.log.debug(`\n=== ${msgName} ${userNum} ===`, { fields: Object.keys(settings) });
+
+        await this._withControlSession('createUserControlSession', {}, async (sessionId) => {
+            const payload = constructMessage(msgName, { sessionId, objectId: userNum, ...props });
+            const response = await this.callEncrypted(payload, this.sessionKey);
+
+            if (parseReturnBool(response) !== true) {
+                throw new AritechError(`Failed to ${msgName === 'createUser' ? 'create' : 'update'} user ${userNum}`, {
+                    code,
+                    details: { userNum, response: response ? response.toString('hex') : null }
+                });
+            }
+            this.log.debug(`  ✓ User ${userNum} saved`);
+        }, 'user', userNum);
+        // A new or renamed user changes the name list
+        this.clearNameCache('user');
+    }
+
+    /**
+     * @private
+     */
+    _checkUserNumber(userNum) {
+        if (!Number.isInteger(userNum) || userNum < 1 || userNum > MAX_USER_NUMBER) {
+            throw new Error(`Invalid user number: ${userNum}`);
+        }
+    }
+
+    /**
+     * Template properties for user settings: each given setting with its set flag.
+     * @private
+     */
+    _userMessageProps(settings) {
+        const unknown = Object.keys(settings).filter(key => !USER_FIELDS.includes(key));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown user settings: ${unknown.join(', ')} (expected ${USER_FIELDS.join(', ')})`);
+        }
+
+        const props = {};
+        const { name, pin, card, userGroup, validFrom, validUntil } = settings;
+        if (name !== undefined) {
+            if (typeof name !== 'string' || name.length > NAME_LENGTH) {
+                throw new Error(`User name must be a string of up to ${NAME_LENGTH} characters`);
+            }
+            Object.assign(props, { setName: true, name });
+        }
+        if (pin !== undefined) {
+            if (pin !== null && !/^\d{4,10}$/.test(String(pin))) {
+                throw new Error('PIN must be 4 to 10 digits');
+            }
+            Object.assign(props, { setPin: true, pinCode: pin === null ? Buffer.alloc(10) : String(pin) });
+        }
+        if (card !== undefined) {
+            Object.assign(props, { setCard: true, card: encodeCardNumber(card) });
+        }
+        if (userGroup !== undefined) {
+            if (userGroup !== null && (!Number.isInteger(userGroup) || userGroup < 1 || userGroup > 0xFF)) {
+                throw new Error(`Invalid user group: ${userGroup}`);
+            }
+            Object.assign(props, { setUserGroup: true, userGroup: userGroup ?? 0 });
+        }
+        if (validFrom !== undefined) {
+            Object.assign(props, { setValidFrom: true, validFrom: encodeBcdDate(validFrom) });
+        }
+        if (validUntil !== undefined) {
+            Object.assign(props, { setValidUntil: true, validUntil: encodeBcdDate(validUntil) });
+        }
+        return props;
+    }
+
+    // ========================================================================
+    // USER GROUP METHODS
+    // ========================================================================
+
+    /**
+     * Get user group names from the panel.
+     * @returns {Promise<Array>} Array of user group objects with {number, name}
+     */
+    async getUserGroupNames() {
+        return this._getNames('getUserGroupNames', 'userGroupNames', {
+            entityName: 'User group'
+        });
+    }
+
+    /**
+     * Read the access rights of one user group.
+     * Unverified: the user group record layout is not checked against a panel capture yet.
+     * @param {number} groupNum - User group number
+     * @returns {Promise<Object>} {number, areas, doors, calendar}; areas and doors are the numbers
+     *   the group's users may use, calendar is the calendar limiting when (null = always)
+     * @throws {AritechError} If the group does not exist or the response is not a user group record
+     */
+    async getUserGroup(groupNum) {
+        this._checkUserGroupNumber(groupNum);
+        this.log.debug(`\n=== Reading User Group ${groupNum} ===`);
+
+        const payload = constructMessage('getUserGroup', { objectId: groupNum });
+        const response = await this.callEncrypted(payload, this.sessionKey);
+        if (!response || !isMessageType(response, 'userGroupRecord', 1)) {
+            throw new AritechError(`Unexpected response reading user group ${groupNum}`, {
+                code: ErrorCodes.PROTOCOL_ERROR,
+                details: { groupNum, response: response ? response.toString('hex') : null }
+            });
+        }
+
+        const record = response.slice(1);
+        const members = (prefix) => Array.from({ length: MAX_USER_GROUP_MEMBER }, (_, i) => i + 1)
+            .filter(num => getProperty('userGroupRecord', record, `${prefix}.${num}`));
+        return {
+            number: groupNum,
+            areas: members('area'),
+            doors: members('door'),
+            calendar: getProperty('userGroupRecord', record, 'calendar') || null
+        };
+    }
+
+    /**
+     * User groups with their names (from the session cache, see getCachedNames) and access rights.
+     * @param {Object} [options]
+     * @param {boolean} [options.refresh=false] - Query the names again instead of using the cache
+     * @param {number[]} [options.numbers] - Only these group numbers (default: all named groups)
+     * @returns {Promise<Array>} Array of {number, name, areas, doors, calendar}
+     */
+    async getUserGroups({ refresh = false, numbers } = {}) {
+        let groups = await this.getCachedNames('userGroup', { refresh });
+        if (numbers) {
+            groups = groups.filter(g => numbers.includes(g.number));
+        }
+
+        const results = [];
+        for (const { number, name } of groups) {
+            results.push({ number, name, ...await this.getUserGroup(number) });
+        }
+        return results;
+    }
+
+    /**
+     * Change the name or access rights of a user group. Only the given settings are changed;
+     * areas and doors replace the group's current lists, a null calendar removes the time limit.
+     * @param {number} groupNum - User group number
+     * @param {Object} changes
+     * @param {string} [changes.name] - Group name (up to 16 characters)
+     * @param {number[]} [changes.areas] - Areas the group's users may use (1-64)
+     * @param {number[]} [changes.doors] - Doors the group's users may use (1-64)
+     * @param {number|null} [changes.calendar] - Calendar limiting when the group has access
+     * @throws {Error} If a setting is invalid
+     * @throws {AritechError} UNVERIFIED_WRITE unless config.allowUnverifiedWrites is set,
+     *   USER_GROUP_UPDATE_FAILED if the panel rejects the change
+     */
+    async updateUserGroup(groupNum, changes) {
+        this._checkUnverifiedWrite('updateUserGroup');
+        return this._withPriority(REQUEST_PRIORITY.CONTROL, async () => {
+            this._checkUserGroupNumber(groupNum);
+            if (!changes || Object.keys(changes).length === 0) {
+                throw new Error('No user group settings to change');
+            }
+            const props = this._userGroupMessageProps(changes);
+            this.log.debug(`\n=== Updating User Group ${groupNum} ===`, { fields: Object.keys(changes) });
 
-                // Parse stateId using template (16-bit big-endian)
-                // Strip protocol header (byte 0) for getProperty
-                const stateId = getProperty('controlSessionStatus', statusResponse.slice(1), 'stateId');
-                lastStatus = stateId;
-                debug(`  Poll ${i + 1}: Status 0x${stateId.toString(16).padStart(4, '0')}`);
+            await this._withControlSession('createUserControlSession', {}, async (sessionId) => {
+                const payload = constructMessage('updateUserGroup', { sessionId, objectId: groupNum, ...props });
+                const response = await this.callEncrypted(payload, this.sessionKey);
 
-                // Check for success (Setting or Set)
-                if (successStatuses[setType].includes(stateId)) {
-                    debug(`✓ Arm operation complete - status: 0x${stateId.toString(16)}`);
-                    return; // Success - just return, no error
+                if (parseReturnBool(response) !== true) {
+                    throw new AritechError(`Failed to update user group ${groupNum}`, {
+                        code: ErrorCodes.USER_GROUP_UPDATE_FAILED,
+                        details: { groupNum, response: response ? response.toString('hex') : null }
+                    });
                 }
+                this.log.debug(`  ✓ User group ${groupNum} saved`);
+            }, 'userGroup', groupNum);
+            if (changes.name !== undefined) {
+                this.clearNameCache('userGroup');
+            }
+        });
+    }
 
-                // Handle fault status
-                if (stateId === faultStatuses[setType]) {
-                    if (!forcedOnce && force) {
-                        debug(`  Fault detected, forcing arm...`);
-                        forcedOnce = true;
-                        pollsAfterForce = 0;
-                        const forcePayload = constructMessage('setAreaForced', { sessionId: sessionId });
-                        await this.callEncrypted(forcePayload, this.sessionKey);
+    /**
+     * @private
+     */
+    _checkUserGroupNumber(groupNum) {
+        if (!Number.isInteger(groupNum) || groupNum < 1 || groupNum > MAX_USER_GROUP_NUMBER) {
+            throw new Error(`Invalid user group number: ${groupNum}`);
+        }
+    }
+
+    /**
+     * Template properties for user group settings: each given setting with its set flag.
+     * @private
+     */
+    _userGroupMessageProps(changes) {
+        const unknown = Object.keys(changes).filter(key => !USER_GROUP_FIELDS.includes(key));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown user group settings: ${unknown.join(', ')} (expected ${USER_GROUP_FIELDS.join(', ')})`);
+        }
+
+        const props = {};
+        const { name, areas, doors, calendar } = changes;
+        if (name !== undefined) {
+            if (typeof name !== 'string' || name.length > NAME_LENGTH) {
+                throw new Error(`User group name must be a string of up to ${NAME_LENGTH} characters`);
+            }
+            Object.assign(props, { setName: true, name });
+        }
+        for (const [prefix, list, flag] of [['area', areas, 'setAreas'], ['door', doors, 'setDoors']]) {
+            if (list === undefined) continue;
+            if (!Array.isArray(list) || !list.every(num => Number.isInteger(num) && num >= 1 && num <= MAX_USER_GROUP_MEMBER)) {
+                throw new Error(`User group ${prefix}s must be an array of ${prefix} numbers 1-${MAX_USER_GROUP_MEMBER}`);
+            }
+            props[flag] = true;
+            for (const num of list) {
+                props[`${prefix}.${num}`] = true;
+            }
+        }
+        if (calendar !== undefined) {
+            if (calendar !== null && (!Number.isInteger(calendar) || calendar < 1 || calendar > 0xFF)) {
+                throw new Error(`Invalid calendar: ${calendar}`);
+            }
+            Object.assign(props, { setCalendar: true, calendar: calendar ?? 0 });
+        }
+        return props;
+    }
+
+    /**
+     * Arm one or more areas.
+     *
+     * Faults, active zones and inhibited zones block arming. By default arming then fails
+     * with the blocking zones in the error details; with force they are overridden. An
+     * onIssues callback decides per issue instead, like a keypad prompting the user, while
+     * the arm control session is still open. It receives
+     * { reason: 'fault'|'active'|'inhibited', zones, areas, setType, status } and returns:
+     * - 'force': override (faults/active zones) or confirm (inhibited zones) and continue
+     * - { inhibit: [zoneNumbers] }: inhibit these zones, then retry arming
+     * - 'abort' (or anything else): fail with the usual ARM_* error (details.aborted = true)
+     *
+     * @param {number|number[]} areas - Area number(s) to arm (1-64)
+     * @param {string} setType - Arm type: 'full', 'part1', or 'part2'
+     * @param {boolean|Object} [options] - Force flag, or options object
+     * @param {boolean} [options.force=false] - Force arm even with faults/active zones/inhibited zones
+     * @param {Function} [options.onIssues] - Async callback deciding how to handle blocking zones
+     * @throws {AritechError} If arming fails (with code, status, and details)
+     *
+     * @example
+     * await client.armArea(1, 'full', {
+     *   onIssues: async ({ reason, zones }) =>
+     *     reason === 'active' ? { inhibit: zones.map(z => z.zone) } : 'force'
+     * });
+     */
+    async armArea(areas, setType = 'full', options = false) {
+        return this._withPriority(REQUEST_PRIORITY.CONTROL, async () => {
+            const { force = false, onIssues = null } = typeof options === 'object' && options !== null
+                ? options
+                : { force: Boolean(options) };
+            const areaList = Array.isArray(areas) ? areas : [areas];
+            this.log.debug(`\n=== Arming Area(s) ${areaList.join(', ')} (${setType}${force ? ', force' : ''}) ===`);
+
+            const createMessages = {
+                'full': 'createArmSession',
+                'part1': 'createPartArmSession',
+                'part2': 'createPartArm2Session'
+            };
+            const createMsgName = createMessages[setType] || 'createArmSession';
+
+            const successStatuses = {
+                'full': [CC_STATUS.FullSetSetting, CC_STATUS.FullSetSet],
+                'part1': [CC_STATUS.PartSetSetting, CC_STATUS.PartSetSet],
+                'part2': [CC_STATUS.PartSet2Setting, CC_STATUS.PartSet2Set]
+            };
+            const faultStatuses = {
+                'full': CC_STATUS.FullSetFault,
+                'part1': CC_STATUS.PartSetFault,
+                'part2': CC_STATUS.PartSet2Fault
+            };
+            const activeStatuses = {
+                'full': CC_STATUS.FullSetActiveStates,
+                'part1': CC_STATUS.PartSetActiveStates,
+                'part2': CC_STATUS.PartSet2ActiveStates
+            };
+            const inhibitedStatuses = {
+                'full': CC_STATUS.FullSetInhibited,
+                'part1': CC_STATUS.PartSetInhibited,
+                'part2': CC_STATUS.PartSet2Inhibited
+            };
+
+            // Step 1: Create control context with area bitmask
+            const areaProps = {};
+            for (const area of areaList) {
+                areaProps[`area.${area}`] = true;
+            }
+            const createPayload = constructMessage(createMsgName, areaProps);
+            this.log.debug(`Step 1: Sending ${createMsgName}: ${createPayload.toString('hex')}`);
+            const createResponse = await this.callEncrypted(createPayload, this.sessionKey);
+
+            const ccResponse = parseCreateCCResponse(createResponse);
+            if (!ccResponse) {
+                throw new AritechError(`Failed to create control context for arm operation`, {
+                    code: ErrorCodes.CREATE_CC_FAILED,
+                    details: { response: createResponse ? createResponse.toString('hex') : null }
+                });
+            }
+
+            const sessionId = ccResponse.sessionId;
+            this.log.debug(`✓ createArmSession succeeded, sessionId: 0x${sessionId.toString(16)}`, { msgName: createMsgName, sessionId });
+
+            try {
+                // Step 2: Start arm procedure
+                this.log.debug(`Step 2: Starting arm procedure (armAreas)`);
+                const setAreasPayload = constructMessage('armAreas', { sessionId: sessionId });
+                await this.callEncrypted(setAreasPayload, this.sessionKey);
+                this.log.debug(`✓ armAreas sent`);
+
+                // Step 3: Poll status and handle force scenarios
+                let forcedOnce = false;
+                let pollsAfterForce = 0;
+                let lastStatus = 0;
+                let decisions = 0;
+
+                for (let i = 0; i < 60; i++) {
+                    if (i > 0) {
+                        await new Promise(r => setTimeout(r, 300));
+                    }
+
+                    // Read status
+                    const statusPayload = constructMessage('getControlSessionStatus', { sessionId: sessionId });
+                    const statusResponse = await this.callEncrypted(statusPayload, this.sessionKey);
+
+                    if (!statusResponse || statusResponse.length < 5) {
+                        this.log.debug(`  Poll ${i + 1}: Invalid response`);
+                        continue;
+                    }
+
+                    // Check if this is actually a controlSessionStatus (msgId 0x20)
+                    // Skip COS events or other messages that may interleave
+                    if (!isMessageType(statusResponse, 'controlSessionStatus', 1)) {
+                        this.log.debug(`  Poll ${i + 1}: Got different message (0x${statusResponse[1].toString(16)}), retrying...`);
                         continue;
                     }
+
+                    // Parse stateId using template (16-bit big-endian)
+                    // Strip protocol header (byte 0) for getProperty
+                    const stateId = getProperty('controlSessionStatus', statusResponse.slice(1), 'stateId');
+                    lastStatus = stateId;
+                    this.log.debug(`  Poll ${i + 1}: Status 0x${stateId.toString(16).padStart(4, '0')}`);
+
+                    // Check for success (Setting or Set)
+                    if (successStatuses[setType].includes(stateId)) {
+                        this.log.debug(`✓ Arm operation complete - status: 0x${stateId.toString(16)}`);
+                        return; // Success - just return, no error
+                    }
+
+                    // Handle fault / active states / inhibited status
+                    const issue = [
+                        { status: faultStatuses[setType], ...ARM_ISSUES.fault },
+                        { status: activeStatuses[setType], ...ARM_ISSUES.active },
+                        { status: inhibitedStatuses[setType], ...ARM_ISSUES.inhibited }
+                    ].find(candidate => candidate.status === stateId);
+                    if (!issue) continue;
+
                     if (forcedOnce) {
                         pollsAfterForce++;
                         if (pollsAfterForce >= 10) {
-                            throw new AritechError('Force arm failed - faults still present after forcing', {
+                            throw new AritechError(`Force arm failed - ${issue.description} still present after forcing`, {
                                 code: ErrorCodes.FORCE_ARM_FAILED,
                                 status: stateId
                             });
                         }
                         continue;  // Keep polling after force
                     }
-                    // Read fault zones and throw
-                    faults = await this._readArmIssues(sessionId, 'getFaultZones');
-                    throw new AritechError('Arm failed - zone faults detected', {
-                        code: ErrorCodes.ARM_FAULTS,
-                        status: stateId,
-                        details: { faults }
-                    });
-                }
 
-                // Handle active states status
-                if (stateId === activeStatuses[setType]) {
-                    if (!forcedOnce && force) {
-                        debug(`  Active zones detected, forcing arm...`);
-                        forcedOnce = true;
-                        pollsAfterForce = 0;
-                        const forcePayload = constructMessage('setAreaForced', { sessionId: sessionId });
-                        await this.callEncrypted(forcePayload, this.sessionKey);
-                        continue;
-                    }
-                    if (forcedOnce) {
-                        pollsAfterForce++;
-                        if (pollsAfterForce >= 10) {
-                            throw new AritechError('Force arm failed - active zones still present after forcing', {
-                                code: ErrorCodes.FORCE_ARM_FAILED,
+                    let decision = force ? 'force' : 'abort';
+                    let zones = null;
+                    if (!force && onIssues) {
+                        if (++decisions > MAX_ARM_DECISIONS) {
+                            throw new AritechError('Arm failed - issues not resolved', {
+                                code: ErrorCodes.ARM_FAILED,
                                 status: stateId
                             });
                         }
-                        continue;  // Keep polling after force
+                        zones = await this._readArmIssues(sessionId, issue.listMessage);
+                        decision = await onIssues({ reason: issue.reason, zones, areas: areaList, setType, status: stateId });
+                        this.log.debug(`  Caller decision for ${issue.description}: ${JSON.stringify(decision)}`);
                     }
-                    // Read active zones and throw
-                    activeZones = await this._readArmIssues(sessionId, 'getActiveZones');
-                    throw new AritechError('Arm failed - active zones detected', {
-                        code: ErrorCodes.ARM_ACTIVE_ZONES,
-                        status: stateId,
-                        details: { activeZones }
-                    });
-                }
 
-                // Handle inhibited status
-                if (stateId === inhibitedStatuses[setType]) {
-                    if (!forcedOnce && force) {
-                        debug(`  Inhibited zones detected, re-sending set command...`);
+                    if (decision === 'force') {
+                        this.log.debug(`  ${issue.description} detected, forcing arm...`);
                         forcedOnce = true;
                         pollsAfterForce = 0;
-                        // For inhibited, re-send armAreas (not setAreaForced)
-                        const reSetPayload = constructMessage('armAreas', { sessionId: sessionId });
-                        await this.callEncrypted(reSetPayload, this.sessionKey);
+                        // Faults and active zones are overridden with setAreaForced,
+                        // inhibited zones are confirmed by re-sending armAreas
+                        const forcePayload = constructMessage(issue.forceMessage, { sessionId: sessionId });
+                        await this.callEncrypted(forcePayload, this.sessionKey);
                         continue;
                     }
-                    if (forcedOnce) {
-                        pollsAfterForce++;
-                        if (pollsAfterForce >= 10) {
-                            throw new AritechError('Force arm failed - inhibited zones still blocking after forcing', {
-                                code: ErrorCodes.FORCE_ARM_FAILED,
-                                status: stateId
-                            });
+
+                    if (Array.isArray(decision?.inhibit) && decision.inhibit.length > 0) {
+                        this.log.debug(`  Inhibiting zone(s) ${decision.inhibit.join(', ')} and retrying...`);
+                        for (const zoneNum of decision.inhibit) {
+                            await this.inhibitZone(zoneNum);
                         }
-                        continue;  // Keep polling after force
+                        const retryPayload = constructMessage('armAreas', { sessionId: sessionId });
+                        await this.callEncrypted(retryPayload, this.sessionKey);
+                        continue;
                     }
-                    // Read inhibited zones and throw
-                    inhibitedZones = await this._readArmIssues(sessionId, 'getInhibitedZones');
-                    throw new AritechError('Arm failed - inhibited zones detected', {
-                        code: ErrorCodes.ARM_INHIBITED,
+
+                    // Abort: report the zones that block arming
+                    zones = zones ?? await this._readArmIssues(sessionId, issue.listMessage);
+                    throw new AritechError(`Arm failed - ${issue.description} detected`, {
+                        code: issue.code,
                         status: stateId,
-                        details: { inhibitedZones }
+                        details: { [issue.detailsKey]: zones, ...(onIssues && { aborted: true }) }
                     });
                 }
-            }
 
-            // If we get here, polling timed out without success or clear failure
-            throw new AritechError('Arm operation timed out', {
-                code: ErrorCodes.ARM_FAILED,
-                status: lastStatus
-            });
+                // If we get here, polling timed out without success or clear failure
+                throw new AritechError('Arm operation timed out', {
+                    code: ErrorCodes.ARM_FAILED,
+                    status: lastStatus
+                });
 
-        } finally {
-            // Step 4: Cleanup - always destroy control context
-            debug(`Step 4: Cleanup control context...`);
-            await this.callEncrypted(constructMessage('destroyControlSession', { sessionId: sessionId }), this.sessionKey);
-            debug(`✓ Cleanup complete`);
-        }
+            } finally {
+                // Step 4: Cleanup - always destroy control context
+                this.log.debug(`Step 4: Cleanup control context...`);
+                await this.callEncrypted(constructMessage('destroyControlSession', { sessionId: sessionId }), this.sessionKey);
+                this.log.debug(`✓ Cleanup complete`);
+            }
+        });
     }
 
     /**
      * Read fault/active/inhibited zones during arm procedure.
+     * Each list entry is a sysEvent response; the list ends with booleanResponse.
+     * The sysEvent layout is unverified, so only entries of the zone type are decoded and
+     * every issue keeps its raw frame.
      * @private
+     * @param {number} sessionId - Arm control session
+     * @param {string} messageName - getFaultZones, getActiveZones or getInhibitedZones
+     * @returns {Promise<Array<{zone: number, name: string|null, area: number, reason: string, raw: string}>>}
      */
     async _readArmIssues(sessionId, messageName) {
+        const reason = ARM_ISSUE_REASONS[messageName];
         const issues = [];
         let next = 0;
 
@@ -2284,7 +3798,7 @@ export class AritechClient {
                 response = await this.callEncrypted(payload, this.sessionKey);
             } catch (err) {
                 // Panel may return error when no issues to report
-                debug(`  ${messageName}: ${err.message}`);
+                this.log.debug(`  ${messageName}: ${err.message}`);
                 break;
             }
 
@@ -2295,18 +3809,41 @@ export class AritechClient {
                 break;
             }
 
-            // Parse zone info from response (simplified - would need return.sysevent template)
-            if (response.length >= 5) {
+            // Strip protocol header (byte 0) for getProperty
+            const entry = response.slice(1);
+            if (isMessageType(response, 'sysEvent', 1) && response.length >= 6 &&
+                getProperty('sysEvent', entry, 'typeId') === ZONE_TYPE_ID) {
                 issues.push({
-                    raw: response.toString('hex'),
-                    index: i
+                    zone: getProperty('sysEvent', entry, 'objectId'),
+                    name: null,
+                    area: getProperty('sysEvent', entry, 'area'),
+                    reason,
+                    raw: response.toString('hex')
                 });
+            } else {
+                this.log.debug(`  ${messageName}: unexpected entry ${response.toString('hex')}`);
             }
 
             next = 1;  // Continue reading
         }
 
-        debug(`  Read ${issues.length} ${messageName.split('_').pop().toLowerCase()} zones`);
+        this.log.debug(`  Read ${issues.length} ${reason} zones`);
+
+        // Resolve zone names (best effort: the arm error is more important than the names)
+        if (issues.length > 0) {
+            try {
+                const names = await this._getNames('getZoneNames', 'zoneNames', {
+                    validNumbers: [...new Set(issues.map(issue => issue.zone))],
+                    entityName: 'Zone'
+                });
+                for (const issue of issues) {
+                    issue.name = names.find(z => z.number === issue.zone)?.name ?? null;
+                }
+            } catch (err) {
+                this.log.debug(`  Could not read zone names: ${err.message}`);
+            }
+        }
+
         return issues;
     }
 
@@ -2316,47 +3853,64 @@ export class AritechClient {
      * @throws {AritechError} If disarming fails
      */
     async disarmArea(areaNumber) {
-        debug(`\n=== Disarming Area ${areaNumber} ===`);
-
-        // Step 1: createDisarmSession
-        const payload = constructMessage('createDisarmSession', { [`area.${areaNumber}`]: true });
-        debug(`Step 1: Sending createDisarmSession: ${payload.toString('hex')}`);
-        let response = await this.callEncrypted(payload, this.sessionKey);
-
-        const ccResponse = parseCreateCCResponse(response);
-        if (!ccResponse) {
-            throw new AritechError('Failed to create control context for disarm operation', {
-                code: ErrorCodes.CREATE_CC_FAILED,
-                details: { response: response ? response.toString('hex') : null }
-            });
-        }
+        return this._withPriority(REQUEST_PRIORITY.CONTROL, async () => {
+            this.log.debug(`\n=== Disarming Area ${areaNumber} ===`);
+
+            // Step 1: createDisarmSession
+            const payload = constructMessage('createDisarmSession', { [`area.${areaNumber}`]: true });
+            this.log.debug(`Step 1: Sending createDisarmSession: ${payload.toString('hex')}`);
+            let response = await this.callEncrypted(payload, this.sessionKey);
+
+            const ccResponse = parseCreateCCResponse(response);
+            if (!ccResponse) {
+                throw new AritechError('Failed to create control context for disarm operation', {
+                    code: ErrorCodes.CREATE_CC_FAILED,
+                    details: { response: response ? response.toString('hex') : null }
+                });
+            }
 
-        const sessionId = ccResponse.sessionId;
-        debug(`✓ createDisarmSession succeeded, sessionId: 0x${sessionId.toString(16)}`);
+            const sessionId = ccResponse.sessionId;
+            this.log.debug(`✓ createDisarmSession succeeded, sessionId: 0x${sessionId.toString(16)}`, { msgName: 'createDisarmSession', sessionId });
 
-        try {
-            // Step 2: Send disarmAreas
-            const fnPayload = constructMessage('disarmAreas', { sessionId: sessionId });
-            debug(`Step 2: Sending disarmAreas: ${fnPayload.toString('hex')}`);
-            await this.callEncrypted(fnPayload, this.sessionKey);
-            debug(`✓ disarmAreas succeeded`);
-        } finally {
-            // Step 3: Cleanup - always destroy control context
-            debug(`Step 3: Cleanup control context...`);
-            await this.callEncrypted(constructMessage('destroyControlSession', { sessionId: sessionId }), this.sessionKey);
-            debug(`✓ Cleanup complete`);
-        }
+            try {
+                // Step 2: Send disarmAreas
+                const fnPayload = constructMessage('disarmAreas', { sessionId: sessionId });
+                this.log.debug(`Step 2: Sending disarmAreas: ${fnPayload.toString('hex')}`);
+                await this.callEncrypted(fnPayload, this.sessionKey);
+                this.log.debug(`✓ disarmAreas succeeded`);
+            } finally {
+                // Step 3: Cleanup - always destroy control context
+                this.log.debug(`Step 3: Cleanup control context...`);
+                await this.callEncrypted(constructMessage('destroyControlSession', { sessionId: sessionId }), this.sessionKey);
+                this.log.debug(`✓ Cleanup complete`);
+            }
+        });
     }
 
     /**
      * Read the event log from the panel as an async generator (stream).
      * Events are yielded from newest to oldest.
      *
-     * @param {number} maxEvents - Maximum number of events to read (default: 100, 0 = unlimited)
+     * With a time window, events newer than `until` are skipped and reading stops at
+     * the first event older than `since`, so only the requested part of the log is read.
+     *
+     * @param {number} maxEvents - Maximum number of events to yield (default: 100, 0 = unlimited)
+     * @param {Object} [options]
+     * @param {Date|string|number} [options.since] - Oldest event time to include
+     * @param {Date|string|number} [options.until] - Newest event time to include
+     * @param {Object} [options.names] - Name tables for the decoded details, e.g. { users: Map(number -> name) }
      * @yields {Object} Parsed event object from event-parser
      */
-    async *readEventLog(maxEvents = 100) {
-        debug('\n=== Reading Event Log ===');
+    async *readEventLog(maxEvents = 100, { since, until, names } = {}) {
+        this.log.debug('\n=== Reading Event Log ===');
+
+        const sinceTime = since !== undefined && since !== null ? new Date(since).getTime() : null;
+        const untilTime = until !== undefined && until !== null ? new Date(until).getTime() : null;
+        if (Number.isNaN(sinceTime) || Number.isNaN(untilTime)) {
+            throw new AritechError('Invalid event log time window', {
+                details: { since, until }
+            });
+        }
 
         // x700 panels and x500 panels with protocol 4.4+ use 60-byte events
         // Older x500 panels use 70-byte events
@@ -2369,18 +3923,19 @@ export class AritechClient {
             const startPayload = constructMessage('startMonitor', {});
             const startResponse = await this.callEncrypted(startPayload, this.sessionKey);
             if (startResponse) {
-                debug(`startMonitor response: ${startResponse.toString('hex')}`);
+                this.log.debug(`startMonitor response: ${startResponse.toString('hex')}`);
             }
         }
         const initPayload = constructMessage('openLog', {});
         const initResponse = await this.callEncrypted(initPayload, this.sessionKey);
         if (initResponse) {
-            debug(`Event log init response: ${initResponse.toString('hex')}`);
+            this.log.debug(`Event log init response: ${initResponse.toString('hex')}`);
         }
 
         let eventCount = 0;
         let direction = EVENT_LOG_DIRECTION.FIRST;
         let lastSequence = null;
+        let lastRaw = null;
         let consecutiveErrors = 0;
         const maxConsecutiveErrors = 3;
 
@@ -2391,10 +3946,10 @@ export class AritechClient {
                 const response = await this.callEncrypted(payload, this.sessionKey);
 
                 if (!response) {
-                    debug('No response received');
+                    this.log.debug('No response received');
                     consecutiveErrors++;
                     if (consecutiveErrors >= maxConsecutiveErrors) {
-                        debug('Max consecutive errors reached, stopping');
+                        this.log.debug('Max consecutive errors reached, stopping');
                         break;
                     }
                     continue;
@@ -2404,10 +3959,10 @@ export class AritechClient {
                 if (!isMessageType(response, 'logEntry', 1)) {
                     // Check for ack response (can happen as async COS message)
                     if (response[1] === 0x00) {
-                        debug('Received ack, continuing...');
+                        this.log.debug('Received ack, continuing...');
                         continue;
                     }
-                    debug(`Unexpected response: ${response.slice(0, 10).toString('hex')}`);
+                    this.log.debug(`Unexpected response: ${response.slice(0, 10).toString('hex')}`);
                     consecutiveErrors++;
                     if (consecutiveErrors >= maxConsecutiveErrors) break;
                     continue;
@@ -2417,7 +3972,7 @@ export class AritechClient {
                 const eventData = response.slice(2);
 
                 if (eventData.length < eventSize) {
-                    debug(`Event data too short: ${eventData.length} bytes (expected ${eventSize})`);
+                    this.log.debug(`Event data too short: ${eventData.length} bytes (expected ${eventSize})`);
                     consecutiveErrors++;
                     if (consecutiveErrors >= maxConsecutiveErrors) break;
                     continue;
@@ -2426,7 +3981,7 @@ export class AritechClient {
                 // Parse the event (60 bytes for x700, 70 bytes for x500)
                 try {
                     const eventBuffer = eventData.slice(0, eventSize);
-                    const parsedEvent = parseEvent(eventBuffer);
+                    const parsedEvent = parseEvent(eventBuffer, { names });
 
                     // Use parsed sequence for end detection
                     const sequence = parsedEvent.sequence;
@@ -2434,18 +3989,35 @@ export class AritechClient {
                     // Check for end of log - when sequence wraps (255 -> 0) or stays at 0
                     // The log goes from newest (highest seq) to oldest (lowest seq)
                     if (lastSequence !== null && lastSequence === 0 && sequence === 0) {
-                        debug('Reached end of event log (oldest event)');
+                        this.log.debug('Reached end of event log (oldest event)');
+                        break;
+                    }
+
+                    // Once the log has wrapped the oldest event is not sequence 0,
+                    // reading past it returns the same entry again
+                    if (parsedEvent.raw === lastRaw) {
+                        this.log.debug('Reached end of event log (oldest event repeated)');
                         break;
                     }
 
-                    eventCount++;
                     consecutiveErrors = 0;
                     lastSequence = sequence;
+                    lastRaw = parsedEvent.raw;
 
-                    yield parsedEvent;
+                    // Newest to oldest: stop once past the start of the window
+                    const eventTime = new Date(parsedEvent.timestamp).getTime();
+                    if (sinceTime !== null && eventTime < sinceTime) {
+                        this.log.debug(`Reached events older than ${new Date(sinceTime).toISOString()}, stopping`);
+                        break;
+                    }
+
+                    if (untilTime === null || eventTime <= untilTime) {
+                        eventCount++;
+                        yield parsedEvent;
+                    }
                 } catch (parseError) {
-                    debug(`Failed to parse event: ${parseError.message}`);
-                    debug(`Raw event data: ${eventData.slice(0, eventSize).toString('hex')}`);
+                    this.log.debug(`Failed to parse event: ${parseError.message}`);
+                    this.log.debug(`Raw event data: ${eventData.slice(0, eventSize).toString('hex')}`);
                     consecutiveErrors++;
                     if (consecutiveErrors >= maxConsecutiveErrors) break;
                 }
@@ -2454,15 +4026,78 @@ export class AritechClient {
                 direction = EVENT_LOG_DIRECTION.NEXT;
 
             } catch (err) {
-                console.error(`Error reading event: ${err.message}`);
+                this.log.error(`Error reading event: ${err.message}`, { err });
                 consecutiveErrors++;
                 if (consecutiveErrors >= maxConsecutiveErrors) {
-                    debug('Max errors reached, stopping event log read');
+                    this.log.debug('Max errors reached, stopping event log read');
                     break;
                 }
             }
         }
 
-        debug(`\n=== Read ${eventCount} events from log ===`);
+        this.log.debug(`\n=== Read ${eventCount} events from log ===`);
+    }
+
+    // ========================================================================
+    // PANEL CLOCK METHODS
+    // ========================================================================
+
+    /**
+     * Read the panel clock.
+     * The panel keeps wall-clock time without a time zone. It is read in config.timeZone, or
+     * the host's time zone (like event log timestamps) when none is configured.
+     * Unverified: the date/time messages are not checked against a panel capture yet.
+     * @returns {Promise<Date>} Panel time (one second resolution)
+     * @throws {AritechError} If the panel does not answer with a valid time
+     */
+    async getPanelTime() {
+        this.log.debug('\n=== Reading Panel Time ===');
+        const response = await this.callEncrypted(constructMessage('getDateTime'), this.sessionKey);
+
+        // dateTime shares its message id with deviceDescription: only a reply with the clock
+        // selector and the exact dateTime length is taken as a time
+        const { msgIdBytes, templateBytes, properties } = messageTemplates.dateTime;
+        const { byte, length } = properties.dateTime[0];
+        const time = response && isMessageType(response, 'dateTime', 1)
+            && response.length === 1 + msgIdBytes.length + templateBytes.length
+            ? decodeBcdDateTime(response.slice(1).slice(byte, byte + length), this.config.timeZone)
+            : null;
+        if (!time) {
+            throw new AritechError('Unexpected response reading the panel time', {
+                code: ErrorCodes.PROTOCOL_ERROR,
+                details: { response: response ? response.toString('hex') : null }
+            });
+        }
+        this.log.debug(`  Panel time: ${time.toISOString()}`);
+        return time;
+    }
+
+    /**
+     * Set the panel clock. The panel logs a "Time changed" event.
+     * Unverified like getPanelTime, so it needs config.allowUnverifiedWrites.
+     * @param {Date|string|number} [date=new Date()] - New panel time, written as wall-clock time
+     *   in config.timeZone (default: the host's time zone)
+     * @throws {Error} If the date is invalid or outside 2000-2099
+     * @throws {AritechError} UNVERIFIED_WRITE unless config.allowUnverifiedWrites is set,
+     *   TIME_SET_FAILED if the panel rejects the change
+     */
+    async setPanelTime(date = new Date()) {
+        this._checkUnverifiedWrite('setPanelTime');
+        return this._withPriority(REQUEST_PRIORITY.CONTROL, async () => {
+            const time = new Date(date);
+            const { timeZone } = this.config;
+            const dateTime = encodeBcdDateTime(time, timeZone);
+            this.log.debug(`\n=== Setting Panel Time to ${time.toISOString()} ===`, { timeZone });
+
+            const payload = constructMessage('setDateTime', { dateTime, dayOfWeek: getWallClock(time, timeZone).dayOfWeek });
+            const response = await this.callEncrypted(payload, this.sessionKey);
+            if (parseReturnBool(response) !== true) {
+                throw new AritechError('Failed to set the panel time', {
+                    code: ErrorCodes.TIME_SET_FAILED,
+                    details: { time: time.toISOString(), response: response ? response.toString('hex') : null }
+                });
+            }
+            this.log.debug('  ✓ Panel time set');
+        });
     }
 }
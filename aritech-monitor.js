@@ -8,6 +8,9 @@
 import { EventEmitter } from 'events';
 import { constructMessage as _constructMessage } from './message-helpers.js';
 import { messageTemplates } from './messages.js';
+import { readEventsAfter } from './event-log-sync.js';
+import { REQUEST_PRIORITY, AritechError, ErrorCodes } from './aritech-client.js';
+import { Logger } from './logger.js';
 
 // Bind constructMessage to our templates
 const constructMessage = (name, params = {}) => _constructMessage(messageTemplates, name, params);
@@ -19,10 +22,17 @@ const COS_CHANGE_TYPES = {
     OUTPUT: 0x07,
     FILTER: 0x08,
     DOOR: 0x0b,
+    READER: 0x0d,
     TRIGGER: 0x14,
     ALL: 0xFF
 };
 
+// Default event log poll interval (ms) when following the log
+const DEFAULT_LOG_POLL_INTERVAL = 10000;
+
+// How long learnCard waits for a card by default (ms)
+const DEFAULT_CARD_LEARN_TIMEOUT = 60000;
+
 // Response header constant
 const HEADER_RESPONSE = 0xA0;
 
@@ -36,12 +46,6 @@ function buildCOSAcknowledgment() {
     return Buffer.from([0xA0, 0x00, 0x01, 0x01]);
 }
 
-// Debug logging helper
-const DEBUG = process.env.LOG_LEVEL === 'debug';
-const debug = (...args) => {
-    if (DEBUG) console.debug(...args);
-};
-
 /**
  * Monitor class that wraps an AritechClient and emits change events.
  *
@@ -52,20 +56,47 @@ const debug = (...args) => {
  * - 'triggerChanged': { id, name, oldData, newData }
  * - 'doorChanged': { id, name, oldData, newData }
  * - 'filterChanged': { id, name, oldData, newData }
- * - 'initialized': { zones, areas, outputs, triggers, doors, filters }
- * - 'error': Error object
+ * - 'readerChanged': { id, name, oldData, newData }, only with readers
+ * - 'logEvent': parsed event log entry (see parseEvent), only with followLog
+ * - 'initialized': { zones, areas, outputs, triggers, doors, filters, readers }
+ * - 'error': Error object (logged instead when there is no listener)
+ *
+ * Card readers are only tracked with the readers option: their messages are not verified on a
+ * panel yet, and a panel rejecting them would otherwise stop the whole monitor.
+ *
+ * With followLog, the event log is read after every COS event, after a reconnect and every
+ * logPollInterval ms. Entries already in the log when the monitor starts are not emitted.
  *
  * @example
- * const monitor = new AritechMonitor(client);
+ * const monitor = new AritechMonitor(client, { followLog: true });
  * monitor.on('zoneChanged', (event) => {
  *   debug(`Zone ${event.id} changed from ${event.oldData.state} to ${event.newData.state}`);
  * });
+ * monitor.on('logEvent', (event) => debug(`${event.timestamp} ${event.name}`));
  * await monitor.start();
  */
 export class AritechMonitor extends EventEmitter {
-    constructor(client) {
+    /**
+     * @param {AritechClient} client - Logged-in client
+     * @param {Object} [options]
+     * @param {boolean} [options.followLog=false] - Also follow the event log and emit 'logEvent'
+     * @param {number} [options.logPollInterval=10000] - Event log poll interval in ms (0 = only on COS events)
+     * @param {Object} [options.logNames] - Name tables for the decoded event details (see readEventLog)
+     * @param {boolean} [options.readers=false] - Also track card readers and emit 'readerChanged' (experimental)
+     * @param {Object} [options.logger] - pino/winston-style logger (default: the client's logger)
+     */
+    constructor(client, { followLog = false, logPollInterval = DEFAULT_LOG_POLL_INTERVAL, logNames, readers = false, logger } = {}) {
         super();
         this.client = client;
+        this.followLog = followLog;
+        this.trackReaders = readers;
+        this.logPollInterval = logPollInterval;
+        this.logNames = logNames;
+
+        // Same context (panel address) and secrets as the client
+        this.log = logger
+            ? new Logger(logger, { bindings: { ...client.log.bindings, component: 'monitor' }, secrets: client.log.secrets })
+            : client.log.child({ component: 'monitor' });
 
         // State tracking
         this.zones = [];           // Array of {number, name}
@@ -74,15 +105,26 @@ export class AritechMonitor extends EventEmitter {
         this.triggers = [];        // Array of {number, name}
         this.doors = [];           // Array of {number, name}
         this.filters = [];         // Array of {number, name}
+        this.readers = [];         // Array of {number, name}
         this.zoneStates = {};      // Map of zoneNum -> state data
         this.areaStates = {};      // Map of areaNum -> state data
         this.outputStates = {};    // Map of outputNum -> state data
         this.triggerStates = {};   // Map of triggerNum -> state data
         this.doorStates = {};      // Map of doorNum -> state data
         this.filterStates = {};    // Map of filterNum -> state data
+        this.readerStates = {};    // Map of readerNum -> state data
 
         // Internal state
         this.running = false;
+        this._logCursor = null;     // Newest event log entry seen: { sequence, timestamp }
+        this._logPoll = null;       // Event log poll timer
+        this._logReading = null;    // Pending event log read, polls do not overlap
+        this._logReadAgain = false; // Poll requested while a read was pending
+        this._onReconnected = () => this._background(() => this._resync()).catch(err => {
+            this.log.debug('Error resyncing after reconnect', err);
+            if (!this.running) return;  // Stopped mid-resync, the client is gone
+            this._reportError(err);
+        });
     }
 
     /**
@@ -93,22 +135,37 @@ export class AritechMonitor extends EventEmitter {
             throw new Error('Monitor is already running');
         }
 
-        debug('\n╔═══════════════════════════════════════════════════════════╗');
-        debug('║              ARITECH MONITOR STARTING                     ║');
-        debug('╚═══════════════════════════════════════════════════════════╝');
+        this.log.debug('\n╔═══════════════════════════════════════════════════════════╗');
+        this.log.debug('║              ARITECH MONITOR STARTING                     ║');
+        this.log.debug('╚═══════════════════════════════════════════════════════════╝');
 
         try {
-            // Initialize: fetch zone and area names and initial states
-            await this._initialize();
+            await this._background(async () => {
+                // Initialize: fetch zone and area names and initial states
+                await this._initialize();
+
+                // Start following the event log from its newest entry
+                if (this.followLog) {
+                    await this._initializeLog();
+                }
+            });
 
             // Set up COS event handling
             this._setupCOSHandler();
 
+            // Re-enable notifications and refresh state after an automatic reconnect
+            this.client.on?.('reconnected', this._onReconnected);
+
             this.running = true;
             this.client.monitoringActive = true;
 
-            debug('\n✓ Monitor started successfully');
-            debug('  Listening for changes...\n');
+            if (this.followLog && this.logPollInterval > 0) {
+                this._logPoll = setInterval(() => this._pollLog(), this.logPollInterval);
+                this._logPoll.unref();
+            }
+
+            this.log.debug('\n✓ Monitor started successfully');
+            this.log.debug('  Listening for changes...\n');
 
         } catch (err) {
             this.emit('error', err);
@@ -120,16 +177,27 @@ export class AritechMonitor extends EventEmitter {
      * Stop monitoring and clean up.
      */
     stop() {
-        debug('\n🛑 Stopping monitor...');
+        this.log.debug('\n🛑 Stopping monitor...');
 
         this.running = false;
         this.client.monitoringActive = false;
+        this.client.off?.('reconnected', this._onReconnected);
+        clearInterval(this._logPoll);
+        this._logPoll = null;
 
         // Remove our COS listener
         // Note: We can't easily remove our specific listener from client.eventListeners
         // without modifying the client. For now, the running flag prevents processing.
 
-        debug('✓ Monitor stopped');
+        this.log.debug('✓ Monitor stopped');
+    }
+
+    /**
+     * Run state refreshes and log reads behind control actions and user queries.
+     * @private
+     */
+    _background(fn) {
+        return this.client._withPriority(REQUEST_PRIORITY.BACKGROUND, fn);
     }
 
     /**
@@ -180,110 +248,180 @@ export class AritechMonitor extends EventEmitter {
         return { ...this.filterStates };
     }
 
+    /**
+     * Get current state of all card readers.
+     * @returns {Object} Map of reader number to state data
+     */
+    getReaderStates() {
+        return { ...this.readerStates };
+    }
+
+    /**
+     * Wait for the next card presented at a reader and return its number, e.g. to enrol a badge.
+     * Cards are picked up from card events in the event log; an unknown card is logged as
+     * access denied, so it does not need to be assigned yet. Needs followLog.
+     *
+     * @param {number} readerNum - Reader the card will be presented at
+     * @param {Object} [options]
+     * @param {number} [options.timeout=60000] - Give up after this many ms
+     * @returns {Promise<string>} Card number as a decimal string, as in event log entries and user records
+     * @throws {AritechError} CARD_LEARN_TIMEOUT if no card is presented in time
+     *
+     * @example
+     * const card = await monitor.learnCard(1);
+     * await client.assignCard(12, card);  // Needs allowUnverifiedWrites
+     */
+    learnCard(readerNum, { timeout = DEFAULT_CARD_LEARN_TIMEOUT } = {}) {
+        if (!this.followLog) {
+            return Promise.reject(new Error('learnCard needs a monitor that follows the event log (followLog)'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const onLogEvent = (event) => {
+                const { kind, origin, card } = event.decoded ?? {};
+                if (kind !== 'card' || origin?.type !== 'reader' || origin.id !== readerNum || !card) return;
+                done();
+                this.log.debug(`Learned card ${card.number} at reader ${readerNum}`);
+                resolve(card.number);
+            };
+            const timer = setTimeout(() => {
+                done();
+                reject(new AritechError(`No card presented at reader ${readerNum} within ${timeout} ms`, {
+                    code: ErrorCodes.CARD_LEARN_TIMEOUT,
+                    details: { reader: readerNum, timeout }
+                }));
+            }, timeout);
+            const done = () => {
+                clearTimeout(timer);
+                this.off('logEvent', onLogEvent);
+            };
+            this.on('logEvent', onLogEvent);
+        });
+    }
+
     /**
      * Initialize by fetching all zone/area names and their current states.
      * @private
      */
     async _initialize() {
-        debug('\n=== Initializing Monitor State ===');
+        this.log.debug('\n=== Initializing Monitor State ===');
 
         // Enable event notifications (like mobile app does after login)
         // Uses getUserInfo (msgId 228) which triggers COS notification setup
-        debug('Enabling event notifications...');
+        this.log.debug('Enabling event notifications...');
         await this.client.callEncrypted(constructMessage('getUserInfo'), this.client.sessionKey);
 
         // Fetch zone names
-        debug('Fetching zone names...');
+        this.log.debug('Fetching zone names...');
         this.zones = await this.client.getZoneNames();
-        debug(`  Found ${this.zones.length} zones`);
+        this.log.debug(`  Found ${this.zones.length} zones`);
 
         // Fetch area names
-        debug('Fetching area names...');
+        this.log.debug('Fetching area names...');
         this.areas = await this.client.getAreaNames();
-        debug(`  Found ${this.areas.length} areas`);
+        this.log.debug(`  Found ${this.areas.length} areas`);
 
         // Fetch initial zone states
-        debug('Fetching initial zone states...');
+        this.log.debug('Fetching initial zone states...');
         const zoneStates = await this.client.getZoneStates(this.zones);
         for (const zoneState of zoneStates) {
             this.zoneStates[zoneState.zone] = {
                 ...zoneState,
             };
         }
-        debug(`  Captured state for ${Object.keys(this.zoneStates).length} zones`);
+        this.log.debug(`  Captured state for ${Object.keys(this.zoneStates).length} zones`);
 
         // Fetch initial area states
-        debug('Fetching initial area states...');
+        this.log.debug('Fetching initial area states...');
         const areaStates = await this.client.getAreaStates(this.areas);
         for (const areaState of areaStates) {
             this.areaStates[areaState.area] = {
                 ...areaState,
             };
         }
-        debug(`  Captured state for ${Object.keys(this.areaStates).length} areas`);
+        this.log.debug(`  Captured state for ${Object.keys(this.areaStates).length} areas`);
 
         // Fetch output names
-        debug('Fetching output names...');
+        this.log.debug('Fetching output names...');
         this.outputs = await this.client.getOutputNames();
-        debug(`  Found ${this.outputs.length} outputs`);
+        this.log.debug(`  Found ${this.outputs.length} outputs`);
 
         // Fetch initial output states
-        debug('Fetching initial output states...');
+        this.log.debug('Fetching initial output states...');
         const outputStates = await this.client.getOutputStates(this.outputs.map(o => o.number));
         for (const outputState of outputStates) {
             this.outputStates[outputState.output] = {
                 ...outputState,
             };
         }
-        debug(`  Captured state for ${Object.keys(this.outputStates).length} outputs`);
+        this.log.debug(`  Captured state for ${Object.keys(this.outputStates).length} outputs`);
 
         // Fetch trigger names
-        debug('Fetching trigger names...');
+        this.log.debug('Fetching trigger names...');
         this.triggers = await this.client.getTriggerNames();
-        debug(`  Found ${this.triggers.length} triggers`);
+        this.log.debug(`  Found ${this.triggers.length} triggers`);
 
         // Fetch initial trigger states
-        debug('Fetching initial trigger states...');
+        this.log.debug('Fetching initial trigger states...');
         const triggerStates = await this.client.getTriggerStates(this.triggers.map(t => t.number));
         for (const triggerState of triggerStates) {
             this.triggerStates[triggerState.trigger] = {
                 ...triggerState,
             };
         }
-        debug(`  Captured state for ${Object.keys(this.triggerStates).length} triggers`);
+        this.log.debug(`  Captured state for ${Object.keys(this.triggerStates).length} triggers`);
 
         // Fetch door names
-        debug('Fetching door names...');
+        this.log.debug('Fetching door names...');
         this.doors = await this.client.getDoorNames();
-        debug(`  Found ${this.doors.length} doors`);
+        this.log.debug(`  Found ${this.doors.length} doors`);
 
         // Fetch initial door states
         if (this.doors.length > 0) {
-            debug('Fetching initial door states...');
+            this.log.debug('Fetching initial door states...');
             const doorStates = await this.client.getDoorStates(this.doors.map(d => d.number));
             for (const doorState of doorStates) {
                 this.doorStates[doorState.door] = {
                     ...doorState,
                 };
             }
-            debug(`  Captured state for ${Object.keys(this.doorStates).length} doors`);
+            this.log.debug(`  Captured state for ${Object.keys(this.doorStates).length} doors`);
         }
 
         // Fetch filter names
-        debug('Fetching filter names...');
+        this.log.debug('Fetching filter names...');
         this.filters = await this.client.getFilterNames();
-        debug(`  Found ${this.filters.length} filters`);
+        this.log.debug(`  Found ${this.filters.length} filters`);
 
         // Fetch initial filter states
         if (this.filters.length > 0) {
-            debug('Fetching initial filter states...');
+            this.log.debug('Fetching initial filter states...');
             const filterStates = await this.client.getFilterStates(this.filters.map(f => f.number));
             for (const filterState of filterStates) {
                 this.filterStates[filterState.filter] = {
                     ...filterState,
                 };
             }
-            debug(`  Captured state for ${Object.keys(this.filterStates).length} filters`);
+            this.log.debug(`  Captured state for ${Object.keys(this.filterStates).length} filters`);
+        }
+
+        // Fetch reader names (opt-in, the reader messages are unverified)
+        if (this.trackReaders) {
+            this.log.debug('Fetching reader names...');
+            this.readers = await this.client.getReaderNames();
+            this.log.debug(`  Found ${this.readers.length} readers`);
+        }
+
+        // Fetch initial reader states
+        if (this.readers.length > 0) {
+            this.log.debug('Fetching initial reader states...');
+            const readerStates = await this.client.getReaderStates(this.readers.map(r => r.number));
+            for (const readerState of readerStates) {
+                this.readerStates[readerState.reader] = {
+                    ...readerState,
+                };
+            }
+            this.log.debug(`  Captured state for ${Object.keys(this.readerStates).length} readers`);
         }
 
         // Emit initialized event
@@ -294,15 +432,123 @@ export class AritechMonitor extends EventEmitter {
             triggers: this.triggers,
             doors: this.doors,
             filters: this.filters,
+            readers: this.readers,
             zoneStates: this.getZoneStates(),
             areaStates: this.getAreaStates(),
             outputStates: this.getOutputStates(),
             triggerStates: this.getTriggerStates(),
             doorStates: this.getDoorStates(),
-            filterStates: this.getFilterStates()
+            filterStates: this.getFilterStates(),
+            readerStates: this.getReaderStates()
         });
 
-        debug('✓ Initialization complete\n');
+        this.log.debug('✓ Initialization complete\n');
+    }
+
+    /**
+     * Resynchronize after the client re-established its session.
+     * The new session must re-enable COS notifications, and any changes that happened
+     * while disconnected are picked up by refreshing all known entities.
+     * @private
+     */
+    async _resync() {
+        if (!this.running) return;
+
+        this.log.debug('\n=== Resyncing Monitor State After Reconnect ===');
+        await this.client.callEncrypted(constructMessage('getUserInfo'), this.client.sessionKey);
+
+        await this._updateZoneStates(this.zones.map(z => z.number));
+        await this._updateAreaStates();
+        await this._updateOutputStates(this.outputs.map(o => o.number));
+        await this._updateTriggerStates(this.triggers.map(t => t.number));
+        await this._updateDoorStates(this.doors.map(d => d.number));
+        await this._updateFilterStates(this.filters.map(f => f.number));
+        if (this.trackReaders) {
+            await this._updateReaderStates(this.readers.map(r => r.number));
+        }
+
+        // Entries logged while disconnected
+        if (this.followLog) {
+            await this._pollLog();
+        }
+
+        this.log.debug('✓ Resync complete\n');
+    }
+
+    /**
+     * Remember the newest event log entry, so only entries logged after start are emitted.
+     * @private
+     */
+    async _initializeLog() {
+        this.log.debug('Reading newest event log entry...');
+        this._logCursor = null;
+        for await (const event of this.client.readEventLog(1)) {
+            this._logCursor = { sequence: event.sequence, timestamp: event.timestamp };
+        }
+        this.log.debug(`  Following event log after sequence ${this._logCursor?.sequence ?? '(empty log)'}`);
+    }
+
+    /**
+     * Read event log entries logged since the last read and emit them oldest first.
+     * A poll requested while a read is pending runs once that read completes.
+     * @private
+     */
+    async _pollLog() {
+        if (this._logReading) {
+            this._logReadAgain = true;
+            return this._logReading;
+        }
+
+        this._logReading = (async () => {
+            try {
+                do {
+                    this._logReadAgain = false;
+                    await this._readLog();
+                } while (this._logReadAgain && this.running);
+            } catch (err) {
+                this.log.debug('Error reading event log', err);
+                if (this.running) this._reportError(err);
+            } finally {
+                this._logReading = null;
+            }
+        })();
+        return this._logReading;
+    }
+
+    /**
+     * Read and emit the event log entries after the cursor.
+     * @private
+     */
+    async _readLog() {
+        if (!this.running) return;
+
+        // Hold the command lock for the whole read, the log position is per session
+        const { events, cursor, gap } = await this._background(() => this.client.exclusive(() =>
+            readEventsAfter(this.client, this._logCursor, { names: this.logNames })));
+        if (!this.running) return;
+
+        if (gap) {
+            this.log.debug(`Event log cursor (sequence ${this._logCursor.sequence}) not found, entries may have been missed`);
+        }
+        this._logCursor = cursor;
+        for (const event of events) {
+            this.emit('logEvent', event);
+        }
+    }
+
+    /**
+     * Emit an error from a background task, or log it when nobody listens: the event log
+     * poll and the reconnect resync are not awaited, an unhandled 'error' event would end
+     * up as an unhandled rejection.
+     * @private
+     * @param {Error} err - Error to report
+     */
+    _reportError(err) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', err);
+        } else {
+            this.log.error(`Monitor error: ${err.message}`, { err });
+        }
     }
 
     /**
@@ -314,10 +560,17 @@ export class AritechMonitor extends EventEmitter {
             if (!this.running) return;
 
             try {
-                await this._handleCOSEvent(statusByte, payload);
+                await this._background(() => this._handleCOSEvent(statusByte, payload));
             } catch (err) {
-                debug('Error handling COS event:', err);
-                this.emit('error', err);
+                this.log.debug('Error handling COS event', err);
+                if (!this.running) return;  // Stopped mid-update, the client is gone
+                this._reportError(err);
+            }
+
+            // A change of status is usually logged as well. Not awaited: the read holds the
+            // command lock, and the client drops COS frames until this listener returns
+            if (this.followLog) {
+                this._pollLog();
             }
         });
     }
@@ -343,9 +596,9 @@ export class AritechMonitor extends EventEmitter {
      * @private
      */
     async _handleCOSEvent(statusByte, payload) {
-        debug(`\n━━━ Processing COS Event ━━━`);
-        debug(`Status byte: 0x${statusByte?.toString(16).padStart(2, '0') || '??'}`);
-        debug(`Payload: ${payload?.toString('hex') || 'none'}`);
+        this.log.debug(`\n━━━ Processing COS Event ━━━`);
+        this.log.debug(`Status byte: 0x${statusByte?.toString(16).padStart(2, '0') || '??'}`);
+        this.log.debug(`Payload: ${payload?.toString('hex') || 'none'}`);
 
         // Parse COS payload to determine what changed
         // Format: 30 00 TT 00 00 00 00 00
@@ -366,8 +619,10 @@ export class AritechMonitor extends EventEmitter {
                 changeType = 'trigger';
             } else if (typeByte === COS_CHANGE_TYPES.DOOR) {
                 changeType = 'door';
+            } else if (typeByte === COS_CHANGE_TYPES.READER) {
+                changeType = 'reader';
             }
-            debug(`  Change type: ${changeType}`);
+            this.log.debug(`  Change type: ${changeType}`);
         }
 
         // Send acknowledgment using helper
@@ -382,6 +637,7 @@ export class AritechMonitor extends EventEmitter {
         // - Message ID 165 (ca02) for areas
         // - Message ID 421 (ca07) for outputs
         // - Message ID 549 (ca08) for filters
+        // - Message ID 869 (ca0d) for readers
         // - Message ID 1205 (ca14) for triggers
         let changedZones = [];
         let changedAreas = [];
@@ -389,6 +645,7 @@ export class AritechMonitor extends EventEmitter {
         let changedFilters = [];
         let changedTriggers = [];
         let changedDoors = [];
+        let changedReaders = [];
 
         if (changeType === 'zone' || changeType === 'all') {
             const zoneResponse = await this.client.callEncrypted(constructMessage('getZoneChanges'), this.client.sessionKey);
@@ -397,11 +654,11 @@ export class AritechMonitor extends EventEmitter {
                 zoneResponse[0] === HEADER_RESPONSE && zoneResponse[1] === 0x30) {
                 const bitmapType = zoneResponse[2];
                 const bitmap = zoneResponse.slice(3);
-                debug(`  Zone bitmap response type: 0x${bitmapType.toString(16)}, data: ${bitmap.toString('hex')}`);
+                this.log.debug(`  Zone bitmap response type: 0x${bitmapType.toString(16)}, data: ${bitmap.toString('hex')}`);
 
                 if (bitmapType === COS_CHANGE_TYPES.ZONE) {
                     changedZones = this._parseBitmap(bitmap, this.zones.map(z => z.number));
-                    debug(`  Changed zones: ${changedZones.join(', ') || 'none'}`);
+                    this.log.debug(`  Changed zones: ${changedZones.join(', ') || 'none'}`);
                 }
             }
         }
@@ -413,11 +670,11 @@ export class AritechMonitor extends EventEmitter {
                 areaResponse[0] === HEADER_RESPONSE && areaResponse[1] === 0x30) {
                 const bitmapType = areaResponse[2];
                 const bitmap = areaResponse.slice(3);
-                debug(`  Area bitmap response type: 0x${bitmapType.toString(16)}, data: ${bitmap.toString('hex')}`);
+                this.log.debug(`  Area bitmap response type: 0x${bitmapType.toString(16)}, data: ${bitmap.toString('hex')}`);
 
                 if (bitmapType === COS_CHANGE_TYPES.AREA) {
                     changedAreas = this._parseBitmap(bitmap, this.areas.map(a => a.number));
-                    debug(`  Changed areas: ${changedAreas.join(', ') || 'none'}`);
+                    this.log.debug(`  Changed areas: ${changedAreas.join(', ') || 'none'}`);
                 }
             }
         }
@@ -429,11 +686,11 @@ export class AritechMonitor extends EventEmitter {
                 outputResponse[0] === HEADER_RESPONSE && outputResponse[1] === 0x30) {
                 const bitmapType = outputResponse[2];
                 const bitmap = outputResponse.slice(3);
-                debug(`  Output bitmap response type: 0x${bitmapType.toString(16)}, data: ${bitmap.toString('hex')}`);
+                this.log.debug(`  Output bitmap response type: 0x${bitmapType.toString(16)}, data: ${bitmap.toString('hex')}`);
 
                 if (bitmapType === COS_CHANGE_TYPES.OUTPUT) {
                     changedOutputs = this._parseBitmap(bitmap, this.outputs.map(o => o.number));
-                    debug(`  Changed outputs: ${changedOutputs.join(', ') || 'none'}`);
+                    this.log.debug(`  Changed outputs: ${changedOutputs.join(', ') || 'none'}`);
                 }
             }
         }
@@ -445,11 +702,11 @@ export class AritechMonitor extends EventEmitter {
                 filterResponse[0] === HEADER_RESPONSE && filterResponse[1] === 0x30) {
                 const bitmapType = filterResponse[2];
                 const bitmap = filterResponse.slice(3);
-                debug(`  Filter bitmap response type: 0x${bitmapType.toString(16)}, data: ${bitmap.toString('hex')}`);
+                this.log.debug(`  Filter bitmap response type: 0x${bitmapType.toString(16)}, data: ${bitmap.toString('hex')}`);
 
                 if (bitmapType === COS_CHANGE_TYPES.FILTER) {
                     changedFilters = this._parseBitmap(bitmap, this.filters.map(f => f.number));
-                    debug(`  Changed filters: ${changedFilters.join(', ') || 'none'}`);
+                    this.log.debug(`  Changed filters: ${changedFilters.join(', ') || 'none'}`);
                 }
             }
         }
@@ -461,11 +718,11 @@ export class AritechMonitor extends EventEmitter {
                 triggerResponse[0] === HEADER_RESPONSE && triggerResponse[1] === 0x30) {
                 const bitmapType = triggerResponse[2];
                 const bitmap = triggerResponse.slice(3);
-                debug(`  Trigger bitmap response type: 0x${bitmapType.toString(16)}, data: ${bitmap.toString('hex')}`);
+                this.log.debug(`  Trigger bitmap response type: 0x${bitmapType.toString(16)}, data: ${bitmap.toString('hex')}`);
 
                 if (bitmapType === COS_CHANGE_TYPES.TRIGGER) {
                     changedTriggers = this._parseBitmap(bitmap, this.triggers.map(t => t.number));
-                    debug(`  Changed triggers: ${changedTriggers.join(', ') || 'none'}`);
+                    this.log.debug(`  Changed triggers: ${changedTriggers.join(', ') || 'none'}`);
                 }
             }
         }
@@ -477,11 +734,27 @@ export class AritechMonitor extends EventEmitter {
                 doorResponse[0] === HEADER_RESPONSE && doorResponse[1] === 0x30) {
                 const bitmapType = doorResponse[2];
                 const bitmap = doorResponse.slice(3);
-                debug(`  Door bitmap response type: 0x${bitmapType.toString(16)}, data: ${bitmap.toString('hex')}`);
+                this.log.debug(`  Door bitmap response type: 0x${bitmapType.toString(16)}, data: ${bitmap.toString('hex')}`);
 
                 if (bitmapType === COS_CHANGE_TYPES.DOOR) {
                     changedDoors = this._parseBitmap(bitmap, this.doors.map(d => d.number));
-                    debug(`  Changed doors: ${changedDoors.join(', ') || 'none'}`);
+                    this.log.debug(`  Changed doors: ${changedDoors.join(', ') || 'none'}`);
+                }
+            }
+        }
+
+        if (this.trackReaders && (changeType === 'reader' || changeType === 'all')) {
+            const readerResponse = await this.client.callEncrypted(constructMessage('getReaderChanges'), this.client.sessionKey);
+
+            if (readerResponse && readerResponse.length >= 3 &&
+                readerResponse[0] === HEADER_RESPONSE && readerResponse[1] === 0x30) {
+                const bitmapType = readerResponse[2];
+                const bitmap = readerResponse.slice(3);
+                this.log.debug(`  Reader bitmap response type: 0x${bitmapType.toString(16)}, data: ${bitmap.toString('hex')}`);
+
+                if (bitmapType === COS_CHANGE_TYPES.READER) {
+                    changedReaders = this._parseBitmap(bitmap, this.readers.map(r => r.number));
+                    this.log.debug(`  Changed readers: ${changedReaders.join(', ') || 'none'}`);
                 }
             }
         }
@@ -491,7 +764,7 @@ export class AritechMonitor extends EventEmitter {
             await this._updateZoneStates(changedZones);
         } else if (changeType === 'zone' || changeType === 'all') {
             // Fallback: fetch all zones if no specific bitmap
-            debug(`  No specific zones in bitmap, fetching all`);
+            this.log.debug(`  No specific zones in bitmap, fetching all`);
             const allZoneNumbers = this.zones.map(z => z.number);
             await this._updateZoneStates(allZoneNumbers);
         }
@@ -500,7 +773,7 @@ export class AritechMonitor extends EventEmitter {
             await this._updateAreaStates(changedAreas);
         } else if (changeType === 'area' || changeType === 'all') {
             // Fallback: fetch all areas if no specific bitmap
-            debug(`  No specific areas in bitmap, fetching all`);
+            this.log.debug(`  No specific areas in bitmap, fetching all`);
             await this._updateAreaStates();
         }
 
@@ -508,7 +781,7 @@ export class AritechMonitor extends EventEmitter {
             await this._updateOutputStates(changedOutputs);
         } else if (changeType === 'output' || changeType === 'all') {
             // Fallback: fetch all outputs if no specific bitmap
-            debug(`  No specific outputs in bitmap, fetching all`);
+            this.log.debug(`  No specific outputs in bitmap, fetching all`);
             const allOutputNumbers = this.outputs.map(o => o.number);
             await this._updateOutputStates(allOutputNumbers);
         }
@@ -517,7 +790,7 @@ export class AritechMonitor extends EventEmitter {
             await this._updateFilterStates(changedFilters);
         } else if (changeType === 'filter' || changeType === 'all') {
             // Fallback: fetch all filters if no specific bitmap
-            debug(`  No specific filters in bitmap, fetching all`);
+            this.log.debug(`  No specific filters in bitmap, fetching all`);
             const allFilterNumbers = this.filters.map(f => f.number);
             await this._updateFilterStates(allFilterNumbers);
         }
@@ -526,7 +799,7 @@ export class AritechMonitor extends EventEmitter {
             await this._updateTriggerStates(changedTriggers);
         } else if (changeType === 'trigger' || changeType === 'all') {
             // Fallback: fetch all triggers if no specific bitmap
-            debug(`  No specific triggers in bitmap, fetching all`);
+            this.log.debug(`  No specific triggers in bitmap, fetching all`);
             const allTriggerNumbers = this.triggers.map(t => t.number);
             await this._updateTriggerStates(allTriggerNumbers);
         }
@@ -535,10 +808,19 @@ export class AritechMonitor extends EventEmitter {
             await this._updateDoorStates(changedDoors);
         } else if (changeType === 'door' || changeType === 'all') {
             // Fallback: fetch all doors if no specific bitmap
-            debug(`  No specific doors in bitmap, fetching all`);
+            this.log.debug(`  No specific doors in bitmap, fetching all`);
             const allDoorNumbers = this.doors.map(d => d.number);
             await this._updateDoorStates(allDoorNumbers);
         }
+
+        if (changedReaders.length > 0) {
+            await this._updateReaderStates(changedReaders);
+        } else if (this.trackReaders && (changeType === 'reader' || changeType === 'all')) {
+            // Fallback: fetch all readers if no specific bitmap
+            this.log.debug(`  No specific readers in bitmap, fetching all`);
+            const allReaderNumbers = this.readers.map(r => r.number);
+            await this._updateReaderStates(allReaderNumbers);
+        }
     }
 
     /**
@@ -601,7 +883,7 @@ export class AritechMonitor extends EventEmitter {
                     newData: { ...newState }
                 });
 
-                debug(`  🔔 Zone ${zoneNum} (${zoneName}): ${oldState?.rawHex || 'NEW'} → ${newState.rawHex}`);
+                this.log.debug(`  🔔 Zone ${zoneNum} (${zoneName}): ${oldState?.rawHex || 'NEW'} → ${newState.rawHex}`);
             }
 
             // Update stored state
@@ -644,7 +926,7 @@ export class AritechMonitor extends EventEmitter {
                     newData: { ...newState }
                 });
 
-                debug(`  🔔 Area ${areaNum} (${areaName}): ${oldState?.rawHex || 'NEW'} → ${newState.rawHex}`);
+                this.log.debug(`  🔔 Area ${areaNum} (${areaName}): ${oldState?.rawHex || 'NEW'} → ${newState.rawHex}`);
             }
 
             // Update stored state
@@ -682,7 +964,7 @@ export class AritechMonitor extends EventEmitter {
                     newData: { ...newState }
                 });
 
-                debug(`  🔔 Output ${outputNum} (${outputName}): ${oldState?.rawHex || 'NEW'} → ${newState.rawHex}`);
+                this.log.debug(`  🔔 Output ${outputNum} (${outputName}): ${oldState?.rawHex || 'NEW'} → ${newState.rawHex}`);
             }
 
             // Update stored state
@@ -720,7 +1002,7 @@ export class AritechMonitor extends EventEmitter {
                     newData: { ...newState }
                 });
 
-                debug(`  🔔 Trigger ${triggerNum} (${triggerName}): ${oldState?.rawHex || 'NEW'} → ${newState.rawHex}`);
+                this.log.debug(`  🔔 Trigger ${triggerNum} (${triggerName}): ${oldState?.rawHex || 'NEW'} → ${newState.rawHex}`);
             }
 
             // Update stored state
@@ -758,7 +1040,7 @@ export class AritechMonitor extends EventEmitter {
                     newData: { ...newState }
                 });
 
-                debug(`  🔔 Door ${doorNum} (${doorName}): ${oldState?.rawHex || 'NEW'} → ${newState.rawHex}`);
+                this.log.debug(`  🔔 Door ${doorNum} (${doorName}): ${oldState?.rawHex || 'NEW'} → ${newState.rawHex}`);
             }
 
             // Update stored state
@@ -796,7 +1078,7 @@ export class AritechMonitor extends EventEmitter {
                     newData: { ...newState }
                 });
 
-                debug(`  🔔 Filter ${filterNum} (${filterName}): ${oldState?.rawHex || 'NEW'} → ${newState.rawHex}`);
+                this.log.debug(`  🔔 Filter ${filterNum} (${filterName}): ${oldState?.rawHex || 'NEW'} → ${newState.rawHex}`);
             }
 
             // Update stored state
@@ -804,6 +1086,44 @@ export class AritechMonitor extends EventEmitter {
         }
     }
 
+    /**
+     * Update card reader states and emit events for changes.
+     * @private
+     * @param {number[]} readerNumbers - Reader numbers to update
+     */
+    async _updateReaderStates(readerNumbers) {
+        if (readerNumbers.length === 0) return;
+
+        const newStates = await this.client.getReaderStates(readerNumbers);
+
+        for (const newState of newStates) {
+            const readerNum = newState.reader;
+            const oldState = this.readerStates[readerNum];
+
+            // Check if changed by comparing raw bytes
+            const hasChanged = !oldState || oldState.rawHex !== newState.rawHex;
+
+            if (hasChanged) {
+                // Find reader name
+                const reader = this.readers.find(r => r.number === readerNum);
+                const readerName = reader?.name || `Reader ${readerNum}`;
+
+                // Emit event
+                this.emit('readerChanged', {
+                    id: readerNum,
+                    name: readerName,
+                    oldData: oldState ? { ...oldState } : null,
+                    newData: { ...newState }
+                });
+
+                this.log.debug(`  🔔 Reader ${readerNum} (${readerName}): ${oldState?.rawHex || 'NEW'} → ${newState.rawHex}`);
+            }
+
+            // Update stored state
+            this.readerStates[readerNum] = { ...newState };
+        }
+    }
+
 }
 
 export default AritechMonitor;
@@ -0,0 +1,547 @@
+/**
+ * Aritech ATS MQTT Bridge
+ *
+ * Publishes panel state to an MQTT broker and maps command topics onto client calls.
+ * Entities are announced with Home Assistant MQTT discovery, so areas, zones, outputs,
+ * triggers, doors and filters show up in Home Assistant without manual configuration.
+ *
+ * Topic layout (baseTopic defaults to 'aritech'):
+ *   aritech/status                          online / offline (retained, last will)
+ *   aritech/area/<n>/state                  disarmed, armed_away, armed_home, armed_night, arming, pending, triggered
+ *   aritech/area/<n>/set                    ARM_AWAY, ARM_HOME, ARM_NIGHT, DISARM (FORCE_ARM_AWAY, ... to force),
+ *                                           or {"action": "DISARM", "code": "1234"} as sent by Home Assistant
+ *   aritech/zone/<n>/state                  ON / OFF (active)
+ *   aritech/zone/<n>/inhibited              ON / OFF
+ *   aritech/zone/<n>/inhibit/set            ON / OFF
+ *   aritech/output/<n>/state                ON / OFF
+ *   aritech/output/<n>/set                  ON / OFF (force), RESET (cancel force)
+ *   aritech/trigger/<n>/state               ON / OFF
+ *   aritech/trigger/<n>/set                 ON / OFF
+ *   aritech/door/<n>/state                  LOCKED / UNLOCKED
+ *   aritech/door/<n>/set                    LOCK, UNLOCK, OPEN (standard time unlock), ENABLE, DISABLE
+ *   aritech/filter/<n>/state                ON / OFF
+ *   aritech/<type>/<n>/attributes           JSON with name, text state and all flags
+ *
+ * The mqtt package is an optional peer dependency and is only loaded when the bridge starts.
+ */
+
+import { EventEmitter } from 'events';
+import { createHash, timingSafeEqual } from 'crypto';
+import { AritechError, ErrorCodes } from './aritech-client.js';
+import { AritechMonitor } from './aritech-monitor.js';
+
+const ON = 'ON';
+const OFF = 'OFF';
+
+// Monitor collection and change event per entity type
+const ENTITY_TYPES = {
+    area: { list: 'areas', states: 'areaStates', event: 'areaChanged' },
+    zone: { list: 'zones', states: 'zoneStates', event: 'zoneChanged' },
+    output: { list: 'outputs', states: 'outputStates', event: 'outputChanged' },
+    trigger: { list: 'triggers', states: 'triggerStates', event: 'triggerChanged' },
+    door: { list: 'doors', states: 'doorStates', event: 'doorChanged' },
+    filter: { list: 'filters', states: 'filterStates', event: 'filterChanged' }
+};
+
+// Home Assistant alarm_control_panel commands -> armArea set types
+const ARM_COMMANDS = {
+    ARM_AWAY: 'full',
+    ARM_HOME: 'part1',
+    ARM_NIGHT: 'part2'
+};
+
+// Home Assistant fills in the code entered on its alarm panel card (code: REMOTE_CODE)
+const CODE_COMMAND_TEMPLATE = '{"action": "{{ action }}", "code": "{{ code }}"}';
+
+/**
+ * Split a command payload into command and code. Home Assistant sends JSON when a code is
+ * required, plain commands are accepted for everything else.
+ * @param {string} payload - Command payload
+ * @returns {{command: string, code: string|undefined}}
+ */
+function parseCommand(payload) {
+    const text = payload.trim();
+    if (text.startsWith('{')) {
+        try {
+            const { action, code } = JSON.parse(text);
+            return { command: String(action ?? '').trim().toUpperCase(), code: code ?? undefined };
+        } catch {
+            // Not JSON after all, handled as an unsupported plain command
+        }
+    }
+    return { command: text.toUpperCase(), code: undefined };
+}
+
+/**
+ * Map an area state to a Home Assistant alarm_control_panel state.
+ * @param {AreaState} state - Area state
+ * @returns {string} Home Assistant state
+ */
+export function areaStateToHomeAssistant(state) {
+    if (!state) return 'unknown';
+    if (state.isAlarming) return 'triggered';
+    if (state.isEntering) return 'pending';
+    if (state.isExiting) return 'arming';
+    if (state.isFullSet) return 'armed_away';
+    if (state.isPartiallySet) return 'armed_home';
+    if (state.isPartiallySet2) return 'armed_night';
+    return 'disarmed';
+}
+
+/**
+ * Bridge between an AritechClient and an MQTT broker.
+ *
+ * Events emitted:
+ * - 'connected': MQTT connection established, discovery and states published
+ * - 'command': { type, id, command } after a command was executed
+ * - 'commandError': { type, id, command, error } when a command failed
+ * - 'error': Error object (MQTT or monitor errors)
+ *
+ * Disarming needs the disarmCode option: anyone who can publish to the broker could disarm
+ * otherwise. Home Assistant asks for the code on its alarm panel card and sends it along.
+ *
+ * @example
+ * const bridge = new AritechMqttBridge(client, { url: 'mqtt://localhost:1883', disarmCode: '4711' });
+ * bridge.on('commandError', ({ type, id, error }) => console.error(`${type} ${id}: ${error.message}`));
+ * await bridge.start();
+ */
+export class AritechMqttBridge extends EventEmitter {
+    /**
+     * @param {AritechClient} client - Logged-in client
+     * @param {Object} options
+     * @param {string} [options.url='mqtt://localhost:1883'] - Broker URL
+     * @param {string} [options.username] - Broker username
+     * @param {string} [options.password] - Broker password
+     * @param {string} [options.baseTopic='aritech'] - Prefix for state and command topics
+     * @param {string|false} [options.discoveryPrefix='homeassistant'] - Home Assistant discovery prefix, false to disable discovery
+     * @param {string} [options.deviceId] - Unique id of the panel in discovery configs (defaults to the panel serial)
+     * @param {string|false} [options.disarmCode] - Code required to disarm areas over MQTT. Without it disarm
+     *   commands are refused; false disarms without a code
+     * @param {AritechMonitor} [options.monitor] - Existing monitor (started by the bridge if not running)
+     * @param {Object} [options.mqttClient] - Already connected MQTT.js client (the bridge does not end it on stop)
+     * @param {Object} [options.mqttOptions] - Extra MQTT.js connect options
+     */
+    constructor(client, options = {}) {
+        super();
+        this.client = client;
+        this.log = client.log.child({ component: 'mqtt' });
+        this.options = {
+            url: 'mqtt://localhost:1883',
+            baseTopic: 'aritech',
+            discoveryPrefix: 'homeassistant',
+            ...options
+        };
+        this.baseTopic = this.options.baseTopic.replace(/\/+$/, '');
+        this.monitor = options.monitor || new AritechMonitor(client);
+        this.mqtt = options.mqttClient || null;
+        this.running = false;
+
+        this._ownsMonitor = !options.monitor;
+        this._ownsMqtt = !options.mqttClient;
+        this._monitorListeners = [];
+        this._onMessage = (topic, payload) => this._handleMessage(topic, payload.toString());
+        this._onConnect = () => this._publishAll().catch(err => this.emit('error', err));
+        this._onMqttError = (err) => this.emit('error', err);
+        // Unhandled monitor errors would throw and end the bridge
+        this._onMonitorError = (err) => this.emit('error', err);
+    }
+
+    /**
+     * Connect to the broker, start monitoring and publish discovery configs and states.
+     */
+    async start() {
+        if (this.running) {
+            throw new Error('MQTT bridge is already running');
+        }
+
+        if (!this.mqtt) {
+            this.mqtt = await this._connectMqtt();
+        }
+
+        this.monitor.on('error', this._onMonitorError);
+        if (!this.monitor.running) {
+            try {
+                await this.monitor.start();
+            } catch (err) {
+                this.monitor.off('error', this._onMonitorError);
+                throw err;
+            }
+        }
+
+        for (const [type, { event }] of Object.entries(ENTITY_TYPES)) {
+            const listener = ({ id, newData }) => {
+                this._publishState(type, id, newData).catch(err => this.emit('error', err));
+            };
+            this.monitor.on(event, listener);
+            this._monitorListeners.push([event, listener]);
+        }
+
+        this.mqtt.on('message', this._onMessage);
+        this.mqtt.on('error', this._onMqttError);
+        // Broker restarts lose non-persistent retained messages, publish everything again
+        this.mqtt.on('connect', this._onConnect);
+
+        this.running = true;
+        await this.mqtt.subscribeAsync(`${this.baseTopic}/+/+/set`);
+        await this.mqtt.subscribeAsync(`${this.baseTopic}/zone/+/inhibit/set`);
+        await this._publishAll();
+
+        this.log.debug(`✓ MQTT bridge started (${this.baseTopic})`);
+        this.emit('connected');
+    }
+
+    /**
+     * Publish offline status, detach from the monitor and disconnect from the broker.
+     */
+    async stop() {
+        if (!this.running) return;
+        this.running = false;
+
+        for (const [event, listener] of this._monitorListeners) {
+            this.monitor.off(event, listener);
+        }
+        this._monitorListeners = [];
+        if (this._ownsMonitor) {
+            this.monitor.stop();
+        }
+        this.monitor.off('error', this._onMonitorError);
+
+        this.mqtt.off('message', this._onMessage);
+        this.mqtt.off('connect', this._onConnect);
+        try {
+            await this.mqtt.unsubscribeAsync([
+                `${this.baseTopic}/+/+/set`,
+                `${this.baseTopic}/zone/+/inhibit/set`
+            ]);
+            await this.mqtt.publishAsync(this._statusTopic(), 'offline', { retain: true });
+        } catch (err) {
+            // Broker already gone, the last will publishes the offline status
+            this.log.debug('Error publishing offline status', { err });
+        }
+        this.mqtt.off('error', this._onMqttError);
+        if (this._ownsMqtt) {
+            await this.mqtt.endAsync();
+            this.mqtt = null;
+        }
+
+        this.log.debug('✓ MQTT bridge stopped');
+    }
+
+    // ========================================================================
+    // MQTT connection
+    // ========================================================================
+
+    /**
+     * Load MQTT.js and connect with a last will on the status topic.
+     * @private
+     */
+    async _connectMqtt() {
+        let mqtt;
+        try {
+            mqtt = await import('mqtt');
+        } catch (err) {
+            throw new AritechError('The MQTT bridge requires the "mqtt" package (npm install mqtt)', {
+                code: ErrorCodes.CONNECTION_FAILED,
+                details: { cause: err.message }
+            });
+        }
+
+        const { url, username, password, mqttOptions } = this.options;
+        this.log.debug(`Connecting to MQTT broker ${url}...`);
+        try {
+            return await mqtt.connectAsync(url, {
+                username,
+                password,
+                will: { topic: this._statusTopic(), payload: 'offline', retain: true, qos: 1 },
+                ...mqttOptions
+            });
+        } catch (err) {
+            throw new AritechError(`Failed to connect to MQTT broker ${url}: ${err.message}`, {
+                code: ErrorCodes.CONNECTION_FAILED
+            });
+        }
+    }
+
+    _statusTopic() {
+        return `${this.baseTopic}/status`;
+    }
+
+    _topic(type, id, suffix) {
+        return `${this.baseTopic}/${type}/${id}/${suffix}`;
+    }
+
+    // ========================================================================
+    // Publishing
+    // ========================================================================
+
+    /**
+     * Publish availability, discovery configs and the current state of every entity.
+     * @private
+     */
+    async _publishAll() {
+        if (!this.running) return;
+
+        await this.mqtt.publishAsync(this._statusTopic(), 'online', { retain: true });
+
+        for (const [type, { list, states }] of Object.entries(ENTITY_TYPES)) {
+            for (const entity of this.monitor[list]) {
+                if (this.options.discoveryPrefix) {
+                    await this._publishDiscovery(type, entity);
+                }
+                const data = this.monitor[states][entity.number];
+                if (data) {
+                    await this._publishState(type, entity.number, data);
+                }
+            }
+        }
+    }
+
+    /**
+     * Publish the retained state topics of one entity.
+     * @private
+     * @param {string} type - Entity type (area, zone, output, trigger, door, filter)
+     * @param {number} id - Entity number
+     * @param {Object} data - Monitor state data ({ state, rawHex, ... })
+     */
+    async _publishState(type, id, data) {
+        if (!this.running) return;
+
+        const state = data?.state;
+        const publish = (suffix, payload) =>
+            this.mqtt.publishAsync(this._topic(type, id, suffix), payload, { retain: true });
+
+        switch (type) {
+            case 'area':
+                await publish('state', areaStateToHomeAssistant(state));
+                break;
+            case 'zone':
+                await publish('state', state?.isActive ? ON : OFF);
+                await publish('inhibited', state?.isInhibited ? ON : OFF);
+                break;
+            case 'output':
+                await publish('state', state?.isOn ? ON : OFF);
+                break;
+            case 'door':
+                await publish('state', state?.isLocked ? 'LOCKED' : 'UNLOCKED');
+                break;
+            default:
+                // Triggers and filters
+                await publish('state', state?.isActive ? ON : OFF);
+        }
+
+        await publish('attributes', JSON.stringify(this._attributes(type, id, data)));
+    }
+
+    /**
+     * Build the attributes JSON of an entity: name, text state and boolean flags.
+     * @private
+     */
+    _attributes(type, id, data) {
+        const entity = this.monitor[ENTITY_TYPES[type].list].find(e => e.number === id);
+        const attributes = {
+            name: entity?.name || `${type} ${id}`,
+            state: data?.state?.toString() || 'unknown'
+        };
+        for (const [key, value] of Object.entries(data?.state || {})) {
+            if (typeof value === 'boolean') {
+                attributes[key] = value;
+            }
+        }
+        return attributes;
+    }
+
+    /**
+     * Publish the Home Assistant discovery config(s) of one entity.
+     * @private
+     */
+    async _publishDiscovery(type, entity) {
+        const deviceId = this._deviceId();
+        const id = entity.number;
+        const name = entity.name || `${type} ${id}`;
+        const base = {
+            name,
+            unique_id: `${deviceId}_${type}_${id}`,
+            object_id: `aritech_${type}_${id}`,
+            availability_topic: this._statusTopic(),
+            json_attributes_topic: this._topic(type, id, 'attributes'),
+            device: this._device()
+        };
+
+        const configs = [];
+        switch (type) {
+            case 'area':
+                configs.push(['alarm_control_panel', {
+                    ...base,
+                    state_topic: this._topic(type, id, 'state'),
+                    command_topic: this._topic(type, id, 'set'),
+                    code_arm_required: false,
+                    ...(this.options.disarmCode === false
+                        ? { code_disarm_required: false }
+                        : { code: 'REMOTE_CODE', code_disarm_required: true, command_template: CODE_COMMAND_TEMPLATE }),
+                    supported_features: ['arm_away', 'arm_home', 'arm_night']
+                }]);
+                break;
+            case 'zone':
+                configs.push(['binary_sensor', {
+                    ...base,
+                    state_topic: this._topic(type, id, 'state')
+                }]);
+                configs.push(['switch', {
+                    ...base,
+                    name: `${name} inhibit`,
+                    unique_id: `${base.unique_id}_inhibit`,
+                    object_id: `${base.object_id}_inhibit`,
+                    icon: 'mdi:shield-off',
+                    state_topic: this._topic(type, id, 'inhibited'),
+                    command_topic: this._topic(type, id, 'inhibit/set')
+                }]);
+                break;
+            case 'output':
+            case 'trigger':
+                configs.push(['switch', {
+                    ...base,
+                    state_topic: this._topic(type, id, 'state'),
+                    command_topic: this._topic(type, id, 'set')
+                }]);
+                break;
+            case 'door':
+                configs.push(['lock', {
+                    ...base,
+                    state_topic: this._topic(type, id, 'state'),
+                    command_topic: this._topic(type, id, 'set'),
+                    payload_open: 'OPEN'
+                }]);
+                break;
+            case 'filter':
+                configs.push(['binary_sensor', {
+                    ...base,
+                    state_topic: this._topic(type, id, 'state')
+                }]);
+                break;
+        }
+
+        for (const [component, config] of configs) {
+            const topic = `${this.options.discoveryPrefix}/${component}/${deviceId}/${config.object_id}/config`;
+            await this.mqtt.publishAsync(topic, JSON.stringify(config), { retain: true });
+        }
+    }
+
+    _deviceId() {
+        const id = this.options.deviceId || this.client.config?.serial || 'panel';
+        return `aritech_${String(id).replace(/[^A-Za-z0-9_-]/g, '_')}`;
+    }
+
+    _device() {
+        return {
+            identifiers: [this._deviceId()],
+            name: this.client.panelName || 'Aritech panel',
+            manufacturer: 'Aritech',
+            model: this.client.panelModel || undefined,
+            sw_version: this.client.firmwareVersion || undefined
+        };
+    }
+
+    // ========================================================================
+    // Commands
+    // ========================================================================
+
+    /**
+     * Handle a message on a command topic.
+     * @private
+     * @param {string} topic - Topic (base/type/n/set or base/zone/n/inhibit/set)
+     * @param {string} payload - Command payload
+     */
+    async _handleMessage(topic, payload) {
+        if (!this.running || !topic.startsWith(`${this.baseTopic}/`)) return;
+
+        const parts = topic.slice(this.baseTopic.length + 1).split('/');
+        const [type, idStr] = parts;
+        const action = parts.slice(2).join('/');
+        const id = parseInt(idStr, 10);
+        const { command, code } = parseCommand(payload);
+        if (!ENTITY_TYPES[type] || !Number.isInteger(id)) return;
+
+        this.log.debug(`MQTT command: ${type} ${id} ${action} ${command}`, { type, id, action });
+        try {
+            await this._executeCommand(type, id, action, command, code);
+            this.emit('command', { type, id, command });
+        } catch (err) {
+            this.log.debug(`MQTT command failed: ${err.message}`, { err });
+            this.emit('commandError', { type, id, command, error: err });
+        }
+    }
+
+    /**
+     * Map a command onto the matching client call.
+     * @private
+     */
+    async _executeCommand(type, id, action, command, code) {
+        const client = this.client;
+        const unsupported = () => {
+            throw new AritechError(`Unsupported command '${command}' for ${type} ${id}`, {
+                code: ErrorCodes.PROTOCOL_ERROR
+            });
+        };
+
+        if (type === 'zone' && action === 'inhibit/set') {
+            if (command === ON) return client.inhibitZone(id);
+            if (command === OFF) return client.uninhibitZone(id);
+            return unsupported();
+        }
+        if (action !== 'set') return unsupported();
+
+        switch (type) {
+            case 'area': {
+                if (command === 'DISARM') {
+                    this._checkDisarmCode(code);
+                    return client.disarmArea(id);
+                }
+                const force = command.startsWith('FORCE_');
+                const setType = ARM_COMMANDS[force ? command.slice(6) : command];
+                if (!setType) return unsupported();
+                return client.armArea(id, setType, force);
+            }
+            case 'output':
+                if (command === ON) return client.forceActivateOutput(id);
+                if (command === OFF) return client.forceDeactivateOutput(id);
+                if (command === 'RESET') return client.cancelForceOutput(id);
+                return unsupported();
+            case 'trigger':
+                if (command === ON) return client.activateTrigger(id);
+                if (command === OFF) return client.deactivateTrigger(id);
+                return unsupported();
+            case 'door':
+                if (command === 'LOCK') return client.lockDoor(id);
+                if (command === 'UNLOCK') return client.unlockDoor(id);
+                if (command === 'OPEN') return client.unlockDoorStandardTime(id);
+                if (command === 'ENABLE') return client.enableDoor(id);
+                if (command === 'DISABLE') return client.disableDoor(id);
+                return unsupported();
+            default:
+                // Zones (state) and filters are read-only
+                return unsupported();
+        }
+    }
+
+    /**
+     * Refuse a disarm without the configured code.
+     * @private
+     * @param {string} [code] - Code sent with the command
+     * @throws {AritechError} If no code is configured or the code does not match
+     */
+    _checkDisarmCode(code) {
+        const expected = this.options.disarmCode;
+        if (expected === false) return;
+        if (expected === undefined || expected === null || expected === '') {
+            throw new AritechError('Disarming over MQTT needs the disarmCode option', {
+                code: ErrorCodes.DISARM_FAILED
+            });
+        }
+        const digest = value => createHash('sha256').update(String(value)).digest();
+        if (code === undefined || !timingSafeEqual(digest(code), digest(expected))) {
+            throw new AritechError('Wrong or missing disarm code', { code: ErrorCodes.DISARM_FAILED });
+        }
+    }
+}
+
+export default AritechMqttBridge;
@@ -0,0 +1,516 @@
+/**
+ * Aritech ATS HTTP API Server
+ *
+ * Exposes a logged-in AritechClient over a small JSON HTTP API, so dashboards and scripts
+ * that are not written in Node can read state and control the panel. All requests share the
+ * client's panel session; every operation runs under the client's command lock, so multi-step
+ * commands (e.g. arming with its control session and status polling) never interleave.
+ *
+ * Routes (all require "Authorization: Bearer <token>"):
+ *   GET  /panel                              Panel description
+ *   GET  /areas | /zones | /outputs | /triggers | /doors | /filters | /readers
+ *   GET  /<type>/<n>                         Single entity with name and parsed state
+ *   POST /areas/<n>/arm                      Body: { "type": "full"|"part1"|"part2", "force": false }
+ *   POST /areas/<n>/disarm
+ *   POST /zones/<n>/inhibit | /uninhibit
+ *   POST /outputs/<n>/force-activate | /force-deactivate | /cancel-force
+ *   POST /triggers/<n>/activate | /deactivate
+ *   POST /doors/<n>/lock | /unlock | /unlock-standard | /disable | /enable
+ *   POST /doors/<n>/unlock-timed             Body: { "seconds": 10 }
+ *   GET  /events                             Live state stream (SSE, or WebSocket upgrade), see aritech-stream.js
+ *
+ * Errors are returned as { error: { code, message, details } } with the AritechError code.
+ */
+
+import { createServer, STATUS_CODES } from 'http';
+import { createHash, timingSafeEqual } from 'crypto';
+import { EventEmitter } from 'events';
+import { AritechError, ErrorCodes } from './aritech-client.js';
+
+// Largest accepted request body (bytes)
+const MAX_BODY_SIZE = 64 * 1024;
+
+// Entity collections and their client entity type
+const ENTITY_TYPES = {
+    areas: { key: 'area' },
+    zones: { key: 'zone' },
+    outputs: { key: 'output' },
+    triggers: { key: 'trigger' },
+    doors: { key: 'door' },
+    filters: { key: 'filter' },
+    readers: { key: 'reader' }
+};
+
+const ARM_TYPES = ['full', 'part1', 'part2'];
+
+// POST /<type>/<n>/<action> -> client call
+const ACTIONS = {
+    areas: {
+        'arm': (client, n, body) => {
+            const setType = body.type ?? 'full';
+            if (!ARM_TYPES.includes(setType)) {
+                throw new HttpError(400, 'BAD_REQUEST', `Invalid arm type '${setType}' (expected ${ARM_TYPES.join(', ')})`);
+            }
+            return client.armArea(n, setType, body.force === true);
+        },
+        'disarm': (client, n) => client.disarmArea(n)
+    },
+    zones: {
+        'inhibit': (client, n) => client.inhibitZone(n),
+        'uninhibit': (client, n) => client.uninhibitZone(n)
+    },
+    outputs: {
+        'force-activate': (client, n) => client.forceActivateOutput(n),
+        'force-deactivate': (client, n) => client.forceDeactivateOutput(n),
+        'cancel-force': (client, n) => client.cancelForceOutput(n)
+    },
+    triggers: {
+        'activate': (client, n) => client.activateTrigger(n),
+        'deactivate': (client, n) => client.deactivateTrigger(n)
+    },
+    doors: {
+        'lock': (client, n) => client.lockDoor(n),
+        'unlock': (client, n) => client.unlockDoor(n),
+        'unlock-standard': (client, n) => client.unlockDoorStandardTime(n),
+        'unlock-timed': (client, n, body) => {
+            const seconds = Number(body.seconds);
+            if (!Number.isInteger(seconds) || seconds < 1) {
+                throw new HttpError(400, 'BAD_REQUEST', 'unlock-timed requires a positive integer "seconds"');
+            }
+            return client.unlockDoorTime(n, seconds);
+        },
+        'disable': (client, n) => client.disableDoor(n),
+        'enable': (client, n) => client.enableDoor(n)
+    }
+};
+
+// AritechError codes that mean the panel session is unavailable rather than the command failing
+const UNAVAILABLE_CODES = new Set([
+    ErrorCodes.CONNECTION_FAILED,
+    ErrorCodes.CONNECTION_LOST,
+    ErrorCodes.NOT_CONNECTED
+]);
+
+// AritechError codes for malformed or undecodable panel traffic
+const BAD_GATEWAY_CODES = new Set([
+    ErrorCodes.PROTOCOL_ERROR,
+    ErrorCodes.CRC_ERROR,
+    ErrorCodes.DECRYPT_FAILED,
+    ErrorCodes.PANEL_ERROR
+]);
+
+/**
+ * Error raised by request handling itself (routing, auth, validation).
+ * @private
+ */
+class HttpError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * Map an error to an HTTP status code.
+ * - 503: no panel session (not connected, connection lost, reconnecting)
+ * - 502: protocol or panel errors
+ * - 409: the panel refused the command (arm faults, active zones, failed control command, ...)
+ * - 500: anything else
+ * @param {Error} err - Error thrown while handling a request
+ * @returns {number} HTTP status code
+ */
+export function httpStatusForError(err) {
+    if (err instanceof HttpError) return err.status;
+    if (!(err instanceof AritechError)) return 500;
+    if (UNAVAILABLE_CODES.has(err.code)) return 503;
+    if (BAD_GATEWAY_CODES.has(err.code)) return 502;
+    return 409;
+}
+
+/**
+ * Convert a parsed state object (AreaState, ZoneState, ...) to plain JSON.
+ * Includes the boolean flags, derived getters (e.g. isLocked, isActive) and a text summary.
+ * @param {Object} state - State object
+ * @returns {Object|null} JSON-safe state
+ */
+export function serializeState(state) {
+    if (!state) return null;
+
+    const json = {};
+    for (const [key, value] of Object.entries(state)) {
+        if (key !== 'rawFlags') json[key] = value;
+    }
+    const proto = Object.getPrototypeOf(state);
+    for (const [key, descriptor] of Object.entries(Object.getOwnPropertyDescriptors(proto))) {
+        if (descriptor.get) json[key] = state[key];
+    }
+    json.text = state.toString();
+    return json;
+}
+
+/**
+ * Hash a token so comparisons run in constant time regardless of length.
+ * @private
+ */
+function tokenDigest(token) {
+    return createHash('sha256').update(String(token)).digest();
+}
+
+/**
+ * HTTP API server sharing one panel session.
+ *
+ * Events emitted:
+ * - 'request': { method, path, status, duration } after every response
+ * - 'error': Error object (server errors; logged instead when there is no listener)
+ *
+ * @example
+ * const server = new AritechServer(client, { token: process.env.ARITECH_API_TOKEN, port: 8080 });
+ * const { port } = await server.start();
+ * // curl -H "Authorization: Bearer $ARITECH_API_TOKEN" http://localhost:8080/zones
+ */
+export class AritechServer extends EventEmitter {
+    /**
+     * @param {AritechClient} client - Logged-in client
+     * @param {Object} options
+     * @param {string|string[]} options.token - Accepted bearer token(s)
+     * @param {number} [options.port=8080] - Listen port (0 for a random port)
+     * @param {string} [options.host='127.0.0.1'] - Listen address
+     * @param {AritechEventStream} [options.stream] - Started event stream to serve on /events
+     *   (SSE, and WebSocket when the optional ws package is installed)
+     */
+    constructor(client, options = {}) {
+        super();
+        const tokens = [].concat(options.token ?? options.tokens ?? []).filter(Boolean);
+        if (tokens.length === 0) {
+            throw new Error('AritechServer requires at least one bearer token');
+        }
+
+        this.client = client;
+        this.log = client.log.child({ component: 'api' });
+        this.options = { port: 8080, host: '127.0.0.1', ...options };
+        this.server = null;
+        this.stream = options.stream || null;
+
+        this._wss = null;  // WebSocket server (ws package), created on start when streaming
+        this._tokenDigests = tokens.map(tokenDigest);
+    }
+
+    /**
+     * Start listening.
+     * @returns {Promise<{host: string, port: number}>} Bound address
+     */
+    async start() {
+        if (this.server) {
+            throw new Error('Server is already running');
+        }
+
+        this.server = createServer((req, res) => {
+            this._handleRequest(req, res).catch(err => this._reportError(err));
+        });
+        this.server.on('error', err => this._reportError(err));
+
+        if (this.stream) {
+            this._wss = await this._createWebSocketServer();
+            this.server.on('upgrade', (req, socket, head) => this._handleUpgrade(req, socket, head));
+        }
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.options.port, this.options.host, () => {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+
+        const { address, port } = this.server.address();
+        this.log.debug(`✓ HTTP API listening on ${address}:${port}`);
+        return { host: address, port };
+    }
+
+    /**
+     * Stop listening and close open connections.
+     */
+    async stop() {
+        if (!this.server) return;
+        const server = this.server;
+        this.server = null;
+        if (this._wss) {
+            // Upgraded sockets are detached from the HTTP server, close them separately
+            for (const ws of this._wss.clients) ws.terminate();
+            this._wss.close();
+            this._wss = null;
+        }
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(() => resolve()));
+        this.log.debug('✓ HTTP API stopped');
+    }
+
+    /**
+     * Run an operation exclusively on the shared panel session.
+     * @param {Function} fn - Async function using the client
+     * @returns {Promise<*>} Result of fn
+     */
+    exclusive(fn) {
+        return this.client.exclusive(fn);
+    }
+
+    // ========================================================================
+    // Request handling
+    // ========================================================================
+
+    /**
+     * @private
+     */
+    async _handleRequest(req, res) {
+        const started = Date.now();
+        const url = new URL(req.url, 'http://localhost');
+        let status = 200;
+
+        try {
+            this._authenticate(req, url);
+            if (this.stream && url.pathname === '/events') {
+                this._assertMethod(req.method, 'GET');
+                this.stream.handleSSE(req, res, url);
+                this.emit('request', { method: req.method, path: url.pathname, status, duration: Date.now() - started });
+                return;
+            }
+            const body = req.method === 'POST' ? await this._readBody(req) : {};
+            const result = await this._route(req.method, url, body);
+            this._send(res, 200, result);
+        } catch (err) {
+            status = httpStatusForError(err);
+            this.log.debug(`HTTP ${req.method} ${url.pathname} failed: ${err.message}`, { err });
+            this._send(res, status, {
+                error: {
+                    code: err.code || 'INTERNAL_ERROR',
+                    message: status === 500 ? 'Internal server error' : err.message,
+                    ...(err instanceof AritechError && {
+                        status: err.status,
+                        panelError: err.panelError,
+                        details: err.details
+                    })
+                }
+            }, status === 401 ? { 'WWW-Authenticate': 'Bearer' } : {});
+            if (status === 500) {
+                this._reportError(err);
+            }
+        }
+
+        this.emit('request', { method: req.method, path: url.pathname, status, duration: Date.now() - started });
+    }
+
+    /**
+     * Emit an internal error, or log it when nobody listens: an unhandled 'error' event
+     * would throw and take the server down.
+     * @private
+     * @param {Error} err - Error to report
+     */
+    _reportError(err) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', err);
+        } else {
+            this.log.error(`HTTP API error: ${err.message}`, { err });
+        }
+    }
+
+    /**
+     * Check the bearer token. The /events stream also accepts ?access_token=, since browser
+     * EventSource and WebSocket cannot set an Authorization header.
+     * @private
+     */
+    _authenticate(req, url) {
+        const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+        const token = match?.[1].trim() ?? (url.pathname === '/events' ? url.searchParams.get('access_token') : null);
+        if (token) {
+            const digest = tokenDigest(token);
+            if (this._tokenDigests.some(expected => timingSafeEqual(expected, digest))) {
+                return;
+            }
+        }
+        throw new HttpError(401, 'UNAUTHORIZED', 'Missing or invalid bearer token');
+    }
+
+    /**
+     * @private
+     */
+    async _readBody(req) {
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of req) {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                throw new HttpError(413, 'PAYLOAD_TOO_LARGE', 'Request body too large');
+            }
+            chunks.push(chunk);
+        }
+        if (size === 0) return {};
+
+        try {
+            const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+            return body && typeof body === 'object' ? body : {};
+        } catch {
+            throw new HttpError(400, 'BAD_REQUEST', 'Request body is not valid JSON');
+        }
+    }
+
+    /**
+     * @private
+     */
+    _send(res, status, payload, headers = {}) {
+        const body = JSON.stringify(payload);
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Length': Buffer.byteLength(body),
+            'Cache-Control': 'no-store',
+            ...headers
+        });
+        res.end(body);
+    }
+
+    /**
+     * Dispatch a request to the matching handler.
+     * @private
+     */
+    async _route(method, url, body) {
+        const segments = url.pathname.split('/').filter(Boolean);
+        const [type, idStr, action] = segments;
+
+        if (segments.length === 1 && type === 'panel') {
+            this._assertMethod(method, 'GET');
+            return this._panelInfo();
+        }
+
+        if (!ENTITY_TYPES[type] || segments.length > 3) {
+            throw new HttpError(404, 'NOT_FOUND', `No route for ${url.pathname}`);
+        }
+
+        if (segments.length === 1) {
+            this._assertMethod(method, 'GET');
+            return this._getEntities(type, { refresh: url.searchParams.has('refresh') });
+        }
+
+        const id = Number(idStr);
+        if (!Number.isInteger(id) || id < 1) {
+            throw new HttpError(404, 'NOT_FOUND', `Invalid ${ENTITY_TYPES[type].key} number '${idStr}'`);
+        }
+
+        if (segments.length === 2) {
+            this._assertMethod(method, 'GET');
+            return this._getEntity(type, id);
+        }
+
+        const handler = ACTIONS[type]?.[action];
+        if (!handler) {
+            throw new HttpError(404, 'NOT_FOUND', `Unknown action '${action}' for ${type}`);
+        }
+        this._assertMethod(method, 'POST');
+        await this._findEntity(type, id);
+
+        this.log.debug(`HTTP action: ${type} ${id} ${action}`);
+        const result = await this.exclusive(() => handler(this.client, id, body));
+        return {
+            ok: true,
+            [ENTITY_TYPES[type].key]: id,
+            action,
+            ...(result?.skipped && { skipped: true, reason: result.reason })
+        };
+    }
+
+    _assertMethod(method, expected) {
+        if (method !== expected) {
+            throw new HttpError(405, 'METHOD_NOT_ALLOWED', `Use ${expected} for this route`);
+        }
+    }
+
+    // ========================================================================
+    // WebSocket streaming
+    // ========================================================================
+
+    /**
+     * Load the optional ws package. Without it only SSE streaming is available.
+     * @private
+     */
+    async _createWebSocketServer() {
+        try {
+            const { WebSocketServer } = await import('ws');
+            return new WebSocketServer({ noServer: true });
+        } catch {
+            this.log.debug('ws package not installed, WebSocket streaming disabled (SSE still available)');
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _handleUpgrade(req, socket, head) {
+        const url = new URL(req.url, 'http://localhost');
+        const respond = (status) => {
+            this.emit('request', { method: 'GET', path: url.pathname, status, duration: 0 });
+        };
+        const reject = (status) => {
+            socket.end(`HTTP/1.1 ${status} ${STATUS_CODES[status]}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+            respond(status);
+        };
+
+        if (url.pathname !== '/events') return reject(404);
+        if (!this._wss) return reject(501);
+        try {
+            this._authenticate(req, url);
+        } catch {
+            return reject(401);
+        }
+
+        this._wss.handleUpgrade(req, socket, head, (ws) => {
+            this.stream.handleWebSocket(ws, url);
+            respond(101);
+        });
+    }
+
+    // ========================================================================
+    // Queries
+    // ========================================================================
+
+    _panelInfo() {
+        const client = this.client;
+        return {
+            name: client.panelName,
+            model: client.panelModel,
+            serial: client.config.serial || null,
+            firmware: client.firmwareVersion,
+            protocol: client.protocolVersion,
+            connected: Boolean(client.socket) && !client.reconnecting
+        };
+    }
+
+    async _findEntity(type, id) {
+        const entity = (await this.client.getCachedNames(ENTITY_TYPES[type].key)).find(e => e.number === id);
+        if (!entity) {
+            throw new HttpError(404, 'NOT_FOUND', `${ENTITY_TYPES[type].key} ${id} does not exist`);
+        }
+        return entity;
+    }
+
+    /**
+     * Entities with names (cached by the client) and serialized states.
+     * @private
+     */
+    async _getEntities(type, options) {
+        const entities = await this.client.getEntities(ENTITY_TYPES[type].key, options);
+        return entities.map(({ number, name, state, rawHex }) => ({
+            number,
+            name,
+            state: serializeState(state),
+            rawHex
+        }));
+    }
+
+    async _getEntity(type, id) {
+        await this._findEntity(type, id);
+        const [entity] = await this._getEntities(type, { numbers: [id] });
+        return entity;
+    }
+}
+
+export default AritechServer;
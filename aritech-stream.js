@@ -0,0 +1,376 @@
+/**
+ * Aritech ATS Live Event Stream
+ *
+ * Fans AritechMonitor change events out to Server-Sent Events and WebSocket subscribers.
+ * Every subscriber first receives an 'initialized' snapshot, then every change as JSON.
+ *
+ * Message format (SSE: "event:" is the event name, "id:" the token, "data:" the data JSON;
+ * WebSocket: one JSON text frame { event, token, data } per message):
+ *   initialized   { zones: [{number, name, state, rawHex}], areas: [...], outputs, triggers, doors, filters, readers }
+ *   zoneChanged   { type: 'zone', id, name, state, oldState, rawHex, timestamp }
+ *   areaChanged, outputChanged, triggerChanged, doorChanged, filterChanged, readerChanged (same shape)
+ *   resumed       { missed } - sent instead of the snapshot when a resume token could be honored
+ *
+ * Subscription filters (query string, or a WebSocket { "action": "subscribe", "filter": {...} } message):
+ *   types=zone,area     Only these entity types
+ *   zone=1,2&area=1     Only these ids (types with an id list are implied when types is omitted)
+ *
+ * Resume: every message carries a token. A reconnecting subscriber passes the last token it saw
+ * (SSE: Last-Event-ID header, sent automatically by EventSource; both: ?resume=<token>) and gets the
+ * changes it missed, as long as they are still buffered. Otherwise it gets a fresh snapshot.
+ */
+
+import { EventEmitter } from 'events';
+import { randomBytes } from 'crypto';
+import { AritechMonitor } from './aritech-monitor.js';
+import { serializeState } from './aritech-server.js';
+
+// Monitor collection and change event per entity type
+const ENTITY_TYPES = {
+    zone: { list: 'zones', states: 'zoneStates', event: 'zoneChanged' },
+    area: { list: 'areas', states: 'areaStates', event: 'areaChanged' },
+    output: { list: 'outputs', states: 'outputStates', event: 'outputChanged' },
+    trigger: { list: 'triggers', states: 'triggerStates', event: 'triggerChanged' },
+    door: { list: 'doors', states: 'doorStates', event: 'doorChanged' },
+    filter: { list: 'filters', states: 'filterStates', event: 'filterChanged' },
+    reader: { list: 'readers', states: 'readerStates', event: 'readerChanged' }
+};
+
+const STREAM_DEFAULTS = {
+    bufferSize: 1000,          // Changes kept for resuming subscribers
+    heartbeatInterval: 25000   // SSE comment / WebSocket ping interval (ms), keeps proxies from closing idle streams
+};
+
+/**
+ * Normalize an entity type name ('zones' -> 'zone').
+ * @private
+ */
+function normalizeType(type) {
+    const name = String(type).trim().toLowerCase();
+    if (ENTITY_TYPES[name]) return name;
+    if (name.endsWith('s') && ENTITY_TYPES[name.slice(0, -1)]) return name.slice(0, -1);
+    return null;
+}
+
+/**
+ * Parse a subscription filter.
+ * @param {URLSearchParams|Object} source - Query parameters or { types: [...], zone: [...], ... }
+ * @returns {{types: Set<string>|null, ids: Object<string, Set<number>>}} Filter (null types = all)
+ */
+export function parseFilter(source = {}) {
+    const get = source instanceof URLSearchParams
+        ? key => source.get(key)
+        : key => source[key];
+    const list = value => {
+        if (value === undefined || value === null || value === '') return [];
+        return Array.isArray(value) ? value : String(value).split(',');
+    };
+
+    const ids = {};
+    for (const type of Object.keys(ENTITY_TYPES)) {
+        const values = list(get(type)).map(Number).filter(Number.isInteger);
+        if (values.length > 0) ids[type] = new Set(values);
+    }
+
+    let types = list(get('types')).map(normalizeType).filter(Boolean);
+    if (types.length === 0 && Object.keys(ids).length > 0) {
+        types = Object.keys(ids);
+    }
+
+    return { types: types.length > 0 ? new Set(types) : null, ids };
+}
+
+/**
+ * Check whether an entity passes a subscription filter.
+ * @param {Object} filter - Filter from parseFilter
+ * @param {string} type - Entity type
+ * @param {number} id - Entity number
+ * @returns {boolean}
+ */
+export function matchesFilter(filter, type, id) {
+    if (filter.types && !filter.types.has(type)) return false;
+    if (filter.ids[type] && !filter.ids[type].has(id)) return false;
+    return true;
+}
+
+/**
+ * Live state stream on top of an AritechMonitor.
+ *
+ * Events emitted:
+ * - 'subscribed': { transport, filter, resumed }
+ * - 'unsubscribed': { transport }
+ *
+ * @example
+ * const stream = new AritechEventStream(new AritechMonitor(client));
+ * await stream.start();
+ * const server = new AritechServer(client, { token, stream });  // GET /events (SSE) and WebSocket /events
+ */
+export class AritechEventStream extends EventEmitter {
+    /**
+     * @param {AritechMonitor|AritechClient} monitorOrClient - Monitor to follow (a client gets its own monitor)
+     * @param {Object} [options]
+     * @param {number} [options.bufferSize=1000] - Number of changes kept for resuming subscribers
+     * @param {number} [options.heartbeatInterval=25000] - Keep-alive interval in ms
+     */
+    constructor(monitorOrClient, options = {}) {
+        super();
+        this._ownsMonitor = !(monitorOrClient instanceof AritechMonitor);
+        this.monitor = this._ownsMonitor ? new AritechMonitor(monitorOrClient) : monitorOrClient;
+        this.options = { ...STREAM_DEFAULTS, ...options };
+        this.log = this.monitor.log.child({ component: 'stream' });
+        this.running = false;
+
+        // Tokens are "<stream id>-<sequence>", the stream id rejects tokens of an earlier run
+        this.streamId = randomBytes(4).toString('hex');
+        this.sequence = 0;
+        this.buffer = [];               // Last changes: { seq, event, type, id, data }
+        this.subscribers = new Set();   // { transport, filter, send(event, token, data), heartbeat(), close() }
+
+        this._monitorListeners = [];
+        this._heartbeat = null;
+    }
+
+    /**
+     * Start following the monitor (started here if it is not running yet).
+     */
+    async start() {
+        if (this.running) {
+            throw new Error('Event stream is already running');
+        }
+
+        if (!this.monitor.running) {
+            await this.monitor.start();
+        }
+
+        for (const [type, { event }] of Object.entries(ENTITY_TYPES)) {
+            const listener = (change) => this._publish(type, event, change);
+            this.monitor.on(event, listener);
+            this._monitorListeners.push([event, listener]);
+        }
+
+        this._heartbeat = setInterval(() => {
+            for (const subscriber of this.subscribers) {
+                subscriber.heartbeat();
+            }
+        }, this.options.heartbeatInterval);
+        this._heartbeat.unref();
+
+        this.running = true;
+        this.log.debug(`✓ Event stream started (${this.streamId})`);
+    }
+
+    /**
+     * Close all subscribers and detach from the monitor.
+     */
+    stop() {
+        if (!this.running) return;
+        this.running = false;
+
+        clearInterval(this._heartbeat);
+        this._heartbeat = null;
+        for (const [event, listener] of this._monitorListeners) {
+            this.monitor.off(event, listener);
+        }
+        this._monitorListeners = [];
+        if (this._ownsMonitor) {
+            this.monitor.stop();
+        }
+
+        for (const subscriber of this.subscribers) {
+            subscriber.close();
+        }
+        this.subscribers.clear();
+        this.log.debug('✓ Event stream stopped');
+    }
+
+    /**
+     * Token of the latest change (what a subscriber that is up to date would resume from).
+     * @returns {string}
+     */
+    get token() {
+        return `${this.streamId}-${this.sequence}`;
+    }
+
+    // ========================================================================
+    // Snapshot and resume
+    // ========================================================================
+
+    /**
+     * Build the current state of all entities that pass a filter.
+     * @param {Object} [filter] - Filter from parseFilter (default: everything)
+     * @returns {Object} { zones: [...], areas: [...], ... }
+     */
+    snapshot(filter = parseFilter()) {
+        const snapshot = {};
+        for (const [type, { list, states }] of Object.entries(ENTITY_TYPES)) {
+            if (filter.types && !filter.types.has(type)) continue;
+            snapshot[list] = this.monitor[list]
+                .filter(entity => matchesFilter(filter, type, entity.number))
+                .map(entity => {
+                    const data = this.monitor[states][entity.number];
+                    return {
+                        number: entity.number,
+                        name: entity.name,
+                        state: serializeState(data?.state),
+                        rawHex: data?.rawHex ?? null
+                    };
+                });
+        }
+        return snapshot;
+    }
+
+    /**
+     * Changes after a resume token, or null if the token cannot be honored
+     * (different stream run, malformed, or older than the buffer).
+     * @param {string} token - Resume token
+     * @returns {Array|null} Buffered changes after the token
+     */
+    changesSince(token) {
+        const match = /^([0-9a-f]+)-(\d+)$/.exec(String(token || ''));
+        if (!match || match[1] !== this.streamId) return null;
+
+        const seq = Number(match[2]);
+        if (seq > this.sequence) return null;
+        if (seq === this.sequence) return [];
+
+        const oldest = this.buffer[0]?.seq ?? this.sequence + 1;
+        if (seq + 1 < oldest) return null;
+        return this.buffer.filter(change => change.seq > seq);
+    }
+
+    // ========================================================================
+    // Transports
+    // ========================================================================
+
+    /**
+     * Serve a Server-Sent Events subscription on an HTTP response.
+     * @param {http.IncomingMessage} req - Request (Last-Event-ID header is used for resuming)
+     * @param {http.ServerResponse} res - Response to stream to
+     * @param {URL} url - Parsed request URL (filter and resume query)
+     */
+    handleSSE(req, res, url) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-store',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+
+        // Writes can race with the browser going away, before 'close' unsubscribes
+        const write = (chunk) => {
+            if (!res.writableEnded && !res.destroyed) res.write(chunk);
+        };
+        const subscriber = {
+            transport: 'sse',
+            filter: parseFilter(url.searchParams),
+            send: (event, token, data) => write(`id: ${token}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`),
+            heartbeat: () => write(': ping\n\n'),
+            close: () => res.end()
+        };
+
+        req.on('close', () => this._unsubscribe(subscriber));
+        this._subscribe(subscriber, url.searchParams.get('resume') || req.headers['last-event-id']);
+    }
+
+    /**
+     * Serve a WebSocket subscription.
+     * Clients may send { "action": "subscribe", "filter": { types, zone, ... } } to change their
+     * filter, which is answered with a new snapshot.
+     * @param {WebSocket} ws - Connected socket (ws package)
+     * @param {URL} url - Parsed request URL (filter and resume query)
+     */
+    handleWebSocket(ws, url) {
+        const subscriber = {
+            transport: 'websocket',
+            filter: parseFilter(url.searchParams),
+            send: (event, token, data) => ws.send(JSON.stringify({ event, token, data })),
+            heartbeat: () => ws.ping(),
+            close: () => ws.close(1001, 'Stream stopped')
+        };
+
+        ws.on('message', (message) => {
+            let request;
+            try {
+                request = JSON.parse(message.toString());
+            } catch {
+                ws.send(JSON.stringify({ event: 'error', data: { message: 'Message is not valid JSON' } }));
+                return;
+            }
+            if (request?.action === 'subscribe') {
+                subscriber.filter = parseFilter(request.filter);
+                subscriber.send('initialized', this.token, this.snapshot(subscriber.filter));
+            } else {
+                ws.send(JSON.stringify({ event: 'error', data: { message: `Unknown action '${request?.action}'` } }));
+            }
+        });
+        ws.on('close', () => this._unsubscribe(subscriber));
+        ws.on('error', (err) => this.log.debug('WebSocket subscriber error', { err }));
+
+        this._subscribe(subscriber, url.searchParams.get('resume'));
+    }
+
+    /**
+     * Register a subscriber and send it the snapshot or the changes it missed.
+     * @private
+     */
+    _subscribe(subscriber, resumeToken) {
+        const missed = resumeToken ? this.changesSince(resumeToken) : null;
+
+        if (missed) {
+            const changes = missed.filter(change => matchesFilter(subscriber.filter, change.type, change.id));
+            subscriber.send('resumed', this.token, { missed: changes.length });
+            for (const change of changes) {
+                subscriber.send(change.event, `${this.streamId}-${change.seq}`, change.data);
+            }
+        } else {
+            if (resumeToken) this.log.debug(`Resume token ${resumeToken} expired, sending snapshot`);
+            subscriber.send('initialized', this.token, this.snapshot(subscriber.filter));
+        }
+
+        this.subscribers.add(subscriber);
+        this.log.debug(`Stream subscriber added (${subscriber.transport}, ${this.subscribers.size} total)`);
+        this.emit('subscribed', { transport: subscriber.transport, filter: subscriber.filter, resumed: Boolean(missed) });
+    }
+
+    _unsubscribe(subscriber) {
+        if (!this.subscribers.delete(subscriber)) return;
+        this.log.debug(`Stream subscriber removed (${subscriber.transport}, ${this.subscribers.size} left)`);
+        this.emit('unsubscribed', { transport: subscriber.transport });
+    }
+
+    /**
+     * Buffer a monitor change and send it to matching subscribers.
+     * @private
+     */
+    _publish(type, event, { id, name, oldData, newData }) {
+        const change = {
+            seq: ++this.sequence,
+            event,
+            type,
+            id,
+            data: {
+                type,
+                id,
+                name,
+                state: serializeState(newData?.state),
+                oldState: serializeState(oldData?.state),
+                rawHex: newData?.rawHex ?? null,
+                timestamp: new Date().toISOString()
+            }
+        };
+
+        this.buffer.push(change);
+        if (this.buffer.length > this.options.bufferSize) {
+            this.buffer.shift();
+        }
+
+        const token = `${this.streamId}-${change.seq}`;
+        for (const subscriber of this.subscribers) {
+            if (matchesFilter(subscriber.filter, type, id)) {
+                subscriber.send(event, token, change.data);
+            }
+        }
+    }
+}
+
+export default AritechEventStream;
@@ -319,6 +319,184 @@ export function calculateProtocolVersion(firmware) {
     }
 }
 
+// ============================================================================
+// BCD DATES
+// ============================================================================
+
+/**
+ * Encode a calendar date as 3 BCD bytes (YYMMDD), as used for user validity dates.
+ * @param {Date|string|null} date - Date, 'YYYY-MM-DD' string, or null for "no date" (000000)
+ * @returns {Buffer} 3 bytes
+ * @throws {Error} If the date is invalid or outside 2000-2099
+ */
+export function encodeBcdDate(date) {
+    if (date === null || date === undefined) {
+        return Buffer.alloc(3);
+    }
+
+    // 'YYYY-MM-DD' is taken as a calendar date, other values as a point in local time
+    const match = typeof date === 'string' && date.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const parsed = match ? null : new Date(date);
+    const [year, month, day] = match
+        ? match.slice(1).map(Number)
+        : [parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate()];
+
+    // Date rolls impossible days over (2025-02-31 becomes March 3rd), so they do not round-trip
+    const check = new Date(year, month - 1, day);
+    if (Number.isNaN(year) || year < 2000 || year > 2099
+        || check.getFullYear() !== year || check.getMonth() !== month - 1 || check.getDate() !== day) {
+        throw new Error(`Invalid date: ${date} (expected YYYY-MM-DD between 2000 and 2099)`);
+    }
+    const toBcd = (value) => ((Math.floor(value / 10) % 10) << 4) | (value % 10);
+    return Buffer.from([toBcd(year % 100), toBcd(month), toBcd(day)]);
+}
+
+/**
+ * Decode 3 BCD bytes (YYMMDD) into a 'YYYY-MM-DD' string.
+ * @param {Buffer} bytes - BCD date bytes
+ * @returns {string|null} Date string, or null for "no date" (000000)
+ */
+export function decodeBcdDate(bytes) {
+    if (bytes.length < 3 || (bytes[0] === 0 && bytes[1] === 0 && bytes[2] === 0)) {
+        return null;
+    }
+    const fromBcd = (value) => ((value >> 4) * 10 + (value & 0x0F)).toString().padStart(2, '0');
+    return `20${fromBcd(bytes[0])}-${fromBcd(bytes[1])}-${fromBcd(bytes[2])}`;
+}
+
+/**
+ * Calendar date and wall-clock time of a point in time, in the host's or the given time zone.
+ * @param {Date|string|number} date - Date or anything new Date() accepts
+ * @param {string} [timeZone] - IANA time zone, e.g. 'Europe/Amsterdam' (default: the host's)
+ * @returns {Object} {year, month, day, hour, minute, second, dayOfWeek} (month 1-12, dayOfWeek 0 = Sunday)
+ * @throws {RangeError} If the time zone is unknown
+ */
+export function getWallClock(date, timeZone) {
+    const parsed = new Date(date);
+    if (!timeZone || Number.isNaN(parsed.getTime())) {
+        return {
+            year: parsed.getFullYear(), month: parsed.getMonth() + 1, day: parsed.getDate(),
+            hour: parsed.getHours(), minute: parsed.getMinutes(), second: parsed.getSeconds(),
+            dayOfWeek: parsed.getDay()
+        };
+    }
+    const format = new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+    });
+    const fields = Object.fromEntries(format.formatToParts(parsed)
+        .filter(part => part.type !== 'literal')
+        .map(part => [part.type, Number(part.value)]));
+    const { year, month, day, hour, minute, second } = fields;
+    return { year, month, day, hour, minute, second, dayOfWeek: new Date(Date.UTC(year, month - 1, day)).getUTCDay() };
+}
+
+/**
+ * Encode a point in time as 6 BCD bytes (YYMMDDhhmmss) of wall-clock time, as used for the panel clock.
+ * @param {Date|string|number} date - Date or anything new Date() accepts
+ * @param {string} [timeZone] - IANA time zone of the panel clock (default: the host's)
+ * @returns {Buffer} 6 bytes
+ * @throws {Error} If the date is invalid or outside 2000-2099
+ */
+export function encodeBcdDateTime(date, timeZone) {
+    const { year, month, day, hour, minute, second } = getWallClock(date, timeZone);
+    if (Number.isNaN(year) || year < 2000 || year > 2099) {
+        throw new Error(`Invalid date: ${date} (expected a time between 2000 and 2099)`);
+    }
+    const toBcd = (value) => ((Math.floor(value / 10) % 10) << 4) | (value % 10);
+    return Buffer.from([year % 100, month, day, hour, minute, second].map(toBcd));
+}
+
+/**
+ * Decode 6 BCD bytes (YYMMDDhhmmss of wall-clock time) into a Date.
+ * @param {Buffer} bytes - BCD date and time bytes
+ * @param {string} [timeZone] - IANA time zone of the panel clock (default: the host's)
+ * @returns {Date|null} Date, or null if the bytes are not a valid BCD time
+ */
+export function decodeBcdDateTime(bytes, timeZone) {
+    if (bytes.length < 6 || bytes.subarray(0, 6).some(value => (value >> 4) > 9 || (value & 0x0F) > 9)) {
+        return null;
+    }
+    const [year, month, day, hour, minute, second] = [...bytes.subarray(0, 6)].map(value => (value >> 4) * 10 + (value & 0x0F));
+    // Date rolls impossible days over (Feb 30th becomes March 2nd), check the real month length
+    const check = new Date(Date.UTC(2000 + year, month - 1, day));
+    if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+        return null;
+    }
+    if (!timeZone) {
+        return new Date(2000 + year, month - 1, day, hour, minute, second);
+    }
+
+    // Wall-clock time in the zone: start from UTC and correct by the zone's offset at that time
+    const wall = Date.UTC(2000 + year, month - 1, day, hour, minute, second);
+    const offsetAt = (time) => {
+        const clock = getWallClock(time, timeZone);
+        return Date.UTC(clock.year, clock.month - 1, clock.day, clock.hour, clock.minute, clock.second) - time;
+    };
+    const guess = wall - offsetAt(wall);
+    return new Date(wall - offsetAt(guess));
+}
+
+// ============================================================================
+// CARD NUMBERS
+// ============================================================================
+
+// Card bytes a card field holds after its size byte (event log entries and user records)
+export const MAX_CARD_BYTES = 5;
+
+/**
+ * Normalize a card number to a decimal string, the form used throughout the library.
+ * Cards can exceed 2^53, so numbers are only accepted as safe integers or bigints.
+ * @param {string|number|bigint} card - Card number
+ * @returns {string} Decimal string without leading zeros
+ * @throws {Error} If the card number is not a positive integer that fits MAX_CARD_BYTES
+ */
+export function normalizeCardNumber(card) {
+    const text = typeof card === 'bigint' || Number.isSafeInteger(card) ? String(card) : card;
+    const value = typeof text === 'string' && /^\d+$/.test(text) ? BigInt(text) : 0n;
+    if (value < 1n || value >= 1n << BigInt(8 * MAX_CARD_BYTES)) {
+        throw new Error(`Invalid card number: ${card} (expected a decimal number of up to ${MAX_CARD_BYTES} bytes)`);
+    }
+    return value.toString();
+}
+
+/**
+ * Encode a card field: the low nibble of the first byte is the number of card bytes that
+ * follow (big-endian), as in event log entries.
+ * @param {string|number|bigint|null} card - Card number, or null for "no card"
+ * @returns {Buffer} 1 + MAX_CARD_BYTES bytes
+ * @throws {Error} If the card number is invalid (see normalizeCardNumber)
+ */
+export function encodeCardNumber(card) {
+    const field = Buffer.alloc(1 + MAX_CARD_BYTES);
+    if (card === null || card === undefined) {
+        return field;
+    }
+    const hex = BigInt(normalizeCardNumber(card)).toString(16);
+    const bytes = Buffer.from(hex.padStart(hex.length + (hex.length % 2), '0'), 'hex');
+    field[0] = bytes.length;
+    bytes.copy(field, 1);
+    return field;
+}
+
+/**
+ * Decode a card field (see encodeCardNumber).
+ * @param {Buffer} bytes - Card field, the size byte first
+ * @returns {{number: string, hex: string}|null} Card number as a decimal string and the raw
+ *   card bytes, or null if the field is empty or its size does not fit the bytes given
+ */
+export function decodeCardNumber(bytes) {
+    const size = bytes.length > 0 ? bytes[0] & 0x0F : 0;
+    if (size === 0 || 1 + size > bytes.length) {
+        return null;
+    }
+    const card = bytes.subarray(1, 1 + size);
+    return {
+        number: BigInt(`0x${card.toString('hex')}`).toString(),
+        hex: card.toString('hex')
+    };
+}
+
 // ============================================================================
 // AES-CTR MODE (128/192/256 bit)
 // ============================================================================
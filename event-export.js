@@ -0,0 +1,190 @@
+/**
+ * Aritech ATS Event Log Export
+ * Formats parsed event log entries (see event-parser.js) as CSV, JSON Lines or syslog.
+ *
+ * All formats share the same fields in a stable order, so exports from different
+ * panels and client versions can be compared and imported the same way:
+ *   timestamp, sequence, category, name, entityType, entityId, entityDescription, area,
+ *   userId, userName, origin
+ */
+
+// ============================================================================
+// EXPORT DEFINITIONS
+// ============================================================================
+
+/**
+ * Export columns in output order.
+ */
+export const EVENT_EXPORT_COLUMNS = [
+    'timestamp',
+    'sequence',
+    'category',
+    'name',
+    'entityType',
+    'entityId',
+    'entityDescription',
+    'area',
+    'userId',
+    'userName',
+    'origin'
+];
+
+/**
+ * Supported export formats.
+ */
+export const EVENT_EXPORT_FORMATS = ['csv', 'jsonl', 'syslog'];
+
+/**
+ * Syslog severity per event category (RFC 5424 numeric severities).
+ */
+const SYSLOG_SEVERITIES = {
+    Alarm: 1,        // alert
+    Trouble: 4,      // warning
+    Set_Partset: 5,  // notice
+    Unset: 5,        // notice
+    Access: 5,       // notice
+    Restore: 6,      // informational
+    Info: 6,         // informational
+    Picture: 6,      // informational
+    Ignored: 7       // debug
+};
+
+const SYSLOG_FACILITY_LOCAL0 = 16;
+
+// Private enterprise number reserved for documentation (RFC 5612), used for the structured data ID
+const SYSLOG_SD_ID = 'aritech@32473';
+
+// ============================================================================
+// FORMATTING FUNCTIONS
+// ============================================================================
+
+/**
+ * Flatten a parsed event into the export columns.
+ * @param {Object} event - Parsed event from parseEvent / readEventLog
+ * @returns {Object} Record with the keys of EVENT_EXPORT_COLUMNS, in order
+ */
+export function eventToRecord(event) {
+    const origin = event.decoded?.origin;
+    return {
+        timestamp: event.timestamp ?? null,
+        sequence: event.sequence ?? null,
+        category: event.category ?? null,
+        name: event.name ?? null,
+        entityType: event.entity?.type ?? null,
+        entityId: event.entity?.id ?? null,
+        entityDescription: event.entity?.description ?? null,
+        area: event.area?.id ? parseInt(event.area.id, 10) : null,
+        userId: event.decoded?.userId ?? null,
+        userName: event.decoded?.userName ?? null,
+        // e.g. "keypad 2" or "reader 1 (Main Entrance)"
+        origin: origin ? `${origin.type} ${origin.id}${origin.name ? ` (${origin.name})` : ''}` : null
+    };
+}
+
+/**
+ * Quote a CSV value if needed (RFC 4180).
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV header line (without line terminator).
+ * @returns {string}
+ */
+export function csvHeader() {
+    return EVENT_EXPORT_COLUMNS.join(',');
+}
+
+/**
+ * Format an event as a CSV line (without line terminator).
+ * @param {Object} event - Parsed event
+ * @returns {string}
+ */
+export function formatEventCsv(event) {
+    const record = eventToRecord(event);
+    return EVENT_EXPORT_COLUMNS.map(column => csvField(record[column])).join(',');
+}
+
+/**
+ * Format an event as a JSON Lines entry (without line terminator).
+ * The export columns come first, followed by the event type ID, all decoded detail
+ * fields (e.g. card number, fault code) and the raw event bytes.
+ * @param {Object} event - Parsed event
+ * @returns {string}
+ */
+export function formatEventJsonl(event) {
+    return JSON.stringify({
+        ...eventToRecord(event),
+        type: event.type ?? null,
+        decoded: event.decoded ?? null,
+        raw: event.raw ?? null
+    });
+}
+
+/**
+ * Escape a structured data parameter value (RFC 5424 section 6.3.3).
+ * @param {*} value - Parameter value
+ * @returns {string}
+ */
+function sdValue(value) {
+    return String(value).replace(/[\\"\]]/g, '\\$&');
+}
+
+/**
+ * Format an event as an RFC 5424 syslog message (without line terminator).
+ * Severity follows the event category, the export columns go into structured data.
+ *
+ * @param {Object} event - Parsed event
+ * @param {Object} [options]
+ * @param {string} [options.hostname='-'] - HOSTNAME field (e.g. the panel name or address)
+ * @param {string} [options.appName='aritech'] - APP-NAME field
+ * @param {number} [options.facility=16] - Syslog facility (default local0)
+ * @returns {string}
+ */
+export function formatEventSyslog(event, { hostname = '-', appName = 'aritech', facility = SYSLOG_FACILITY_LOCAL0 } = {}) {
+    const record = eventToRecord(event);
+    const severity = SYSLOG_SEVERITIES[record.category] ?? 6;
+    const priority = facility * 8 + severity;
+
+    const params = EVENT_EXPORT_COLUMNS
+        .filter(column => column !== 'timestamp' && record[column] !== null)
+        .map(column => `${column}="${sdValue(record[column])}"`);
+    const structuredData = `[${SYSLOG_SD_ID} ${params.join(' ')}]`;
+
+    const entity = record.entityType
+        ? ` (${record.entityType} ${record.entityId}${record.entityDescription ? `: ${record.entityDescription}` : ''})`
+        : '';
+    const user = record.userId !== null ? ` by user ${record.userId}${record.userName ? ` ${record.userName}` : ''}` : '';
+    const origin = record.origin ? ` at ${record.origin}` : '';
+    const msgId = (record.category || '-').replace(/\s/g, '_');
+    const message = `${record.name ?? 'Unknown event'}${entity}${user}${origin}`;
+
+    return `<${priority}>1 ${record.timestamp ?? '-'} ${hostname} ${appName} - ${msgId} ${structuredData} ${message}`;
+}
+
+/**
+ * Format an event in one of the export formats.
+ * @param {Object} event - Parsed event
+ * @param {string} format - 'csv', 'jsonl' or 'syslog'
+ * @param {Object} [options] - Format options (see formatEventSyslog)
+ * @returns {string} Line without line terminator
+ */
+export function formatEvent(event, format, options = {}) {
+    switch (format) {
+        case 'csv':
+            return formatEventCsv(event);
+        case 'jsonl':
+            return formatEventJsonl(event);
+        case 'syslog':
+            return formatEventSyslog(event, options);
+        default:
+            throw new Error(`Unknown export format: ${format} (expected ${EVENT_EXPORT_FORMATS.join(', ')})`);
+    }
+}
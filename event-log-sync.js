@@ -0,0 +1,157 @@
+/**
+ * Aritech ATS Incremental Event Log Sync
+ *
+ * Reads only the events added to the panel log since the previous run. The newest event
+ * seen is stored as a cursor ({ sequence, timestamp }) in a local JSON state file; the next
+ * run reads the log newest first until it reaches that event again.
+ *
+ * Sequence numbers are a single byte and wrap from 255 to 0, so a sequence number alone
+ * does not identify an event once more than 256 events were logged. The cursor therefore
+ * matches on sequence and timestamp, and reading also stops at the first event older than
+ * the cursor (the cursor event itself was overwritten when the log filled up).
+ *
+ * Usage (e.g. from a cron job appending to an archive):
+ *   const sync = new EventLogSync(client, { stateFile: './event-cursor.json' });
+ *   await sync.sync(async (events) => appendToArchive(events));  // oldest first
+ *
+ * The cursor is only saved after the handler resolved, so a failed append is retried on the
+ * next run and every event reaches the archive exactly once.
+ */
+
+import { readFile, writeFile, rename } from 'fs/promises';
+
+/**
+ * Read the events logged after a cursor, newest first until the cursor event is reached.
+ * Shared by EventLogSync (cursor in a state file) and AritechMonitor (cursor in memory).
+ *
+ * @param {AritechClient} client - Logged-in client
+ * @param {{sequence: number, timestamp: string}|null} previous - Newest event already seen, null for the whole log
+ * @param {Object} [options]
+ * @param {number} [options.maxEvents=0] - Maximum number of events to read (0 = unlimited)
+ * @param {Object} [options.names] - Name tables for the decoded details (see readEventLog)
+ * @returns {Promise<{events: Object[], cursor: Object|null, gap: boolean}>}
+ *   events - New events in chronological order (oldest first)
+ *   cursor - Cursor after these events (newest event, or the previous cursor)
+ *   gap    - True if the previous cursor was not found, so events may have been missed
+ *            (log overwritten since the last read, or maxEvents reached)
+ */
+export async function readEventsAfter(client, previous, { maxEvents = 0, names } = {}) {
+    const previousTime = previous ? Date.parse(previous.timestamp) : null;
+    const newestFirst = [];
+    let found = previous === null;
+
+    for await (const event of client.readEventLog(maxEvents, { names })) {
+        if (previous) {
+            if (event.sequence === previous.sequence && event.timestamp === previous.timestamp) {
+                found = true;
+                break;
+            }
+            if (Date.parse(event.timestamp) < previousTime) {
+                client.log.debug(`Event log cursor (sequence ${previous.sequence}) no longer in log`);
+                break;
+            }
+        }
+        newestFirst.push(event);
+    }
+
+    const newest = newestFirst[0];
+    client.log.debug(`Event log: ${newestFirst.length} new event(s)${found ? '' : ', cursor not reached'}`);
+    return {
+        events: newestFirst.reverse(),
+        cursor: newest ? { sequence: newest.sequence, timestamp: newest.timestamp } : previous,
+        gap: !found
+    };
+}
+
+/**
+ * Incremental reader for the panel event log with a persistent cursor.
+ */
+export class EventLogSync {
+    /**
+     * @param {AritechClient} client - Logged-in client
+     * @param {Object} options
+     * @param {string} options.stateFile - Path of the JSON file holding the cursor
+     * @param {number} [options.maxEvents=0] - Maximum number of events to read per run (0 = unlimited)
+     */
+    constructor(client, { stateFile, maxEvents = 0 } = {}) {
+        if (!stateFile) {
+            throw new Error('EventLogSync requires a stateFile');
+        }
+        this.client = client;
+        this.stateFile = stateFile;
+        this.maxEvents = maxEvents;
+    }
+
+    /**
+     * Load the stored cursor.
+     * @returns {Promise<{sequence: number, timestamp: string}|null>} Cursor, or null before the first sync
+     */
+    async loadCursor() {
+        let content;
+        try {
+            content = await readFile(this.stateFile, 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+
+        // A damaged state file must not silently restart the sync from the whole log
+        let cursor;
+        try {
+            cursor = JSON.parse(content);
+        } catch (err) {
+            throw new Error(`Invalid event log cursor in ${this.stateFile}: ${err.message}`);
+        }
+        if (!Number.isInteger(cursor?.sequence) || Number.isNaN(Date.parse(cursor?.timestamp))) {
+            throw new Error(`Invalid event log cursor in ${this.stateFile}`);
+        }
+        return { sequence: cursor.sequence, timestamp: cursor.timestamp };
+    }
+
+    /**
+     * Store a cursor. Written to a temporary file first so an interrupted write keeps the old cursor.
+     * @param {{sequence: number, timestamp: string}} cursor - Newest event already processed
+     */
+    async saveCursor(cursor) {
+        const state = {
+            sequence: cursor.sequence,
+            timestamp: cursor.timestamp,
+            updatedAt: new Date().toISOString()
+        };
+        const tempFile = `${this.stateFile}.tmp`;
+        await writeFile(tempFile, `${JSON.stringify(state, null, 2)}\n`);
+        await rename(tempFile, this.stateFile);
+        this.client.log?.debug(`Saved event log cursor: sequence ${cursor.sequence} at ${cursor.timestamp}`);
+    }
+
+    /**
+     * Read the events logged after the stored cursor, without saving a new cursor.
+     *
+     * @returns {Promise<{events: Object[], cursor: Object|null, gap: boolean}>}
+     *   events - New events in chronological order (oldest first)
+     *   cursor - Cursor to save once the events are processed (newest event, or the previous cursor)
+     *   gap    - True if the previous cursor was not found, so events may have been missed
+     *            (log overwritten since the last run, or maxEvents reached)
+     */
+    async readNew() {
+        return readEventsAfter(this.client, await this.loadCursor(), { maxEvents: this.maxEvents });
+    }
+
+    /**
+     * Read new events, pass them to the handler and save the cursor once the handler resolved.
+     *
+     * @param {Function} [handler] - async (events) => void, called with the new events (oldest first)
+     * @returns {Promise<Object[]>} New events in chronological order
+     */
+    async sync(handler) {
+        const { events, cursor } = await this.readNew();
+        if (events.length === 0) {
+            return events;
+        }
+        if (handler) {
+            await handler(events);
+        }
+        await this.saveCursor(cursor);
+        return events;
+    }
+}
@@ -19,7 +19,8 @@
  *   Bytes 28-69: Description text (42 bytes, NULL-padded ASCII)
  */
 
-import { EVENT_TYPES, CLASS_ID_STRINGS } from './event-types.js';
+import { EVENT_TYPES, CLASS_ID_STRINGS, EVENT_DETAIL_LAYOUTS, EVENT_DETAIL_KINDS } from './event-types.js';
+import { decodeCardNumber } from './aritech-utils.js';
 
 // ============================================================================
 // EVENT FIELD DEFINITIONS
@@ -136,6 +137,65 @@ function parseBcdTimestamp(buffer, offset) {
     return new Date(2000 + year, month - 1, day, hour, minute, second);
 }
 
+/**
+ * Look up a name in a caller-supplied table (Map or plain object keyed by number).
+ * @param {Map|Object} [table] - Number to name table
+ * @param {number} id - Number to look up
+ * @returns {string|null} Name, or null if unknown
+ */
+function lookupName(table, id) {
+    if (!table) return null;
+    const name = table instanceof Map ? table.get(id) : table[id];
+    return name ?? null;
+}
+
+/**
+ * Decode the detail bytes of an event into named fields, based on its event type
+ * (see EVENT_DETAIL_LAYOUTS, unverified). Zero user/device numbers mean "none" and are left out.
+ *
+ * @param {Buffer} eventBuffer - 60 or 70-byte event data
+ * @param {number} eventId - Event type ID
+ * @param {Object} [names] - Optional name tables (Map or object keyed by number)
+ * @param {Map|Object} [names.users] - User names
+ * @param {Map|Object} [names.keypads] - Keypad (RAS) names
+ * @param {Map|Object} [names.readers] - Reader names
+ * @returns {Object|null} { kind, userId?, userName?, origin?: {type, id, name}, regionId?, card?, faultCode? },
+ *   or null for event types without decodable details
+ */
+export function decodeEventDetails(eventBuffer, eventId, names = {}) {
+    const kind = EVENT_DETAIL_KINDS[eventId];
+    if (!kind) {
+        return null;
+    }
+
+    const layout = EVENT_DETAIL_LAYOUTS[kind];
+    const originNames = { keypad: names.keypads, reader: names.readers };
+    const decoded = { kind };
+
+    if (layout.user !== undefined && eventBuffer.readUInt16BE(layout.user)) {
+        decoded.userId = eventBuffer.readUInt16BE(layout.user);
+        decoded.userName = lookupName(names.users, decoded.userId);
+    }
+    if (layout.origin && eventBuffer[layout.origin.byte]) {
+        const id = eventBuffer[layout.origin.byte];
+        decoded.origin = { type: layout.origin.type, id, name: lookupName(originNames[layout.origin.type], id) };
+    }
+    if (layout.region !== undefined && eventBuffer[layout.region]) {
+        decoded.regionId = eventBuffer[layout.region];
+    }
+    if (layout.card !== undefined) {
+        // The card field ends with the detail bytes, a larger size runs into the description
+        const detailsEnd = EVENT_FIELDS.details.byte + EVENT_FIELDS.details.length;
+        const card = decodeCardNumber(eventBuffer.subarray(layout.card, detailsEnd));
+        if (card) decoded.card = card;
+    }
+    if (layout.faultCode !== undefined) {
+        decoded.faultCode = eventBuffer[layout.faultCode];
+    }
+
+    return decoded;
+}
+
 /**
  * Parse an event buffer into structured JSON.
  * Auto-detects format based on buffer length:
@@ -143,9 +203,11 @@ function parseBcdTimestamp(buffer, offset) {
  * - 70 bytes: Legacy format (x500 panels with protocol < 4.4)
  *
  * @param {Buffer} eventBuffer - 60 or 70-byte event data
+ * @param {Object} [options]
+ * @param {Object} [options.names] - Name tables for the decoded details (see decodeEventDetails)
  * @returns {Object} Parsed event object
  */
-export function parseEvent(eventBuffer) {
+export function parseEvent(eventBuffer, { names } = {}) {
     if (!Buffer.isBuffer(eventBuffer)) {
         throw new Error('Input must be a Buffer');
     }
@@ -203,7 +265,9 @@ export function parseEvent(eventBuffer) {
             description: description || null
         },
         // Include detail bytes for advanced parsing
-        details: eventBuffer.slice(fields.details.byte, fields.details.byte + fields.details.length)
+        details: eventBuffer.slice(fields.details.byte, fields.details.byte + fields.details.length),
+        // Detail bytes decoded for the event type: who (user) did what from where (keypad, reader, PC)
+        decoded: decodeEventDetails(eventBuffer, eventId, names)
     };
 }
 
@@ -395,3 +395,66 @@ export const CLASS_ID_STRINGS = {
     42: 'Audio Device',
     43: 'Notification'
 };
+
+// ============================================================================
+// EVENT DETAIL LAYOUTS
+// ============================================================================
+
+/**
+ * Where the detail fields of an event sit in the event buffer, per kind of event.
+ * Offsets are event buffer offsets (details are bytes 21-27); field meanings follow
+ * the panel's logEntry fields (accessReaderId, subdeviceUserId, userId/ras/systemFaultId,
+ * accessRegionId, pcConnection, userCard). Byte 20 is always the area and the description
+ * starts at byte 28, so every field here is read from the detail bytes.
+ *
+ * Unverified: none of these layouts comes from a panel log capture. The offsets follow the
+ * order of the logEntry fields and the event kinds are guessed from the event codes (see
+ * detailKind), so decoded fields can be wrong on a real panel; the raw event keeps all bytes.
+ *
+ * The user number is 16 bits (ATS panels have more than 255 users), big-endian like the
+ * entity id at bytes 18-19.
+ *
+ *   user      Action by a user, e.g. "Set by user": user number and the keypad used
+ *   access    Door access events: user, reader and region
+ *   card      Card events (unknown card, card assigned/removed): reader and card number.
+ *             The card field is length-prefixed (low nibble of its first byte), so it
+ *             holds at most 5 card bytes before the details end at byte 27
+ *   pc        Action from a PC connection (ATS8500, app)
+ *   keypad    Keypad (RAS) events: the keypad number
+ *   reader    Reader events: the reader number
+ *   trouble   Trouble events: panel specific fault sub-code
+ */
+export const EVENT_DETAIL_LAYOUTS = {
+    user: { user: 23, origin: { type: 'keypad', byte: 22 } },
+    access: { user: 23, origin: { type: 'reader', byte: 21 }, region: 25 },
+    card: { origin: { type: 'reader', byte: 21 }, card: 22 },
+    pc: { origin: { type: 'pc_connection', byte: 21 } },
+    keypad: { origin: { type: 'keypad', byte: 23 } },
+    reader: { origin: { type: 'reader', byte: 21 } },
+    trouble: { faultCode: 23 }
+};
+
+/**
+ * Detail layout kind for an event type, derived from the event code suffixes
+ * (USER/USR = by user, DD/CA/CR = card, PC = by PC, RAS = keypad, RDR = reader).
+ * A best guess from the event names, not checked against logged events.
+ * @param {Object} eventType - EVENT_TYPES entry
+ * @returns {string|null} EVENT_DETAIL_LAYOUTS key
+ */
+function detailKind({ code, category }) {
+    if (/^ev_(DD|CA|CR)$/.test(code)) return 'card';
+    if (/^ev_(USRG|USRD(?!EL)|USR_U?LOCK_DOOR)/.test(code)) return 'access';
+    if (/^ev_USR|(USER|USR)$/.test(code)) return 'user';
+    if (/(?<!DG)PC$/.test(code)) return 'pc';
+    if (/RASC?$/.test(code)) return 'keypad';
+    if (/RDRC?$/.test(code)) return 'reader';
+    if (category === 'Trouble') return 'trouble';
+    return null;
+}
+
+// Event type ID to detail layout kind (types without decodable details are omitted)
+export const EVENT_DETAIL_KINDS = Object.fromEntries(
+    Object.entries(EVENT_TYPES)
+        .map(([id, eventType]) => [id, detailKind(eventType)])
+        .filter(([, kind]) => kind !== null)
+);
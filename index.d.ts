@@ -0,0 +1,1080 @@
+/**
+ * Type definitions for aritech-client.
+ *
+ * Kept in sync with the JavaScript sources by test/types.test.js, which fails when an
+ * exported class, method, error code or state flag is missing here or no longer exists.
+ */
+
+/// <reference types="node" />
+
+import { EventEmitter } from 'events';
+import type { IncomingMessage, ServerResponse } from 'http';
+
+// ============================================================================
+// COMMON TYPES
+// ============================================================================
+
+export type EntityType = 'area' | 'zone' | 'output' | 'trigger' | 'door' | 'filter' | 'reader';
+
+export type SetType = 'full' | 'part1' | 'part2';
+
+/** Entity number and name as read from the panel. */
+export interface NamedEntity {
+    number: number;
+    name: string;
+}
+
+/** Entity names keyed by number, for the decoded event details. */
+export type NameTable = Map<number, string> | Record<number, string>;
+
+export interface EventLogNames {
+    users?: NameTable;
+    keypads?: NameTable;
+    readers?: NameTable;
+}
+
+// ============================================================================
+// STATE CLASSES
+// ============================================================================
+
+export class AreaState {
+    isFullSet: boolean;
+    isPartiallySet: boolean;
+    isPartiallySet2: boolean;
+    isUnset: boolean;
+    isAlarming: boolean;
+    isAlarmAcknowledged: boolean;
+    isTampered: boolean;
+    isExiting: boolean;
+    isEntering: boolean;
+    isReadyToArm: boolean;
+    hasFire: boolean;
+    hasPanic: boolean;
+    hasMedical: boolean;
+    hasTechnical: boolean;
+    hasDuress: boolean;
+    hasActiveZones: boolean;
+    hasInhibitedZones: boolean;
+    hasIsolatedZones: boolean;
+    hasZoneFaults: boolean;
+    hasZoneTamper: boolean;
+    isBuzzerActive: boolean;
+    isInternalSiren: boolean;
+    isExternalSiren: boolean;
+    isStrobeActive: boolean;
+    rawFlags: Record<string, boolean>;
+    static fromBytes(bytes: Buffer): AreaState;
+    toString(): string;
+}
+
+export class ZoneState {
+    isActive: boolean;
+    isSet: boolean;
+    isTampered: boolean;
+    hasFault: boolean;
+    isInhibited: boolean;
+    isIsolated: boolean;
+    isAlarming: boolean;
+    isAntiMask: boolean;
+    isInSoakTest: boolean;
+    hasBatteryFault: boolean;
+    isDirty: boolean;
+    rawFlags: Record<string, boolean>;
+    static fromBytes(bytes: Buffer): ZoneState;
+    toString(): string;
+}
+
+export class OutputState {
+    isActive: boolean;
+    isOn: boolean;
+    isForced: boolean;
+    rawFlags: Record<string, boolean>;
+    static fromBytes(bytes: Buffer): OutputState;
+    toString(): string;
+}
+
+export class TriggerState {
+    isRemoteOutput: boolean;
+    isFob: boolean;
+    isKeyfobSwitch1: boolean;
+    isKeyfobSwitch2: boolean;
+    isKeyfobSwitch12: boolean;
+    isSchedule: boolean;
+    isFunctionKey: boolean;
+    rawFlags: Record<string, boolean>;
+    /** True if any trigger source is active. */
+    get isActive(): boolean;
+    static fromBytes(bytes: Buffer): TriggerState;
+    toString(): string;
+}
+
+export class DoorState {
+    isDisabled: boolean;
+    isUnlocked: boolean;
+    isUnlockedPeriod: boolean;
+    isTimeUnlocked: boolean;
+    isStandardTimeUnlocked: boolean;
+    isOpened: boolean;
+    isForced: boolean;
+    isDoorOpenTooLong: boolean;
+    isShunting: boolean;
+    isShuntWarning: boolean;
+    isReaderFault: boolean;
+    isReaderTamper: boolean;
+    isUnsecured: boolean;
+    isInputActive: boolean;
+    isOutputActive: boolean;
+    rawFlags: Record<string, boolean>;
+    /** True unless unlocked in any way. */
+    get isLocked(): boolean;
+    static fromBytes(bytes: Buffer): DoorState;
+    toString(): string;
+}
+
+export class FilterState {
+    isActive: boolean;
+    rawFlags: Record<string, boolean>;
+    static fromBytes(bytes: Buffer): FilterState;
+    toString(): string;
+}
+
+export class ReaderState {
+    isOffline: boolean;
+    isTamper: boolean;
+    isFault: boolean;
+    isDisabled: boolean;
+    rawFlags: Record<string, boolean>;
+    /** True unless the reader has lost contact with its door controller. */
+    get isOnline(): boolean;
+    static fromBytes(bytes: Buffer): ReaderState;
+    toString(): string;
+}
+
+/** State class per entity type. */
+export interface EntityStates {
+    area: AreaState;
+    zone: ZoneState;
+    output: OutputState;
+    trigger: TriggerState;
+    door: DoorState;
+    filter: FilterState;
+    reader: ReaderState;
+}
+
+/** State query result, keyed by entity type: e.g. { zone: 3, state, rawHex }. */
+export type StateResult<T extends EntityType> = { [K in T]: number } & {
+    state: EntityStates[T];
+    rawHex: string;
+};
+
+/** Entity with its name and current state (see AritechClient.getEntities). */
+export interface Entity<T extends EntityType = EntityType> extends NamedEntity {
+    state: EntityStates[T] | null;
+    rawHex: string | null;
+}
+
+export interface Zone extends Entity<'zone'> {
+    /** Areas the zone belongs to. */
+    areas: number[];
+}
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+export declare const ErrorCodes: {
+    readonly CONNECTION_FAILED: 'CONNECTION_FAILED';
+    readonly CONNECTION_LOST: 'CONNECTION_LOST';
+    readonly NOT_CONNECTED: 'NOT_CONNECTED';
+    readonly PROTOCOL_ERROR: 'PROTOCOL_ERROR';
+    readonly CRC_ERROR: 'CRC_ERROR';
+    readonly DECRYPT_FAILED: 'DECRYPT_FAILED';
+    readonly LOGIN_FAILED: 'LOGIN_FAILED';
+    readonly KEY_EXCHANGE_FAILED: 'KEY_EXCHANGE_FAILED';
+    readonly PANEL_ERROR: 'PANEL_ERROR';
+    readonly ARM_FAILED: 'ARM_FAILED';
+    readonly ARM_FAULTS: 'ARM_FAULTS';
+    readonly ARM_ACTIVE_ZONES: 'ARM_ACTIVE_ZONES';
+    readonly ARM_INHIBITED: 'ARM_INHIBITED';
+    readonly FORCE_ARM_FAILED: 'FORCE_ARM_FAILED';
+    readonly DISARM_FAILED: 'DISARM_FAILED';
+    readonly ZONE_INHIBIT_FAILED: 'ZONE_INHIBIT_FAILED';
+    readonly ZONE_UNINHIBIT_FAILED: 'ZONE_UNINHIBIT_FAILED';
+    readonly OUTPUT_ACTIVATE_FAILED: 'OUTPUT_ACTIVATE_FAILED';
+    readonly OUTPUT_DEACTIVATE_FAILED: 'OUTPUT_DEACTIVATE_FAILED';
+    readonly OUTPUT_CANCEL_FORCE_FAILED: 'OUTPUT_CANCEL_FORCE_FAILED';
+    readonly TRIGGER_ACTIVATE_FAILED: 'TRIGGER_ACTIVATE_FAILED';
+    readonly TRIGGER_DEACTIVATE_FAILED: 'TRIGGER_DEACTIVATE_FAILED';
+    readonly DOOR_LOCK_FAILED: 'DOOR_LOCK_FAILED';
+    readonly DOOR_UNLOCK_FAILED: 'DOOR_UNLOCK_FAILED';
+    readonly DOOR_UNLOCK_STANDARD_TIME_FAILED: 'DOOR_UNLOCK_STANDARD_TIME_FAILED';
+    readonly DOOR_UNLOCK_TIME_FAILED: 'DOOR_UNLOCK_TIME_FAILED';
+    readonly DOOR_DISABLE_FAILED: 'DOOR_DISABLE_FAILED';
+    readonly DOOR_ENABLE_FAILED: 'DOOR_ENABLE_FAILED';
+    readonly USER_CREATE_FAILED: 'USER_CREATE_FAILED';
+    readonly USER_UPDATE_FAILED: 'USER_UPDATE_FAILED';
+    readonly USER_DELETE_FAILED: 'USER_DELETE_FAILED';
+    readonly USER_GROUP_UPDATE_FAILED: 'USER_GROUP_UPDATE_FAILED';
+    readonly CARD_IN_USE: 'CARD_IN_USE';
+    readonly CARD_LEARN_TIMEOUT: 'CARD_LEARN_TIMEOUT';
+    readonly TIME_SET_FAILED: 'TIME_SET_FAILED';
+    readonly UNVERIFIED_WRITE: 'UNVERIFIED_WRITE';
+    readonly CREATE_CC_FAILED: 'CREATE_CC_FAILED';
+};
+
+export type ErrorCode = typeof ErrorCodes[keyof typeof ErrorCodes];
+
+export class AritechError extends Error {
+    constructor(message: string, options?: {
+        code?: ErrorCode | string;
+        status?: number;
+        panelError?: number;
+        details?: Record<string, any>;
+    });
+    code: ErrorCode | string | undefined;
+    status: number | undefined;
+    panelError: number | undefined;
+    details: Record<string, any> | undefined;
+}
+
+// ============================================================================
+// EVENT LOG
+// ============================================================================
+
+export interface EventOrigin {
+    type: 'keypad' | 'reader' | 'pc_connection';
+    id: number;
+    name?: string;
+}
+
+/** Detail bytes decoded for the event type (see EVENT_DETAIL_KINDS). */
+/** @experimental The detail layouts are not verified against panel log captures. */
+export interface DecodedEventDetails {
+    kind: 'user' | 'access' | 'card' | 'pc' | 'keypad' | 'reader' | 'trouble';
+    userId?: number;
+    userName?: string;
+    origin?: EventOrigin;
+    regionId?: number;
+    card?: { number: string; hex: string };
+    faultCode?: number;
+}
+
+/** Parsed event log entry. */
+export interface PanelEvent {
+    raw: string;
+    timestamp: string;
+    sequence: number;
+    logType: number;
+    type: number;
+    name: string;
+    category: string;
+    classId: number;
+    classType: string;
+    area: { id: string } | null;
+    entity: { type: string; id: number; description: string | null };
+    details: Buffer;
+    decoded: DecodedEventDetails | null;
+}
+
+export interface ReadEventLogOptions {
+    since?: Date | string | number;
+    until?: Date | string | number;
+    names?: EventLogNames;
+}
+
+/** Newest event already processed. */
+export interface EventLogCursor {
+    sequence: number;
+    timestamp: string;
+}
+
+export interface EventLogRead {
+    /** New events, oldest first. */
+    events: PanelEvent[];
+    cursor: EventLogCursor | null;
+    /** True if the previous cursor was not found, so events may have been missed. */
+    gap: boolean;
+}
+
+export class EventLogSync {
+    constructor(client: AritechClient, options: { stateFile: string; maxEvents?: number });
+    client: AritechClient;
+    stateFile: string;
+    maxEvents: number;
+    loadCursor(): Promise<EventLogCursor | null>;
+    saveCursor(cursor: EventLogCursor): Promise<void>;
+    readNew(): Promise<EventLogRead>;
+    sync(handler?: (events: PanelEvent[]) => void | Promise<void>): Promise<PanelEvent[]>;
+}
+
+export type EventExportFormat = 'csv' | 'jsonl' | 'syslog';
+
+export interface EventRecord {
+    timestamp: string | null;
+    sequence: number | null;
+    category: string | null;
+    name: string | null;
+    entityType: string | null;
+    entityId: number | null;
+    entityDescription: string | null;
+    area: number | null;
+    userId: number | null;
+    userName: string | null;
+    origin: string | null;
+}
+
+export interface SyslogOptions {
+    hostname?: string;
+    appName?: string;
+    facility?: number;
+}
+
+export declare const EVENT_EXPORT_COLUMNS: Array<keyof EventRecord>;
+export declare const EVENT_EXPORT_FORMATS: EventExportFormat[];
+export function eventToRecord(event: PanelEvent): EventRecord;
+export function csvHeader(): string;
+export function formatEvent(event: PanelEvent, format: EventExportFormat, options?: SyslogOptions): string;
+
+// ============================================================================
+// CLIENT
+// ============================================================================
+
+/**
+ * pino/winston-style logger: level methods called as logger.debug(context, message).
+ * PINs, passwords and keys are redacted before they reach it.
+ */
+export interface LoggerLike {
+    trace?(context: Record<string, any>, message: string): void;
+    debug(context: Record<string, any>, message: string): void;
+    info(context: Record<string, any>, message: string): void;
+    warn(context: Record<string, any>, message: string): void;
+    error(context: Record<string, any>, message: string): void;
+    child?(bindings: Record<string, any>): LoggerLike;
+    isLevelEnabled?(level: string): boolean;
+}
+
+export interface ReconnectOptions {
+    initialDelay?: number;
+    maxDelay?: number;
+    factor?: number;
+    maxAttempts?: number;
+    replayQueued?: boolean;
+}
+
+export interface AritechClientConfig {
+    host: string;
+    port: number;
+    encryptionKey: string;
+    /** User PIN (x500 panels). */
+    pin?: string;
+    /** Login username (x700 panels). */
+    username?: string;
+    /** Login password (x700 panels), defaults to the username. */
+    password?: string;
+    serial?: string;
+    reconnect?: boolean | ReconnectOptions;
+    /** Maximum number of requests in flight (default 1). */
+    pipeline?: number;
+    /** Logger for this client (default: console, debug output with LOG_LEVEL=debug). */
+    logger?: LoggerLike;
+    /** Record a protocol trace to this file (credentials masked). */
+    trace?: string;
+    /** Serve a recorded trace instead of connecting to the panel. */
+    replay?: TraceReplay;
+    /** Allow write commands not verified against a panel capture (users, user groups, panel clock), default false. */
+    allowUnverifiedWrites?: boolean;
+    /** IANA time zone of the panel clock for getPanelTime/setPanelTime (default: the host's). */
+    timeZone?: string;
+    [key: string]: any;
+}
+
+export interface PanelDescription {
+    rawHex: string;
+    panelName: string | null;
+    panelModel: string | null;
+    serial: string | undefined;
+    firmwareVersion: string | null;
+    protocolVersion: number | null;
+}
+
+/**
+ * Zone blocking an arm request.
+ * @experimental The zone and area offsets of the panel's list entries are unverified; raw is the frame as received.
+ */
+export interface ArmIssueZone {
+    zone: number;
+    name: string | null;
+    area: number;
+    reason: string;
+    raw: string;
+}
+
+export interface ArmIssue {
+    reason: 'fault' | 'active' | 'inhibited';
+    zones: ArmIssueZone[];
+    areas: number[];
+    setType: SetType;
+    status: number;
+}
+
+export type ArmDecision = 'force' | 'abort' | { inhibit: number[] };
+
+export interface ArmOptions {
+    force?: boolean;
+    onIssues?: (issue: ArmIssue) => ArmDecision | Promise<ArmDecision>;
+}
+
+export interface EntityQueryOptions {
+    /** Query the names again instead of using the session cache. */
+    refresh?: boolean;
+    /** Only these entity numbers. */
+    numbers?: number[];
+}
+
+/** Settings of a panel user. Panels never reveal PINs, only whether one is set. */
+export interface UserRecord {
+    number: number;
+    hasPin: boolean;
+    /** Card number as a decimal string, as in event log entries. */
+    card: string | null;
+    userGroup: number | null;
+    /** First valid day ('YYYY-MM-DD'), null when not limited. */
+    validFrom: string | null;
+    /** Last valid day ('YYYY-MM-DD'), null when not limited. */
+    validUntil: string | null;
+}
+
+export interface PanelUser extends UserRecord {
+    name: string;
+}
+
+/** User settings for createUser/updateUser; null clears a setting. */
+export interface UserSettings {
+    name?: string;
+    /** 4 to 10 digits. */
+    pin?: string | null;
+    /** Decimal string (or a safe integer) of up to 5 bytes. */
+    card?: string | number | null;
+    userGroup?: number | null;
+    validFrom?: Date | string | null;
+    validUntil?: Date | string | null;
+}
+
+/** Access rights of a user group. */
+export interface UserGroupRecord {
+    number: number;
+    /** Areas the group's users may use. */
+    areas: number[];
+    /** Doors the group's users may use. */
+    doors: number[];
+    /** Calendar limiting when the group has access, null for any time. */
+    calendar: number | null;
+}
+
+export interface PanelUserGroup extends UserGroupRecord {
+    name: string;
+}
+
+/** User group changes for updateUserGroup; areas and doors replace the current lists. */
+export interface UserGroupSettings {
+    name?: string;
+    areas?: number[];
+    doors?: number[];
+    calendar?: number | null;
+}
+
+/** Calendar and special days that unlock a door on time. */
+export interface DoorSchedule {
+    number: number;
+    /** null when the door has no calendar. */
+    calendar: number | null;
+    specialDays: number[];
+}
+
+export interface PanelDoorSchedule extends DoorSchedule {
+    name: string;
+}
+
+export interface DoorGroupRecord {
+    number: number;
+    doors: number[];
+}
+
+export interface PanelDoorGroup extends DoorGroupRecord {
+    name: string;
+}
+
+/** Result of commands that do nothing if the entity is already in the requested state. */
+export interface SkippableResult {
+    skipped: boolean;
+    reason?: string;
+}
+
+export interface AritechClientEvents {
+    disconnected: [{ error: AritechError }];
+    reconnecting: [{ attempt: number; delay: number }];
+    reconnected: [{ attempt: number }];
+    reconnectFailed: [{ attempts: number; error: AritechError }];
+}
+
+export class AritechClient extends EventEmitter {
+    constructor(config: AritechClientConfig);
+
+    config: AritechClientConfig;
+    socket: import('net').Socket | null;
+    sessionKey: Buffer | null;
+    panelName: string | null;
+    panelModel: string | null;
+    firmwareVersion: string | null;
+    protocolVersion: number | null;
+    encryptionMode: number | null;
+    monitoringActive: boolean;
+    zoneAreas: Record<number, number[]>;
+    reconnectOptions: Required<ReconnectOptions> | null;
+    reconnecting: boolean;
+    loggedIn: boolean;
+    pipeline: number;
+    /** Protocol trace recorder (config.trace); meta is written to the trace header on connect. */
+    trace: { file: string; meta: Record<string, any> } | null;
+
+    on<K extends keyof AritechClientEvents>(event: K, listener: (...args: AritechClientEvents[K]) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+    once<K extends keyof AritechClientEvents>(event: K, listener: (...args: AritechClientEvents[K]) => void): this;
+    once(event: string | symbol, listener: (...args: any[]) => void): this;
+
+    // Panel model
+    getMaxAreaCount(): number;
+    getMaxZoneCount(): number;
+    isX700Panel(): boolean;
+    usesPBKDF2(): boolean;
+
+    // Session
+    connect(): Promise<void>;
+    disconnect(): Promise<void>;
+    getDescription(): Promise<PanelDescription>;
+    changeSessionKey(): Promise<void>;
+    login(loginType?: number): Promise<boolean>;
+    loginWithPin(loginType?: number): Promise<boolean>;
+    loginWithAccount(loginType?: number): Promise<boolean>;
+
+    // Low-level protocol
+    handleData(data: Buffer): void;
+    checkForUnsolicitedMessage(frame: Buffer): boolean;
+    onCOSEvent(callback: (statusByte: number, payload: Buffer) => void | Promise<void>): void;
+    sendEncrypted(payload: Buffer, key: Buffer): void;
+    callEncrypted(payload: Buffer, key: Buffer, options?: { throwOnError?: boolean }): Promise<Buffer>;
+    callPlain(payload: Buffer, options?: { throwOnError?: boolean }): Promise<Buffer>;
+    /** Run a multi-message operation without other commands in between. */
+    exclusive<T>(fn: () => Promise<T>): Promise<T>;
+
+    // Names and states
+    getAreaNames(): Promise<NamedEntity[]>;
+    getAreaStates(areasOrMax?: number | Array<number | NamedEntity>): Promise<StateResult<'area'>[]>;
+    getValidAreaNumbers(): Promise<number[] | null>;
+    getValidZoneNumbers(): Promise<number[] | null>;
+    getZoneAreas(zoneNum: number): number[] | null;
+    getZoneNames(): Promise<NamedEntity[]>;
+    getZoneStates(zonesOrMax?: number | Array<number | NamedEntity>): Promise<StateResult<'zone'>[]>;
+    getZoneStatesIndividual(zoneNumbers: number[]): Promise<StateResult<'zone'>[]>;
+    getOutputNames(): Promise<NamedEntity[]>;
+    getOutputStates(outputsOrMax?: number | Array<number | NamedEntity>): Promise<StateResult<'output'>[]>;
+    getTriggerNames(): Promise<NamedEntity[]>;
+    getTriggerStates(triggersOrMax?: number | Array<number | NamedEntity>): Promise<StateResult<'trigger'>[]>;
+    getDoorNames(): Promise<NamedEntity[]>;
+    getValidDoorNumbers(): Promise<number[]>;
+    getDoorStates(doorsOrMax?: number | Array<number | NamedEntity>): Promise<StateResult<'door'>[]>;
+    /** @experimental The door schedule messages are not verified against a panel capture. */
+    getDoorSchedule(doorNum: number): Promise<DoorSchedule>;
+    /** @experimental See getDoorSchedule. */
+    getDoorSchedules(options?: EntityQueryOptions): Promise<PanelDoorSchedule[]>;
+    getDoorGroupNames(): Promise<NamedEntity[]>;
+    /** @experimental The door group record layout is not verified against a panel capture; don't pick lockdown doors from it. */
+    getDoorGroup(groupNum: number): Promise<DoorGroupRecord>;
+    /** @experimental Names are verified, the door group records are not (see getDoorGroup). */
+    getDoorGroups(options?: EntityQueryOptions): Promise<PanelDoorGroup[]>;
+    getFilterNames(): Promise<NamedEntity[]>;
+    getFilterStates(filtersOrMax?: number | Array<number | NamedEntity>): Promise<StateResult<'filter'>[]>;
+    /** @experimental The reader messages are not verified against a panel capture. */
+    getReaderNames(): Promise<NamedEntity[]>;
+    /** @experimental See getReaderNames. */
+    getReaderStates(readersOrMax?: number | Array<number | NamedEntity>): Promise<StateResult<'reader'>[]>;
+
+    // Entities (names cached per session, merged with states)
+    getCachedNames(type: EntityType | 'user' | 'userGroup' | 'doorGroup', options?: { refresh?: boolean }): Promise<NamedEntity[]>;
+    clearNameCache(type?: EntityType | 'user' | 'userGroup' | 'doorGroup'): void;
+    getEntities(type: 'zone', options?: EntityQueryOptions): Promise<Zone[]>;
+    getEntities<T extends EntityType>(type: T, options?: EntityQueryOptions): Promise<Entity<T>[]>;
+    getZones(options?: EntityQueryOptions): Promise<Zone[]>;
+    getAreas(options?: EntityQueryOptions): Promise<Entity<'area'>[]>;
+    getOutputs(options?: EntityQueryOptions): Promise<Entity<'output'>[]>;
+    getTriggers(options?: EntityQueryOptions): Promise<Entity<'trigger'>[]>;
+    getDoors(options?: EntityQueryOptions): Promise<Entity<'door'>[]>;
+    getFilters(options?: EntityQueryOptions): Promise<Entity<'filter'>[]>;
+    /** @experimental See getReaderNames. */
+    getReaders(options?: EntityQueryOptions): Promise<Entity<'reader'>[]>;
+
+    // Control
+    armArea(areas: number | number[], setType?: SetType, options?: boolean | ArmOptions): Promise<void>;
+    disarmArea(areaNumber: number): Promise<void>;
+    inhibitZone(zoneNum: number): Promise<void>;
+    uninhibitZone(zoneNum: number): Promise<void>;
+    forceActivateOutput(outputNum: number): Promise<void>;
+    forceDeactivateOutput(outputNum: number): Promise<void>;
+    cancelForceOutput(outputNum: number): Promise<void>;
+    activateTrigger(triggerNum: number): Promise<SkippableResult>;
+    deactivateTrigger(triggerNum: number): Promise<SkippableResult>;
+    lockDoor(doorNum: number): Promise<void>;
+    unlockDoor(doorNum: number): Promise<void>;
+    unlockDoorStandardTime(doorNum: number): Promise<void>;
+    unlockDoorTime(doorNum: number, seconds: number): Promise<void>;
+    disableDoor(doorNum: number): Promise<SkippableResult>;
+    enableDoor(doorNum: number): Promise<SkippableResult>;
+    /**
+     * All doors are tried; on failure the error details list the doors done and failed.
+     * @experimental Several door commands in one control session are not verified on a panel.
+     */
+    lockDoors(doorNums: number[]): Promise<void>;
+    /** @experimental See lockDoors. */
+    unlockDoors(doorNums: number[]): Promise<void>;
+
+    // Users
+    getUserNames(): Promise<NamedEntity[]>;
+    /** @experimental The user record layout is not verified against a panel capture. */
+    getUser(userNum: number): Promise<UserRecord>;
+    /** @experimental Names are verified, the user records are not (see getUser). */
+    getUsers(options?: EntityQueryOptions): Promise<PanelUser[]>;
+    /** @experimental The user control messages are not verified against a panel capture, requires allowUnverifiedWrites. */
+    createUser(userNum: number, settings: UserSettings & { name: string }): Promise<void>;
+    /** @experimental See createUser. */
+    updateUser(userNum: number, changes: UserSettings): Promise<void>;
+    /** @experimental See createUser. */
+    deleteUser(userNum: number): Promise<void>;
+    /**
+     * @experimental Writes the card with updateUser, requires allowUnverifiedWrites.
+     * Card numbers are decimal strings (safe integers are accepted), as in event log entries.
+     */
+    assignCard(userNum: number, cardNumber: string | number): Promise<void>;
+    /** @experimental See assignCard. */
+    removeCard(userNum: number): Promise<void>;
+    /** @experimental See getUser. The cards are indexed on the first lookup, refresh reads all users again. */
+    findUserByCard(cardNumber: string | number, options?: { refresh?: boolean }): Promise<PanelUser | null>;
+
+    // User groups
+    getUserGroupNames(): Promise<NamedEntity[]>;
+    /** @experimental The user group record layout is not verified against a panel capture. */
+    getUserGroup(groupNum: number): Promise<UserGroupRecord>;
+    /** @experimental Names are verified, the user group records are not (see getUserGroup). */
+    getUserGroups(options?: EntityQueryOptions): Promise<PanelUserGroup[]>;
+    /** @experimental The updateUserGroup message is not verified against a panel capture, requires allowUnverifiedWrites. */
+    updateUserGroup(groupNum: number, changes: UserGroupSettings): Promise<void>;
+    // Panel clock (wall-clock time in the timeZone config, the host's by default)
+    // Panel clock (local time, read and written in the host's time zone)
+    /** @experimental The date/time messages are not verified against a panel capture. */
+    getPanelTime(): Promise<Date>;
+    /** @experimental See getPanelTime, requires allowUnverifiedWrites. Written in the timeZone config (default: the host's). */
+    setPanelTime(date?: Date | string | number): Promise<void>;
+
+    // Event log
+    readEventLog(maxEvents?: number, options?: ReadEventLogOptions): AsyncGenerator<PanelEvent, void, undefined>;
+}
+
+// ============================================================================
+// MONITOR
+// ============================================================================
+
+/** Change of one entity: data is the state query result before and after. */
+export interface EntityChange<T extends EntityType> {
+    id: number;
+    name: string;
+    oldData: StateResult<T> | null;
+    newData: StateResult<T>;
+}
+
+export interface MonitorSnapshot {
+    zones: NamedEntity[];
+    areas: NamedEntity[];
+    outputs: NamedEntity[];
+    triggers: NamedEntity[];
+    doors: NamedEntity[];
+    filters: NamedEntity[];
+    readers: NamedEntity[];
+    zoneStates: Record<number, StateResult<'zone'>>;
+    areaStates: Record<number, StateResult<'area'>>;
+    outputStates: Record<number, StateResult<'output'>>;
+    triggerStates: Record<number, StateResult<'trigger'>>;
+    doorStates: Record<number, StateResult<'door'>>;
+    filterStates: Record<number, StateResult<'filter'>>;
+    readerStates: Record<number, StateResult<'reader'>>;
+}
+
+export interface AritechMonitorEvents {
+    zoneChanged: [EntityChange<'zone'>];
+    areaChanged: [EntityChange<'area'>];
+    outputChanged: [EntityChange<'output'>];
+    triggerChanged: [EntityChange<'trigger'>];
+    doorChanged: [EntityChange<'door'>];
+    filterChanged: [EntityChange<'filter'>];
+    readerChanged: [EntityChange<'reader'>];
+    logEvent: [PanelEvent];
+    initialized: [MonitorSnapshot];
+    error: [Error];
+}
+
+export interface AritechMonitorOptions {
+    followLog?: boolean;
+    logPollInterval?: number;
+    logNames?: EventLogNames;
+    /** @experimental Also track card readers and emit readerChanged (default false, the reader messages are unverified). */
+    readers?: boolean;
+    logger?: LoggerLike;
+}
+
+export class AritechMonitor extends EventEmitter {
+    constructor(client: AritechClient, options?: AritechMonitorOptions);
+
+    client: AritechClient;
+    running: boolean;
+    followLog: boolean;
+    trackReaders: boolean;
+    logPollInterval: number;
+    logNames: EventLogNames | undefined;
+    zones: NamedEntity[];
+    areas: NamedEntity[];
+    outputs: NamedEntity[];
+    triggers: NamedEntity[];
+    doors: NamedEntity[];
+    filters: NamedEntity[];
+    readers: NamedEntity[];
+    zoneStates: Record<number, StateResult<'zone'>>;
+    areaStates: Record<number, StateResult<'area'>>;
+    outputStates: Record<number, StateResult<'output'>>;
+    triggerStates: Record<number, StateResult<'trigger'>>;
+    doorStates: Record<number, StateResult<'door'>>;
+    filterStates: Record<number, StateResult<'filter'>>;
+    readerStates: Record<number, StateResult<'reader'>>;
+
+    on<K extends keyof AritechMonitorEvents>(event: K, listener: (...args: AritechMonitorEvents[K]) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+    once<K extends keyof AritechMonitorEvents>(event: K, listener: (...args: AritechMonitorEvents[K]) => void): this;
+    once(event: string | symbol, listener: (...args: any[]) => void): this;
+
+    start(): Promise<void>;
+    stop(): void;
+    getZoneStates(): Record<number, StateResult<'zone'>>;
+    getAreaStates(): Record<number, StateResult<'area'>>;
+    getOutputStates(): Record<number, StateResult<'output'>>;
+    getTriggerStates(): Record<number, StateResult<'trigger'>>;
+    getDoorStates(): Record<number, StateResult<'door'>>;
+    getFilterStates(): Record<number, StateResult<'filter'>>;
+    getReaderStates(): Record<number, StateResult<'reader'>>;
+    /** Wait for the next card presented at a reader (needs followLog). */
+    learnCard(readerNum: number, options?: { timeout?: number }): Promise<string>;
+}
+
+// ============================================================================
+// MULTI-PANEL MANAGER
+// ============================================================================
+
+export declare const PANEL_STATUS: {
+    readonly CONNECTING: 'connecting';
+    readonly CONNECTED: 'connected';
+    readonly RECONNECTING: 'reconnecting';
+    readonly FAILED: 'failed';
+    readonly STOPPED: 'stopped';
+};
+
+export type PanelStatus = typeof PANEL_STATUS[keyof typeof PANEL_STATUS];
+
+export interface PanelConfig extends AritechClientConfig {
+    id: string;
+}
+
+export interface PanelHealth {
+    id: string;
+    status: PanelStatus;
+    connected: boolean;
+    since: string;
+    lastError: string | null;
+    reconnects: number;
+    panelName: string | null;
+    panelModel: string | null;
+}
+
+/** Entity of one panel, key is '<panelId>:<type>:<number>'. */
+export interface PanelEntity<T extends EntityType = EntityType> extends Entity<T> {
+    panelId: string;
+    key: string;
+}
+
+type WithPanelId<T> = T & { panelId: string };
+
+export interface PanelManagerEvents {
+    zoneChanged: [WithPanelId<EntityChange<'zone'>>];
+    areaChanged: [WithPanelId<EntityChange<'area'>>];
+    outputChanged: [WithPanelId<EntityChange<'output'>>];
+    triggerChanged: [WithPanelId<EntityChange<'trigger'>>];
+    doorChanged: [WithPanelId<EntityChange<'door'>>];
+    filterChanged: [WithPanelId<EntityChange<'filter'>>];
+    readerChanged: [WithPanelId<EntityChange<'reader'>>];
+    logEvent: [WithPanelId<PanelEvent>];
+    initialized: [WithPanelId<MonitorSnapshot>];
+    healthChanged: [{ panelId: string; status: PanelStatus; previous: PanelStatus; error: Error | null }];
+    error: [Error & { panelId: string }];
+}
+
+export class PanelManager extends EventEmitter {
+    constructor(panels: PanelConfig[], options?: { monitor?: AritechMonitorOptions; retryInterval?: number; logger?: LoggerLike });
+
+    running: boolean;
+
+    on<K extends keyof PanelManagerEvents>(event: K, listener: (...args: PanelManagerEvents[K]) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+    once<K extends keyof PanelManagerEvents>(event: K, listener: (...args: PanelManagerEvents[K]) => void): this;
+    once(event: string | symbol, listener: (...args: any[]) => void): this;
+
+    start(): Promise<PanelHealth[]>;
+    stop(): Promise<void>;
+    getPanel(panelId: string): { id: string; client: AritechClient; monitor: AritechMonitor | null };
+    health(): PanelHealth[];
+    entities<T extends EntityType>(type: T, predicate?: (entity: PanelEntity<T>) => boolean): PanelEntity<T>[];
+    areas(predicate?: (area: PanelEntity<'area'>) => boolean): PanelEntity<'area'>[];
+    zones(predicate?: (zone: PanelEntity<'zone'>) => boolean): PanelEntity<'zone'>[];
+    areasNotSet(): PanelEntity<'area'>[];
+    zonesNotReady(): PanelEntity<'zone'>[];
+}
+
+// ============================================================================
+// MQTT, HTTP API AND EVENT STREAM
+// ============================================================================
+
+export interface AritechMqttBridgeOptions {
+    url?: string;
+    username?: string;
+    password?: string;
+    baseTopic?: string;
+    discoveryPrefix?: string | false;
+    deviceId?: string;
+    /** Code required to disarm areas over MQTT; disarm is refused without it, false disables the check. */
+    disarmCode?: string | false;
+    monitor?: AritechMonitor;
+    mqttClient?: any;
+    mqttOptions?: Record<string, any>;
+}
+
+export class AritechMqttBridge extends EventEmitter {
+    constructor(client: AritechClient, options?: AritechMqttBridgeOptions);
+    client: AritechClient;
+    monitor: AritechMonitor;
+    running: boolean;
+    start(): Promise<void>;
+    stop(): Promise<void>;
+}
+
+export interface AritechServerOptions {
+    token: string | string[];
+    port?: number;
+    host?: string;
+    stream?: AritechEventStream;
+}
+
+export class AritechServer extends EventEmitter {
+    constructor(client: AritechClient, options: AritechServerOptions);
+    client: AritechClient;
+    stream: AritechEventStream | null;
+    start(): Promise<{ host: string; port: number }>;
+    stop(): Promise<void>;
+    exclusive<T>(fn: () => Promise<T>): Promise<T>;
+}
+
+export interface StreamFilter {
+    types: Set<string> | null;
+    ids: Record<string, Set<number>>;
+}
+
+export class AritechEventStream extends EventEmitter {
+    constructor(monitorOrClient: AritechMonitor | AritechClient, options?: { bufferSize?: number; heartbeatInterval?: number });
+    monitor: AritechMonitor;
+    running: boolean;
+    get token(): string;
+    start(): Promise<void>;
+    stop(): void;
+    snapshot(filter?: StreamFilter): Record<string, Array<{ number: number; name: string; state: Record<string, any> | null; rawHex: string | null }>>;
+    changesSince(token: string): any[] | null;
+    handleSSE(req: IncomingMessage, res: ServerResponse, url: URL): void;
+    handleWebSocket(ws: any, url: URL): void;
+}
+
+// ============================================================================
+// PROTOCOL TRACE
+// ============================================================================
+
+export interface TraceHeader {
+    type: 'header';
+    version: number;
+    startedAt: string;
+    host: string;
+    port: number;
+    login: 'pin' | 'account';
+    keyLength: number;
+    meta: Record<string, any>;
+}
+
+export type TraceRecord =
+    | { type: 'connect'; time: string }
+    | {
+        type: 'frame';
+        time: string;
+        dir: 'send' | 'recv' | 'cos';
+        key: 'plain' | 'initial' | 'session';
+        msg: string | null;
+        /** Request name of a response. */
+        request?: string | null;
+        data: string;
+        masked?: boolean;
+    };
+
+export interface Trace {
+    header: TraceHeader;
+    records: TraceRecord[];
+}
+
+export function readTrace(file: string): Trace;
+
+export interface TraceReplayEvents {
+    diverged: [{ index: number; expected: string | null; actual: string | null }];
+    end: [];
+}
+
+export class TraceReplay extends EventEmitter {
+    constructor(trace: Trace);
+    header: TraceHeader;
+    records: TraceRecord[];
+    position: number;
+    ended: boolean;
+
+    on<K extends keyof TraceReplayEvents>(event: K, listener: (...args: TraceReplayEvents[K]) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+    once<K extends keyof TraceReplayEvents>(event: K, listener: (...args: TraceReplayEvents[K]) => void): this;
+    once(event: string | symbol, listener: (...args: any[]) => void): this;
+
+    clientConfig(): AritechClientConfig & { replay: TraceReplay };
+    connect(client: AritechClient): EventEmitter & { write(frame: Buffer): boolean; destroy(error?: Error): void };
+}
+
+// ============================================================================
+// PROTOCOL DISSECTOR
+// ============================================================================
+
+export interface CaptureFrame {
+    index: number;
+    /** Capture time (pcap and pcapng only, null for pcapng simple packets). */
+    time: string | null;
+    /** Sender, null when a hex dump does not say. */
+    dir: 'client' | 'panel' | null;
+    connection: string;
+    data: Buffer;
+}
+
+export interface DissectedMessage {
+    index: number;
+    time: string | null;
+    dir: 'client' | 'panel' | null;
+    connection: string;
+    encryption: 'plain' | 'initial' | 'session' | null;
+    kind: 'request' | 'response' | 'error' | 'unsolicited' | null;
+    /** Template name, 'cos' for change of state notifications. */
+    name: string | null;
+    /** Request name of a response. */
+    request: string | null;
+    /** Decrypted payload as hex, credentials zeroed. */
+    payload: string | null;
+    properties: Record<string, any>;
+    /** Status messages of a batch response. */
+    parts: Array<{ name: string; objectId: number; properties: Record<string, any> }>;
+    crcError: boolean;
+    unknown: boolean;
+}
+
+export function readCapture(content: Buffer, options?: { port?: number }): CaptureFrame[];
+export function dissect(frames: CaptureFrame[], options?: { encryptionKey?: string; serial?: string }): DissectedMessage[];
+
+// ============================================================================
+// SIMULATOR
+// ============================================================================
+
+export interface SimulatorEntity {
+    number: number;
+    name: string;
+    state?: Record<string, boolean>;
+}
+
+export interface SimulatorEvent {
+    eventId: number;
+    classId?: number;
+    subId?: number;
+    entityId?: number;
+    area?: number;
+    timestamp?: Date;
+    logType?: number;
+    details?: number[] | Buffer;
+    description?: string;
+    sequence?: number;
+}
+
+export interface SimulatorFixture {
+    panel?: {
+        deviceName?: string;
+        productName?: string;
+        firmwareVersion?: string;
+        serialNumber?: string;
+        encryptionMode?: number;
+    };
+    encryptionKey?: string;
+    users?: Array<{
+        number: number;
+        name: string;
+        pin?: string;
+        username?: string;
+        password?: string;
+        card?: string | number;
+        userGroup?: number;
+        validFrom?: string;
+        validUntil?: string;
+    }>;
+    userGroups?: Array<{
+        number: number;
+        name: string;
+        areas?: number[];
+        doors?: number[];
+        calendar?: number;
+    }>;
+    areas?: SimulatorEntity[];
+    zones?: Array<SimulatorEntity & { areas?: number[] }>;
+    outputs?: SimulatorEntity[];
+    triggers?: SimulatorEntity[];
+    doors?: Array<SimulatorEntity & { standardTime?: number; calendar?: number; specialDays?: number[] }>;
+    doorGroups?: Array<{ number: number; name: string; doors?: number[] }>;
+    filters?: SimulatorEntity[];
+    readers?: SimulatorEntity[];
+    events?: SimulatorEvent[];
+    /** Panel clock offset from the host clock in seconds. */
+    clockOffset?: number;
+}
+
+export class PanelSimulator extends EventEmitter {
+    constructor(fixture?: SimulatorFixture, options?: { logger?: LoggerLike });
+    start(port?: number, host?: string): Promise<{ host: string; port: number }>;
+    stop(): Promise<void>;
+    dropConnections(): void;
+    getState(type: EntityType, number: number): Record<string, boolean>;
+    setState(type: EntityType, number: number, flags: Record<string, boolean>): void;
+    setZoneState(number: number, flags: Partial<Record<keyof ZoneState, boolean>>): void;
+    setAreaState(number: number, flags: Partial<Record<keyof AreaState, boolean>>): void;
+    setOutputState(number: number, flags: Partial<Record<keyof OutputState, boolean>>): void;
+    setFilterState(number: number, flags: Partial<Record<keyof FilterState, boolean>>): void;
+    setDoorState(number: number, flags: Partial<Record<keyof DoorState, boolean>>): void;
+    setReaderState(number: number, flags: Partial<Record<keyof ReaderState, boolean>>): void;
+    setTriggerState(number: number, flags: Partial<Record<keyof TriggerState, boolean>>): void;
+    pushCOS(type?: EntityType | 'all'): void;
+    addEvent(event: SimulatorEvent): SimulatorEvent & { timestamp: Date; sequence: number };
+}
@@ -1,9 +1,19 @@
 // Main library exports for programmatic usage
 export { AritechClient, AritechError, ErrorCodes } from './aritech-client.js';
 export { AritechMonitor } from './aritech-monitor.js';
+export { AritechMqttBridge } from './aritech-mqtt.js';
+export { AritechServer } from './aritech-server.js';
+export { AritechEventStream } from './aritech-stream.js';
+export { PanelManager, PANEL_STATUS } from './panel-manager.js';
+export { EventLogSync } from './event-log-sync.js';
+export { TraceReplay, readTrace } from './protocol-trace.js';
+export { readCapture, dissect } from './protocol-dissector.js';
+export { EVENT_EXPORT_COLUMNS, EVENT_EXPORT_FORMATS, eventToRecord, csvHeader, formatEvent } from './event-export.js';
 export { default as AreaState } from './AreaState.js';
 export { default as ZoneState } from './ZoneState.js';
 export { default as OutputState } from './OutputState.js';
 export { default as TriggerState } from './TriggerState.js';
 export { default as DoorState } from './DoorState.js';
 export { default as FilterState } from './FilterState.js';
+export { default as ReaderState } from './ReaderState.js';
+export { PanelSimulator } from './panel-simulator.js';
@@ -0,0 +1,222 @@
+/**
+ * Aritech ATS Logging
+ *
+ * The client, monitor and the modules built on them log through a pluggable logger with
+ * a pino/winston-style interface: trace/debug/info/warn/error methods called as
+ * logger.debug(context, message), plus an optional child(bindings). pino loggers can be
+ * passed as they are.
+ *
+ * Without a logger, messages go to the console as before: debug and trace only with
+ * LOG_LEVEL=debug (or trace), warnings and errors always.
+ *
+ * Secrets never reach the logger. Context fields named pin, password, encryptionKey or
+ * sessionKey are replaced with [REDACTED], and the values of the registered secrets (PIN, password,
+ * encryption and session keys) are masked wherever they appear in messages and context.
+ */
+
+/**
+ * Log levels in increasing severity.
+ */
+export const LOG_LEVELS = {
+    trace: 10,
+    debug: 20,
+    info: 30,
+    warn: 40,
+    error: 50
+};
+
+const REDACTED = '[REDACTED]';
+
+// Context fields that always hold a secret. Exact names only, so e.g. hasPin or keypadId stay readable
+const SECRET_FIELD = /^(pin|password|encryptionKey|sessionKey)$/;
+
+// Shorter values (e.g. a PIN of "1") would mask unrelated text
+const MIN_SECRET_LENGTH = 4;
+
+// Nested context objects deeper than this are not logged
+const MAX_DEPTH = 5;
+
+// ============================================================================
+// REDACTION
+// ============================================================================
+
+/**
+ * Build a pattern matching any of the secret values (case-insensitive, for hex keys).
+ * @param {Array<string|Buffer|null|undefined>} secrets - Secret values
+ * @returns {RegExp|null} Pattern, or null if there is nothing to mask
+ */
+function secretPattern(secrets) {
+    const values = secrets
+        .filter(secret => secret !== null && secret !== undefined)
+        .map(secret => Buffer.isBuffer(secret) ? secret.toString('hex') : String(secret))
+        .filter(secret => secret.length >= MIN_SECRET_LENGTH)
+        .sort((a, b) => b.length - a.length)
+        .map(secret => secret.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return values.length > 0 ? new RegExp(values.join('|'), 'gi') : null;
+}
+
+/**
+ * Copy a log context with secret fields and secret values redacted.
+ * @param {*} value - Context value
+ * @param {RegExp|null} pattern - Secret values to mask (see secretPattern)
+ * @param {number} [depth=0] - Nesting depth
+ * @returns {*} Redacted copy
+ */
+export function redact(value, pattern, depth = 0) {
+    if (typeof value === 'string') {
+        return pattern ? value.replace(pattern, REDACTED) : value;
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[Object]';
+    }
+    if (Buffer.isBuffer(value)) {
+        return redact(value.toString('hex'), pattern);
+    }
+    if (value instanceof Error) {
+        const err = new Error(redact(value.message, pattern));
+        err.name = value.name;
+        if (value.code !== undefined) err.code = value.code;
+        err.stack = redact(value.stack, pattern);
+        return err;
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, pattern, depth + 1));
+    }
+    if (value instanceof Map || value instanceof Set || value instanceof Date) {
+        return value;
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        SECRET_FIELD.test(key) && item !== null && item !== undefined ? REDACTED : redact(item, pattern, depth + 1)
+    ]));
+}
+
+// ============================================================================
+// CONSOLE LOGGER
+// ============================================================================
+
+const CONSOLE_METHODS = {
+    trace: 'debug',
+    debug: 'debug',
+    info: 'info',
+    warn: 'warn',
+    error: 'error'
+};
+
+/**
+ * Default logger writing messages to the console.
+ * Debug and trace follow LOG_LEVEL, warnings and errors are always shown.
+ * @returns {Object} Logger with trace/debug/info/warn/error(context, message)
+ */
+function createConsoleLogger() {
+    const threshold = Math.min(LOG_LEVELS[process.env.LOG_LEVEL] ?? LOG_LEVELS.warn, LOG_LEVELS.warn);
+    const logger = {
+        isLevelEnabled: (level) => LOG_LEVELS[level] >= threshold
+    };
+    for (const level of Object.keys(LOG_LEVELS)) {
+        logger[level] = (context, message) => {
+            if (!logger.isLevelEnabled(level)) return;
+            const args = context.err ? [message, context.err] : [message];
+            console[CONSOLE_METHODS[level]](...args);
+        };
+    }
+    return logger;
+}
+
+// ============================================================================
+// LOGGER
+// ============================================================================
+
+/**
+ * Logger used inside the library: redacts, adds context and forwards to the target logger.
+ *
+ * @example
+ * const log = new Logger(pino(), { bindings: { host }, secrets: () => [config.pin] });
+ * log.debug('Sending login', { msgName: 'loginWithPin' });
+ */
+export class Logger {
+    /**
+     * @param {Object} [target] - pino/winston-style logger (default: console), or a Logger to extend
+     * @param {Object} [options]
+     * @param {Object} [options.bindings] - Context added to every entry (e.g. { host, port })
+     * @param {Function} [options.secrets] - () => values to mask (PIN, password, keys)
+     */
+    constructor(target, { bindings = {}, secrets = () => [] } = {}) {
+        // Extending a Logger keeps its context and secrets
+        if (target instanceof Logger) {
+            const parent = target;
+            const ownSecrets = secrets;
+            bindings = { ...parent.bindings, ...bindings };
+            secrets = () => [...parent.secrets(), ...ownSecrets()];
+            target = parent._root;
+        }
+
+        this.secrets = secrets;
+        this.bindings = bindings;
+        const base = target || createConsoleLogger();
+        // Let the target add the bindings itself if it supports children
+        if (typeof base.child === 'function') {
+            this.target = base.child(redact(bindings, secretPattern(secrets())));
+            this._context = {};
+        } else {
+            this.target = base;
+            this._context = bindings;
+        }
+        this._root = base;
+    }
+
+    /**
+     * Logger with additional context.
+     * @param {Object} bindings - Context added to every entry (e.g. { component: 'monitor' })
+     * @returns {Logger}
+     */
+    child(bindings) {
+        return new Logger(this, { bindings });
+    }
+
+    /**
+     * True if the target logs this level (pino and winston loggers provide isLevelEnabled).
+     * @param {string} level - Log level name
+     * @returns {boolean}
+     */
+    isLevelEnabled(level) {
+        return typeof this.target.isLevelEnabled === 'function' ? this.target.isLevelEnabled(level) : true;
+    }
+
+    /**
+     * Write an entry.
+     * @param {string} level - Log level name
+     * @param {string} message - Message
+     * @param {Object|Error} [context] - Structured context; an Error is logged as { err }
+     */
+    log(level, message, context) {
+        if (typeof this.target[level] !== 'function' || !this.isLevelEnabled(level)) return;
+
+        const pattern = secretPattern(this.secrets());
+        const fields = context instanceof Error ? { err: context } : context;
+        this.target[level](redact({ ...this._context, ...fields }, pattern), redact(String(message), pattern));
+    }
+
+    trace(message, context) {
+        this.log('trace', message, context);
+    }
+
+    debug(message, context) {
+        this.log('debug', message, context);
+    }
+
+    info(message, context) {
+        this.log('info', message, context);
+    }
+
+    warn(message, context) {
+        this.log('warn', message, context);
+    }
+
+    error(message, context) {
+        this.log('error', message, context);
+    }
+}
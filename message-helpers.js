@@ -3,7 +3,7 @@
  *
  * IMPORTANT: Byte offset handling differs between construction and parsing:
  * - constructMessage: DRV byte offsets are relative to after header, so bufferIndex = byteOffset + 1
- * - getProperty: DRV byte offsets are direct indices into the payload buffer
+ * - getProperty/setProperties: DRV byte offsets are direct indices into the payload buffer
  *
  * Usage:
  *   import { messageTemplates } from './protocol.js';
@@ -22,6 +22,11 @@
  *   // Result: true (since byte 4 = 0x11, mask 0x01 -> true)
  */
 
+import { Logger } from './logger.js';
+
+// Template mismatches are programming errors, logged to the console like other warnings
+const log = new Logger(undefined, { bindings: { component: 'messages' } });
+
 /**
  * Construct a message buffer from a template and properties
  *
@@ -67,7 +72,7 @@ export function constructMessage(templates, msgName, properties = {}) {
     for (const [propName, value] of Object.entries(properties)) {
         const propDef = template.properties[propName];
         if (!propDef) {
-            console.warn(`Unknown property '${propName}' for message '${msgName}'`);
+            log.warn(`Unknown property '${propName}' for message '${msgName}'`);
             continue;
         }
 
@@ -90,7 +95,7 @@ export function constructMessage(templates, msgName, properties = {}) {
             const bufferIndex = byteOffset + 1; // +1 to skip header
 
             if (bufferIndex < 0 || bufferIndex >= buffer.length) {
-                console.warn(`Property '${propName}' byte offset ${byteOffset} out of range`);
+                log.warn(`Property '${propName}' byte offset ${byteOffset} out of range`);
                 continue;
             }
 
@@ -306,6 +311,78 @@ export function getAllProperties(templates, msgName, payload) {
     return result;
 }
 
+/**
+ * Write property values into a response payload (inverse of getAllProperties)
+ *
+ * Uses the same direct byte offsets as getProperty/getAllProperties, so a payload
+ * built here parses back to the same values. This is the panel side of the
+ * protocol (used by the simulator to build responses).
+ *
+ * @param {Object} templates - The messageTemplates object
+ * @param {string} msgName - Message name (e.g., 'zoneStatus')
+ * @param {Buffer} payload - The payload buffer to write into (modified in place)
+ * @param {Object} properties - Property values to set (e.g., { isActive: true })
+ * @returns {Buffer} The same payload buffer
+ */
+export function setProperties(templates, msgName, payload, properties = {}) {
+    const template = templates[msgName];
+    if (!template) {
+        throw new Error(`Unknown message: ${msgName}`);
+    }
+
+    for (const [propName, value] of Object.entries(properties)) {
+        const propDef = template.properties[propName];
+        if (!propDef) {
+            log.warn(`Unknown property '${propName}' for message '${msgName}'`);
+            continue;
+        }
+
+        // Handle multi-byte properties - written little-endian in definition order
+        if (Array.isArray(propDef) && propDef.length > 1 && propDef.every(p => p.mask === 0xFF)) {
+            let numValue = Number(value) || 0;
+            for (const { byte: byteOffset } of propDef) {
+                if (byteOffset >= 0 && byteOffset < payload.length) {
+                    payload[byteOffset] = numValue & 0xFF;
+                }
+                numValue = numValue >> 8;
+            }
+            continue;
+        }
+
+        const { byte: byteOffset, mask, length, type } = propDef[0];
+        if (byteOffset < 0 || byteOffset >= payload.length) {
+            log.warn(`Property '${propName}' byte offset ${byteOffset} out of range`);
+            continue;
+        }
+
+        if (type === 'string') {
+            // Length-prefixed string
+            const maxLen = length || 16;
+            const strBytes = Buffer.from(String(value ?? ''), 'latin1');
+            payload[byteOffset] = Math.min(strBytes.length, maxLen);
+            for (let i = 0; i < maxLen && byteOffset + 1 + i < payload.length; i++) {
+                payload[byteOffset + 1 + i] = i < strBytes.length ? strBytes[i] : 0;
+            }
+        } else if (Buffer.isBuffer(value) || typeof value === 'string') {
+            // Fixed-length raw bytes, null-padded
+            const bytes = Buffer.isBuffer(value) ? value : Buffer.from(value, 'latin1');
+            const maxLen = length || bytes.length;
+            for (let i = 0; i < maxLen && byteOffset + i < payload.length; i++) {
+                payload[byteOffset + i] = i < bytes.length ? bytes[i] : 0;
+            }
+        } else if (mask === 0xFF) {
+            const typeByteCount = { 'bool': 1, 'byte': 1, 'short': 2, 'int': 4 };
+            writeVarint(payload, byteOffset, Number(value) || 0, typeByteCount[type] || length || 1);
+        } else if (value) {
+            payload[byteOffset] |= mask;
+        } else {
+            payload[byteOffset] &= ~mask;
+        }
+    }
+
+    return payload;
+}
+
 /**
  * Get only the "active" (truthy) bitmask properties from a response
  * Useful for seeing which flags are set
@@ -346,13 +423,14 @@ export function getActiveFlags(templates, msgName, payload) {
 
 // Response payload lengths for batch responses
 // Note: These may differ from template definitions due to extended response formats
-const BATCH_PAYLOAD_LENGTHS = {
+export const BATCH_PAYLOAD_LENGTHS = {
     'areaStatus': 17,   // Extended format in batch responses
     'zoneStatus': 7,
     'triggerStatus': 5,
     'outputStatus': 5,
     'doorStatus': 6,
     'filterStatus': 5,
+    'readerStatus': 5,
 };
 
 /**
@@ -401,7 +479,7 @@ export function splitBatchResponse(templates, response, expectedTemplate) {
     const payloadLength = BATCH_PAYLOAD_LENGTHS[expectedTemplate];
 
     if (!payloadLength) {
-        console.error(`Unknown template for splitting: ${expectedTemplate}`);
+        log.error(`Unknown template for splitting: ${expectedTemplate}`);
         return [];
     }
 
@@ -461,6 +539,7 @@ const GET_STAT_MSG_NAMES = {
     TRIGGER: 'getTriggerStatus',
     DOOR: 'getDoorStatus',
     FILTER: 'getFilterStatus',
+    READER: 'getReaderStatus',
 };
 
 /**
@@ -658,6 +737,7 @@ export function createHelperMethods(templates) {
         // Property extraction
         getProperty: getProperty.bind(null, templates),
         getAllProperties: getAllProperties.bind(null, templates),
+        setProperties: setProperties.bind(null, templates),
         getActiveFlags: getActiveFlags.bind(null, templates),
         // Batch handling
         splitBatchResponse: splitBatchResponse.bind(null, templates),
@@ -700,6 +780,7 @@ export default {
     constructMessage,
     getProperty,
     getAllProperties,
+    setProperties,
     getActiveFlags,
     splitBatchResponse,
     buildGetStatRequest,
@@ -240,6 +240,42 @@ export const messageTemplates = {
             'typeId': [{ byte: 3, mask: 0xFF }]
         }
     },
+    // Panel clock (device.getDateTime), answered with dateTime. Experimental: getDateTime, dateTime
+    // and setDateTime use the 0x2c device selector and BCD layout of the log timestamps, not a capture
+    'getDateTime': {
+        msgId: -2,
+        msgIdBytes: [0x03],
+        templateBytes: [0x2c, 0x00, 0x00],
+        payloadLength: 4,
+        properties: {
+            'typeId': [{ byte: 3, mask: 0xFF }]
+        }
+    },
+    // 08 2c YYMMDDhhmmss WW (panel local time in BCD, WW = day of week, 0 = Sunday)
+    // Same message id as deviceDescription (08 50 ...): replies are told apart by the selector
+    // byte and length, see isMessageType and AritechClient.getPanelTime()
+    'dateTime': {
+        msgId: 4,
+        msgIdBytes: [0x08],
+        templateBytes: [0x2c, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+        payloadLength: 9,
+        properties: {
+            'dateTime': [{ byte: 2, mask: 0xFF, length: 6 }],
+            'dayOfWeek': [{ byte: 8, mask: 0xFF }]
+        }
+    },
+    // Set the panel clock (device.setDateTime): 06 2c 00 00 YYMMDDhhmmss WW, answered with booleanResponse
+    'setDateTime': {
+        msgId: 3,
+        msgIdBytes: [0x06],
+        templateBytes: [0x2c, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+        payloadLength: 11,
+        properties: {
+            'typeId': [{ byte: 3, mask: 0xFF }],
+            'dateTime': [{ byte: 4, mask: 0xFF, length: 6 }],
+            'dayOfWeek': [{ byte: 10, mask: 0xFF, type: 'byte' }]
+        }
+    },
     'enableEncryptionKey': {
         msgId: 120,
         msgIdBytes: [0xf0, 0x01],
@@ -481,6 +517,274 @@ export const messageTemplates = {
             'typeId': [{ byte: 3, mask: 0xFF }]
         }
     },
+    // User management: users are object type 0x03 in the name, status and control messages
+    'getUserNames': {
+        msgId: 12,
+        msgIdBytes: [0x18],
+        templateBytes: [0x03, 0x00, 0x03, 0x00, 0x00],
+        payloadLength: 6,
+        properties: {
+            'typeId': [{ byte: 3, mask: 0xFF }],
+            'index': [{ byte: 5, mask: 0xFF }]
+        }
+    },
+    'userNames': {
+        msgId: -13,
+        msgIdBytes: [0x19],
+        templateBytes: [0x03, 0x00, 0x00, 0x10],
+        payloadLength: 5,
+        properties: {
+            'name': [{ byte: -1, mask: 0xFF, length: 16, type: 'string' }],
+            'index': [{ byte: 3, mask: 0xFF }]
+        }
+    },
+    // Experimental: getUser, userRecord, createUserControlSession and createUser/updateUser/deleteUser
+    // are modelled on the zone and door messages, no panel capture of them yet
+    'getUser': {
+        msgId: -230,
+        msgIdBytes: [0xcb, 0x03],
+        templateBytes: [0x00, 0x03, 0x00, 0x00],
+        payloadLength: 6,
+        properties: {
+            'typeId': [{ byte: 3, mask: 0xFF }],
+            // objectId is big-endian: high byte first, then low byte
+            'objectId': [{ byte: 5, mask: 0xFF }, { byte: 4, mask: 0xFF }]
+        }
+    },
+    'userRecord': {
+        msgId: -25,
+        msgIdBytes: [0x31],
+        // 31 03 OOOO FF GG [card: size, 5 bytes] YYMMDD YYMMDD (card field as in event log entries,
+        // dates in BCD, 000000 = no limit)
+        templateBytes: [0x03, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+        payloadLength: 18,
+        properties: {
+            // objectId is big-endian (high byte first)
+            'objectId': [{ byte: 3, mask: 0xFF }, { byte: 2, mask: 0xFF }],
+            'hasPin': [{ byte: 4, mask: 0x01 }],
+            'hasCard': [{ byte: 4, mask: 0x02 }],
+            'userGroup': [{ byte: 5, mask: 0xFF }],
+            'card': [{ byte: 6, mask: 0xFF, length: 6 }],
+            'validFrom': [{ byte: 12, mask: 0xFF, length: 3 }],
+            'validUntil': [{ byte: 15, mask: 0xFF, length: 3 }]
+        }
+    },
+    'createUserControlSession': {
+        msgId: 422,
+        msgIdBytes: [0xcc, 0x06],
+        templateBytes: [0x00, 0x04, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+        payloadLength: 12,
+        properties: {
+            ...generateBitmaskProps('area', 4, 1, 64),
+            'typeId': [{ byte: 3, mask: 0xFF }],
+            'areas-1-32': [{ byte: 4, mask: 0xFF }],
+            'areas-33-64': [{ byte: 8, mask: 0xFF }]
+        }
+    },
+    // createUser/updateUser: cf f1|f2 21 02 SSSS OOOO [set flags] GG [card: size, 5 bytes] YYMMDD YYMMDD [PIN x10] [len][name x16]
+    // The set flags select the fields the panel takes over, the others keep their value
+    'createUser': {
+        msgId: -277608,
+        msgIdBytes: [0xcf, 0xf1, 0x21],
+        templateBytes: [0x02, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+        payloadLength: 49,
+        properties: {
+            'typeId': [{ byte: 3, mask: 0xFF }],
+            'sessionId': [{ byte: 4, mask: 0xFF }, { byte: 5, mask: 0xFF }],
+            // objectId is big-endian: high byte first, then low byte
+            'objectId': [{ byte: 7, mask: 0xFF }, { byte: 6, mask: 0xFF }],
+            'setName': [{ byte: 8, mask: 0x01 }],
+            'setPin': [{ byte: 8, mask: 0x02 }],
+            'setCard': [{ byte: 8, mask: 0x04 }],
+            'setUserGroup': [{ byte: 8, mask: 0x08 }],
+            'setValidFrom': [{ byte: 8, mask: 0x10 }],
+            'setValidUntil': [{ byte: 8, mask: 0x20 }],
+            'userGroup': [{ byte: 9, mask: 0xFF, type: 'byte' }],
+            'card': [{ byte: 10, mask: 0xFF, length: 6 }],
+            'validFrom': [{ byte: 16, mask: 0xFF, length: 3 }],
+            'validUntil': [{ byte: 19, mask: 0xFF, length: 3 }],
+            'pinCode': [{ byte: 22, mask: 0xFF, length: 10 }],
+            'name': [{ byte: 32, mask: 0xFF, length: 16, type: 'string' }]
+        }
+    },
+    'updateUser': {
+        msgId: -277672,
+        msgIdBytes: [0xcf, 0xf2, 0x21],
+        templateBytes: [0x02, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+        payloadLength: 49,
+        properties: {
+            'typeId': [{ byte: 3, mask: 0xFF }],
+            'sessionId': [{ byte: 4, mask: 0xFF }, { byte: 5, mask: 0xFF }],
+            // objectId is big-endian: high byte first, then low byte
+            'objectId': [{ byte: 7, mask: 0xFF }, { byte: 6, mask: 0xFF }],
+            'setName': [{ byte: 8, mask: 0x01 }],
+            'setPin': [{ byte: 8, mask: 0x02 }],
+            'setCard': [{ byte: 8, mask: 0x04 }],
+            'setUserGroup': [{ byte: 8, mask: 0x08 }],
+            'setValidFrom': [{ byte: 8, mask: 0x10 }],
+            'setValidUntil': [{ byte: 8, mask: 0x20 }],
+            'userGroup': [{ byte: 9, mask: 0xFF, type: 'byte' }],
+            'card': [{ byte: 10, mask: 0xFF, length: 6 }],
+            'validFrom': [{ byte: 16, mask: 0xFF, length: 3 }],
+            'validUntil': [{ byte: 19, mask: 0xFF, length: 3 }],
+            'pinCode': [{ byte: 22, mask: 0xFF, length: 10 }],
+            'name': [{ byte: 32, mask: 0xFF, length: 16, type: 'string' }]
+        }
+    },
+    'deleteUser': {
+        msgId: -277736,
+        msgIdBytes: [0xcf, 0xf3, 0x21],
+        templateBytes: [0x02, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+        payloadLength: 12,
+        properties: {
+            'typeId': [{ byte: 3, mask: 0xFF }],
+            'sessionId': [{ byte: 4, mask: 0xFF }, { byte: 5, mask: 0xFF }],
+            // objectId is big-endian: high byte first, then low byte
+            'objectId': [{ byte: 7, mask: 0xFF }, { byte: 6, mask: 0xFF }]
+        }
+    },
+    // User groups: object type 0x04, the areas and doors their users may use and a calendar
+    // restricting when (0 = always)
+    'getUserGroupNames': {
+        msgId: 12,
+        msgIdBytes: [0x18],
+        templateBytes: [0x04, 0x00, 0x03, 0x00, 0x00],
+        payloadLength: 6,
+        properties: {
+            'typeId': [{ byte: 3, mask: 0xFF }],
+            'index': [{ byte: 5, mask: 0xFF }]
+        }
+    },
+    'userGroupNames': {
+        msgId: -13,
+        msgIdBytes: [0x19],
+        templateBytes: [0x04, 0x00, 0x00, 0x10],
+        payloadLength: 5,
+        properties: {
+            'name': [{ byte: -1, mask: 0xFF, length: 16, type: 'string' }],
+            'index': [{ byte: 3, mask: 0xFF }]
+        }
+    },
+    // Experimental: the getUserGroup/userGroupRecord and updateUserGroup layouts are not taken
+    // from a panel capture
+    'getUserGroup': {
+        msgId: -294,
+        msgIdBytes: [0xcb, 0x04],
+        templateBytes: [0x00, 0x03, 0x00, 0x00],
+        payloadLength: 6,
+        properties: {
+            'typeId': [{ byte: 3, mask: 0xFF }],
+            // objectId is big-endian: high byte first, then low byte
+            'objectId': [{ byte: 5, mask: 0xFF }, { byte: 4, mask: 0xFF }]
+        }
+    },
+    'userGroupRecord': {
+        msgId: -25,
+        msgIdBytes: [0x31],
+        // 31 04 OOOO KK [areas 1-64] [doors 1-64] (KK = calendar, bitmasks little-endian)
+        templateBytes: [0x04, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+        payloadLength: 21,
+        properties: {
+            ...generateBitmaskProps('area', 5, 1, 64),
+            ...generateBitmaskProps('door', 13, 1, 64),
+            // objectId is big-endian (high byte first)
+            'objectId': [{ byte: 3, mask: 0xFF }, { byte: 2, mask: 0xFF }],
+            'calendar': [{ byte: 4, mask: 0xFF }]
+        }
+    },
+    // updateUserGroup: cf f4 21 02 SSSS OOOO [set flags] KK [areas 1-64] [doors 1-64] [len][name x16]
+    // Areas and doors are replaced as a whole
+    'updateUserGroup': {
+        msgId: -277800,
+        msgIdBytes: [0xcf, 0xf4, 0x21],
+        templateBytes: [0x02, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+        payloadLength: 43,
+        properties: {
+            ...generateBitmaskProps('area', 10, 1, 64),
+            ...generateBitmaskProps('door', 18, 1, 64),
+            'typeId': [{ byte: 3, mask: 0xFF }],
+            'sessionId': [{ byte: 4, mask: 0xFF }, { byte: 5, mask: 0xFF }],
+            // objectId is big-endian: high byte first, then low byte
+            'objectId': [{ byte: 7, mask: 0xFF }, { byte: 6, mask: 0xFF }],
+            'setName': [{ byte: 8, mask: 0x01 }],
+            'setAreas': [{ byte: 8, mask: 0x02 }],
+            'setDoors': [{ byte: 8, mask: 0x04 }],
+            'setCalendar': [{ byte: 8, mask: 0x08 }],
+            'calendar': [{ byte: 9, mask: 0xFF, type: 'byte' }],
+            'name': [{ byte: 26, mask: 0xFF, length: 16, type: 'string' }]
+        }
+    },
+    // Door groups: object type 0x0c, the doors that belong to each group
+    'getDoorGroupNames': {
+        msgId: 12,
+        msgIdBytes: [0x18],
+        templateBytes: [0x0c, 0x00, 0x03, 0x00, 0x00],
+        payloadLength: 6,
+        properties: {
+            'typeId': [{ byte: 3, mask: 0xFF }],
+            'index': [{ byte: 5, mask: 0xFF }]
+        }
+    },
+    'doorGroupNames': {
+        msgId: -13,
+        msgIdBytes: [0x19],
+        templateBytes: [0x0c, 0x00, 0x00, 0x10],
+        payloadLength: 5,
+        properties: {
+            'name': [{ byte: -1, mask: 0xFF, length: 16, type: 'string' }],
+            'index': [{ byte: 3, mask: 0xFF }]
+        }
+    },
+    // Experimental: getDoorGroup/doorGroupRecord follow the user group record, not a panel capture
+    'getDoorGroup': {
+        msgId: -806,
+        msgIdBytes: [0xcb, 0x0c],
+        templateBytes: [0x00, 0x03, 0x00, 0x00],
+        payloadLength: 6,
+        properties: {
+            'typeId': [{ byte: 3, mask: 0xFF }],
+            // objectId is big-endian: high byte first, then low byte
+            'objectId': [{ byte: 5, mask: 0xFF }, { byte: 4, mask: 0xFF }]
+        }
+    },
+    'doorGroupRecord': {
+        msgId: -25,
+        msgIdBytes: [0x31],
+        // 31 0c OOOO [doors 1-64] (bitmask little-endian)
+        templateBytes: [0x0c, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+        payloadLength: 12,
+        properties: {
+            ...generateBitmaskProps('door', 4, 1, 64),
+            // objectId is big-endian (high byte first)
+            'objectId': [{ byte: 3, mask: 0xFF }, { byte: 2, mask: 0xFF }]
+        }
+    },
+    // Door schedule: the calendar and special days that unlock a door on time (selector 0x05
+    // instead of 0x03 for the status). Experimental, no panel capture of these yet
+    'getDoorSchedule': {
+        msgId: -742,
+        msgIdBytes: [0xcb, 0x0b],
+        templateBytes: [0x00, 0x05, 0x00, 0x00],
+        payloadLength: 6,
+        properties: {
+            'typeId': [{ byte: 3, mask: 0xFF }],
+            // objectId is big-endian: high byte first, then low byte
+            'objectId': [{ byte: 5, mask: 0xFF }, { byte: 4, mask: 0xFF }]
+        }
+    },
+    'doorSchedule': {
+        msgId: -26,
+        msgIdBytes: [0x33],
+        // 33 0b OOOO KK [special days 1-32] (KK = calendar, 0 = none)
+        templateBytes: [0x0b, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+        payloadLength: 9,
+        properties: {
+            ...generateBitmaskProps('specialDay', 5, 1, 32),
+            // objectId is big-endian (high byte first)
+            'objectId': [{ byte: 3, mask: 0xFF }, { byte: 2, mask: 0xFF }],
+            'calendar': [{ byte: 4, mask: 0xFF }]
+        }
+    },
     'getZonesAssignedToAreas': {
         msgId: 484,
         msgIdBytes: [0xc8, 0x07],
@@ -539,6 +843,17 @@ export const messageTemplates = {
             'typeId': [{ byte: 3, mask: 0xFF }]
         }
     },
+    // Experimental: the reader messages (getReaderChanges, getReaderStatus, readerStatus,
+    // getReaderNames, readerNames) copy the door layouts, no panel capture of them yet
+    'getReaderChanges': {
+        msgId: 869,
+        msgIdBytes: [0xca, 0x0d],
+        templateBytes: [0x00, 0x00],
+        payloadLength: 4,
+        properties: {
+            'typeId': [{ byte: 3, mask: 0xFF }]
+        }
+    },
     'getZoneChanges': {
         msgId: 101,
         msgIdBytes: [0xca, 0x01],
@@ -598,6 +913,17 @@ export const messageTemplates = {
             'objectId': [{ byte: 5, mask: 0xFF }]
         }
     },
+    // Experimental, see getReaderChanges
+    'getReaderStatus': {
+        msgId: -870,
+        msgIdBytes: [0xcb, 0x0d],
+        templateBytes: [0x00, 0x03, 0x00, 0x00],
+        payloadLength: 6,
+        properties: {
+            'typeId': [{ byte: 3, mask: 0xFF }],
+            'objectId': [{ byte: 5, mask: 0xFF }]
+        }
+    },
     'getZoneStatus': {
         msgId: -102,
         msgIdBytes: [0xcb, 0x01],
@@ -694,6 +1020,17 @@ export const messageTemplates = {
             'index': [{ byte: 3, mask: 0xFF }]
         }
     },
+    // Experimental, see getReaderChanges
+    'readerNames': {
+        msgId: -13,
+        msgIdBytes: [0x19],
+        templateBytes: [0x0d, 0x00, 0x00, 0x10],
+        payloadLength: 5,
+        properties: {
+            'name': [{ byte: -1, mask: 0xFF, length: 16, type: 'string' }],
+            'index': [{ byte: 3, mask: 0xFF }]
+        }
+    },
     'zoneNames': {
         msgId: -13,
         msgIdBytes: [0x19],
@@ -805,6 +1142,20 @@ export const messageTemplates = {
             'stateId': [{ byte: 3, mask: 0xFF }, { byte: 2, mask: 0xFF }]
         }
     },
+    'sysEvent': {
+        // return.sysevent: one entry of the fault/active/inhibited zone lists read during arming.
+        // Unverified: the typeId/objectId/area offsets are inferred, no panel capture of this reply yet
+        msgId: 21,
+        msgIdBytes: [0x2a],
+        templateBytes: [0x01, 0x00, 0x00, 0x00],
+        payloadLength: 5,
+        properties: {
+            'typeId': [{ byte: 1, mask: 0xFF }],
+            // objectId is big-endian (high byte first)
+            'objectId': [{ byte: 3, mask: 0xFF }, { byte: 2, mask: 0xFF }],
+            'area': [{ byte: 4, mask: 0xFF }]
+        }
+    },
     'validAreas': {
         msgId: -14,
         msgIdBytes: [0x1b],
@@ -1023,6 +1374,21 @@ export const messageTemplates = {
             'isActive': [{ byte: 4, mask: 0x1 }]
         }
     },
+    // Experimental, see getReaderChanges
+    'readerStatus': {
+        msgId: -25,
+        msgIdBytes: [0x31],
+        templateBytes: [0x0d, 0x00, 0x00, 0x00],
+        payloadLength: 5,
+        properties: {
+            'objectId': [{ byte: 3, mask: 0xFF }],
+            // Byte 4 flags (offline = not communicating with its door controller)
+            'isOffline': [{ byte: 4, mask: 0x01 }],
+            'isTamper': [{ byte: 4, mask: 0x02 }],
+            'isFault': [{ byte: 4, mask: 0x04 }],
+            'isDisabled': [{ byte: 4, mask: 0x08 }]
+        }
+    },
     'getAreaNames': {
         msgId: 12,
         msgIdBytes: [0x18],
@@ -1073,6 +1439,17 @@ export const messageTemplates = {
             'index': [{ byte: 5, mask: 0xFF }]
         }
     },
+    // Experimental, see getReaderChanges
+    'getReaderNames': {
+        msgId: 12,
+        msgIdBytes: [0x18],
+        templateBytes: [0x0d, 0x00, 0x03, 0x00, 0x00],
+        payloadLength: 6,
+        properties: {
+            'typeId': [{ byte: 3, mask: 0xFF }],
+            'index': [{ byte: 5, mask: 0xFF }]
+        }
+    },
     'getZoneNames': {
         msgId: 12,
         msgIdBytes: [0x18],
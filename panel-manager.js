@@ -0,0 +1,388 @@
+/**
+ * Aritech ATS Multi-Panel Manager
+ *
+ * Keeps one AritechClient and AritechMonitor per panel for sites with several panels, so a
+ * single process can follow all of them. Every entity and event carries the id of its panel:
+ *
+ *   manager.on('areaChanged', ({ panelId, id, newData }) => ...);
+ *   manager.areasNotSet();   // [{ panelId: 'north', key: 'north:area:2', number: 2, name, state }, ...]
+ *
+ * Panels connect independently. A panel that cannot be reached does not hold up the others:
+ * it is reported as 'failed' in health() and retried every retryInterval ms. Once connected,
+ * the client reconnects by itself (reconnect is enabled by default) and the monitor resyncs.
+ */
+
+import { EventEmitter } from 'events';
+import { AritechClient, AritechError, ErrorCodes } from './aritech-client.js';
+import { AritechMonitor } from './aritech-monitor.js';
+import { Logger } from './logger.js';
+
+// Monitor collection and change event per entity type
+const ENTITY_TYPES = {
+    area: { list: 'areas', states: 'areaStates', event: 'areaChanged' },
+    zone: { list: 'zones', states: 'zoneStates', event: 'zoneChanged' },
+    output: { list: 'outputs', states: 'outputStates', event: 'outputChanged' },
+    trigger: { list: 'triggers', states: 'triggerStates', event: 'triggerChanged' },
+    door: { list: 'doors', states: 'doorStates', event: 'doorChanged' },
+    filter: { list: 'filters', states: 'filterStates', event: 'filterChanged' },
+    reader: { list: 'readers', states: 'readerStates', event: 'readerChanged' }
+};
+
+// Monitor events forwarded with the panel id
+const MONITOR_EVENTS = [...Object.values(ENTITY_TYPES).map(t => t.event), 'logEvent', 'initialized'];
+
+/**
+ * Panel connection states reported by health().
+ */
+export const PANEL_STATUS = {
+    CONNECTING: 'connecting',       // Initial session setup running
+    CONNECTED: 'connected',         // Logged in and monitored
+    RECONNECTING: 'reconnecting',   // Connection lost, client reconnecting
+    FAILED: 'failed',               // Session setup or reconnect failed, retried after retryInterval
+    STOPPED: 'stopped'              // Not started or stopped
+};
+
+const MANAGER_DEFAULTS = {
+    retryInterval: 30000   // Delay before a failed panel is set up again (ms)
+};
+
+/**
+ * Manages several panels, each with its own client and monitor.
+ *
+ * Events emitted (all payloads include panelId):
+ * - 'zoneChanged', 'areaChanged', 'outputChanged', 'triggerChanged', 'doorChanged', 'filterChanged',
+ *   'readerChanged':
+ *   { panelId, id, name, oldData, newData }
+ * - 'logEvent': { panelId, ...parsed event } (with monitor.followLog)
+ * - 'initialized': { panelId, zones, areas, ... } when a panel's monitor has loaded its state
+ * - 'healthChanged': { panelId, status, previous, error }
+ * - 'error': Error object with a panelId property (connection losses only show up in healthChanged)
+ *
+ * @example
+ * const manager = new PanelManager([
+ *   { id: 'north', host: '10.0.0.10', port: 32000, pin: '1278', encryptionKey: '...' },
+ *   { id: 'south', host: '10.0.0.11', port: 32000, pin: '1278', encryptionKey: '...' }
+ * ]);
+ * manager.on('areaChanged', ({ panelId, name, newData }) => console.log(`${panelId}/${name}: ${newData.state}`));
+ * await manager.start();
+ * console.log(manager.areasNotSet().map(a => a.key));
+ */
+export class PanelManager extends EventEmitter {
+    /**
+     * @param {Object[]} panels - Panel configs: { id, ...AritechClient config }
+     * @param {Object} [options]
+     * @param {Object} [options.monitor] - AritechMonitor options for every panel (e.g. { followLog: true })
+     * @param {number} [options.retryInterval=30000] - Delay before a failed panel is set up again (ms)
+     * @param {Object} [options.logger] - pino/winston-style logger for the manager and every panel
+     *   (entries of a panel carry its panelId; a panel config may bring its own logger)
+     */
+    constructor(panels, options = {}) {
+        super();
+        if (!Array.isArray(panels) || panels.length === 0) {
+            throw new Error('PanelManager requires at least one panel config');
+        }
+        this.options = { ...MANAGER_DEFAULTS, ...options };
+        this.log = new Logger(this.options.logger, { bindings: { component: 'panel-manager' } });
+        this.running = false;
+        this.panels = new Map();    // id -> { id, client, monitor, health, retryTimer, clientListeners, monitorListeners }
+
+        for (const { id, ...config } of panels) {
+            if (typeof id !== 'string' || id === '') {
+                throw new Error('Every panel config needs a string id');
+            }
+            if (this.panels.has(id)) {
+                throw new Error(`Duplicate panel id: ${id}`);
+            }
+            const logger = new Logger(config.logger || this.options.logger, { bindings: { panelId: id } });
+            const client = new AritechClient({ reconnect: true, ...config, logger });
+            this.panels.set(id, {
+                id,
+                client,
+                monitor: null,
+                health: { status: PANEL_STATUS.STOPPED, since: new Date().toISOString(), lastError: null, reconnects: 0 },
+                retryTimer: null,
+                clientListeners: this._clientListeners(id),
+                monitorListeners: null
+            });
+        }
+    }
+
+    /**
+     * Connect all panels. Resolves once every panel is connected or has failed its first attempt;
+     * failed panels are retried in the background.
+     * @returns {Promise<Object[]>} Health of all panels (see health())
+     */
+    async start() {
+        if (this.running) {
+            throw new Error('Panel manager is already running');
+        }
+        this.running = true;
+
+        for (const panel of this.panels.values()) {
+            for (const [event, listener] of Object.entries(panel.clientListeners)) {
+                panel.client.on(event, listener);
+            }
+        }
+        await Promise.all([...this.panels.values()].map(panel => this._startPanel(panel)));
+
+        this.log.debug(`✓ Panel manager started: ${this.health().map(h => `${h.id} ${h.status}`).join(', ')}`);
+        return this.health();
+    }
+
+    /**
+     * Stop all monitors and disconnect all panels.
+     */
+    async stop() {
+        this.running = false;
+        await Promise.all([...this.panels.values()].map(async (panel) => {
+            clearTimeout(panel.retryTimer);
+            panel.retryTimer = null;
+            for (const [event, listener] of Object.entries(panel.clientListeners)) {
+                panel.client.off(event, listener);
+            }
+            this._stopMonitor(panel);
+            try {
+                await panel.client.disconnect();
+            } catch (err) {
+                panel.client.log.debug('Error disconnecting panel', { err });
+            }
+            this._setStatus(panel, PANEL_STATUS.STOPPED);
+        }));
+        this.log.debug('✓ Panel manager stopped');
+    }
+
+    /**
+     * Get the client and monitor of a panel, e.g. to send commands.
+     * @param {string} panelId - Panel id
+     * @returns {{id: string, client: AritechClient, monitor: AritechMonitor|null}}
+     * @throws {Error} If the panel id is unknown
+     */
+    getPanel(panelId) {
+        const panel = this.panels.get(panelId);
+        if (!panel) {
+            throw new Error(`Unknown panel: ${panelId} (expected ${[...this.panels.keys()].join(', ')})`);
+        }
+        return { id: panel.id, client: panel.client, monitor: panel.monitor };
+    }
+
+    /**
+     * Connection health of every panel.
+     * @returns {Object[]} [{ id, status, connected, since, lastError, reconnects, panelName, panelModel }]
+     */
+    health() {
+        return [...this.panels.values()].map(({ id, client, health }) => ({
+            id,
+            status: health.status,
+            connected: health.status === PANEL_STATUS.CONNECTED,
+            since: health.since,
+            lastError: health.lastError,
+            reconnects: health.reconnects,
+            panelName: client.panelName ?? null,
+            panelModel: client.panelModel ?? null
+        }));
+    }
+
+    // ========================================================================
+    // AGGREGATED QUERIES
+    // ========================================================================
+
+    /**
+     * Entities of one type across all panels with a loaded state.
+     * @param {string} type - 'area', 'zone', 'output', 'trigger', 'door', 'filter' or 'reader'
+     * @param {Function} [predicate] - Filter on the entity records
+     * @returns {Object[]} [{ panelId, key, number, name, state, rawHex }], key is '<panelId>:<type>:<number>'
+     */
+    entities(type, predicate = () => true) {
+        const entityType = ENTITY_TYPES[type];
+        if (!entityType) {
+            throw new Error(`Unknown entity type: ${type} (expected ${Object.keys(ENTITY_TYPES).join(', ')})`);
+        }
+
+        const result = [];
+        for (const { id, monitor } of this.panels.values()) {
+            if (!monitor?.running) continue;
+            for (const entity of monitor[entityType.list]) {
+                const data = monitor[entityType.states][entity.number];
+                const record = {
+                    panelId: id,
+                    key: `${id}:${type}:${entity.number}`,
+                    number: entity.number,
+                    name: entity.name,
+                    state: data?.state ?? null,
+                    rawHex: data?.rawHex ?? null
+                };
+                if (predicate(record)) result.push(record);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Areas on all panels.
+     * @param {Function} [predicate] - Filter on the area records
+     * @returns {Object[]} Area records (see entities())
+     */
+    areas(predicate) {
+        return this.entities('area', predicate);
+    }
+
+    /**
+     * Zones on all panels.
+     * @param {Function} [predicate] - Filter on the zone records
+     * @returns {Object[]} Zone records (see entities())
+     */
+    zones(predicate) {
+        return this.entities('zone', predicate);
+    }
+
+    /**
+     * Areas on all panels that are neither fully nor partially set.
+     * @returns {Object[]} Area records (see entities())
+     */
+    areasNotSet() {
+        return this.areas(({ state }) => !state?.isFullSet && !state?.isPartiallySet && !state?.isPartiallySet2);
+    }
+
+    /**
+     * Zones on all panels that are active, faulty or tampered.
+     * @returns {Object[]} Zone records (see entities())
+     */
+    zonesNotReady() {
+        return this.zones(({ state }) => Boolean(state?.isActive || state?.hasFault || state?.isTampered));
+    }
+
+    // ========================================================================
+    // PANEL LIFECYCLE
+    // ========================================================================
+
+    /**
+     * Run the session setup for a panel and start its monitor. On failure the panel is
+     * marked failed and retried after retryInterval.
+     * @private
+     */
+    async _startPanel(panel) {
+        panel.retryTimer = null;
+        if (!this.running) return;
+
+        this._setStatus(panel, PANEL_STATUS.CONNECTING);
+        const { client } = panel;
+        try {
+            await client.connect();
+            await client.getDescription();
+            await client.changeSessionKey();
+            const success = await client.login();
+            if (!success) {
+                throw new AritechError('Login failed', { code: ErrorCodes.LOGIN_FAILED });
+            }
+
+            // A fresh monitor per session setup: a stopped monitor keeps its COS listener on the client
+            panel.monitor = new AritechMonitor(client, this.options.monitor);
+            panel.monitorListeners = this._monitorListeners(panel.id);
+            for (const [event, listener] of Object.entries(panel.monitorListeners)) {
+                panel.monitor.on(event, listener);
+            }
+            await panel.monitor.start();
+        } catch (err) {
+            panel.client.log.debug(`Panel setup failed: ${err.message}`, { err });
+            this._stopMonitor(panel);
+            await client.disconnect().catch(() => undefined);
+            if (!this.running) return;
+            this._failPanel(panel, err);
+            return;
+        }
+
+        if (!this.running) return;
+        this._setStatus(panel, PANEL_STATUS.CONNECTED);
+    }
+
+    /**
+     * Mark a panel failed and schedule the next setup attempt.
+     * @private
+     */
+    _failPanel(panel, error) {
+        this._setStatus(panel, PANEL_STATUS.FAILED, error);
+        clearTimeout(panel.retryTimer);
+        panel.retryTimer = setTimeout(() => this._startPanel(panel), this.options.retryInterval);
+        panel.retryTimer.unref();
+    }
+
+    /**
+     * Stop a panel's monitor and drop its listeners.
+     * @private
+     */
+    _stopMonitor(panel) {
+        if (!panel.monitor) return;
+        if (panel.monitor.running) {
+            panel.monitor.stop();
+        }
+        for (const [event, listener] of Object.entries(panel.monitorListeners)) {
+            panel.monitor.off(event, listener);
+        }
+        panel.monitor = null;
+    }
+
+    /**
+     * Update a panel's health and emit healthChanged.
+     * @private
+     */
+    _setStatus(panel, status, error = null) {
+        const previous = panel.health.status;
+        if (error) {
+            panel.health.lastError = error.message;
+        }
+        if (previous === status) return;
+
+        panel.health.status = status;
+        panel.health.since = new Date().toISOString();
+        panel.client.log.debug(`Panel ${previous} → ${status}${error ? ` (${error.message})` : ''}`, { status, previous });
+        this.emit('healthChanged', { panelId: panel.id, status, previous, error });
+    }
+
+    /**
+     * Client listeners tracking the connection health of a panel.
+     * @private
+     */
+    _clientListeners(panelId) {
+        const panel = () => this.panels.get(panelId);
+        return {
+            disconnected: ({ error }) => {
+                // Without reconnect the session is gone for good, set it up again after retryInterval
+                if (!panel().client.reconnectOptions) {
+                    this._stopMonitor(panel());
+                    this._failPanel(panel(), error);
+                } else {
+                    this._setStatus(panel(), PANEL_STATUS.RECONNECTING, error);
+                }
+            },
+            reconnected: () => {
+                panel().health.reconnects++;
+                this._setStatus(panel(), PANEL_STATUS.CONNECTED);
+            },
+            reconnectFailed: ({ error }) => {
+                this._stopMonitor(panel());
+                this._failPanel(panel(), error);
+            }
+        };
+    }
+
+    /**
+     * Monitor listeners forwarding events with the panel id.
+     * @private
+     */
+    _monitorListeners(panelId) {
+        const listeners = {};
+        for (const event of MONITOR_EVENTS) {
+            listeners[event] = (data) => this.emit(event, { panelId, ...data });
+        }
+        listeners.error = (err) => {
+            // Commands cut off by a dropped connection, already reported through healthChanged
+            if (err.code === ErrorCodes.CONNECTION_LOST) {
+                this.panels.get(panelId).client.log.debug(err.message, { err });
+                return;
+            }
+            err.panelId = panelId;
+            this.emit('error', err);
+        };
+        return listeners;
+    }
+}
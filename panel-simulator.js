@@ -0,0 +1,1531 @@
+/**
+ * Aritech ATS Panel Simulator
+ *
+ * Local TCP server that speaks the panel side of the protocol, so AritechClient and
+ * AritechMonitor can be exercised end to end without hardware.
+ *
+ * Protocol details (panel side):
+ * - getDeviceInfo is answered unencrypted (plain frame with CRC)
+ * - createSession/enableEncryptionKey are encrypted with the initial key
+ * - Session key = [client key bytes][panel key bytes], active after enableEncryptionKey
+ * - Responses are encrypted with the same key the request was encrypted with
+ * - COS notifications: c0 ca TT 30 00 TT ..., followed by getXChanges bitmap queries
+ */
+
+import net from 'net';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { createHelperMethods, BATCH_PAYLOAD_LENGTHS } from './message-helpers.js';
+import { messageTemplates } from './messages.js';
+import { Logger } from './logger.js';
+import {
+    SLIP_END,
+    slipEncode,
+    slipDecode,
+    appendCrc,
+    verifyCrc,
+    makeEncryptionKey,
+    makeEncryptionKeyPBKDF2,
+    decodeSerial,
+    calculateProtocolVersion,
+    encodeBcdDate,
+    decodeBcdDate,
+    encodeBcdDateTime,
+    decodeBcdDateTime,
+    encodeCardNumber,
+    decodeCardNumber,
+    encryptMessage,
+    decryptMessage
+} from './aritech-utils.js';
+
+const { getProperty, setProperties } = createHelperMethods(messageTemplates);
+
+// ============================================================================
+// PROTOCOL CONSTANTS
+// ============================================================================
+
+const HEADER = {
+    REQUEST: 0xC0,   // Client → Panel (also unsolicited Panel → Client)
+    RESPONSE: 0xA0,  // Panel → Client (success)
+    ERROR: 0xF0      // Panel → Client (error)
+};
+
+// Error codes returned in 0xF0 frames (simulator specific, not taken from a real panel)
+export const SIMULATOR_ERRORS = {
+    UNKNOWN_MESSAGE: 0x01,
+    NOT_LOGGED_IN: 0x02,
+    INVALID_SESSION: 0x03,
+    UNKNOWN_OBJECT: 0x04,
+    LOG_EMPTY: 0x05,
+    INTERNAL: 0xFF
+};
+
+// Entity types with their typeId (used in names, status and change messages)
+const ENTITY_TYPES = {
+    zone: { typeId: 0x01, statusMsg: 'zoneStatus' },
+    area: { typeId: 0x02, statusMsg: 'areaStatus' },
+    output: { typeId: 0x07, statusMsg: 'outputStatus' },
+    filter: { typeId: 0x08, statusMsg: 'filterStatus' },
+    door: { typeId: 0x0b, statusMsg: 'doorStatus' },
+    reader: { typeId: 0x0d, statusMsg: 'readerStatus' },
+    trigger: { typeId: 0x14, statusMsg: 'triggerStatus' }
+};
+
+// COS type for "several entity types changed"
+const COS_ALL = 0xFF;
+
+// COS is repeated while changes remain unfetched (the client ignores a COS that arrives
+// while it is still handling the previous one)
+const COS_REPEAT_INTERVAL = 200;
+const COS_MAX_REPEATS = 5;
+
+// Request message name → entity type
+const NAME_REQUESTS = {
+    getZoneNames: 'zone',
+    getAreaNames: 'area',
+    getOutputNames: 'output',
+    getFilterNames: 'filter',
+    getDoorNames: 'door',
+    getReaderNames: 'reader',
+    getTriggerNames: 'trigger',
+    getUserNames: 'user',
+    getUserGroupNames: 'userGroup',
+    getDoorGroupNames: 'doorGroup'
+};
+const EXTENDED_NAME_REQUESTS = {
+    getZoneNamesExtended: 'zone',
+    getAreaNamesExtended: 'area'
+};
+const STATUS_REQUESTS = {
+    getZoneStatus: 'zone',
+    getAreaStatus: 'area',
+    getOutputStatus: 'output',
+    getFilterStatus: 'filter',
+    getDoorStatus: 'door',
+    getReaderStatus: 'reader',
+    getTriggerStatus: 'trigger'
+};
+const CHANGES_REQUESTS = {
+    getZoneChanges: 'zone',
+    getAreaChanges: 'area',
+    getOutputChanges: 'output',
+    getFilterChanges: 'filter',
+    getDoorChanges: 'door',
+    getReaderChanges: 'reader',
+    getTriggerChanges: 'trigger'
+};
+
+// Control session create message → session kind (and set type for arm sessions)
+const CONTROL_SESSION_REQUESTS = {
+    createArmSession: { kind: 'arm', setType: 'full' },
+    createPartArmSession: { kind: 'arm', setType: 'part1' },
+    createPartArm2Session: { kind: 'arm', setType: 'part2' },
+    createDisarmSession: { kind: 'disarm' },
+    createZoneControlSession: { kind: 'zone' },
+    createOutputControlSession: { kind: 'output' },
+    createTriggerControlSession: { kind: 'trigger' },
+    createDoorControlSession: { kind: 'door' },
+    createUserControlSession: { kind: 'user' }
+};
+
+// Control session status codes (high byte = set type, low byte = state), see CC_STATUS in aritech-client.js
+const CC_STATUS_BASE = { full: 0x0500, part1: 0x0400, part2: 0x1000 };
+const CC_STATE = { FAULT: 0x01, ACTIVE_STATES: 0x02, INHIBITED: 0x03, SETTING: 0x04, SET: 0x05 };
+
+// Messages accepted before login
+const PUBLIC_REQUESTS = new Set([
+    'getDeviceInfo', 'createSession', 'enableEncryptionKey', 'loginWithPin', 'loginWithAccount', 'ping'
+]);
+
+// Name page layouts (see _getNames in aritech-client.js)
+const NAME_LENGTH = 16;
+const NAMES_PER_PAGE = 16;
+const EXTENDED_NAME_LENGTH = 30;
+const EXTENDED_NAMES_PER_PAGE = 4;
+
+// Bitset sizes for valid areas/zones responses
+const AREA_BITSET_LENGTH = 8;    // 64 areas
+const ZONE_BITSET_LENGTH = 30;   // 240 zones (zonesAssignedToAreas response is 32 bytes)
+
+const EVENT_LOG_DIRECTION = {
+    FIRST: 0x00,
+    NEXT: 0x03
+};
+
+/**
+ * Default fixture: a small x500 panel with one area.
+ * Entity state objects use the property names of the status templates in messages.js.
+ */
+export const DEFAULT_FIXTURE = {
+    panel: {
+        deviceName: 'Simulator',
+        productName: 'ATS1500AIP',
+        firmwareVersion: 'MR_4.1.38741',
+        serialNumber: 'SimulatorPanel01',
+        encryptionMode: 1
+    },
+    encryptionKey: '000000000000000000000000',
+    // Users may also have username/password (x700 login), card (decimal string), userGroup, validFrom and validUntil ('YYYY-MM-DD')
+    users: [
+        { number: 1, name: 'Master', pin: '1278' }
+    ],
+    // User groups: { number, name, areas, doors, calendar }
+    userGroups: [],
+    areas: [
+        { number: 1, name: 'House', state: { isUnset: true, isReadyToArm: true } }
+    ],
+    zones: [
+        { number: 1, name: 'Front Door', areas: [1] },
+        { number: 2, name: 'Living Room', areas: [1] }
+    ],
+    outputs: [
+        { number: 1, name: 'Siren' }
+    ],
+    triggers: [
+        { number: 1, name: 'Garage Door' }
+    ],
+    // Doors may also have standardTime (seconds), calendar and specialDays (numbers 1-32)
+    doors: [],
+    // Door groups: { number, name, doors }
+    doorGroups: [],
+    filters: [],
+    readers: [],
+    events: [],
+    // Panel clock offset from the host clock (seconds), e.g. -90 for a panel running 90 s slow
+    clockOffset: 0
+};
+
+// ============================================================================
+// REQUEST IDENTIFICATION
+// ============================================================================
+
+/**
+ * Fixed prefix that identifies a request: msgIdBytes plus template bytes up to the
+ * first variable property. typeId counts as part of the identity since clients
+ * always send the template default.
+ * @private
+ */
+function requestSignature(msgName) {
+    const template = messageTemplates[msgName];
+    const bytes = [...template.msgIdBytes, ...template.templateBytes];
+    let end = bytes.length;
+
+    for (const [propName, propDef] of Object.entries(template.properties)) {
+        if (propName === 'typeId') continue;
+        for (const { byte } of propDef) {
+            if (byte >= 0 && byte < end) end = byte;
+        }
+    }
+
+    return Buffer.from(bytes.slice(0, end));
+}
+
+const HANDLED_REQUESTS = [
+    'getDeviceInfo', 'createSession', 'enableEncryptionKey', 'loginWithPin', 'loginWithAccount', 'logout',
+    'getUserInfo', 'ping', 'openLog', 'startMonitor', 'selectLogEntry', 'batch',
+    'getValidAreas', 'getValidDoors', 'getZonesAssignedToAreas',
+    'destroyControlSession', 'getControlSessionStatus', 'armAreas', 'disarmAreas', 'setAreaForced',
+    'getFaultZones', 'getActiveZones', 'getInhibitedZones',
+    'inhibitZone', 'uninhibitZone',
+    'forceActivateOutput', 'forceDeactivateOutput', 'cancelForceOutput',
+    'activateTrigger', 'deactivateTrigger',
+    'lockDoor', 'unlockDoor', 'unlockDoorStandardTime', 'unlockDoorTime', 'disableDoor', 'enableDoor',
+    'getUser', 'createUser', 'updateUser', 'deleteUser', 'getUserGroup', 'updateUserGroup',
+    'getDoorGroup', 'getDoorSchedule', 'getDateTime', 'setDateTime',
+    ...Object.keys(NAME_REQUESTS),
+    ...Object.keys(EXTENDED_NAME_REQUESTS),
+    ...Object.keys(STATUS_REQUESTS),
+    ...Object.keys(CHANGES_REQUESTS),
+    ...Object.keys(CONTROL_SESSION_REQUESTS)
+];
+
+// Longest signatures first so the most specific template wins
+const REQUEST_SIGNATURES = HANDLED_REQUESTS
+    .map(msgName => ({ msgName, signature: requestSignature(msgName) }))
+    .sort((a, b) => b.signature.length - a.signature.length);
+
+/**
+ * Identify a request by its message body (without the 0xC0 header).
+ * @param {Buffer} body - Request body
+ * @returns {string|null} Message template name, or null if unknown
+ */
+export function identifyRequest(body) {
+    for (const { msgName, signature } of REQUEST_SIGNATURES) {
+        if (body.length >= signature.length && body.subarray(0, signature.length).equals(signature)) {
+            return msgName;
+        }
+    }
+    return null;
+}
+
+// ============================================================================
+// RESPONSE BUILDERS
+// ============================================================================
+
+/**
+ * Build an empty response from a response template: [0xA0][msgIdBytes][templateBytes].
+ * @private
+ */
+function responseSkeleton(msgName, extraLength = 0) {
+    const template = messageTemplates[msgName];
+    return Buffer.concat([
+        Buffer.from([HEADER.RESPONSE, ...template.msgIdBytes, ...template.templateBytes]),
+        Buffer.alloc(extraLength)
+    ]);
+}
+
+const ack = () => Buffer.from([HEADER.RESPONSE, 0x00, 0x00]);
+const boolResponse = (value) => Buffer.from([HEADER.RESPONSE, 0x00, 0x01, value ? 0x01 : 0x00]);
+const errorResponse = (code) => Buffer.from([HEADER.ERROR, code]);
+
+/**
+ * Build a bitset (bit 0 of byte 0 = number 1).
+ * @private
+ */
+function bitset(numbers, length) {
+    const bits = Buffer.alloc(length);
+    for (const num of numbers) {
+        const idx = num - 1;
+        if (idx >= 0 && idx < length * 8) {
+            bits[Math.floor(idx / 8)] |= 1 << (idx % 8);
+        }
+    }
+    return bits;
+}
+
+const toBcd = (value) => ((Math.floor(value / 10) % 10) << 4) | (value % 10);
+
+// ============================================================================
+// SIMULATOR
+// ============================================================================
+
+/**
+ * Simulated panel for tests and local development.
+ *
+ * Each TCP connection gets its own session (key exchange, login, control sessions, log cursor),
+ * while entity state is shared, so commands from one client show up as COS events on all others.
+ *
+ * Events emitted:
+ * - 'connection': { connectionId, remoteAddress }
+ * - 'disconnect': { connectionId }
+ * - 'login': { connectionId, user }
+ * - 'request': { connectionId, msgName, payload } - Every decoded request (including batch members)
+ *
+ * @example
+ * const simulator = new PanelSimulator({ zones: [{ number: 1, name: 'Front Door', areas: [1] }] });
+ * const { port } = await simulator.start();
+ * const client = new AritechClient({ host: '127.0.0.1', port, pin: '1278', encryptionKey: '000000000000000000000000' });
+ * ...
+ * simulator.setZoneState(1, { isActive: true });  // Pushes a COS notification to monitoring clients
+ * await simulator.stop();
+ */
+export class PanelSimulator extends EventEmitter {
+    /**
+     * @param {Object} [fixture] - Panel fixture, see DEFAULT_FIXTURE. Missing keys use the defaults.
+     * @param {Object} [options]
+     * @param {Object} [options.logger] - pino/winston-style logger (default: console, debug with LOG_LEVEL=debug)
+     */
+    constructor(fixture = {}, { logger } = {}) {
+        super();
+        this.log = new Logger(logger, { bindings: { component: 'simulator' } });
+        this.panel = { ...DEFAULT_FIXTURE.panel, ...fixture.panel };
+        this.encryptionKey = fixture.encryptionKey ?? DEFAULT_FIXTURE.encryptionKey;
+        this.users = (fixture.users ?? DEFAULT_FIXTURE.users).map(user => ({ ...user }));
+        this.userGroups = (fixture.userGroups ?? DEFAULT_FIXTURE.userGroups).map(group => ({ ...group }));
+        this.doorGroups = (fixture.doorGroups ?? DEFAULT_FIXTURE.doorGroups).map(group => ({ ...group }));
+        this.clockOffset = (fixture.clockOffset ?? DEFAULT_FIXTURE.clockOffset) * 1000;  // ms
+
+        // Mode 5 panels (x700) derive the initial key with PBKDF2
+        this.initialKey = this.panel.encryptionMode === 5
+            ? makeEncryptionKeyPBKDF2(this.encryptionKey)
+            : makeEncryptionKey(this.encryptionKey);
+        this.serialBytes = decodeSerial(this.panel.serialNumber);
+        this.protocolVersion = calculateProtocolVersion(this.panel.firmwareVersion);
+
+        // Entity state: { zone: Map(number -> { number, name, areas?, state }), ... }
+        this.entities = {};
+        for (const type of Object.keys(ENTITY_TYPES)) {
+            const list = fixture[`${type}s`] ?? DEFAULT_FIXTURE[`${type}s`];
+            this.entities[type] = new Map(list.map(entity => [
+                entity.number,
+                { ...entity, state: { ...entity.state } }
+            ]));
+        }
+
+        // Event log, oldest first
+        this.events = [];
+        this._nextSequence = 0;
+        for (const event of fixture.events ?? DEFAULT_FIXTURE.events) {
+            this.addEvent(event);
+        }
+
+        this.server = null;
+        this.port = null;
+        this.connections = new Set();
+        this.controlSessions = new Map();  // sessionId -> session
+        this._nextConnectionId = 1;
+        this._nextSessionId = 0x0201;
+        this._timers = new Set();
+    }
+
+    /**
+     * Start listening for client connections.
+     * @param {number} [port=0] - TCP port (0 = pick a free port)
+     * @param {string} [host='127.0.0.1'] - Interface to bind to
+     * @returns {Promise<{host: string, port: number}>} Address the simulator listens on
+     */
+    async start(port = 0, host = '127.0.0.1') {
+        if (this.server) {
+            throw new Error('Simulator is already running');
+        }
+
+        this.server = net.createServer(socket => this._handleConnection(socket));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+
+        this.port = this.server.address().port;
+        this.log.debug(`Panel simulator listening on ${host}:${this.port}`);
+        return { host, port: this.port };
+    }
+
+    /**
+     * Stop the simulator and close all client connections.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        for (const timer of this._timers) {
+            clearTimeout(timer);
+        }
+        this._timers.clear();
+
+        this.dropConnections();
+
+        if (this.server) {
+            const server = this.server;
+            this.server = null;
+            await new Promise(resolve => server.close(() => resolve()));
+        }
+        this.log.debug('Panel simulator stopped');
+    }
+
+    /**
+     * Close all client connections without stopping the server (e.g. to test reconnects).
+     */
+    dropConnections() {
+        for (const conn of this.connections) {
+            conn.socket.destroy();
+        }
+    }
+
+    // ========================================================================
+    // STATE MANIPULATION
+    // ========================================================================
+
+    /**
+     * Get a copy of an entity's state flags.
+     * @param {string} type - 'zone', 'area', 'output', 'filter', 'door', 'reader' or 'trigger'
+     * @param {number} number - Entity number
+     * @returns {Object} State flags (template property names)
+     */
+    getState(type, number) {
+        return { ...this._getEntity(type, number).state };
+    }
+
+    /**
+     * Change an entity's state flags and notify monitoring clients via COS.
+     * @param {string} type - 'zone', 'area', 'output', 'filter', 'door', 'reader' or 'trigger'
+     * @param {number} number - Entity number
+     * @param {Object} flags - State flags to merge (template property names, e.g. { isActive: true })
+     */
+    setState(type, number, flags) {
+        Object.assign(this._getEntity(type, number).state, flags);
+        this._markChanged(type, [number]);
+    }
+
+    setZoneState(number, flags) { this.setState('zone', number, flags); }
+    setAreaState(number, flags) { this.setState('area', number, flags); }
+    setOutputState(number, flags) { this.setState('output', number, flags); }
+    setFilterState(number, flags) { this.setState('filter', number, flags); }
+    setDoorState(number, flags) { this.setState('door', number, flags); }
+    setReaderState(number, flags) { this.setState('reader', number, flags); }
+    setTriggerState(number, flags) { this.setState('trigger', number, flags); }
+
+    /**
+     * Send a COS notification to all monitoring clients without changing any state.
+     * @param {string} [type='all'] - Entity type, or 'all' for a full resync
+     */
+    pushCOS(type = 'all') {
+        const typeId = type === 'all' ? COS_ALL : ENTITY_TYPES[type]?.typeId;
+        if (typeId === undefined) {
+            throw new Error(`Unknown entity type: ${type}`);
+        }
+        for (const conn of this.connections) {
+            if (conn.cosEnabled) {
+                this._sendCOS(conn, typeId);
+            }
+        }
+    }
+
+    /**
+     * Append an event to the panel event log (becomes the newest entry).
+     * @param {Object} event - { eventId, classId?, subId?, entityId?, area?, timestamp?, logType?, details?, description?, sequence? }
+     * @returns {Object} The stored event including its sequence number
+     */
+    addEvent(event) {
+        const stored = {
+            timestamp: new Date(),
+            logType: 0,
+            classId: 0,
+            subId: 0,
+            entityId: 0,
+            area: 0,
+            description: '',
+            ...event,
+            sequence: event.sequence ?? (this._nextSequence++ & 0xFF)
+        };
+        this.events.push(stored);
+        return stored;
+    }
+
+    /**
+     * @private
+     */
+    _getEntity(type, number) {
+        const entities = this.entities[type];
+        if (!entities) {
+            throw new Error(`Unknown entity type: ${type}`);
+        }
+        const entity = entities.get(number);
+        if (!entity) {
+            throw new Error(`Unknown ${type} ${number}`);
+        }
+        return entity;
+    }
+
+    /**
+     * Check if names use the extended format (x700 panels and x500 panels with protocol 4.4+).
+     * @private
+     */
+    _isExtendedPanel() {
+        return /ATS\d700/.test(this.panel.productName) || (this.protocolVersion && this.protocolVersion >= 4004);
+    }
+
+    /**
+     * Zones assigned to any of the given areas.
+     * @private
+     */
+    _zonesInAreas(areaNumbers) {
+        return [...this.entities.zone.values()]
+            .filter(zone => (zone.areas ?? [1]).some(area => areaNumbers.includes(area)));
+    }
+
+    /**
+     * Record changed entities for every logged-in connection and schedule COS notifications.
+     * @private
+     */
+    _markChanged(type, numbers) {
+        if (numbers.length === 0) return;
+
+        for (const conn of this.connections) {
+            if (!conn.user) continue;
+            for (const num of numbers) {
+                conn.changed[type].add(num);
+            }
+            if (conn.cosEnabled) {
+                this._scheduleCOS(conn, type);
+            }
+        }
+    }
+
+    /**
+     * Coalesce changes made in the same tick into one COS notification
+     * (the client skips a COS that arrives while the previous one is being handled).
+     * @private
+     */
+    _scheduleCOS(conn, type) {
+        conn.pendingCOS.add(type);
+        if (conn.cosScheduled) return;
+
+        conn.cosScheduled = true;
+        setImmediate(() => {
+            conn.cosScheduled = false;
+            const types = [...conn.pendingCOS];
+            conn.pendingCOS.clear();
+            const typeId = types.length === 1 ? ENTITY_TYPES[types[0]].typeId : COS_ALL;
+            this._sendCOS(conn, typeId);
+        });
+    }
+
+    /**
+     * @private
+     */
+    _sendCOS(conn, typeId) {
+        if (!conn.sessionKey || conn.socket.destroyed) return;
+        this.log.debug(`[sim ${conn.id}] COS type 0x${typeId.toString(16).padStart(2, '0')}`);
+        const payload = Buffer.from([HEADER.REQUEST, 0xCA, typeId, 0x30, 0x00, typeId, 0x00, 0x00, 0x00, 0x00, 0x00]);
+        this._send(conn, payload, conn.sessionKey);
+        this._scheduleCOSRepeat(conn);
+    }
+
+    /**
+     * Repeat the COS if the client has not fetched all changes by the next interval.
+     * @private
+     */
+    _scheduleCOSRepeat(conn) {
+        if (conn.cosRepeatTimer || conn.cosRepeats >= COS_MAX_REPEATS) return;
+
+        const timer = setTimeout(() => {
+            this._timers.delete(timer);
+            conn.cosRepeatTimer = null;
+            const pending = Object.keys(ENTITY_TYPES).filter(type => conn.changed[type].size > 0);
+            if (pending.length === 0 || !conn.cosEnabled) return;
+
+            conn.cosRepeats++;
+            this._sendCOS(conn, pending.length === 1 ? ENTITY_TYPES[pending[0]].typeId : COS_ALL);
+        }, COS_REPEAT_INTERVAL);
+        timer.unref();
+        conn.cosRepeatTimer = timer;
+        this._timers.add(timer);
+    }
+
+    // ========================================================================
+    // CONNECTION HANDLING
+    // ========================================================================
+
+    /**
+     * @private
+     */
+    _handleConnection(socket) {
+        const conn = {
+            id: this._nextConnectionId++,
+            socket,
+            receiveBuffer: Buffer.alloc(0),
+            pendingSessionKey: null,  // Set by createSession
+            sessionKey: null,         // Active after enableEncryptionKey
+            user: null,
+            loginType: null,
+            cosEnabled: false,
+            cosScheduled: false,
+            cosRepeatTimer: null,
+            cosRepeats: 0,
+            pendingCOS: new Set(),
+            changed: Object.fromEntries(Object.keys(ENTITY_TYPES).map(type => [type, new Set()])),
+            logCursor: null
+        };
+        this.connections.add(conn);
+        this.log.debug(`[sim ${conn.id}] Client connected from ${socket.remoteAddress}`);
+
+        socket.on('data', data => this._handleData(conn, data));
+        socket.on('error', err => this.log.debug(`[sim ${conn.id}] Socket error: ${err.message}`));
+        socket.on('close', () => {
+            this.connections.delete(conn);
+            if (conn.cosRepeatTimer) {
+                clearTimeout(conn.cosRepeatTimer);
+                this._timers.delete(conn.cosRepeatTimer);
+            }
+            for (const [sessionId, session] of this.controlSessions) {
+                if (session.conn === conn) this.controlSessions.delete(sessionId);
+            }
+            this.log.debug(`[sim ${conn.id}] Client disconnected`);
+            this.emit('disconnect', { connectionId: conn.id });
+        });
+
+        this.emit('connection', { connectionId: conn.id, remoteAddress: socket.remoteAddress });
+    }
+
+    /**
+     * Buffer incoming data and extract SLIP frames.
+     * @private
+     */
+    _handleData(conn, data) {
+        conn.receiveBuffer = Buffer.concat([conn.receiveBuffer, data]);
+        while (true) {
+            const startIdx = conn.receiveBuffer.indexOf(SLIP_END);
+            if (startIdx === -1) break;
+            const endIdx = conn.receiveBuffer.indexOf(SLIP_END, startIdx + 1);
+            if (endIdx === -1) break;
+            const frame = conn.receiveBuffer.subarray(startIdx, endIdx + 1);
+            conn.receiveBuffer = conn.receiveBuffer.subarray(endIdx + 1);
+            this._handleFrame(conn, frame);
+        }
+    }
+
+    /**
+     * Decode a frame: session key, then initial key, then plain (getDeviceInfo).
+     * @private
+     * @returns {{payload: Buffer, key: Buffer|null}|null} Decoded payload and the key it used
+     */
+    _decodeFrame(conn, frame) {
+        for (const key of [conn.sessionKey, this.initialKey]) {
+            if (!key) continue;
+            const decrypted = decryptMessage(frame, key, this.serialBytes);
+            if (decrypted && (decrypted[0] === HEADER.REQUEST || decrypted[0] === HEADER.RESPONSE)) {
+                return { payload: decrypted, key };
+            }
+        }
+
+        const decoded = slipDecode(frame);
+        if (decoded.length >= 3 && decoded[0] === HEADER.REQUEST && verifyCrc(decoded)) {
+            return { payload: decoded.subarray(0, -2), key: null };
+        }
+
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    _handleFrame(conn, frame) {
+        const decoded = this._decodeFrame(conn, frame);
+        if (!decoded) {
+            this.log.debug(`[sim ${conn.id}] Could not decode frame: ${frame.toString('hex')}`);
+            return;
+        }
+
+        const { payload, key } = decoded;
+
+        // Responses from the client (COS acknowledgments) need no answer
+        if (payload[0] !== HEADER.REQUEST) {
+            this.log.debug(`[sim ${conn.id}] RECV ack: ${payload.toString('hex')}`);
+            return;
+        }
+
+        let response;
+        try {
+            response = this._dispatch(conn, payload.subarray(1));
+        } catch (err) {
+            this.log.debug(`[sim ${conn.id}] Error handling request: ${err.stack}`);
+            response = errorResponse(SIMULATOR_ERRORS.INTERNAL);
+        }
+
+        this._send(conn, response, key);
+    }
+
+    /**
+     * @private
+     */
+    _send(conn, payload, key) {
+        if (conn.socket.destroyed) return;
+        this.log.debug(`[sim ${conn.id}] SEND: ${payload.toString('hex')}`);
+        const frame = key
+            ? slipEncode(encryptMessage(payload, key, this.serialBytes))
+            : slipEncode(appendCrc(payload));
+        conn.socket.write(frame);
+    }
+
+    // ========================================================================
+    // REQUEST DISPATCH
+    // ========================================================================
+
+    /**
+     * Handle one request and build its response.
+     * @private
+     * @param {Object} conn - Connection state
+     * @param {Buffer} body - Request without the 0xC0 header
+     * @returns {Buffer} Response payload (with header)
+     */
+    _dispatch(conn, body) {
+        const msgName = identifyRequest(body);
+        this.log.debug(`[sim ${conn.id}] RECV ${msgName || 'unknown'}: ${body.toString('hex')}`);
+        this.emit('request', { connectionId: conn.id, msgName, payload: Buffer.concat([Buffer.from([HEADER.REQUEST]), body]) });
+
+        if (!msgName) {
+            return errorResponse(SIMULATOR_ERRORS.UNKNOWN_MESSAGE);
+        }
+        if (!conn.user && !PUBLIC_REQUESTS.has(msgName)) {
+            return errorResponse(SIMULATOR_ERRORS.NOT_LOGGED_IN);
+        }
+
+        if (NAME_REQUESTS[msgName]) {
+            return this._namesResponse(NAME_REQUESTS[msgName], getProperty(msgName, body, 'index'), NAME_LENGTH, NAMES_PER_PAGE);
+        }
+        if (EXTENDED_NAME_REQUESTS[msgName]) {
+            return this._namesResponse(EXTENDED_NAME_REQUESTS[msgName], getProperty(msgName, body, 'index'),
+                EXTENDED_NAME_LENGTH, EXTENDED_NAMES_PER_PAGE);
+        }
+        if (STATUS_REQUESTS[msgName]) {
+            const type = STATUS_REQUESTS[msgName];
+            return Buffer.concat([Buffer.from([HEADER.RESPONSE]), this._statusMessage(type, getProperty(msgName, body, 'objectId'))]);
+        }
+        if (CHANGES_REQUESTS[msgName]) {
+            return this._changesResponse(conn, CHANGES_REQUESTS[msgName]);
+        }
+        if (CONTROL_SESSION_REQUESTS[msgName]) {
+            return this._createControlSession(conn, msgName, body);
+        }
+
+        switch (msgName) {
+            case 'getDeviceInfo':
+                return this._deviceDescription();
+            case 'getDateTime':
+                return this._dateTime();
+            case 'setDateTime':
+                return this._setDateTime(body);
+            case 'createSession':
+                return this._createSession(conn, body);
+            case 'enableEncryptionKey':
+                conn.sessionKey = conn.pendingSessionKey;
+                return ack();
+            case 'loginWithPin':
+                return this._loginWithPin(conn, body);
+            case 'loginWithAccount':
+                return this._loginWithAccount(conn, body);
+            case 'logout':
+                conn.user = null;
+                conn.cosEnabled = false;
+                return ack();
+            case 'getUserInfo':
+                return this._userInfo(conn);
+            case 'ping':
+            case 'startMonitor':
+                return ack();
+            case 'openLog':
+                conn.logCursor = null;
+                return ack();
+            case 'selectLogEntry':
+                return this._logEntryResponse(conn, getProperty(msgName, body, 'logReadingDirection'));
+            case 'batch':
+                return this._batchResponse(conn, body);
+            case 'getValidAreas':
+                return Buffer.concat([
+                    responseSkeleton('validAreas'),
+                    bitset([...this.entities.area.keys()], AREA_BITSET_LENGTH)
+                ]);
+            case 'getValidDoors':
+                return Buffer.concat([
+                    Buffer.from([HEADER.RESPONSE, ...messageTemplates.validAreas.msgIdBytes, ENTITY_TYPES.door.typeId]),
+                    bitset([...this.entities.door.keys()], AREA_BITSET_LENGTH)
+                ]);
+            case 'getZonesAssignedToAreas':
+                return this._zonesAssignedResponse(msgName, body);
+            case 'destroyControlSession':
+                return this._withSession(conn, msgName, body, null, (session) => {
+                    this.controlSessions.delete(session.id);
+                    return boolResponse(true);
+                });
+            case 'getControlSessionStatus':
+                return this._withSession(conn, msgName, body, null, (session) => {
+                    return Buffer.from([HEADER.RESPONSE, 0x20, 0x00, (session.status >> 8) & 0xFF, session.status & 0xFF]);
+                });
+            case 'armAreas':
+                return this._withSession(conn, msgName, body, 'arm', (session) => {
+                    session.armAttempts++;
+                    this._evaluateArm(session);
+                    return boolResponse(true);
+                });
+            case 'setAreaForced':
+                return this._withSession(conn, msgName, body, 'arm', (session) => {
+                    session.forced = true;
+                    this._evaluateArm(session);
+                    return boolResponse(true);
+                });
+            case 'getFaultZones':
+            case 'getActiveZones':
+            case 'getInhibitedZones':
+                return this._withSession(conn, msgName, body, 'arm', (session) => this._armIssueResponse(session, msgName, body));
+            case 'disarmAreas':
+                return this._withSession(conn, msgName, body, 'disarm', (session) => {
+                    this._unsetAreas(session.areas);
+                    return boolResponse(true);
+                });
+            case 'inhibitZone':
+            case 'uninhibitZone':
+                return this._entityCommand(conn, msgName, body, 'zone', (zone) => {
+                    zone.state.isInhibited = msgName === 'inhibitZone';
+                });
+            case 'forceActivateOutput':
+            case 'forceDeactivateOutput':
+                return this._entityCommand(conn, msgName, body, 'output', (output) => {
+                    const on = msgName === 'forceActivateOutput';
+                    Object.assign(output.state, { isActive: on, isOn: on, isForced: true });
+                });
+            case 'cancelForceOutput':
+                return this._entityCommand(conn, msgName, body, 'output', (output) => {
+                    Object.assign(output.state, { isActive: false, isOn: false, isForced: false });
+                });
+            case 'activateTrigger':
+            case 'deactivateTrigger':
+                return this._entityCommand(conn, msgName, body, 'trigger', (trigger) => {
+                    trigger.state.isRemoteOutput = msgName === 'activateTrigger';
+                });
+            case 'lockDoor':
+            case 'unlockDoor':
+            case 'unlockDoorStandardTime':
+            case 'unlockDoorTime':
+            case 'disableDoor':
+            case 'enableDoor':
+                return this._entityCommand(conn, msgName, body, 'door', (door) => this._doorCommand(door, msgName, body));
+            case 'getDoorSchedule':
+                return this._doorSchedule(getProperty(msgName, body, 'objectId'));
+            case 'getDoorGroup':
+                return this._doorGroupRecord(getProperty(msgName, body, 'objectId'));
+            case 'getUser':
+                return this._userRecord(getProperty(msgName, body, 'objectId'));
+            case 'createUser':
+            case 'updateUser':
+            case 'deleteUser':
+                return this._withSession(conn, msgName, body, 'user', () => this._userCommand(msgName, body));
+            case 'getUserGroup':
+                return this._userGroupRecord(getProperty(msgName, body, 'objectId'));
+            case 'updateUserGroup':
+                return this._withSession(conn, msgName, body, 'user', () => this._updateUserGroup(body));
+        }
+
+        return errorResponse(SIMULATOR_ERRORS.UNKNOWN_MESSAGE);
+    }
+
+    // ========================================================================
+    // DEVICE / SESSION / LOGIN
+    // ========================================================================
+
+    /**
+     * @private
+     */
+    _deviceDescription() {
+        const payload = responseSkeleton('deviceDescription');
+        setProperties('deviceDescription', payload, {
+            deviceName: this.panel.deviceName,
+            productName: this.panel.productName,
+            firmwareVersion: this.panel.firmwareVersion,
+            serialNumber: this.panel.serialNumber
+        });
+        // AritechClient.getDescription reads the encryption mode from byte 79
+        payload[79] = this.panel.encryptionMode;
+        return payload;
+    }
+
+    /**
+     * Panel clock: host time shifted by clockOffset.
+     * @private
+     */
+    _dateTime() {
+        const now = new Date(Date.now() + this.clockOffset);
+        const payload = responseSkeleton('dateTime');
+        encodeBcdDateTime(now).copy(payload, 1 + messageTemplates.dateTime.properties.dateTime[0].byte);
+        setProperties('dateTime', payload.subarray(1), { dayOfWeek: now.getDay() });
+        return payload;
+    }
+
+    /**
+     * Set the panel clock (kept as an offset from the host clock) and log "Time changed".
+     * @private
+     */
+    _setDateTime(body) {
+        const { byte, length } = messageTemplates.setDateTime.properties.dateTime[0];
+        const time = decodeBcdDateTime(body.subarray(byte, byte + length));
+        if (!time) {
+            return boolResponse(false);
+        }
+        this.clockOffset = time.getTime() - Date.now();
+        this.addEvent({ eventId: 51, timestamp: time });
+        return boolResponse(true);
+    }
+
+    /**
+     * Combine the client key contribution with random panel key bytes.
+     * @private
+     */
+    _createSession(conn, body) {
+        // PBKDF2 mode: 16 + 16 bytes (AES-256), otherwise 8 + 8 bytes (AES-128)
+        const keyPartLength = this.panel.encryptionMode === 5 ? 16 : 8;
+        const dataOffset = messageTemplates.createSession.properties.data[0].byte;
+        const clientKeyBytes = body.subarray(dataOffset, dataOffset + keyPartLength);
+        const panelKeyBytes = crypto.randomBytes(keyPartLength);
+
+        conn.pendingSessionKey = Buffer.concat([clientKeyBytes, panelKeyBytes]);
+        this.log.debug(`[sim ${conn.id}] Session key: ${conn.pendingSessionKey.toString('hex')}`);
+
+        // Client reads the panel key bytes from offset 3
+        return Buffer.concat([
+            Buffer.from([HEADER.RESPONSE, 0x00, 0x09]),
+            panelKeyBytes,
+            Buffer.alloc(16 - keyPartLength)
+        ]);
+    }
+
+    /**
+     * @private
+     */
+    _loginWithPin(conn, body) {
+        const pinOffset = messageTemplates.loginWithPin.properties.pinCode[0].byte;
+        const pin = body.subarray(pinOffset, pinOffset + 10).toString('latin1').replace(/\0+$/, '');
+        const user = this.users.find(u => u.pin !== undefined && String(u.pin) === pin);
+        return this._completeLogin(conn, user, getProperty('loginWithPin', body, 'connectionMethod'));
+    }
+
+    /**
+     * @private
+     */
+    _loginWithAccount(conn, body) {
+        const readField = (propName) => {
+            const { byte, length } = messageTemplates.loginWithAccount.properties[propName][0];
+            return body.subarray(byte, byte + length).toString('latin1').replace(/\0+$/, '');
+        };
+        const username = readField('username');
+        const password = readField('password');
+        const user = this.users.find(u => u.username === username && u.password === password);
+        return this._completeLogin(conn, user, getProperty('loginWithAccount', body, 'connectionMethod'));
+    }
+
+    /**
+     * Login response: a0 00 00 on success, non-zero status byte on failure.
+     * @private
+     */
+    _completeLogin(conn, user, loginType) {
+        if (!user) {
+            this.log.debug(`[sim ${conn.id}] Login rejected`);
+            return Buffer.from([HEADER.RESPONSE, 0x00, 0x01]);
+        }
+
+        conn.user = user;
+        conn.loginType = loginType;
+        this.log.debug(`[sim ${conn.id}] Logged in as ${user.name}`);
+        this.emit('login', { connectionId: conn.id, user: { ...user } });
+        return ack();
+    }
+
+    /**
+     * getUserInfo enables COS notifications for the connection (like the mobile app does).
+     * Response carries the user name at offset 6 (16 bytes).
+     * @private
+     */
+    _userInfo(conn) {
+        conn.cosEnabled = true;
+        const payload = Buffer.alloc(6 + NAME_LENGTH);
+        payload[0] = HEADER.RESPONSE;
+        Buffer.from(messageTemplates.getUserInfo.msgIdBytes).copy(payload, 1);
+        payload[5] = NAME_LENGTH;
+        Buffer.from(conn.user.name || '', 'latin1').copy(payload, 6, 0, NAME_LENGTH);
+        return payload;
+    }
+
+    // ========================================================================
+    // NAMES / STATUS / CHANGES
+    // ========================================================================
+
+    /**
+     * Name page: a0 19 TT 00 00 10 [names...]
+     * @private
+     */
+    _namesResponse(type, startIndex, nameLength, namesPerPage) {
+        const payload = responseSkeleton(`${type}Names`, nameLength * namesPerPage);
+        const namesOffset = payload.length - nameLength * namesPerPage;
+        // Named objects without state are kept as lists, entities by number
+        const list = { user: this.users, userGroup: this.userGroups, doorGroup: this.doorGroups }[type];
+
+        for (let i = 0; i < namesPerPage; i++) {
+            const number = startIndex + i;
+            const entity = list ? list.find(item => item.number === number) : this.entities[type].get(number);
+            if (entity?.name) {
+                Buffer.from(entity.name, 'latin1').copy(payload, namesOffset + i * nameLength, 0, nameLength);
+            }
+        }
+        return payload;
+    }
+
+    /**
+     * Status message without header, sized like the panel's batch responses.
+     * Unknown numbers return an all-clear status.
+     * @private
+     */
+    _statusMessage(type, number) {
+        const { statusMsg } = ENTITY_TYPES[type];
+        const template = messageTemplates[statusMsg];
+        const msg = Buffer.alloc(BATCH_PAYLOAD_LENGTHS[statusMsg]);
+        msg[0] = template.msgIdBytes[0];
+        msg[1] = template.templateBytes[0];
+        msg.writeUInt16BE(number, 2);
+
+        const entity = this.entities[type].get(number);
+        if (entity) {
+            setProperties(statusMsg, msg, entity.state);
+        }
+        return msg;
+    }
+
+    /**
+     * Change bitmap: a0 30 TT [bitmap]. Clears the connection's pending changes for the type.
+     * @private
+     */
+    _changesResponse(conn, type) {
+        const numbers = [...this.entities[type].keys()];
+        const length = Math.max(1, Math.ceil(Math.max(0, ...numbers) / 8));
+        const bitmap = bitset([...conn.changed[type]], length);
+        conn.changed[type].clear();
+        conn.cosRepeats = 0;
+        return Buffer.concat([Buffer.from([HEADER.RESPONSE, 0x30, ENTITY_TYPES[type].typeId]), bitmap]);
+    }
+
+    /**
+     * @private
+     */
+    _zonesAssignedResponse(msgName, body) {
+        const areas = this._requestedAreas(msgName, body);
+        const zones = this._zonesInAreas(areas).map(zone => zone.number);
+        return Buffer.concat([responseSkeleton('zonesAssignedToAreas'), bitset(zones, ZONE_BITSET_LENGTH)]);
+    }
+
+    /**
+     * Batch request: ee e0 ee ee [len] msg [len] msg ...
+     * Batch response: a0 ee ee [len] msg [len] msg ...
+     * @private
+     */
+    _batchResponse(conn, body) {
+        const msgIdLength = messageTemplates.batch.msgIdBytes.length;
+        const length = body[msgIdLength];
+        const parts = [Buffer.from([HEADER.RESPONSE, 0xEE, 0xEE])];
+
+        for (let offset = msgIdLength + 1; offset + length <= body.length; offset += length + 1) {
+            const response = this._dispatch(conn, body.subarray(offset, offset + length));
+            if (response[0] !== HEADER.RESPONSE) {
+                return response;  // Error in one of the requests fails the whole batch
+            }
+            parts.push(Buffer.from([response.length - 1]), response.subarray(1));
+        }
+
+        return Buffer.concat(parts);
+    }
+
+    // ========================================================================
+    // CONTROL SESSIONS
+    // ========================================================================
+
+    /**
+     * Areas selected by the area bitmask of a request.
+     * @private
+     */
+    _requestedAreas(msgName, body) {
+        return [...this.entities.area.keys()].filter(area => getProperty(msgName, body, `area.${area}`));
+    }
+
+    /**
+     * Create a control session: responds with shortResponse a0 00 03 [sessionId LE].
+     * @private
+     */
+    _createControlSession(conn, msgName, body) {
+        const { kind, setType } = CONTROL_SESSION_REQUESTS[msgName];
+        const session = {
+            id: this._nextSessionId++ & 0xFFFF,
+            conn,
+            kind,
+            setType,
+            areas: this._requestedAreas(msgName, body),
+            status: 0,
+            forced: false,
+            armAttempts: 0,
+            issues: null,
+            issueCursor: 0
+        };
+        this.controlSessions.set(session.id, session);
+        this.log.debug(`[sim ${conn.id}] Created ${kind} session 0x${session.id.toString(16)} for areas ${session.areas.join(', ')}`);
+
+        const payload = responseSkeleton('shortResponse');
+        setProperties('shortResponse', payload.subarray(1), { result: session.id });
+        return payload;
+    }
+
+    /**
+     * Door schedule: a0 33 0b OOOO KK [special days 1-32]
+     * @private
+     */
+    _doorSchedule(number) {
+        const door = this.entities.door.get(number);
+        if (!door) {
+            return errorResponse(SIMULATOR_ERRORS.UNKNOWN_OBJECT);
+        }
+        const payload = responseSkeleton('doorSchedule');
+        const props = { objectId: number, calendar: door.calendar ?? 0 };
+        for (const day of door.specialDays ?? []) props[`specialDay.${day}`] = true;
+        setProperties('doorSchedule', payload.subarray(1), props);
+        return payload;
+    }
+
+    /**
+     * Door group record: a0 31 0c OOOO [doors 1-64]
+     * @private
+     */
+    _doorGroupRecord(number) {
+        const group = this.doorGroups.find(g => g.number === number);
+        if (!group) {
+            return errorResponse(SIMULATOR_ERRORS.UNKNOWN_OBJECT);
+        }
+        const payload = responseSkeleton('doorGroupRecord');
+        const props = { objectId: number };
+        for (const door of group.doors ?? []) props[`door.${door}`] = true;
+        setProperties('doorGroupRecord', payload.subarray(1), props);
+        return payload;
+    }
+
+    /**
+     * Look up the control session referenced by a request and run the handler.
+     * @private
+     */
+    _withSession(conn, msgName, body, kind, handler) {
+        // Session IDs are 16-bit little-endian starting at the sessionId property offset
+        const offset = messageTemplates[msgName].properties.sessionId[0].byte;
+        const sessionId = body.length >= offset + 2 ? body.readUInt16LE(offset) : body[offset];
+        const session = this.controlSessions.get(sessionId);
+
+        if (!session || session.conn !== conn || (kind && session.kind !== kind)) {
+            this.log.debug(`[sim ${conn.id}] Invalid session 0x${(sessionId ?? 0).toString(16)} for ${msgName}`);
+            return errorResponse(SIMULATOR_ERRORS.INVALID_SESSION);
+        }
+        return handler(session);
+    }
+
+    /**
+     * Run a command on one entity within a control session and report the change.
+     * @private
+     */
+    _entityCommand(conn, msgName, body, type, apply) {
+        return this._withSession(conn, msgName, body, type, () => {
+            const entity = this.entities[type].get(getProperty(msgName, body, 'objectId'));
+            if (!entity) {
+                return errorResponse(SIMULATOR_ERRORS.UNKNOWN_OBJECT);
+            }
+            apply(entity);
+            this._markChanged(type, [entity.number]);
+            // Door commands answer boolean 0x00 ("no error"), the others boolean true
+            return boolResponse(type !== 'door');
+        });
+    }
+
+    /**
+     * @private
+     */
+    _doorCommand(door, msgName, body) {
+        const unlockFlags = { isUnlocked: false, isUnlockedPeriod: false, isTimeUnlocked: false, isStandardTimeUnlocked: false };
+        this._clearTimer(door);
+
+        switch (msgName) {
+            case 'lockDoor':
+                Object.assign(door.state, unlockFlags);
+                break;
+            case 'unlockDoor':
+                Object.assign(door.state, unlockFlags, { isUnlocked: true });
+                break;
+            case 'unlockDoorStandardTime':
+                Object.assign(door.state, unlockFlags, { isUnlocked: true, isStandardTimeUnlocked: true });
+                this._relockLater(door, door.standardTime ?? 5);
+                break;
+            case 'unlockDoorTime': {
+                const offset = messageTemplates.unlockDoorTime.properties.timeOpen[0].byte;
+                Object.assign(door.state, unlockFlags, { isUnlocked: true, isTimeUnlocked: true });
+                this._relockLater(door, body.readUInt16LE(offset));
+                break;
+            }
+            case 'disableDoor':
+                door.state.isDisabled = true;
+                break;
+            case 'enableDoor':
+                door.state.isDisabled = false;
+                break;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _relockLater(door, seconds) {
+        const timer = setTimeout(() => {
+            this._timers.delete(timer);
+            door.relockTimer = null;
+            this.setDoorState(door.number, { isUnlocked: false, isTimeUnlocked: false, isStandardTimeUnlocked: false });
+        }, seconds * 1000);
+        timer.unref();
+        door.relockTimer = timer;
+        this._timers.add(timer);
+    }
+
+    /**
+     * @private
+     */
+    _clearTimer(door) {
+        if (door.relockTimer) {
+            clearTimeout(door.relockTimer);
+            this._timers.delete(door.relockTimer);
+            door.relockTimer = null;
+        }
+    }
+
+    // ========================================================================
+    // USERS
+    // ========================================================================
+
+    /**
+     * User record: a0 31 03 OOOO [flags] GG [card: size, 5 bytes] YYMMDD YYMMDD
+     * @private
+     */
+    _userRecord(number) {
+        const user = this.users.find(u => u.number === number);
+        if (!user) {
+            return errorResponse(SIMULATOR_ERRORS.UNKNOWN_OBJECT);
+        }
+        const payload = responseSkeleton('userRecord');
+        setProperties('userRecord', payload.subarray(1), {
+            objectId: number,
+            hasPin: Boolean(user.pin),
+            hasCard: Boolean(user.card),
+            userGroup: user.userGroup ?? 0,
+            card: encodeCardNumber(user.card ?? null),
+            validFrom: encodeBcdDate(user.validFrom ?? null),
+            validUntil: encodeBcdDate(user.validUntil ?? null)
+        });
+        return payload;
+    }
+
+    /**
+     * createUser/updateUser take over the fields selected by the set flags, deleteUser removes the user.
+     * @private
+     */
+    _userCommand(msgName, body) {
+        const number = getProperty(msgName, body, 'objectId');
+        const index = this.users.findIndex(u => u.number === number);
+
+        if (msgName === 'deleteUser') {
+            if (index === -1) return errorResponse(SIMULATOR_ERRORS.UNKNOWN_OBJECT);
+            this.users.splice(index, 1);
+            return boolResponse(true);
+        }
+        if (msgName === 'createUser' && index !== -1) {
+            return boolResponse(false);  // Number already taken
+        }
+        if (msgName === 'updateUser' && index === -1) {
+            return errorResponse(SIMULATOR_ERRORS.UNKNOWN_OBJECT);
+        }
+
+        const user = index === -1 ? { number } : this.users[index];
+        const field = (propName) => {
+            const { byte, length } = messageTemplates[msgName].properties[propName][0];
+            return body.subarray(byte, byte + length);
+        };
+        if (getProperty(msgName, body, 'setName')) {
+            user.name = getProperty(msgName, body, 'name');
+        }
+        if (getProperty(msgName, body, 'setPin')) {
+            user.pin = field('pinCode').toString('latin1').replace(/\0+$/, '') || undefined;
+        }
+        if (getProperty(msgName, body, 'setCard')) {
+            user.card = decodeCardNumber(field('card'))?.number;
+        }
+        if (getProperty(msgName, body, 'setUserGroup')) {
+            user.userGroup = getProperty(msgName, body, 'userGroup') || undefined;
+        }
+        if (getProperty(msgName, body, 'setValidFrom')) {
+            user.validFrom = decodeBcdDate(field('validFrom'));
+        }
+        if (getProperty(msgName, body, 'setValidUntil')) {
+            user.validUntil = decodeBcdDate(field('validUntil'));
+        }
+
+        if (index === -1) {
+            this.users.push(user);
+        }
+        this.log.debug(`[sim] ${msgName} ${number}: ${user.name}`);
+        return boolResponse(true);
+    }
+
+    /**
+     * User group record: a0 31 04 OOOO KK [areas 1-64] [doors 1-64]
+     * @private
+     */
+    _userGroupRecord(number) {
+        const group = this.userGroups.find(g => g.number === number);
+        if (!group) {
+            return errorResponse(SIMULATOR_ERRORS.UNKNOWN_OBJECT);
+        }
+        const payload = responseSkeleton('userGroupRecord');
+        const props = { objectId: number, calendar: group.calendar ?? 0 };
+        for (const area of group.areas ?? []) props[`area.${area}`] = true;
+        for (const door of group.doors ?? []) props[`door.${door}`] = true;
+        setProperties('userGroupRecord', payload.subarray(1), props);
+        return payload;
+    }
+
+    /**
+     * updateUserGroup takes over the fields selected by the set flags.
+     * @private
+     */
+    _updateUserGroup(body) {
+        const group = this.userGroups.find(g => g.number === getProperty('updateUserGroup', body, 'objectId'));
+        if (!group) {
+            return errorResponse(SIMULATOR_ERRORS.UNKNOWN_OBJECT);
+        }
+        const members = (prefix) => Array.from({ length: 64 }, (_, i) => i + 1)
+            .filter(num => getProperty('updateUserGroup', body, `${prefix}.${num}`));
+
+        if (getProperty('updateUserGroup', body, 'setName')) {
+            group.name = getProperty('updateUserGroup', body, 'name');
+        }
+        if (getProperty('updateUserGroup', body, 'setAreas')) {
+            group.areas = members('area');
+        }
+        if (getProperty('updateUserGroup', body, 'setDoors')) {
+            group.doors = members('door');
+        }
+        if (getProperty('updateUserGroup', body, 'setCalendar')) {
+            group.calendar = getProperty('updateUserGroup', body, 'calendar') || undefined;
+        }
+        this.log.debug(`[sim] updateUserGroup ${group.number}: ${group.name}`);
+        return boolResponse(true);
+    }
+
+    // ========================================================================
+    // ARM / DISARM
+    // ========================================================================
+
+    /**
+     * Evaluate an arm request like the panel does: faults and active zones block unless forced,
+     * inhibited zones need a second armAreas (or a forced session) as confirmation.
+     * @private
+     */
+    _evaluateArm(session) {
+        const zones = this._zonesInAreas(session.areas);
+        session.issues = {
+            getFaultZones: zones.filter(z => !z.state.isInhibited && (z.state.hasFault || z.state.isTampered)),
+            getActiveZones: zones.filter(z => !z.state.isInhibited && z.state.isActive),
+            getInhibitedZones: zones.filter(z => z.state.isInhibited)
+        };
+
+        const base = CC_STATUS_BASE[session.setType];
+        if (!session.forced && session.issues.getFaultZones.length > 0) {
+            session.status = base | CC_STATE.FAULT;
+        } else if (!session.forced && session.issues.getActiveZones.length > 0) {
+            session.status = base | CC_STATE.ACTIVE_STATES;
+        } else if (!session.forced && session.issues.getInhibitedZones.length > 0 && session.armAttempts < 2) {
+            session.status = base | CC_STATE.INHIBITED;
+        } else {
+            this._setAreas(session.areas, session.setType);
+            session.status = base | CC_STATE.SET;
+        }
+        this.log.debug(`[sim] Arm session 0x${session.id.toString(16)} status 0x${session.status.toString(16).padStart(4, '0')}`);
+    }
+
+    /**
+     * Arm issue list entry (sysEvent), booleanResponse false at the end.
+     * @private
+     */
+    _armIssueResponse(session, msgName, body) {
+        const zones = session.issues?.[msgName] ?? [];
+        session.issueCursor = getProperty(msgName, body, 'next') ? session.issueCursor + 1 : 0;
+
+        const zone = zones[session.issueCursor];
+        if (!zone) {
+            return boolResponse(false);
+        }
+
+        const area = (zone.areas ?? [1]).find(a => session.areas.includes(a)) ?? 0;
+        const payload = responseSkeleton('sysEvent');
+        setProperties('sysEvent', payload.subarray(1), { typeId: ENTITY_TYPES.zone.typeId, objectId: zone.number, area });
+        return payload;
+    }
+
+    /**
+     * @private
+     */
+    _setAreas(areaNumbers, setType) {
+        for (const number of areaNumbers) {
+            Object.assign(this.entities.area.get(number).state, {
+                isUnset: false,
+                isFullSet: setType === 'full',
+                isPartiallySet: setType === 'part1',
+                isPartiallySet2: setType === 'part2'
+            });
+        }
+        const zones = this._zonesInAreas(areaNumbers);
+        for (const zone of zones) {
+            zone.state.isSet = true;
+        }
+
+        this._markChanged('area', areaNumbers);
+        this._markChanged('zone', zones.map(zone => zone.number));
+    }
+
+    /**
+     * @private
+     */
+    _unsetAreas(areaNumbers) {
+        for (const number of areaNumbers) {
+            Object.assign(this.entities.area.get(number).state, {
+                isUnset: true,
+                isFullSet: false,
+                isPartiallySet: false,
+                isPartiallySet2: false,
+                isAlarming: false
+            });
+        }
+
+        // Zones stay set while any of their areas is still set
+        const isAreaSet = (number) => this.entities.area.get(number)?.state.isUnset === false;
+        const zones = this._zonesInAreas(areaNumbers).filter(zone => !(zone.areas ?? [1]).some(isAreaSet));
+        for (const zone of zones) {
+            zone.state.isSet = false;
+            zone.state.isAlarming = false;
+        }
+
+        this._markChanged('area', areaNumbers);
+        this._markChanged('zone', zones.map(zone => zone.number));
+    }
+
+    // ========================================================================
+    // EVENT LOG
+    // ========================================================================
+
+    /**
+     * Log entry: a0 0d [event]. Reading past the oldest entry repeats it,
+     * which is how the client detects the end of the log (sequence 0 twice).
+     * @private
+     */
+    _logEntryResponse(conn, direction) {
+        if (this.events.length === 0) {
+            return errorResponse(SIMULATOR_ERRORS.LOG_EMPTY);
+        }
+
+        if (direction === EVENT_LOG_DIRECTION.FIRST || conn.logCursor === null) {
+            conn.logCursor = 0;
+        } else if (direction === EVENT_LOG_DIRECTION.NEXT) {
+            conn.logCursor = Math.min(conn.logCursor + 1, this.events.length - 1);
+        }
+
+        const event = this.events[this.events.length - 1 - conn.logCursor];
+        return Buffer.concat([Buffer.from([HEADER.RESPONSE, ...messageTemplates.logEntry.msgIdBytes]), this._encodeEvent(event)]);
+    }
+
+    /**
+     * Encode an event in the layout parsed by parseEvent (60 or 70 bytes).
+     * @private
+     */
+    _encodeEvent(event) {
+        const eventSize = this._isExtendedPanel() ? 60 : 70;
+        const buffer = Buffer.alloc(eventSize);
+        const time = new Date(event.timestamp);
+
+        buffer.writeUInt16BE(0x0020, 0);
+        buffer[2] = toBcd(time.getFullYear() % 100);
+        buffer[3] = toBcd(time.getMonth() + 1);
+        buffer[4] = toBcd(time.getDate());
+        buffer[5] = toBcd(time.getHours());
+        buffer[6] = toBcd(time.getMinutes());
+        buffer[7] = toBcd(time.getSeconds());
+        buffer[12] = event.sequence;
+        buffer[13] = event.logType;
+        buffer.writeUInt16BE(event.eventId, 14);
+        buffer[16] = event.classId;
+        buffer[17] = event.subId;
+        buffer.writeUInt16BE(event.entityId & 0xFFFF, 18);
+        buffer[20] = event.area;
+        if (event.details) {
+            Buffer.from(event.details).copy(buffer, 21, 0, 7);
+        }
+        Buffer.from(event.description || '', 'latin1').copy(buffer, 28, 0, eventSize - 28);
+        return buffer;
+    }
+}
+
+export default PanelSimulator;
@@ -0,0 +1,525 @@
+/**
+ * Aritech ATS Protocol Dissector
+ *
+ * Decodes captured panel traffic offline, like a Wireshark dissector. The capture is either a
+ * pcap or pcapng file (TCP over Ethernet, Linux cooked capture, loopback or raw IP) or a hex dump:
+ *
+ *   > c0035000...c0          client → panel (">" prefix)
+ *   < c0a00850...c0          panel → client ("<" prefix)
+ *   00000000  c0 03 50 ...   Wireshark "Follow TCP Stream" hex dump (panel lines are indented)
+ *
+ * Each SLIP frame is decoded, decrypted and named by its message template. The dissector follows
+ * the key exchange of every connection: frames are tried without encryption, with the session
+ * key and with the initial key (derived from the encryption key), and a createSession exchange
+ * recovers the session key from the client and panel key contributions. The panel serial needed
+ * for decryption is read from the description response unless given.
+ *
+ * Frames that no key decrypts with a valid CRC are flagged crcError, frames without a matching
+ * template are flagged unknown. Credentials (PIN, username, password, key material) are shown as [REDACTED]
+ * and zeroed in the payload.
+ *
+ *   const frames = readCapture(readFileSync('session.pcap'));
+ *   for (const message of dissect(frames, { encryptionKey })) console.log(message.name, message.properties);
+ */
+
+import { createHelperMethods, BATCH_PAYLOAD_LENGTHS } from './message-helpers.js';
+import { messageTemplates } from './messages.js';
+import { messageName, maskPayload, CREDENTIAL_PROPERTIES } from './protocol-trace.js';
+import {
+    SLIP_END,
+    slipDecode,
+    verifyCrc,
+    makeEncryptionKey,
+    makeEncryptionKeyPBKDF2,
+    decodeSerial,
+    decryptMessage
+} from './aritech-utils.js';
+
+const { getAllProperties, splitBatchResponse } = createHelperMethods(messageTemplates);
+
+const HEADER = {
+    REQUEST: 0xC0,
+    RESPONSE: 0xA0,
+    ERROR: 0xF0
+};
+
+const COS_MESSAGE_ID = 0xCA;
+
+// Templates whose property offsets count the header byte (see AritechClient.getDescription())
+const HEADER_OFFSET_TEMPLATES = ['deviceDescription'];
+const PBKDF2_MODE = 5;
+
+// pcapng block types (the section header type reads the same in both byte orders)
+const PCAPNG_SECTION_HEADER = 0x0A0D0D0A;
+const PCAPNG_BYTE_ORDER_MAGIC = 0x1A2B3C4D;
+const PCAPNG_INTERFACE = 1;
+const PCAPNG_SIMPLE_PACKET = 3;
+const PCAPNG_ENHANCED_PACKET = 6;
+
+// pcap link types
+const LINKTYPE_NULL = 0;
+const LINKTYPE_ETHERNET = 1;
+const LINKTYPE_RAW = [12, 101];
+const LINKTYPE_IPV4 = 228;
+const LINKTYPE_IPV6 = 229;
+const LINKTYPE_LINUX_SLL = 113;
+const LINKTYPE_LINUX_SLL2 = 276;
+
+const ETHERTYPE_IPV4 = 0x0800;
+const ETHERTYPE_IPV6 = 0x86DD;
+const ETHERTYPE_VLAN = 0x8100;
+const IP_PROTOCOL_TCP = 6;
+
+// ============================================================================
+// CAPTURE INPUT
+// ============================================================================
+
+/**
+ * Split a capture into SLIP frames.
+ * @param {Buffer} content - pcap or pcapng file, or hex dump text
+ * @param {Object} [options]
+ * @param {number} [options.port] - Panel TCP port (pcap; default: port the client talks to first)
+ * @returns {Array<{index: number, time: string|null, dir: 'client'|'panel'|null, connection: string, data: Buffer}>}
+ *   Frames in capture order; dir is the sender, null when a hex dump does not say
+ * @throws {Error} If a pcap or pcapng file cannot be parsed
+ */
+export function readCapture(content, { port } = {}) {
+    let frames;
+    if (isPcap(content)) {
+        frames = tcpFrames(pcapPackets(content), port);
+    } else if (isPcapng(content)) {
+        frames = tcpFrames(pcapngPackets(content), port);
+    } else {
+        frames = hexDumpFrames(content.toString('utf8'));
+    }
+    return frames.map((frame, index) => ({ index: index + 1, ...frame }));
+}
+
+/**
+ * Frame extractor for one direction of a connection (SLIP frames span TCP segments).
+ * @private
+ */
+function frameStream() {
+    let buffer = Buffer.alloc(0);
+    return (data) => {
+        buffer = Buffer.concat([buffer, data]);
+        const frames = [];
+        while (true) {
+            const start = buffer.indexOf(SLIP_END);
+            if (start === -1) break;
+            const end = buffer.indexOf(SLIP_END, start + 1);
+            if (end === -1) break;
+            if (end > start + 1) {
+                frames.push(buffer.subarray(start, end + 1));
+            }
+            buffer = buffer.subarray(end + 1);
+        }
+        return frames;
+    };
+}
+
+/**
+ * @private
+ */
+function hexDumpFrames(text) {
+    const streams = new Map();
+    const frames = [];
+    for (const rawLine of text.split(/\r?\n/)) {
+        if (rawLine.trim() === '') continue;
+
+        let dir = null;
+        let line = rawLine;
+        if (/^\s*>/.test(line)) {
+            dir = 'client';
+            line = line.replace(/^\s*>/, '');
+        } else if (/^\s*</.test(line)) {
+            dir = 'panel';
+            line = line.replace(/^\s*</, '');
+        }
+
+        // Optional offset column (Wireshark/xxd style), then hex bytes up to the ASCII column
+        const offset = line.trim().match(/^([0-9a-f]{8}):?\s+(.*)$/i);
+        if (offset && dir === null && /^(\t| {4})/.test(line)) {
+            dir = 'panel';  // Wireshark indents the second direction
+        }
+        const tokens = (offset ? offset[2] : line).trim().split(/\s+/);
+        const hex = [];
+        for (const token of tokens) {
+            if (!/^([0-9a-f]{2})+$/i.test(token) || (offset && hex.join('').length >= 32)) break;
+            hex.push(token);
+        }
+        if (hex.length === 0) continue;
+
+        const key = dir ?? 'unknown';
+        if (!streams.has(key)) streams.set(key, frameStream());
+        for (const data of streams.get(key)(Buffer.from(hex.join(''), 'hex'))) {
+            frames.push({ time: null, dir, connection: 'hexdump', data });
+        }
+    }
+    return frames;
+}
+
+/**
+ * @private
+ */
+function isPcap(content) {
+    if (content.length < 24) return false;
+    const magic = content.readUInt32LE(0);
+    return [0xA1B2C3D4, 0xD4C3B2A1, 0xA1B23C4D, 0x4D3CB2A1].includes(magic);
+}
+
+/**
+ * Packets of a pcap file.
+ * @private
+ * @returns {Generator<{packet: Buffer, linkType: number, time: number}>} time in ms since the epoch
+ */
+function* pcapPackets(content) {
+    const magic = content.readUInt32LE(0);
+    const littleEndian = magic === 0xA1B2C3D4 || magic === 0xA1B23C4D;
+    const nanoseconds = magic === 0xA1B23C4D || magic === 0x4D3CB2A1;
+    const u32 = (offset) => littleEndian ? content.readUInt32LE(offset) : content.readUInt32BE(offset);
+    const linkType = u32(20) & 0xFFFF;
+
+    let offset = 24;
+    while (offset + 16 <= content.length) {
+        const seconds = u32(offset);
+        const fraction = u32(offset + 4);
+        const length = u32(offset + 8);
+        const packet = content.subarray(offset + 16, offset + 16 + length);
+        offset += 16 + length;
+        if (packet.length < length) {
+            throw new Error('Truncated pcap file');
+        }
+        yield { packet, linkType, time: seconds * 1000 + (nanoseconds ? fraction / 1e6 : fraction / 1e3) };
+    }
+}
+
+/**
+ * @private
+ */
+function isPcapng(content) {
+    return content.length >= 12 && content.readUInt32LE(0) === PCAPNG_SECTION_HEADER;
+}
+
+/**
+ * Packets of a pcapng file (Wireshark's default format): enhanced and simple packet blocks,
+ * with the link type and timestamp resolution of their interface.
+ * @private
+ * @returns {Generator<{packet: Buffer, linkType: number, time: number|null}>} time in ms since the epoch
+ */
+function* pcapngPackets(content) {
+    let u32 = (offset) => content.readUInt32LE(offset);
+    let u16 = (offset) => content.readUInt16LE(offset);
+    let interfaces = [];
+    let offset = 0;
+    while (offset + 12 <= content.length) {
+        const type = u32(offset);
+        if (type === PCAPNG_SECTION_HEADER) {
+            // Each section sets its own byte order and interface list
+            const littleEndian = content.readUInt32LE(offset + 8) === PCAPNG_BYTE_ORDER_MAGIC;
+            u32 = (at) => littleEndian ? content.readUInt32LE(at) : content.readUInt32BE(at);
+            u16 = (at) => littleEndian ? content.readUInt16LE(at) : content.readUInt16BE(at);
+            interfaces = [];
+        }
+        const length = u32(offset + 4);
+        if (length < 12 || offset + length > content.length) {
+            throw new Error('Truncated pcapng file');
+        }
+        const body = offset + 8;
+        const end = offset + length - 4;
+
+        if (type === PCAPNG_INTERFACE) {
+            interfaces.push({ linkType: u16(body), unit: pcapngTimeUnit(content, body + 8, end, u16) });
+        } else if (type === PCAPNG_ENHANCED_PACKET) {
+            const iface = interfaces[u32(body)];
+            if (!iface) throw new Error('pcapng packet for an undeclared interface');
+            const timestamp = u32(body + 4) * 2 ** 32 + u32(body + 8);
+            yield {
+                packet: content.subarray(body + 20, body + 20 + u32(body + 12)),
+                linkType: iface.linkType,
+                time: timestamp * iface.unit * 1000
+            };
+        } else if (type === PCAPNG_SIMPLE_PACKET) {
+            if (!interfaces[0]) throw new Error('pcapng packet for an undeclared interface');
+            const captured = Math.min(u32(body), end - body - 4);
+            yield { packet: content.subarray(body + 4, body + 4 + captured), linkType: interfaces[0].linkType, time: null };
+        }
+        offset += length;
+    }
+}
+
+/**
+ * Timestamp unit of a pcapng interface in seconds (if_tsresol option, microseconds by default).
+ * @private
+ */
+function pcapngTimeUnit(content, offset, end, u16) {
+    while (offset + 4 <= end) {
+        const code = u16(offset);
+        const length = u16(offset + 2);
+        if (code === 0) break;  // opt_endofopt
+        if (code === 9 && length >= 1) {
+            const resolution = content[offset + 4];
+            return resolution & 0x80 ? 2 ** -(resolution & 0x7F) : 10 ** -resolution;
+        }
+        offset += 4 + Math.ceil(length / 4) * 4;
+    }
+    return 1e-6;
+}
+
+/**
+ * Reassemble the SLIP frames of the panel connections in captured packets.
+ * @private
+ */
+function tcpFrames(packets, panelPort) {
+    const streams = new Map();     // "src:port>dst:port" -> { nextSeq, extract }
+    const frames = [];
+    for (const { packet, linkType, time: timestamp } of packets) {
+        const segment = tcpSegment(packet, linkType);
+        if (!segment || segment.payload.length === 0) continue;
+
+        // The client speaks first, so the first payload goes to the panel
+        panelPort ??= segment.dstPort;
+        if (segment.srcPort !== panelPort && segment.dstPort !== panelPort) continue;
+
+        const key = `${segment.src}:${segment.srcPort}>${segment.dst}:${segment.dstPort}`;
+        if (!streams.has(key)) streams.set(key, { nextSeq: segment.seq, extract: frameStream() });
+        const stream = streams.get(key);
+
+        // Drop retransmitted data
+        const skip = (stream.nextSeq - segment.seq) | 0;
+        if (skip >= segment.payload.length) continue;
+        const data = segment.payload.subarray(Math.max(skip, 0));
+        stream.nextSeq = (segment.seq + segment.payload.length) >>> 0;
+
+        const time = timestamp === null ? null : new Date(timestamp).toISOString();
+        const dir = segment.srcPort === panelPort ? 'panel' : 'client';
+        const connection = dir === 'client' ? `${segment.src}:${segment.srcPort}` : `${segment.dst}:${segment.dstPort}`;
+        for (const frame of stream.extract(data)) {
+            frames.push({ time, dir, connection, data: frame });
+        }
+    }
+    return frames;
+}
+
+/**
+ * TCP segment of a captured packet, or null for other traffic.
+ * @private
+ */
+function tcpSegment(packet, linkType) {
+    let ip;
+    if (linkType === LINKTYPE_ETHERNET) {
+        let etherType = packet.readUInt16BE(12);
+        let start = 14;
+        if (etherType === ETHERTYPE_VLAN) {
+            etherType = packet.readUInt16BE(16);
+            start = 18;
+        }
+        if (etherType !== ETHERTYPE_IPV4 && etherType !== ETHERTYPE_IPV6) return null;
+        ip = packet.subarray(start);
+    } else if (linkType === LINKTYPE_LINUX_SLL) {
+        ip = packet.subarray(16);
+    } else if (linkType === LINKTYPE_LINUX_SLL2) {
+        ip = packet.subarray(20);
+    } else if (linkType === LINKTYPE_NULL) {
+        ip = packet.subarray(4);
+    } else if (LINKTYPE_RAW.includes(linkType) || linkType === LINKTYPE_IPV4 || linkType === LINKTYPE_IPV6) {
+        ip = packet;
+    } else {
+        throw new Error(`Unsupported pcap link type ${linkType}`);
+    }
+    if (ip.length < 20) return null;
+
+    let tcp;
+    let src;
+    let dst;
+    const version = ip[0] >> 4;
+    if (version === 4) {
+        if (ip[9] !== IP_PROTOCOL_TCP) return null;
+        const headerLength = (ip[0] & 0x0F) * 4;
+        tcp = ip.subarray(headerLength, ip.readUInt16BE(2));    // Total length drops Ethernet padding
+        src = [...ip.subarray(12, 16)].join('.');
+        dst = [...ip.subarray(16, 20)].join('.');
+    } else if (version === 6) {
+        if (ip[6] !== IP_PROTOCOL_TCP) return null;
+        tcp = ip.subarray(40, 40 + ip.readUInt16BE(4));
+        src = ip.subarray(8, 24).toString('hex');
+        dst = ip.subarray(24, 40).toString('hex');
+    } else {
+        return null;
+    }
+    if (tcp.length < 20) return null;
+
+    return {
+        src,
+        dst,
+        srcPort: tcp.readUInt16BE(0),
+        dstPort: tcp.readUInt16BE(2),
+        seq: tcp.readUInt32BE(4),
+        payload: tcp.subarray((tcp[12] >> 4) * 4)
+    };
+}
+
+// ============================================================================
+// DISSECTION
+// ============================================================================
+
+/**
+ * Decode captured frames.
+ * @param {Array<Object>} frames - Frames from readCapture()
+ * @param {Object} [options]
+ * @param {string} [options.encryptionKey] - Panel encryption key (without it only plain frames decode)
+ * @param {string} [options.serial] - Panel serial (default: from the description response)
+ * @returns {Array<Object>} Messages: { index, time, dir, connection, encryption, kind, name, request,
+ *   payload, properties, parts, crcError, unknown }
+ */
+export function dissect(frames, { encryptionKey, serial } = {}) {
+    const connections = new Map();
+    return frames.map((frame) => {
+        if (!connections.has(frame.connection)) {
+            connections.set(frame.connection, {
+                serialBytes: serial ? decodeSerial(serial) : null,
+                initialKey: encryptionKey ? makeEncryptionKey(encryptionKey) : null,
+                sessionKey: null,
+                clientKey: null,
+                pbkdf2: false,
+                pending: []         // Names of requests waiting for a response
+            });
+        }
+        return dissectFrame(frame, connections.get(frame.connection), encryptionKey, Boolean(serial));
+    });
+}
+
+/**
+ * @private
+ */
+function dissectFrame(frame, state, encryptionKey, serialGiven) {
+    const message = {
+        index: frame.index,
+        time: frame.time,
+        dir: frame.dir,
+        connection: frame.connection,
+        encryption: null,
+        kind: null,
+        name: null,
+        request: null,
+        payload: null,
+        properties: {},
+        parts: [],
+        crcError: false,
+        unknown: false
+    };
+
+    const decoded = decodeFrame(frame.data, state);
+    if (!decoded) {
+        message.crcError = true;
+        return message;
+    }
+    const { payload, encryption } = decoded;
+    message.encryption = encryption;
+
+    const header = payload[0];
+    const unsolicited = header === HEADER.REQUEST && (frame.dir === 'panel' || payload[1] === COS_MESSAGE_ID);
+    message.dir ??= header === HEADER.REQUEST && !unsolicited ? 'client' : 'panel';
+    message.kind = header === HEADER.ERROR ? 'error'
+        : header === HEADER.RESPONSE ? 'response'
+            : unsolicited ? 'unsolicited' : 'request';
+
+    // Responses answer the oldest open request of the connection
+    if (message.kind === 'response' || message.kind === 'error') {
+        message.request = state.pending.shift() ?? null;
+    }
+    if (message.kind === 'error') {
+        message.payload = payload.toString('hex');
+        message.properties = { errorCode: payload.subarray(1).toString('hex') };
+        return message;
+    }
+
+    message.name = message.kind === 'unsolicited' && payload[1] === COS_MESSAGE_ID ? 'cos' : messageName(payload);
+    if (message.kind === 'request') {
+        state.pending.push(message.name);
+    }
+    if (messageTemplates[message.name]) {
+        const body = HEADER_OFFSET_TEMPLATES.includes(message.name) ? payload : payload.subarray(1);
+        message.properties = redactCredentials(message.name, getAllProperties(message.name, body));
+    }
+    message.parts = batchParts(payload);
+    message.payload = (maskPayload(payload, message.name, message.request) ?? payload).toString('hex');
+
+    // Plain acknowledgements have no template of their own, they are known by their request
+    message.unknown = !message.name && !message.request && message.parts.length === 0;
+    followSession(message, payload, state, encryptionKey, serialGiven);
+    return message;
+}
+
+/**
+ * Decode a SLIP frame: plain, or encrypted with the session or initial key.
+ * @private
+ */
+function decodeFrame(data, state) {
+    const plain = slipDecode(data);
+    if (plain.length > 2 && verifyCrc(plain) && Object.values(HEADER).includes(plain[0])) {
+        return { payload: plain.subarray(0, -2), encryption: 'plain' };
+    }
+    if (!state.serialBytes) return null;
+
+    for (const [encryption, key] of [['session', state.sessionKey], ['initial', state.initialKey]]) {
+        if (!key) continue;
+        try {
+            const payload = decryptMessage(data, key, state.serialBytes);
+            if (payload) return { payload, encryption };
+        } catch {
+            // Wrong key size for this frame, try the next key
+        }
+    }
+    return null;
+}
+
+/**
+ * Track the panel description and key exchange of a connection.
+ * @private
+ */
+function followSession(message, payload, state, encryptionKey, serialGiven) {
+    if (message.name === 'deviceDescription') {
+        const serialNumber = message.properties.serialNumber;
+        if (!serialGiven && /^[A-Za-z0-9_+-]{16}$/.test(serialNumber ?? '')) {
+            state.serialBytes = decodeSerial(serialNumber);
+        }
+        // Byte 79 from the start of the response, as read by AritechClient.getDescription()
+        state.pbkdf2 = payload[79] === PBKDF2_MODE;
+        if (state.pbkdf2 && encryptionKey) {
+            state.initialKey = makeEncryptionKeyPBKDF2(encryptionKey);
+        }
+    } else if (message.name === 'createSession' && message.kind === 'request') {
+        state.clientKey = Buffer.from(payload.subarray(5, 5 + (state.pbkdf2 ? 16 : 8)));
+    } else if (message.request === 'createSession' && message.kind === 'response' && state.clientKey) {
+        const panelKey = payload.subarray(3, 3 + (state.pbkdf2 ? 16 : 8));
+        state.sessionKey = Buffer.concat([state.clientKey, panelKey]);
+    }
+}
+
+/**
+ * Status messages embedded in a batch response.
+ * @private
+ */
+function batchParts(payload) {
+    if (payload[0] !== HEADER.RESPONSE || payload[1] !== 0xEE || payload[2] !== 0xEE || payload.length < 5) {
+        return [];
+    }
+    const name = messageName(Buffer.concat([Buffer.from([HEADER.RESPONSE]), payload.subarray(4)]));
+    if (!BATCH_PAYLOAD_LENGTHS[name]) return [];
+    return splitBatchResponse(payload, name).map(part => ({
+        name: part.template,
+        objectId: part.objectId,
+        properties: getAllProperties(part.template, part.bytes)
+    }));
+}
+
+/**
+ * @private
+ */
+function redactCredentials(name, properties) {
+    for (const property of CREDENTIAL_PROPERTIES[name] ?? []) {
+        if (property in properties) properties[property] = '[REDACTED]';
+    }
+    return properties;
+}
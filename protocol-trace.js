@@ -0,0 +1,419 @@
+/**
+ * Aritech ATS Protocol Trace
+ *
+ * Opt-in recording of a client session for offline debugging. With config.trace set to a file
+ * path, AritechClient writes every decrypted request, response and COS frame to that file as
+ * JSON lines: a header, a marker per connection and one record per frame with a timestamp, the
+ * direction, the message name and the payload hex.
+ *
+ *   {"type":"header","version":1,"startedAt":"...","host":"10.0.0.10","port":32000,"login":"pin","keyLength":24,"meta":{}}
+ *   {"type":"connect","time":"..."}
+ *   {"type":"frame","time":"...","dir":"send","key":"session","msg":"getZoneStatus","data":"c0..."}
+ *   {"type":"frame","time":"...","dir":"recv","key":"session","msg":"zoneStatus","request":"getZoneStatus","data":"a0..."}
+ *   {"type":"frame","time":"...","dir":"cos","key":"session","msg":null,"data":"c0ca..."}
+ *
+ * Credentials never reach the file: the PIN, username and password of login requests and the
+ * key material of the key exchange are zeroed (the record is marked "masked"). The trace can
+ * still be replayed because the replay encrypts with whatever keys the replaying client derives.
+ *
+ * Replay feeds a trace back to a client through a fake socket: every request the client sends
+ * must match the next recorded request, which is answered with the responses and COS frames
+ * recorded after it. Unsolicited frames keep their recorded delay (up to a second), and
+ * timer-driven keep-alive pings in the trace are skipped.
+ *
+ *   const replay = new TraceReplay(readTrace('session.trace'));
+ *   const client = new AritechClient(replay.clientConfig());
+ */
+
+import { EventEmitter } from 'events';
+import { readFileSync, writeFileSync, appendFileSync } from 'fs';
+import { createHelperMethods } from './message-helpers.js';
+import { messageTemplates } from './messages.js';
+import {
+    slipEncode,
+    slipDecode,
+    appendCrc,
+    verifyCrc,
+    encryptMessage,
+    decryptMessage
+} from './aritech-utils.js';
+
+const { isMessageType } = createHelperMethods(messageTemplates);
+
+export const TRACE_VERSION = 1;
+
+// Template properties holding credentials, zeroed in recorded requests
+export const CREDENTIAL_PROPERTIES = {
+    loginWithPin: ['pinCode', 'userPin2'],
+    loginWithAccount: ['username', 'password'],
+    createSession: ['data'],
+    createUser: ['pinCode'],
+    updateUser: ['pinCode']
+};
+
+// Responses carrying key material, zeroed from this offset on (by request name)
+const MASKED_RESPONSE_OFFSETS = {
+    createSession: 3    // [0xA0][0x00 0x09][panel key bytes]
+};
+
+// Sent by a timer, so not reproducible in a replay
+const KEEP_ALIVE_MESSAGE = 'ping';
+
+// Upper bound for the recorded delay before an unsolicited frame in a replay (ms)
+const MAX_UNSOLICITED_DELAY = 1000;
+
+// ============================================================================
+// MESSAGE NAMES
+// ============================================================================
+
+/**
+ * Resolve the template name of a request or response payload (header byte included).
+ * Templates sharing a message id (e.g. createSession and enableEncryptionKey) are told apart
+ * by length; templates without a type byte (batch) match on the message id alone.
+ * @param {Buffer} payload - Decrypted payload
+ * @returns {string|null} Message name, or null if no template matches
+ */
+export function messageName(payload) {
+    const candidates = Object.entries(messageTemplates).filter(([name, template]) => {
+        if (template.templateBytes.length > 0) {
+            return isMessageType(payload, name, 1);
+        }
+        return template.msgIdBytes.every((byte, i) => payload[1 + i] === byte);
+    });
+    const exact = candidates.find(([, template]) =>
+        1 + template.msgIdBytes.length + template.templateBytes.length === payload.length);
+    return (exact ?? candidates[0])?.[0] ?? null;
+}
+
+/**
+ * Copy of a payload with its credentials zeroed.
+ * @param {Buffer} payload - Decrypted payload
+ * @param {string|null} name - Message name of the payload
+ * @param {string|null} request - For responses, message name of the request
+ * @returns {Buffer|null} Masked copy, or null if the payload holds no credentials
+ */
+export function maskPayload(payload, name, request) {
+    if (request) {
+        const offset = MASKED_RESPONSE_OFFSETS[request];
+        if (offset === undefined) return null;
+        const masked = Buffer.from(payload);
+        masked.fill(0, offset);
+        return masked;
+    }
+
+    const properties = CREDENTIAL_PROPERTIES[name];
+    if (!properties) return null;
+    const masked = Buffer.from(payload);
+    for (const property of properties) {
+        for (const { byte, length = 1 } of messageTemplates[name].properties[property]) {
+            // Template byte offsets are relative to after the header
+            masked.fill(0, byte + 1, Math.min(byte + 1 + length, masked.length));
+        }
+    }
+    return masked;
+}
+
+// ============================================================================
+// RECORDER
+// ============================================================================
+
+/**
+ * Writes a protocol trace file. Created by AritechClient when config.trace is set.
+ */
+export class TraceRecorder {
+    /**
+     * @param {string} file - Trace file (overwritten on the first connect)
+     * @param {Object} header - Session details: { host, port, login, keyLength }
+     */
+    constructor(file, header) {
+        this.file = file;
+        this.header = header;
+        this.meta = {};     // Extra header fields set before connecting (e.g. the CLI arguments)
+        this._started = false;
+    }
+
+    /**
+     * Record the start of a connection (the first one also writes the header).
+     */
+    connect() {
+        if (!this._started) {
+            this._started = true;
+            const header = { type: 'header', version: TRACE_VERSION, startedAt: new Date().toISOString(), ...this.header, meta: this.meta };
+            writeFileSync(this.file, `${JSON.stringify(header)}\n`);
+        }
+        this._write({ type: 'connect', time: new Date().toISOString() });
+    }
+
+    /**
+     * Record a decrypted frame.
+     * @param {'send'|'recv'|'cos'} dir - Direction: request, response, or unsolicited panel message
+     * @param {Buffer} payload - Decrypted payload (header byte included, CRC stripped)
+     * @param {'plain'|'initial'|'session'} key - Key the frame was encrypted with
+     * @param {Buffer} [request] - For responses, the request payload
+     */
+    frame(dir, payload, key, request) {
+        const msg = messageName(payload);
+        const record = { type: 'frame', time: new Date().toISOString(), dir, key, msg };
+        const requestName = request ? messageName(request) : null;
+        if (request) {
+            record.request = requestName;
+        }
+
+        const masked = maskPayload(payload, msg, requestName);
+        record.data = (masked ?? payload).toString('hex');
+        if (masked) {
+            record.masked = true;
+        }
+        this._write(record);
+    }
+
+    /**
+     * @private
+     */
+    _write(record) {
+        // Synchronous so a CLI exiting right after a command keeps the whole trace
+        appendFileSync(this.file, `${JSON.stringify(record)}\n`);
+    }
+}
+
+/**
+ * Read a trace file.
+ * @param {string} file - Trace file written by TraceRecorder
+ * @returns {{header: Object, records: Object[]}} Header and connect/frame records in order
+ * @throws {Error} If the file is not a trace of a supported version
+ */
+export function readTrace(file) {
+    const lines = readFileSync(file, 'utf8').split('\n').filter(line => line.trim() !== '');
+    let entries;
+    try {
+        entries = lines.map(line => JSON.parse(line));
+    } catch (err) {
+        throw new Error(`Invalid trace file ${file}: ${err.message}`);
+    }
+
+    const [header, ...records] = entries;
+    if (header?.type !== 'header') {
+        throw new Error(`Invalid trace file ${file}: missing header`);
+    }
+    if (header.version !== TRACE_VERSION) {
+        throw new Error(`Unsupported trace version ${header.version} in ${file} (expected ${TRACE_VERSION})`);
+    }
+    return { header, records };
+}
+
+// ============================================================================
+// REPLAY
+// ============================================================================
+
+/**
+ * Serves a recorded trace to a client in place of a panel connection.
+ *
+ * Events emitted:
+ * - 'diverged': { index, expected, actual } - The client sent a request the trace does not have
+ *   next (the connection is then closed with an error)
+ * - 'end': The last recorded frame was delivered
+ */
+export class TraceReplay extends EventEmitter {
+    /**
+     * @param {{header: Object, records: Object[]}} trace - Trace from readTrace()
+     */
+    constructor(trace) {
+        super();
+        this.header = trace.header;
+        this.records = trace.records;
+        this.position = 0;      // Next record to serve
+        this.ended = false;
+    }
+
+    /**
+     * AritechClient config replaying this trace. Credentials are placeholders: the recorded
+     * responses are encrypted with whatever keys the replaying client derives.
+     * @returns {Object} Client config
+     */
+    clientConfig() {
+        const { host, port, login, keyLength } = this.header;
+        return {
+            host,
+            port,
+            encryptionKey: '0'.repeat(keyLength),
+            ...(login === 'account' ? { username: 'replay' } : { pin: '0000' }),
+            replay: this
+        };
+    }
+
+    /**
+     * Open a connection to the recorded panel (used by AritechClient.connect()).
+     * @param {AritechClient} client - Client whose keys encrypt the recorded frames
+     * @returns {TraceSocket} Fake socket
+     */
+    connect(client) {
+        // Each connection starts at the next connect marker
+        const next = this.records.findIndex((record, i) => i >= this.position && record.type === 'connect');
+        this.position = next === -1 ? this.records.length : next + 1;
+        return new TraceSocket(this, client);
+    }
+}
+
+/**
+ * Socket-like end of a replayed connection.
+ * @private
+ */
+class TraceSocket extends EventEmitter {
+    constructor(replay, client) {
+        super();
+        this.replay = replay;
+        this.client = client;
+        this.destroyed = false;
+        this._timer = null;     // Recorded delay before the next unsolicited frame
+
+        setImmediate(() => {
+            if (this.destroyed) return;
+            this.emit('connect');
+            this._deliver();
+        });
+    }
+
+    setTimeout() {
+        // No idle timeout without a network
+    }
+
+    write(frame) {
+        if (this.destroyed) return false;
+        const { replay } = this;
+        const sent = this._decode(frame);
+        const actual = sent ? messageName(sent) : null;
+
+        // Keep-alive pings of the recorded session have no counterpart in the replay
+        let expected = this._nextRequest();
+        while (expected && expected.record.msg === KEEP_ALIVE_MESSAGE && actual !== KEEP_ALIVE_MESSAGE) {
+            replay.position = expected.index + 1;
+            this._skipResponses();
+            expected = this._nextRequest();
+        }
+
+        if (!expected || expected.record.msg !== actual) {
+            const index = expected?.index ?? replay.records.length;
+            replay.emit('diverged', { index, expected: expected?.record.msg ?? null, actual });
+            const message = expected
+                ? `expected ${expected.record.msg} (record ${index + 1}), client sent ${actual}`
+                : `end of trace reached, client sent ${actual}`;
+            this.destroy(new Error(`Replay diverged: ${message}`));
+            return false;
+        }
+
+        // Unsolicited frames recorded before this request reach the client first
+        clearTimeout(this._timer);
+        this._timer = null;
+        while (replay.position < expected.index) {
+            this._emitRecord(replay.records[replay.position++]);
+        }
+        replay.position = expected.index + 1;
+        setImmediate(() => this._deliver());
+        return true;
+    }
+
+    destroy(err) {
+        if (this.destroyed) return;
+        this.destroyed = true;
+        clearTimeout(this._timer);
+        setImmediate(() => {
+            if (err) this.emit('error', err);
+            this.emit('close');
+        });
+    }
+
+    /**
+     * Next recorded request of this connection.
+     * @private
+     */
+    _nextRequest() {
+        const { records, position } = this.replay;
+        for (let i = position; i < records.length && records[i].type !== 'connect'; i++) {
+            if (records[i].dir === 'send') return { index: i, record: records[i] };
+        }
+        return null;
+    }
+
+    /**
+     * Skip the responses of a skipped request.
+     * @private
+     */
+    _skipResponses() {
+        const { records } = this.replay;
+        while (this.replay.position < records.length && records[this.replay.position].dir === 'recv') {
+            this.replay.position++;
+        }
+    }
+
+    /**
+     * Send the recorded frames up to the next request of the client.
+     * @private
+     */
+    _deliver(due = -1) {
+        const { replay } = this;
+        if (this._timer) return;
+        while (!this.destroyed && replay.position < replay.records.length) {
+            const record = replay.records[replay.position];
+            if (record.type !== 'frame' || record.dir === 'send') return;
+
+            // Unsolicited frames keep their recorded delay, so the client handles them in the
+            // same state as in the recorded session (e.g. after a monitor finished starting)
+            if (record.dir === 'cos' && due !== replay.position) {
+                const position = replay.position;
+                const delay = Date.parse(record.time) - Date.parse(replay.records[position - 1].time);
+                this._timer = setTimeout(() => {
+                    this._timer = null;
+                    this._deliver(position);
+                }, Math.min(Math.max(delay, 0), MAX_UNSOLICITED_DELAY));
+                return;
+            }
+
+            replay.position++;
+            this._emitRecord(record);
+        }
+        if (replay.position >= replay.records.length && !replay.ended) {
+            replay.ended = true;
+            replay.emit('end');
+        }
+    }
+
+    /**
+     * @private
+     */
+    _emitRecord(record) {
+        this.emit('data', this._encode(Buffer.from(record.data, 'hex'), record.key));
+    }
+
+    /**
+     * @private
+     */
+    _key(kind) {
+        return kind === 'initial' ? this.client.initialKey : this.client.sessionKey;
+    }
+
+    /**
+     * @private
+     */
+    _encode(payload, kind) {
+        return kind === 'plain'
+            ? slipEncode(appendCrc(payload))
+            : slipEncode(encryptMessage(payload, this._key(kind), this.client.serialBytes));
+    }
+
+    /**
+     * Decrypt a frame written by the client, trying the key the trace expects next.
+     * @private
+     */
+    _decode(frame) {
+        const kind = this._nextRequest()?.record.key ?? 'session';
+        try {
+            if (kind === 'plain') {
+                const decoded = slipDecode(frame);
+                return verifyCrc(decoded) ? decoded.slice(0, -2) : null;
+            }
+            return decryptMessage(frame, this._key(kind), this.client.serialBytes);
+        } catch {
+            return null;
+        }
+    }
+}
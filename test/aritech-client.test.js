@@ -0,0 +1,914 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { AritechClient, ErrorCodes, REQUEST_PRIORITY } from '../aritech-client.js';
+import { PanelSimulator } from '../panel-simulator.js';
+import { startSession, waitForEvent, X700_KEY, X700_PANEL } from './helpers.js';
+
+const FIXTURE = {
+    areas: [
+        { number: 1, name: 'House', state: { isUnset: true } },
+        { number: 2, name: 'Garage', state: { isUnset: true } }
+    ],
+    zones: [
+        { number: 1, name: 'Front Door', areas: [1] },
+        { number: 2, name: 'Living Room', areas: [1] },
+        { number: 3, name: 'Garage Door', areas: [2] }
+    ],
+    outputs: [{ number: 1, name: 'Siren' }],
+    triggers: [{ number: 1, name: 'Gate' }],
+    doors: [{ number: 1, name: 'Main Entrance', state: { isLocked: true } }],
+    filters: [{ number: 1, name: 'Night', state: { isActive: true } }],
+    readers: [
+        { number: 1, name: 'Entrance In' },
+        { number: 2, name: 'Entrance Out', state: { isOffline: true, isTamper: true } }
+    ],
+    events: [
+        { eventId: 1, classId: 0, entityId: 0x0101, area: 1, description: 'Front Door', timestamp: new Date(2025, 0, 1, 8, 0, 0) },
+        { eventId: 4, classId: 0, entityId: 0x0201, area: 1, description: 'Living Room', timestamp: new Date(2025, 0, 1, 9, 30, 0) }
+    ]
+};
+
+describe('session setup', () => {
+    it('reads the panel description and logs in with a PIN (x500)', async () => {
+        const { client, close } = await startSession(FIXTURE);
+        try {
+            assert.equal(client.panelModel, 'ATS1500');
+            assert.equal(client.firmwareVersion, 'MR_4.1.38741');
+            assert.equal(client.protocolVersion, 4001);
+            assert.equal(client.sessionKey.length, 16);
+            assert.equal(client.loggedIn, true);
+        } finally {
+            await close();
+        }
+    });
+
+    it('logs in with username and password using PBKDF2 keys (x700)', async () => {
+        const fixture = {
+            ...FIXTURE,
+            panel: X700_PANEL,
+            encryptionKey: X700_KEY,
+            users: [{ number: 1, name: 'Admin', username: 'ADMIN', password: 'SECRET' }]
+        };
+        const { client, close } = await startSession(fixture, { pin: undefined, username: 'ADMIN', password: 'SECRET' });
+        try {
+            assert.equal(client.encryptionMode, 5);
+            assert.equal(client.sessionKey.length, 32);
+            assert.equal(client.loggedIn, true);
+        } finally {
+            await close();
+        }
+    });
+
+    it('reports a rejected PIN', async () => {
+        const { client, close } = await startSession(FIXTURE, { pin: '9999' }, { login: false });
+        try {
+            await client.getDescription();
+            await client.changeSessionKey();
+            assert.equal(await client.login(), false);
+        } finally {
+            await close();
+        }
+    });
+
+    it('rejects commands before login with a panel error', async () => {
+        const { client, close } = await startSession(FIXTURE, {}, { login: false });
+        try {
+            await client.getDescription();
+            await client.changeSessionKey();
+            await assert.rejects(client.getAreaNames(), { code: ErrorCodes.PANEL_ERROR });
+        } finally {
+            await close();
+        }
+    });
+});
+
+describe('reading panel state', () => {
+    let session;
+    before(async () => { session = await startSession(FIXTURE); });
+    after(async () => { await session.close(); });
+
+    it('reads names', async () => {
+        const { client } = session;
+        assert.deepEqual(await client.getAreaNames(), [{ number: 1, name: 'House' }, { number: 2, name: 'Garage' }]);
+        assert.deepEqual((await client.getZoneNames()).map(z => z.name), ['Front Door', 'Living Room', 'Garage Door']);
+        assert.deepEqual(await client.getOutputNames(), [{ number: 1, name: 'Siren' }]);
+        assert.deepEqual(await client.getTriggerNames(), [{ number: 1, name: 'Gate' }]);
+        assert.deepEqual(await client.getDoorNames(), [{ number: 1, name: 'Main Entrance' }]);
+        assert.deepEqual(await client.getFilterNames(), [{ number: 1, name: 'Night' }]);
+    });
+
+    it('reads batched states', async () => {
+        const { client, simulator } = session;
+        simulator.setZoneState(2, { isActive: true });
+
+        const zones = await client.getZoneStates([{ number: 1 }, { number: 2 }]);
+        assert.deepEqual(zones.map(z => [z.zone, z.state.isActive]), [[1, false], [2, true]]);
+
+        const areas = await client.getAreaStates([1, 2]);
+        assert.deepEqual(areas.map(a => [a.area, a.state.isUnset]), [[1, true], [2, true]]);
+
+        const [filter] = await client.getFilterStates([{ number: 1 }]);
+        assert.equal(filter.state.isActive, true);
+    });
+
+    it('reads card readers and tells offline readers apart', async () => {
+        const { client } = session;
+        assert.deepEqual(await client.getReaderNames(), [{ number: 1, name: 'Entrance In' }, { number: 2, name: 'Entrance Out' }]);
+
+        const states = await client.getReaderStates([1, 2]);
+        assert.deepEqual(states.map(r => [r.reader, r.state.isOnline, r.state.isTamper]), [[1, true, false], [2, false, true]]);
+        assert.equal(states[1].state.toString(), 'Offline, Tamper');
+
+        const offline = (await client.getReaders()).filter(r => r.state.isOffline);
+        assert.deepEqual(offline.map(r => r.name), ['Entrance Out']);
+    });
+
+    it('reads valid areas and zone assignments', async () => {
+        const { client } = session;
+        assert.deepEqual(await client.getValidAreaNumbers(), [1, 2]);
+        assert.deepEqual(await client.getValidZoneNumbers(), [1, 2, 3]);
+    });
+
+    it('reads the event log newest first', async () => {
+        const events = [];
+        for await (const event of session.client.readEventLog(10)) {
+            events.push(event);
+        }
+        assert.deepEqual(events.map(e => e.entity.description), ['Living Room', 'Front Door']);
+        assert.deepEqual(events.map(e => e.sequence), [1, 0]);
+        assert.equal(events[1].timestamp, new Date(2025, 0, 1, 8, 0, 0).toISOString());
+        assert.equal(events[1].entity.id, 1);
+    });
+
+    it('reads an event log time window, stopping at the start of the window', async () => {
+        const read = async (window) => {
+            const events = [];
+            for await (const event of session.client.readEventLog(0, window)) {
+                events.push(event.entity.description);
+            }
+            return events;
+        };
+
+        const requests = [];
+        const record = ({ msgName }) => msgName === 'selectLogEntry' && requests.push(msgName);
+        session.simulator.on('request', record);
+        assert.deepEqual(await read({ since: new Date(2025, 0, 1, 9, 0, 0) }), ['Living Room']);
+        session.simulator.off('request', record);
+        assert.equal(requests.length, 2);
+
+        assert.deepEqual(await read({ until: new Date(2025, 0, 1, 9, 0, 0) }), ['Front Door']);
+        assert.deepEqual(await read({ since: new Date(2025, 0, 2), until: new Date(2025, 0, 3) }), []);
+        await assert.rejects(read({ since: 'yesterday-ish' }), /time window/);
+    });
+});
+
+describe('entity model', () => {
+    let session;
+    before(async () => { session = await startSession(FIXTURE); });
+    after(async () => { await session.close(); });
+
+    it('merges names, states and zone areas', async () => {
+        const { client, simulator } = session;
+        simulator.setZoneState(3, { isActive: true });
+
+        const zones = await client.getZones();
+        assert.deepEqual(zones.map(z => [z.number, z.name, z.areas, z.state.isActive]), [
+            [1, 'Front Door', [1], false],
+            [2, 'Living Room', [1], false],
+            [3, 'Garage Door', [2], true]
+        ]);
+        assert.match(zones[2].rawHex, /^[0-9a-f]+$/);
+
+        assert.deepEqual((await client.getAreas()).map(a => [a.name, a.state.isUnset]), [['House', true], ['Garage', true]]);
+        assert.equal((await client.getFilters())[0].state.isActive, true);
+        assert.deepEqual((await client.getOutputs()).map(o => o.name), ['Siren']);
+        assert.deepEqual((await client.getTriggers()).map(t => t.name), ['Gate']);
+        assert.deepEqual((await client.getDoors({ numbers: [1] })).map(d => d.name), ['Main Entrance']);
+        assert.deepEqual(await client.getAreas({ numbers: [9] }), []);
+    });
+
+    it('caches names for the session until refreshed', async () => {
+        const { client, simulator } = session;
+        let nameQueries = 0;
+        const onRequest = ({ msgName }) => { if (msgName === 'getOutputNames') nameQueries++; };
+        simulator.on('request', onRequest);
+        try {
+            await client.getOutputs();
+            await client.getOutputs();
+            assert.equal(nameQueries, 0);
+
+            await client.getOutputs({ refresh: true });
+            assert.ok(nameQueries > 0);
+
+            nameQueries = 0;
+            client.clearNameCache('output');
+            await client.getOutputs();
+            assert.ok(nameQueries > 0);
+        } finally {
+            simulator.off('request', onRequest);
+        }
+
+        await assert.rejects(client.getEntities('sensor'), /Unknown entity type/);
+    });
+});
+
+describe('arming', () => {
+    let session;
+    before(async () => { session = await startSession(FIXTURE); });
+    after(async () => { await session.close(); });
+
+    it('full sets and unsets an area', async () => {
+        const { client, simulator } = session;
+        await client.armArea(1, 'full');
+        assert.equal(simulator.getState('area', 1).isFullSet, true);
+        assert.equal(simulator.getState('zone', 1).isSet, true);
+        assert.equal(simulator.getState('zone', 3).isSet, undefined);
+
+        await client.disarmArea(1);
+        assert.equal(simulator.getState('area', 1).isUnset, true);
+        assert.equal(simulator.getState('zone', 1).isSet, false);
+    });
+
+    it('part sets an area', async () => {
+        const { client, simulator } = session;
+        await client.armArea(2, 'part2');
+        assert.equal(simulator.getState('area', 2).isPartiallySet2, true);
+        await client.disarmArea(2);
+    });
+
+    it('fails on active zones unless forced', async () => {
+        const { client, simulator } = session;
+        simulator.setZoneState(2, { isActive: true });
+        try {
+            await assert.rejects(client.armArea(1, 'full'), (err) => {
+                assert.equal(err.code, ErrorCodes.ARM_ACTIVE_ZONES);
+                assert.deepEqual(err.details.activeZones.map(({ raw, ...issue }) => issue), [
+                    { zone: 2, name: 'Living Room', area: 1, reason: 'active' }
+                ]);
+                return true;
+            });
+            assert.equal(simulator.getState('area', 1).isUnset, true);
+
+            await client.armArea(1, 'full', true);
+            assert.equal(simulator.getState('area', 1).isFullSet, true);
+            await client.disarmArea(1);
+        } finally {
+            simulator.setZoneState(2, { isActive: false });
+        }
+    });
+
+    it('fails on faults unless forced', async () => {
+        const { client, simulator } = session;
+        simulator.setZoneState(1, { hasFault: true });
+        simulator.setZoneState(3, { hasFault: true });
+        try {
+            await assert.rejects(client.armArea([1, 2], 'part1'), (err) => {
+                assert.equal(err.code, ErrorCodes.ARM_FAULTS);
+                assert.deepEqual(err.details.faults.map(({ zone, name, area, reason }) => ({ zone, name, area, reason })), [
+                    { zone: 1, name: 'Front Door', area: 1, reason: 'fault' },
+                    { zone: 3, name: 'Garage Door', area: 2, reason: 'fault' }
+                ]);
+                return true;
+            });
+            await client.armArea(1, 'part1', true);
+            assert.equal(simulator.getState('area', 1).isPartiallySet, true);
+            await client.disarmArea(1);
+        } finally {
+            simulator.setZoneState(1, { hasFault: false });
+            simulator.setZoneState(3, { hasFault: false });
+        }
+    });
+
+    it('requires force to set with inhibited zones', async () => {
+        const { client, simulator } = session;
+        await client.inhibitZone(2);
+        assert.equal(simulator.getState('zone', 2).isInhibited, true);
+        try {
+            await assert.rejects(client.armArea(1, 'full'), (err) => {
+                assert.equal(err.code, ErrorCodes.ARM_INHIBITED);
+                assert.deepEqual(err.details.inhibitedZones.map(issue => [issue.zone, issue.reason]), [[2, 'inhibited']]);
+                return true;
+            });
+            await client.armArea(1, 'full', true);
+            assert.equal(simulator.getState('area', 1).isFullSet, true);
+            await client.disarmArea(1);
+        } finally {
+            await client.uninhibitZone(2);
+        }
+        assert.equal(simulator.getState('zone', 2).isInhibited, false);
+    });
+
+    it('lets an onIssues callback force past active zones', async () => {
+        const { client, simulator } = session;
+        simulator.setZoneState(2, { isActive: true });
+        const calls = [];
+        try {
+            await client.armArea(1, 'full', {
+                onIssues: async (issues) => {
+                    calls.push(issues);
+                    return 'force';
+                }
+            });
+            assert.equal(calls.length, 1);
+            assert.equal(calls[0].reason, 'active');
+            assert.deepEqual(calls[0].areas, [1]);
+            assert.deepEqual(calls[0].zones.map(z => [z.zone, z.name]), [[2, 'Living Room']]);
+            assert.equal(simulator.getState('area', 1).isFullSet, true);
+            await client.disarmArea(1);
+        } finally {
+            simulator.setZoneState(2, { isActive: false });
+        }
+    });
+
+    it('inhibits the zones chosen by the onIssues callback and sets', async () => {
+        const { client, simulator } = session;
+        simulator.setZoneState(2, { isActive: true });
+        const reasons = [];
+        try {
+            await client.armArea(1, 'full', {
+                onIssues: async ({ reason, zones }) => {
+                    reasons.push(reason);
+                    return { inhibit: zones.map(z => z.zone) };
+                }
+            });
+            assert.deepEqual(reasons, ['active']);
+            assert.equal(simulator.getState('zone', 2).isInhibited, true);
+            assert.equal(simulator.getState('area', 1).isFullSet, true);
+            await client.disarmArea(1);
+        } finally {
+            simulator.setZoneState(2, { isActive: false });
+            await client.uninhibitZone(2);
+        }
+    });
+
+    it('aborts when the onIssues callback declines', async () => {
+        const { client, simulator } = session;
+        simulator.setZoneState(1, { hasFault: true });
+        try {
+            await assert.rejects(client.armArea(1, 'part1', { onIssues: async () => 'abort' }), (err) => {
+                assert.equal(err.code, ErrorCodes.ARM_FAULTS);
+                assert.equal(err.details.aborted, true);
+                assert.deepEqual(err.details.faults.map(issue => issue.zone), [1]);
+                return true;
+            });
+            assert.equal(simulator.getState('area', 1).isUnset, true);
+        } finally {
+            simulator.setZoneState(1, { hasFault: false });
+        }
+    });
+});
+
+describe('entity control', () => {
+    let session;
+    before(async () => { session = await startSession(FIXTURE); });
+    after(async () => { await session.close(); });
+
+    it('forces outputs', async () => {
+        const { client, simulator } = session;
+        await client.forceActivateOutput(1);
+        assert.equal(simulator.getState('output', 1).isOn, true);
+        await client.forceDeactivateOutput(1);
+        assert.equal(simulator.getState('output', 1).isOn, false);
+        await client.cancelForceOutput(1);
+        assert.equal(simulator.getState('output', 1).isForced, false);
+    });
+
+    it('activates and deactivates triggers', async () => {
+        const { client, simulator } = session;
+        await client.activateTrigger(1);
+        assert.equal(simulator.getState('trigger', 1).isRemoteOutput, true);
+        await client.deactivateTrigger(1);
+        assert.equal(simulator.getState('trigger', 1).isRemoteOutput, false);
+    });
+
+    it('controls doors', async () => {
+        const { client, simulator } = session;
+        await client.unlockDoor(1);
+        assert.equal(simulator.getState('door', 1).isUnlocked, true);
+        await client.lockDoor(1);
+        assert.equal(simulator.getState('door', 1).isUnlocked, false);
+        await client.disableDoor(1);
+        assert.equal(simulator.getState('door', 1).isDisabled, true);
+        await client.enableDoor(1);
+        assert.equal(simulator.getState('door', 1).isDisabled, false);
+    });
+
+    it('relocks timed door unlocks', async () => {
+        const { client, simulator } = session;
+        await client.unlockDoorTime(1, 1);
+        assert.equal(simulator.getState('door', 1).isTimeUnlocked, true);
+        await new Promise(resolve => setTimeout(resolve, 1100));
+        assert.equal(simulator.getState('door', 1).isUnlocked, false);
+    });
+});
+
+describe('user management', () => {
+    const USERS = [
+        { number: 1, name: 'Master', pin: '1278' },
+        { number: 5, name: 'Cleaner', pin: '5555', card: '3000000000', userGroup: 2, validUntil: '2026-06-30' }
+    ];
+    let session;
+    before(async () => { session = await startSession({ ...FIXTURE, users: USERS }, { allowUnverifiedWrites: true }); });
+    after(async () => { await session.close(); });
+
+    it('lists users with their settings', async () => {
+        const users = await session.client.getUsers();
+        assert.deepEqual(users, [
+            { number: 1, name: 'Master', hasPin: true, card: null, userGroup: null, validFrom: null, validUntil: null },
+            { number: 5, name: 'Cleaner', hasPin: true, card: '3000000000', userGroup: 2, validFrom: null, validUntil: '2026-06-30' }
+        ]);
+    });
+
+    it('creates, updates and deletes users in a control session', async () => {
+        const { client, simulator } = session;
+        const sent = [];
+        simulator.on('request', ({ msgName }) => sent.push(msgName));
+
+        await client.createUser(12, { name: 'J Smith', pin: '4711', userGroup: 3, validFrom: '2025-01-01' });
+        assert.deepEqual(sent, ['createUserControlSession', 'createUser', 'destroyControlSession']);
+        assert.deepEqual(simulator.users.find(u => u.number === 12),
+            { number: 12, name: 'J Smith', pin: '4711', userGroup: 3, validFrom: '2025-01-01' });
+
+        // Only the given settings change, null clears one
+        await client.updateUser(5, { pin: '9876', card: null });
+        const cleaner = simulator.users.find(u => u.number === 5);
+        assert.equal(cleaner.pin, '9876');
+        assert.equal(cleaner.card, undefined);
+        assert.equal(cleaner.userGroup, 2);
+
+        // Name changes show up despite the name cache
+        await client.updateUser(12, { name: 'Jane Smith' });
+        assert.ok((await client.getUsers()).some(u => u.number === 12 && u.name === 'Jane Smith'));
+
+        await client.deleteUser(12);
+        assert.equal(simulator.users.some(u => u.number === 12), false);
+        assert.deepEqual((await client.getUserNames()).map(u => u.number), [1, 5]);
+    });
+
+    it('reports rejected changes and invalid settings', async () => {
+        const { client } = session;
+        await assert.rejects(client.createUser(5, { name: 'Taken' }), { code: ErrorCodes.USER_CREATE_FAILED });
+        await assert.rejects(client.updateUser(99, { name: 'Nobody' }), { code: ErrorCodes.PANEL_ERROR });
+        await assert.rejects(client.createUser(6, { name: 'Short PIN', pin: '12' }), /PIN must be 4 to 10 digits/);
+        await assert.rejects(client.updateUser(5, { validUntil: '2025-02-30x' }), /Invalid date/);
+        await assert.rejects(client.updateUser(5, { pinCode: '1234' }), /Unknown user settings: pinCode/);
+    });
+
+    it('refuses user changes unless unverified writes are allowed', async () => {
+        const locked = await startSession({ ...FIXTURE, users: USERS });
+        try {
+            const sent = [];
+            locked.simulator.on('request', ({ msgName }) => sent.push(msgName));
+            for (const write of [
+                () => locked.client.createUser(12, { name: 'J Smith' }),
+                () => locked.client.updateUser(5, { pin: '9876' }),
+                () => locked.client.deleteUser(5)
+            ]) {
+                await assert.rejects(write(), { code: ErrorCodes.UNVERIFIED_WRITE });
+            }
+            assert.deepEqual(sent, []);
+            assert.equal(locked.simulator.users.find(u => u.number === 5).pin, '5555');
+        } finally {
+            await locked.close();
+        }
+    });
+});
+
+describe('door groups and schedules', () => {
+    const DOORS = {
+        doors: [
+            { number: 1, name: 'Main Entrance', calendar: 2, specialDays: [1, 32] },
+            { number: 2, name: 'Back Door' },
+            { number: 3, name: 'Store Room' }
+        ],
+        doorGroups: [{ number: 1, name: 'Entrances', doors: [1, 2] }]
+    };
+    let session;
+    before(async () => { session = await startSession({ ...FIXTURE, ...DOORS }); });
+    after(async () => { await session.close(); });
+
+    it('reads door groups and door schedules', async () => {
+        const { client } = session;
+        assert.deepEqual(await client.getDoorGroups(), [{ number: 1, name: 'Entrances', doors: [1, 2] }]);
+        assert.deepEqual(await client.getDoorSchedules({ numbers: [1, 2] }), [
+            { number: 1, name: 'Main Entrance', calendar: 2, specialDays: [1, 32] },
+            { number: 2, name: 'Back Door', calendar: null, specialDays: [] }
+        ]);
+        await assert.rejects(client.getDoorGroup(7), { code: ErrorCodes.PANEL_ERROR });
+    });
+
+    it('locks and unlocks many doors within one door control session', async () => {
+        const { client, simulator } = session;
+        const sent = [];
+        const record = ({ msgName }) => sent.push(msgName);
+        simulator.on('request', record);
+        await client.unlockDoors([1, 2, 3]);
+        simulator.off('request', record);
+
+        assert.deepEqual(sent, ['createDoorControlSession', 'unlockDoor', 'unlockDoor', 'unlockDoor', 'destroyControlSession']);
+        assert.deepEqual((await client.getDoorStates([1, 2, 3])).map(d => d.state.isUnlocked), [true, true, true]);
+
+        const [entrances] = await client.getDoorGroups();
+        await client.lockDoors(entrances.doors);
+        assert.deepEqual((await client.getDoorStates([1, 2, 3])).map(d => d.state.isUnlocked), [false, false, true]);
+    });
+
+    it('tries every door and reports the ones that failed', async () => {
+        const { client } = session;
+        await assert.rejects(client.lockDoors([3, 9, 1]), (err) => {
+            assert.equal(err.code, ErrorCodes.DOOR_LOCK_FAILED);
+            assert.deepEqual(err.details.done, [3, 1]);
+            assert.deepEqual(err.details.failed.map(f => f.door), [9]);
+            return true;
+        });
+        assert.equal((await client.getDoorStates([3]))[0].state.isUnlocked, false);
+        await assert.rejects(client.unlockDoors([]), /non-empty array/);
+    });
+});
+
+describe('cards', () => {
+    const USERS = [
+        { number: 1, name: 'Master', pin: '1278' },
+        { number: 5, name: 'Cleaner', card: '1234567' },
+        { number: 6, name: 'Guard' }
+    ];
+    let session;
+    before(async () => { session = await startSession({ ...FIXTURE, users: USERS }, { allowUnverifiedWrites: true }); });
+    after(async () => { await session.close(); });
+
+    it('finds the user a card is assigned to', async () => {
+        const { client } = session;
+        assert.equal((await client.findUserByCard('1234567')).name, 'Cleaner');
+        // Card numbers are decimal strings, safe integers are taken as well
+        assert.equal((await client.findUserByCard(1234567)).card, '1234567');
+        assert.equal(await client.findUserByCard('0042'), null);
+    });
+
+    it('reads every user once and keeps an index of their cards', async () => {
+        const { client, simulator } = session;
+        client.clearNameCache('user');
+        let reads = 0;
+        const countReads = ({ msgName }) => { if (msgName === 'getUser') reads++; };
+        simulator.on('request', countReads);
+        try {
+            // Each named user once, and the match again to confirm it
+            assert.equal((await client.findUserByCard('1234567')).number, 5);
+            assert.equal(reads, 4);
+            // Later lookups only confirm the match
+            assert.equal(await client.findUserByCard('0042'), null);
+            assert.equal((await client.findUserByCard('1234567')).number, 5);
+            assert.equal(reads, 5);
+
+            // A card moved elsewhere (e.g. at a keypad) is looked up again
+            const [cleaner, guard] = [5, 6].map(num => simulator.users.find(u => u.number === num));
+            [cleaner.card, guard.card] = [undefined, '1234567'];
+            assert.equal((await client.findUserByCard('1234567')).number, 6);
+            [cleaner.card, guard.card] = ['1234567', undefined];
+            client.clearNameCache('user');
+        } finally {
+            simulator.off('request', countReads);
+        }
+    });
+
+    it('assigns and removes cards', async () => {
+        const { client, simulator } = session;
+        await client.assignCard(6, '4000000000');
+        assert.equal(simulator.users.find(u => u.number === 6).card, '4000000000');
+
+        // Up to 5 card bytes, like the card field of event log entries
+        await client.assignCard(6, '1099511627775');
+        assert.equal((await client.getUser(6)).card, '1099511627775');
+        await assert.rejects(client.assignCard(6, '1099511627776'), /Invalid card number: 1099511627776/);
+        await assert.rejects(client.assignCard(6, 2 ** 53 + 2), /Invalid card number/);
+
+        await assert.rejects(client.assignCard(6, 1234567), {
+            code: ErrorCodes.CARD_IN_USE,
+            details: { card: '1234567', userNum: 5 }
+        });
+        await assert.rejects(client.assignCard(6, 'A1B2'), /Invalid card number: A1B2/);
+
+        await client.removeCard(5);
+        assert.equal(simulator.users.find(u => u.number === 5).card, undefined);
+        // A free card may move to another user
+        await client.assignCard(6, '1234567');
+        assert.equal((await client.findUserByCard('1234567')).number, 6);
+    });
+
+    it('refuses card changes unless unverified writes are allowed', async () => {
+        const locked = await startSession({ ...FIXTURE, users: USERS });
+        try {
+            const sent = [];
+            locked.simulator.on('request', ({ msgName }) => sent.push(msgName));
+            await assert.rejects(locked.client.assignCard(6, '4000000000'), { code: ErrorCodes.UNVERIFIED_WRITE });
+            await assert.rejects(locked.client.removeCard(5), { code: ErrorCodes.UNVERIFIED_WRITE });
+            assert.deepEqual(sent, []);
+        } finally {
+            await locked.close();
+        }
+    });
+});
+
+describe('user groups', () => {
+    const USER_GROUPS = [
+        { number: 1, name: 'Staff', areas: [1, 2], doors: [1, 3], calendar: 2 },
+        { number: 4, name: 'Cleaners', areas: [1] }
+    ];
+    let session;
+    before(async () => { session = await startSession({ ...FIXTURE, userGroups: USER_GROUPS }, { allowUnverifiedWrites: true }); });
+    after(async () => { await session.close(); });
+
+    it('lists user groups with their areas, doors and calendar', async () => {
+        assert.deepEqual(await session.client.getUserGroups(), [
+            { number: 1, name: 'Staff', areas: [1, 2], doors: [1, 3], calendar: 2 },
+            { number: 4, name: 'Cleaners', areas: [1], doors: [], calendar: null }
+        ]);
+    });
+
+    it('updates only the given settings in a user control session', async () => {
+        const { client, simulator } = session;
+        const sent = [];
+        simulator.on('request', ({ msgName }) => sent.push(msgName));
+
+        await client.updateUserGroup(4, { name: 'Night Cleaners', doors: [2, 64], calendar: 5 });
+        assert.deepEqual(sent, ['createUserControlSession', 'updateUserGroup', 'destroyControlSession']);
+        await client.updateUserGroup(1, { areas: [], calendar: null });
+
+        assert.deepEqual(await client.getUserGroups(), [
+            { number: 1, name: 'Staff', areas: [], doors: [1, 3], calendar: null },
+            { number: 4, name: 'Night Cleaners', areas: [1], doors: [2, 64], calendar: 5 }
+        ]);
+    });
+
+    it('rejects invalid changes and unknown groups', async () => {
+        const { client } = session;
+        await assert.rejects(client.updateUserGroup(1, { doors: [65] }), /door numbers 1-64/);
+        await assert.rejects(client.updateUserGroup(1, { schedule: 3 }), /Unknown user group settings: schedule/);
+        await assert.rejects(client.updateUserGroup(1, {}), /No user group settings to change/);
+        await assert.rejects(client.getUserGroup(9), { code: ErrorCodes.PANEL_ERROR });
+    });
+
+    it('refuses group changes unless unverified writes are allowed', async () => {
+        const locked = await startSession({ ...FIXTURE, userGroups: USER_GROUPS });
+        try {
+            const sent = [];
+            locked.simulator.on('request', ({ msgName }) => sent.push(msgName));
+            await assert.rejects(locked.client.updateUserGroup(4, { areas: [1, 2] }), { code: ErrorCodes.UNVERIFIED_WRITE });
+            assert.deepEqual(sent, []);
+        } finally {
+            await locked.close();
+        }
+    });
+});
+
+describe('panel clock', () => {
+    let session;
+    before(async () => { session = await startSession({ ...FIXTURE, clockOffset: -90 }, { allowUnverifiedWrites: true }); });
+    after(async () => { await session.close(); });
+
+    it('reads the panel time', async () => {
+        const drift = (await session.client.getPanelTime()).getTime() - Date.now();
+        assert.ok(drift > -92000 && drift < -88000, `drift ${drift} ms`);
+    });
+
+    it('sets the panel time and logs the change', async () => {
+        const { client } = session;
+        await client.setPanelTime(new Date());
+
+        const drift = (await client.getPanelTime()).getTime() - Date.now();
+        assert.ok(Math.abs(drift) < 2000, `drift ${drift} ms`);
+
+        const events = [];
+        for await (const event of client.readEventLog(1)) {
+            events.push(event);
+        }
+        assert.equal(events[0].name, 'Time changed');
+    });
+
+    it('rejects times the panel cannot store', async () => {
+        await assert.rejects(session.client.setPanelTime('not a date'), /Invalid date/);
+        await assert.rejects(session.client.setPanelTime(new Date(1999, 11, 31)), /Invalid date/);
+    });
+
+    it('only takes a dateTime reply of the exact length as the time', async () => {
+        const { client } = session;
+        const callEncrypted = client.callEncrypted;
+        // Clock selector, but longer than dateTime (e.g. another reply with message id 08)
+        client.callEncrypted = async () => Buffer.from('a0082c25123123590703' + '00'.repeat(16), 'hex');
+        try {
+            await assert.rejects(client.getPanelTime(), { code: ErrorCodes.PROTOCOL_ERROR });
+        } finally {
+            client.callEncrypted = callEncrypted;
+        }
+    });
+
+    it('reads and writes the wall-clock time of the configured time zone', async () => {
+        const zoned = await startSession(FIXTURE, { allowUnverifiedWrites: true, timeZone: 'Asia/Tokyo' });
+        try {
+            const sent = [];
+            zoned.simulator.on('request', ({ msgName, payload }) => msgName === 'setDateTime' && sent.push(payload));
+            const time = new Date(Date.UTC(2026, 0, 1, 0, 0, 0));
+            await zoned.client.setPanelTime(time);
+            // 09:00 on Thursday in Tokyo
+            assert.equal(sent[0].subarray(5, 11).toString('hex'), '260101090000');
+            assert.equal(sent[0][11], 4);
+
+            const drift = (await zoned.client.getPanelTime()).getTime() - time.getTime();
+            assert.ok(drift >= 0 && drift < 2000, `drift ${drift} ms`);
+        } finally {
+            await zoned.close();
+        }
+        assert.throws(() => new AritechClient({ host: '127.0.0.1', port: 1, encryptionKey: '0'.repeat(24), timeZone: 'Mars/Olympus' }), /Invalid timeZone/);
+    });
+
+    it('refuses to set the time unless unverified writes are allowed', async () => {
+        const locked = await startSession(FIXTURE);
+        try {
+            await assert.rejects(locked.client.setPanelTime(new Date()), { code: ErrorCodes.UNVERIFIED_WRITE });
+            // Reading the time stays available
+            assert.ok(await locked.client.getPanelTime() instanceof Date);
+        } finally {
+            await locked.close();
+        }
+    });
+});
+
+describe('firmware-specific formats', () => {
+    it('uses extended names and 60-byte events on protocol 4.4+', async () => {
+        const fixture = { ...FIXTURE, panel: { firmwareVersion: 'MR_4.4.1234' } };
+        const { client, simulator, close } = await startSession(fixture);
+        const requests = [];
+        simulator.on('request', ({ msgName }) => requests.push(msgName));
+        try {
+            assert.equal(client.protocolVersion, 4004);
+            assert.deepEqual((await client.getZoneNames()).map(z => z.name), ['Front Door', 'Living Room', 'Garage Door']);
+            assert.ok(requests.includes('getZoneNamesExtended'));
+            assert.ok(!requests.includes('getZoneNames'));
+
+            const events = [];
+            for await (const event of client.readEventLog(1)) {
+                events.push(event);
+            }
+            assert.equal(events[0].raw.length, 120);
+        } finally {
+            await close();
+        }
+    });
+
+    it('uses standard names and 70-byte events before protocol 4.4', async () => {
+        const { client, simulator, close } = await startSession(FIXTURE);
+        const requests = [];
+        simulator.on('request', ({ msgName }) => requests.push(msgName));
+        try {
+            await client.getZoneNames();
+            assert.ok(requests.includes('getZoneNames'));
+
+            const events = [];
+            for await (const event of client.readEventLog(1)) {
+                events.push(event);
+            }
+            assert.equal(events[0].raw.length, 140);
+        } finally {
+            await close();
+        }
+    });
+});
+
+describe('reconnect', () => {
+    it('re-establishes the session after the connection drops', async () => {
+        const { client, simulator, close } = await startSession(FIXTURE, { reconnect: { initialDelay: 20 } });
+        try {
+            const reconnected = waitForEvent(client, 'reconnected');
+            simulator.dropConnections();
+            await reconnected;
+
+            assert.equal(client.loggedIn, true);
+            assert.deepEqual(await client.getAreaNames(), [{ number: 1, name: 'House' }, { number: 2, name: 'Garage' }]);
+        } finally {
+            await close();
+        }
+    });
+
+    it('rejects commands while disconnected without replayQueued', async () => {
+        const { client, simulator, close } = await startSession(FIXTURE, { reconnect: { initialDelay: 500 } });
+        try {
+            const disconnected = waitForEvent(client, 'disconnected');
+            simulator.dropConnections();
+            await disconnected;
+
+            await assert.rejects(client.getAreaNames(), { code: ErrorCodes.NOT_CONNECTED });
+        } finally {
+            await close();
+        }
+    });
+});
+
+describe('request scheduling', () => {
+    it('sends control actions ahead of queued background queries', async () => {
+        const { client, simulator, close } = await startSession(FIXTURE);
+        try {
+            const requests = [];
+            simulator.on('request', ({ msgName }) => requests.push(msgName));
+
+            const background = client._withPriority(REQUEST_PRIORITY.BACKGROUND, () =>
+                Promise.all([1, 2, 3].map(zone => client.getZoneStates([zone]))));
+            await client.disarmArea(1);
+            await background;
+
+            // The query already in flight completes, then all steps of the disarm go out
+            const controlSteps = ['createDisarmSession', 'disarmAreas', 'destroyControlSession'];
+            const first = requests.indexOf('createDisarmSession');
+            assert.deepEqual(requests.slice(first, first + 3), controlSteps);
+            assert.equal(requests.slice(0, first).filter(name => name === 'getZoneStatus').length, 1);
+        } finally {
+            await close();
+        }
+    });
+
+    it('pipelines requests and matches the responses in order', async () => {
+        const fixture = {
+            ...FIXTURE,
+            zones: FIXTURE.zones.map(zone => ({ ...zone, state: { isActive: zone.number === 2 } }))
+        };
+        const { client, simulator, close } = await startSession(fixture, { pipeline: 3 });
+        try {
+            const inFlight = [];
+            simulator.on('request', ({ msgName }) => {
+                if (msgName === 'getZoneStatus') inFlight.push(client._inFlight);
+            });
+
+            const results = await Promise.all([1, 2, 3].map(zone => client.getZoneStates([zone])));
+
+            assert.deepEqual(inFlight, [3, 3, 3]);
+            assert.deepEqual(results.map(([result]) => [result.zone, result.state.isActive]), [[1, false], [2, true], [3, false]]);
+            assert.deepEqual(await client.getAreaNames(), [{ number: 1, name: 'House' }, { number: 2, name: 'Garage' }]);
+        } finally {
+            await close();
+        }
+    });
+
+    it('drops the late response to a timed-out request', async () => {
+        const client = new AritechClient({ host: '127.0.0.1', port: 1, encryptionKey: '0'.repeat(24) });
+        client.socket = {};
+        const receive = (frame) => {
+            client.responseQueue.push(Buffer.from(frame));
+            client._deliverResponses();
+        };
+
+        // Requests go through the same steps as callEncrypted: wait for stale responses, then send
+        const request = async (timeout) => {
+            await client._waitForStaleResponses();
+            return client._createResponseWaiter(timeout);
+        };
+
+        // A pipelined request already in flight gets its own response, not the late one
+        await assert.rejects(request(10), /Receive timeout/);
+        const next = client._createResponseWaiter(1000);
+        receive('late');
+        receive('next');
+        assert.equal((await next).toString(), 'next');
+
+        // A response that never comes holds up the next request for another timeout, instead
+        // of taking its response
+        await assert.rejects(request(10), /Receive timeout/);
+        const pending = request(1000);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        assert.equal(client._responseWaiters.length, 1);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        receive('after');
+        assert.equal((await pending).toString(), 'after');
+        assert.equal(client._responseWaiters.length, 0);
+
+        // Even later responses, with nothing waiting, are dropped
+        receive('very late');
+        const last = request(1000);
+        await new Promise(resolve => setImmediate(resolve));
+        receive('last');
+        assert.equal((await last).toString(), 'last');
+    });
+
+    it('rejects an invalid pipeline size', () => {
+        assert.throws(() => new AritechClient({ host: '127.0.0.1', port: 1, encryptionKey: '0'.repeat(24), pipeline: 0 }),
+            /Invalid pipeline/);
+    });
+});
+
+describe('PanelSimulator', () => {
+    it('rejects frames encrypted with the wrong key', async () => {
+        const simulator = new PanelSimulator(FIXTURE);
+        const { host, port } = await simulator.start();
+        const client = new AritechClient({ host, port, pin: '1278', encryptionKey: '111111111111111111111111' });
+        try {
+            await client.connect();
+            await client.getDescription();
+            await assert.rejects(
+                Promise.race([
+                    client.changeSessionKey(),
+                    new Promise((_, reject) => setTimeout(() => reject(new Error('no response')), 300))
+                ])
+            );
+        } finally {
+            await client.disconnect();
+            await simulator.stop();
+        }
+    });
+});
@@ -0,0 +1,209 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { AritechMonitor } from '../aritech-monitor.js';
+import { startSession, waitForEvent } from './helpers.js';
+
+const FIXTURE = {
+    areas: [{ number: 1, name: 'House', state: { isUnset: true } }],
+    zones: [
+        { number: 1, name: 'Front Door', areas: [1] },
+        { number: 2, name: 'Living Room', areas: [1] }
+    ],
+    outputs: [{ number: 1, name: 'Siren' }],
+    triggers: [{ number: 1, name: 'Gate' }],
+    readers: [{ number: 1, name: 'Entrance In' }]
+};
+
+describe('AritechMonitor', () => {
+    let session;
+    let monitor;
+
+    beforeEach(async () => {
+        session = await startSession(FIXTURE, { reconnect: { initialDelay: 20 } });
+        monitor = new AritechMonitor(session.client);
+        await monitor.start();
+    });
+
+    afterEach(async () => {
+        monitor.stop();
+        await session.close();
+    });
+
+    it('loads names and states on start', () => {
+        assert.deepEqual(monitor.zones.map(z => z.name), ['Front Door', 'Living Room']);
+        assert.deepEqual(monitor.areas.map(a => a.name), ['House']);
+    });
+
+    it('emits zoneChanged for COS notifications', async () => {
+        const changed = waitForEvent(monitor, 'zoneChanged', e => e.id === 2);
+        session.simulator.setZoneState(2, { isActive: true });
+
+        const event = await changed;
+        assert.equal(event.name, 'Living Room');
+        assert.equal(event.newData.state.isActive, true);
+        assert.equal(event.oldData.state.isActive, false);
+    });
+
+    it('emits areaChanged when an area is set', async () => {
+        const changed = waitForEvent(monitor, 'areaChanged', e => e.newData.state.isFullSet);
+        await session.client.armArea(1, 'full');
+        const event = await changed;
+        assert.equal(event.id, 1);
+    });
+
+    it('picks up changes of several entity types at once', async () => {
+        const zone = waitForEvent(monitor, 'zoneChanged', e => e.id === 1);
+        const output = waitForEvent(monitor, 'outputChanged', e => e.id === 1);
+        session.simulator.setZoneState(1, { isTampered: true });
+        session.simulator.setOutputState(1, { isOn: true });
+        await Promise.all([zone, output]);
+    });
+
+    it('leaves readers alone unless asked to track them', async () => {
+        const sent = [];
+        session.simulator.on('request', ({ msgName }) => sent.push(msgName));
+        const readerChanged = () => assert.fail('readerChanged without the readers option');
+        monitor.on('readerChanged', readerChanged);
+
+        const changed = waitForEvent(monitor, 'zoneChanged', e => e.id === 1);
+        session.simulator.setReaderState(1, { isOffline: true });
+        session.simulator.pushCOS('all');
+        session.simulator.setZoneState(1, { isActive: true });
+        await changed;
+        assert.deepEqual(monitor.readers, []);
+        assert.deepEqual(sent.filter(name => /reader/i.test(name)), []);
+        monitor.off('readerChanged', readerChanged);
+    });
+
+    it('emits readerChanged when a reader goes offline', async () => {
+        monitor.stop();
+        monitor = new AritechMonitor(session.client, { readers: true });
+        await monitor.start();
+        assert.equal(monitor.getReaderStates()[1].state.isOffline, false);
+
+        const changed = waitForEvent(monitor, 'readerChanged', e => e.id === 1);
+        session.simulator.setReaderState(1, { isOffline: true });
+
+        const event = await changed;
+        assert.equal(event.name, 'Entrance In');
+        assert.equal(event.newData.state.isOnline, false);
+        assert.equal(event.oldData.state.isOnline, true);
+    });
+
+    it('resyncs state after a reconnect', async () => {
+        const reconnected = waitForEvent(session.client, 'reconnected');
+        session.simulator.dropConnections();
+        // Change state while the client is offline, no COS reaches it
+        session.simulator.setZoneState(1, { isActive: true });
+
+        const changed = waitForEvent(monitor, 'zoneChanged', e => e.id === 1 && e.newData.state.isActive);
+        await reconnected;
+        await changed;
+    });
+});
+
+describe('AritechMonitor event log', () => {
+    let session;
+    let monitor;
+
+    const logEntry = (description) => ({ eventId: 4, entityId: 0x0101, area: 1, description });
+
+    afterEach(async () => {
+        monitor?.stop();
+        await session?.close();
+    });
+
+    async function start(options, clientConfig) {
+        session = await startSession({ ...FIXTURE, events: [logEntry('Before start')] }, clientConfig);
+        monitor = new AritechMonitor(session.client, { followLog: true, ...options });
+        await monitor.start();
+    }
+
+    it('emits logEvent for new entries only, oldest first', async () => {
+        await start({ logPollInterval: 50 });
+        const seen = [];
+        monitor.on('logEvent', event => seen.push(event.entity.description));
+
+        const second = waitForEvent(monitor, 'logEvent', e => e.entity.description === 'Second');
+        session.simulator.addEvent(logEntry('First'));
+        session.simulator.addEvent(logEntry('Second'));
+        await second;
+        assert.deepEqual(seen, ['First', 'Second']);
+    });
+
+    it('reads the log after a COS notification without polling', async () => {
+        await start({ logPollInterval: 0 });
+        const logged = waitForEvent(monitor, 'logEvent');
+        session.simulator.addEvent(logEntry('Zone active'));
+        session.simulator.setZoneState(1, { isActive: true });
+
+        const event = await logged;
+        assert.equal(event.entity.description, 'Zone active');
+        assert.equal(event.sequence, 1);
+    });
+
+    it('keeps handling COS notifications while a log read is pending', async () => {
+        await start({ logPollInterval: 0 });
+        monitor._readLog = () => new Promise(() => {});  // A log read that never completes
+
+        const first = waitForEvent(monitor, 'zoneChanged', e => e.id === 1 && e.newData.state.isActive);
+        session.simulator.setZoneState(1, { isActive: true });
+        await first;
+
+        const second = waitForEvent(monitor, 'zoneChanged', e => e.id === 1 && !e.newData.state.isActive);
+        session.simulator.setZoneState(1, { isActive: false });
+        await second;
+    });
+
+    it('logs failed log reads when nobody listens for errors', async () => {
+        await start({ logPollInterval: 0 });
+        monitor._readLog = async () => {
+            throw new Error('log read failed');
+        };
+        assert.equal(monitor.listenerCount('error'), 0);
+        await assert.doesNotReject(monitor._pollLog());
+
+        const error = waitForEvent(monitor, 'error');
+        monitor._pollLog();
+        assert.equal((await error).message, 'log read failed');
+    });
+
+    it('learns the next card presented at a reader', async () => {
+        await start({ logPollInterval: 50 }, { allowUnverifiedWrites: true });
+        const learned = monitor.learnCard(3);
+
+        // Access denied for an unknown card: reader (byte 21), card length and bytes (byte 22),
+        // followed by the description text
+        const accessDenied = (reader, cardBytes, description) => ({
+            eventId: 280, details: [reader, cardBytes.length, ...cardBytes], description
+        });
+        session.simulator.addEvent(accessDenied(2, [0x00, 0x00, 0x00, 0x2A], 'Access denied Back Door'));
+        session.simulator.addEvent(accessDenied(3, [0x12, 0x34, 0x56, 0x78, 0x9A], 'Access denied Front Door'));
+
+        // A 5-byte card, beyond 32 bits, keeps its number on the way to the user record
+        const card = await learned;
+        assert.equal(card, '78187493530');
+        assert.equal(monitor.listenerCount('logEvent'), 0);
+        await session.client.assignCard(1, card);
+        assert.equal((await session.client.findUserByCard(card)).number, 1);
+    });
+
+    it('gives up learning a card after the timeout', async () => {
+        await start({ logPollInterval: 0 });
+        await assert.rejects(monitor.learnCard(1, { timeout: 20 }), { code: 'CARD_LEARN_TIMEOUT' });
+
+        monitor.stop();
+        monitor = new AritechMonitor(session.client);
+        await assert.rejects(monitor.learnCard(1), /followLog/);
+    });
+
+    it('does not read the log unless followLog is set', async () => {
+        session = await startSession({ ...FIXTURE, events: [logEntry('Before start')] });
+        monitor = new AritechMonitor(session.client);
+        const requests = [];
+        session.simulator.on('request', ({ msgName }) => requests.push(msgName));
+        await monitor.start();
+        assert.ok(!requests.includes('selectLogEntry'));
+        assert.equal(monitor._logPoll, null);
+    });
+});
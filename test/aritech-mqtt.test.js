@@ -0,0 +1,191 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:net';
+import { Aedes } from 'aedes';
+import mqtt from 'mqtt';
+import { AritechMqttBridge, areaStateToHomeAssistant } from '../aritech-mqtt.js';
+import { startSession, waitForEvent } from './helpers.js';
+
+const FIXTURE = {
+    areas: [{ number: 1, name: 'House', state: { isUnset: true } }],
+    zones: [
+        { number: 1, name: 'Front Door', areas: [1] },
+        { number: 2, name: 'Living Room', areas: [1] }
+    ],
+    outputs: [{ number: 1, name: 'Siren' }],
+    triggers: [{ number: 1, name: 'Gate' }],
+    doors: [{ number: 1, name: 'Main Entrance' }],
+    filters: [{ number: 1, name: 'Night Mode' }]
+};
+
+/**
+ * Wait until a topic has the expected payload, using the retained value if already published.
+ */
+function waitForMessage(observer, topic, expected, timeout = 2000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            observer.off('message', listener);
+            reject(new Error(`Timed out waiting for ${topic} = ${expected}`));
+        }, timeout);
+        const listener = (t, payload) => {
+            if (t !== topic || (expected !== undefined && payload.toString() !== expected)) return;
+            clearTimeout(timer);
+            observer.off('message', listener);
+            resolve(payload.toString());
+        };
+        observer.on('message', listener);
+        observer.subscribe(topic);
+    });
+}
+
+describe('AritechMqttBridge', () => {
+    let broker;
+    let server;
+    let url;
+
+    before(async () => {
+        broker = await Aedes.createBroker();
+        server = createServer(broker.handle);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `mqtt://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => broker.close(resolve));
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    let session;
+    let bridge;
+    let observer;
+
+    beforeEach(async () => {
+        session = await startSession(FIXTURE);
+        bridge = new AritechMqttBridge(session.client, { url, deviceId: 'test', disarmCode: '4711' });
+        await bridge.start();
+        observer = await mqtt.connectAsync(url);
+    });
+
+    afterEach(async () => {
+        await observer.endAsync();
+        await bridge.stop();
+        await session.close();
+    });
+
+    it('publishes Home Assistant discovery configs', async () => {
+        const payload = await waitForMessage(observer, 'homeassistant/alarm_control_panel/aritech_test/aritech_area_1/config');
+        const config = JSON.parse(payload);
+        assert.equal(config.name, 'House');
+        assert.equal(config.state_topic, 'aritech/area/1/state');
+        assert.equal(config.command_topic, 'aritech/area/1/set');
+        assert.equal(config.availability_topic, 'aritech/status');
+        assert.equal(config.code, 'REMOTE_CODE');
+        assert.equal(config.code_disarm_required, true);
+        assert.deepEqual(config.device.identifiers, ['aritech_test']);
+
+        await waitForMessage(observer, 'homeassistant/binary_sensor/aritech_test/aritech_zone_2/config');
+        await waitForMessage(observer, 'homeassistant/switch/aritech_test/aritech_zone_2_inhibit/config');
+        await waitForMessage(observer, 'homeassistant/switch/aritech_test/aritech_output_1/config');
+        await waitForMessage(observer, 'homeassistant/switch/aritech_test/aritech_trigger_1/config');
+        await waitForMessage(observer, 'homeassistant/lock/aritech_test/aritech_door_1/config');
+        await waitForMessage(observer, 'homeassistant/binary_sensor/aritech_test/aritech_filter_1/config');
+    });
+
+    it('publishes retained initial states and availability', async () => {
+        await waitForMessage(observer, 'aritech/status', 'online');
+        await waitForMessage(observer, 'aritech/area/1/state', 'disarmed');
+        await waitForMessage(observer, 'aritech/zone/1/state', 'OFF');
+        await waitForMessage(observer, 'aritech/door/1/state', 'LOCKED');
+
+        const attributes = JSON.parse(await waitForMessage(observer, 'aritech/zone/1/attributes'));
+        assert.equal(attributes.name, 'Front Door');
+        assert.equal(attributes.isActive, false);
+    });
+
+    it('publishes state changes from the monitor', async () => {
+        const active = waitForMessage(observer, 'aritech/zone/2/state', 'ON');
+        session.simulator.setZoneState(2, { isActive: true });
+        await active;
+
+        const filter = waitForMessage(observer, 'aritech/filter/1/state', 'ON');
+        session.simulator.setFilterState(1, { isActive: true });
+        await filter;
+    });
+
+    it('arms and disarms areas from the command topic', async () => {
+        const armed = waitForMessage(observer, 'aritech/area/1/state', 'armed_away');
+        await observer.publishAsync('aritech/area/1/set', 'ARM_AWAY');
+        await armed;
+        assert.equal(session.simulator.getState('area', 1).isFullSet, true);
+
+        const disarmed = waitForMessage(observer, 'aritech/area/1/state', 'disarmed');
+        await observer.publishAsync('aritech/area/1/set', '{"action": "DISARM", "code": "4711"}');
+        await disarmed;
+    });
+
+    it('refuses to disarm without the disarm code', async () => {
+        await session.client.armArea(1, 'full');
+        for (const payload of ['DISARM', '{"action": "DISARM", "code": "1234"}']) {
+            const failed = waitForEvent(bridge, 'commandError', e => e.type === 'area');
+            await observer.publishAsync('aritech/area/1/set', payload);
+            const { error } = await failed;
+            assert.equal(error.code, 'DISARM_FAILED');
+        }
+        assert.equal(session.simulator.getState('area', 1).isFullSet, true);
+    });
+
+    it('forwards monitor errors to the bridge', async () => {
+        const error = waitForEvent(bridge, 'error');
+        bridge.monitor.emit('error', new Error('log read failed'));
+        assert.equal((await error).message, 'log read failed');
+    });
+
+    it('maps zone, output, trigger and door commands onto client calls', async () => {
+        const inhibited = waitForMessage(observer, 'aritech/zone/1/inhibited', 'ON');
+        await observer.publishAsync('aritech/zone/1/inhibit/set', 'ON');
+        await inhibited;
+        assert.equal(session.simulator.getState('zone', 1).isInhibited, true);
+
+        const output = waitForMessage(observer, 'aritech/output/1/state', 'ON');
+        await observer.publishAsync('aritech/output/1/set', 'ON');
+        await output;
+
+        const trigger = waitForEvent(bridge, 'command', e => e.type === 'trigger');
+        await observer.publishAsync('aritech/trigger/1/set', 'ON');
+        await trigger;
+
+        const unlocked = waitForMessage(observer, 'aritech/door/1/state', 'UNLOCKED');
+        await observer.publishAsync('aritech/door/1/set', 'UNLOCK');
+        await unlocked;
+        assert.equal(session.simulator.getState('door', 1).isUnlocked, true);
+    });
+
+    it('reports failing commands without throwing', async () => {
+        session.simulator.setZoneState(1, { hasFault: true });
+        const failed = waitForEvent(bridge, 'commandError', e => e.type === 'area', 5000);
+        await observer.publishAsync('aritech/area/1/set', 'ARM_AWAY');
+        const { error } = await failed;
+        assert.equal(error.code, 'ARM_FAULTS');
+
+        const unsupported = waitForEvent(bridge, 'commandError', e => e.type === 'filter');
+        await observer.publishAsync('aritech/filter/1/set', 'ON');
+        await unsupported;
+    });
+
+    it('publishes offline status on stop', async () => {
+        await bridge.stop();
+        await waitForMessage(observer, 'aritech/status', 'offline');
+    });
+});
+
+describe('areaStateToHomeAssistant', () => {
+    it('maps area flags to alarm panel states', () => {
+        assert.equal(areaStateToHomeAssistant({ isUnset: true }), 'disarmed');
+        assert.equal(areaStateToHomeAssistant({ isFullSet: true }), 'armed_away');
+        assert.equal(areaStateToHomeAssistant({ isPartiallySet: true }), 'armed_home');
+        assert.equal(areaStateToHomeAssistant({ isPartiallySet2: true }), 'armed_night');
+        assert.equal(areaStateToHomeAssistant({ isUnset: true, isExiting: true }), 'arming');
+        assert.equal(areaStateToHomeAssistant({ isFullSet: true, isAlarming: true }), 'triggered');
+        assert.equal(areaStateToHomeAssistant(undefined), 'unknown');
+    });
+});
@@ -0,0 +1,214 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { AritechServer, httpStatusForError, serializeState } from '../aritech-server.js';
+import { AritechError, ErrorCodes } from '../aritech-client.js';
+import DoorState from '../DoorState.js';
+import { startSession } from './helpers.js';
+
+const TOKEN = 'test-token';
+
+const FIXTURE = {
+    areas: [
+        { number: 1, name: 'House', state: { isUnset: true } },
+        { number: 2, name: 'Garage', state: { isUnset: true } }
+    ],
+    zones: [
+        { number: 1, name: 'Front Door', areas: [1] },
+        { number: 2, name: 'Living Room', areas: [1] },
+        { number: 3, name: 'Garage Door', areas: [2] }
+    ],
+    outputs: [{ number: 1, name: 'Siren' }],
+    triggers: [{ number: 1, name: 'Gate' }],
+    doors: [{ number: 1, name: 'Main Entrance' }],
+    filters: [{ number: 1, name: 'Night Mode' }]
+};
+
+describe('AritechServer', () => {
+    let session;
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        session = await startSession(FIXTURE);
+        server = new AritechServer(session.client, { token: TOKEN, port: 0 });
+        const { host, port } = await server.start();
+        baseUrl = `http://${host}:${port}`;
+    });
+
+    after(async () => {
+        await server.stop();
+        await session.close();
+    });
+
+    async function request(method, path, body, token = TOKEN) {
+        const res = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: {
+                ...(token && { Authorization: `Bearer ${token}` }),
+                ...(body && { 'Content-Type': 'application/json' })
+            },
+            body: body && JSON.stringify(body)
+        });
+        return { status: res.status, body: await res.json() };
+    }
+
+    it('rejects requests without a valid bearer token', async () => {
+        assert.equal((await request('GET', '/zones', undefined, null)).status, 401);
+        const { status, body } = await request('GET', '/zones', undefined, 'wrong');
+        assert.equal(status, 401);
+        assert.equal(body.error.code, 'UNAUTHORIZED');
+    });
+
+    it('requires a token to be configured', () => {
+        assert.throws(() => new AritechServer(session.client, {}), /token/);
+    });
+
+    it('returns panel information', async () => {
+        const { status, body } = await request('GET', '/panel');
+        assert.equal(status, 200);
+        assert.equal(body.connected, true);
+        assert.ok(body.model);
+    });
+
+    it('lists entities with names and parsed states', async () => {
+        const { status, body } = await request('GET', '/zones');
+        assert.equal(status, 200);
+        assert.deepEqual(body.map(z => z.name), ['Front Door', 'Living Room', 'Garage Door']);
+        assert.equal(body[0].state.isActive, false);
+        assert.equal(typeof body[0].state.text, 'string');
+        assert.equal(body[0].state.rawFlags, undefined);
+
+        const doors = await request('GET', '/doors');
+        assert.equal(doors.body[0].state.isLocked, true);
+
+        for (const type of ['areas', 'outputs', 'triggers', 'filters']) {
+            const { status, body } = await request('GET', `/${type}`);
+            assert.equal(status, 200, type);
+            assert.ok(body.length > 0, type);
+        }
+    });
+
+    it('returns a single entity and 404 for unknown ones', async () => {
+        session.simulator.setZoneState(2, { isActive: true });
+        const { body } = await request('GET', '/zones/2');
+        assert.equal(body.name, 'Living Room');
+        assert.equal(body.state.isActive, true);
+        session.simulator.setZoneState(2, { isActive: false });
+
+        assert.equal((await request('GET', '/zones/99')).status, 404);
+        assert.equal((await request('GET', '/zones/abc')).status, 404);
+        assert.equal((await request('GET', '/nothing')).status, 404);
+    });
+
+    it('arms and disarms areas', async () => {
+        const armed = await request('POST', '/areas/1/arm', { type: 'full' });
+        assert.equal(armed.status, 200);
+        assert.deepEqual(armed.body, { ok: true, area: 1, action: 'arm' });
+        assert.equal(session.simulator.getState('area', 1).isFullSet, true);
+
+        assert.equal((await request('POST', '/areas/1/disarm')).status, 200);
+        assert.equal(session.simulator.getState('area', 1).isUnset, true);
+    });
+
+    it('returns AritechError codes as HTTP errors', async () => {
+        session.simulator.setZoneState(3, { hasFault: true });
+        const { status, body } = await request('POST', '/areas/2/arm', { type: 'part1' });
+        assert.equal(status, 409);
+        assert.equal(body.error.code, 'ARM_FAULTS');
+        assert.ok(body.error.details.faults.length > 0);
+        session.simulator.setZoneState(3, { hasFault: false });
+    });
+
+    it('answers internal errors with 500 and keeps serving without an error listener', async () => {
+        const route = server._route;
+        server._route = async () => {
+            throw new Error('boom');
+        };
+        try {
+            const { status, body } = await request('GET', '/panel');
+            assert.equal(status, 500);
+            assert.equal(body.error.message, 'Internal server error');
+        } finally {
+            server._route = route;
+        }
+        assert.equal((await request('GET', '/panel')).status, 200);
+    });
+
+    it('validates methods and request bodies', async () => {
+        assert.equal((await request('GET', '/areas/1/arm')).status, 405);
+        assert.equal((await request('POST', '/zones')).status, 405);
+        assert.equal((await request('POST', '/areas/1/arm', { type: 'half' })).status, 400);
+        assert.equal((await request('POST', '/doors/1/unlock-timed', { seconds: -1 })).status, 400);
+        assert.equal((await request('POST', '/zones/1/explode')).status, 404);
+
+        const res = await fetch(`${baseUrl}/areas/1/arm`, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${TOKEN}` },
+            body: '{not json'
+        });
+        assert.equal(res.status, 400);
+    });
+
+    it('runs zone, output, trigger and door actions', async () => {
+        assert.equal((await request('POST', '/zones/1/inhibit')).status, 200);
+        assert.equal(session.simulator.getState('zone', 1).isInhibited, true);
+        assert.equal((await request('POST', '/zones/1/uninhibit')).status, 200);
+
+        assert.equal((await request('POST', '/outputs/1/force-activate')).status, 200);
+        assert.equal(session.simulator.getState('output', 1).isOn, true);
+        assert.equal((await request('POST', '/outputs/1/cancel-force')).status, 200);
+
+        assert.equal((await request('POST', '/triggers/1/activate')).status, 200);
+
+        assert.equal((await request('POST', '/doors/1/unlock-timed', { seconds: 5 })).status, 200);
+        assert.equal(session.simulator.getState('door', 1).isTimeUnlocked, true);
+        assert.equal((await request('POST', '/doors/1/lock')).status, 200);
+    });
+
+    it('serializes concurrent requests on the shared session', async () => {
+        const messages = [];
+        const record = ({ msgName }) => messages.push(msgName);
+        session.simulator.on('request', record);
+
+        const results = await Promise.all([
+            request('POST', '/areas/1/arm', { type: 'full' }),
+            request('GET', '/zones'),
+            request('POST', '/areas/2/arm', { type: 'part1' }),
+            request('GET', '/areas')
+        ]);
+        session.simulator.off('request', record);
+        assert.deepEqual(results.map(r => r.status), [200, 200, 200, 200]);
+
+        // Each arm operation reaches the panel as one uninterrupted control session
+        const sessions = messages.join(' ').match(/create\w*Session[^]*?destroyControlSession/g);
+        assert.equal(sessions.length, 2);
+        for (const armSession of sessions) {
+            assert.match(armSession, /^create\w*Session( armAreas| getControlSessionStatus)+ destroyControlSession$/);
+        }
+        assert.equal(session.simulator.getState('area', 1).isFullSet, true);
+        assert.equal(session.simulator.getState('area', 2).isPartiallySet, true);
+
+        await Promise.all([request('POST', '/areas/1/disarm'), request('POST', '/areas/2/disarm')]);
+    });
+});
+
+describe('httpStatusForError', () => {
+    it('maps AritechError codes to HTTP statuses', () => {
+        const error = code => new AritechError('x', { code });
+        assert.equal(httpStatusForError(error(ErrorCodes.NOT_CONNECTED)), 503);
+        assert.equal(httpStatusForError(error(ErrorCodes.CONNECTION_LOST)), 503);
+        assert.equal(httpStatusForError(error(ErrorCodes.PANEL_ERROR)), 502);
+        assert.equal(httpStatusForError(error(ErrorCodes.ARM_ACTIVE_ZONES)), 409);
+        assert.equal(httpStatusForError(new Error('boom')), 500);
+    });
+});
+
+describe('serializeState', () => {
+    it('includes getters and drops raw flags', () => {
+        const json = serializeState(new DoorState());
+        assert.equal(json.isLocked, true);
+        assert.equal(json.rawFlags, undefined);
+        assert.equal(typeof json.text, 'string');
+        assert.equal(serializeState(null), null);
+    });
+});
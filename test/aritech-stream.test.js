@@ -0,0 +1,254 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import WebSocket from 'ws';
+import { AritechServer } from '../aritech-server.js';
+import { AritechEventStream, parseFilter, matchesFilter } from '../aritech-stream.js';
+import { startSession } from './helpers.js';
+
+const TOKEN = 'stream-token';
+
+const FIXTURE = {
+    areas: [{ number: 1, name: 'House', state: { isUnset: true } }],
+    zones: [
+        { number: 1, name: 'Front Door', areas: [1] },
+        { number: 2, name: 'Living Room', areas: [1] },
+        { number: 3, name: 'Kitchen', areas: [1] }
+    ],
+    outputs: [{ number: 1, name: 'Siren' }]
+};
+
+/**
+ * Collects messages from an SSE or WebSocket subscription and waits for matching ones.
+ */
+class MessageQueue {
+    constructor() {
+        this.messages = [];
+        this.waiters = [];
+    }
+
+    push(message) {
+        this.messages.push(message);
+        this.waiters = this.waiters.filter(({ predicate, resolve }) => {
+            if (!predicate(message)) return true;
+            resolve(message);
+            return false;
+        });
+    }
+
+    next(predicate, timeout = 2000) {
+        const found = this.messages.find(predicate);
+        if (found) return Promise.resolve(found);
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error('Timed out waiting for stream message')), timeout);
+            this.waiters.push({ predicate, resolve: (m) => { clearTimeout(timer); resolve(m); } });
+        });
+    }
+}
+
+/**
+ * Open an SSE subscription with fetch and parse its events.
+ */
+async function openSSE(url, headers = {}) {
+    const controller = new AbortController();
+    const res = await fetch(url, { headers, signal: controller.signal });
+    const queue = new MessageQueue();
+    queue.status = res.status;
+    queue.close = () => controller.abort();
+
+    if (res.status === 200) {
+        (async () => {
+            const decoder = new TextDecoder();
+            let buffer = '';
+            for await (const chunk of res.body) {
+                buffer += decoder.decode(chunk, { stream: true });
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    const block = buffer.slice(0, end);
+                    buffer = buffer.slice(end + 2);
+                    const fields = Object.fromEntries(block.split('\n')
+                        .filter(line => !line.startsWith(':'))
+                        .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+                    if (fields.event) {
+                        queue.push({ event: fields.event, token: fields.id, data: JSON.parse(fields.data) });
+                    }
+                }
+            }
+        })().catch(() => undefined);  // Aborted on close
+    }
+    return queue;
+}
+
+/**
+ * Open a WebSocket subscription.
+ */
+async function openWebSocket(url) {
+    const ws = new WebSocket(url);
+    const queue = new MessageQueue();
+    ws.on('message', (message) => queue.push(JSON.parse(message.toString())));
+    queue.ws = ws;
+    queue.close = () => ws.close();
+    await new Promise((resolve, reject) => {
+        ws.once('open', resolve);
+        ws.once('error', reject);
+    });
+    return queue;
+}
+
+describe('AritechEventStream', () => {
+    let session;
+    let stream;
+    let server;
+    let baseUrl;
+    let wsUrl;
+
+    before(async () => {
+        session = await startSession(FIXTURE);
+        stream = new AritechEventStream(session.client, { bufferSize: 5 });
+        await stream.start();
+        server = new AritechServer(session.client, { token: TOKEN, port: 0, stream });
+        const { host, port } = await server.start();
+        baseUrl = `http://${host}:${port}`;
+        wsUrl = `ws://${host}:${port}`;
+    });
+
+    after(async () => {
+        await server.stop();
+        stream.stop();
+        await session.close();
+    });
+
+    // Change a zone and wait until the monitor has picked it up
+    async function changeZone(number, flags) {
+        const changed = new Promise(resolve => stream.monitor.once('zoneChanged', resolve));
+        session.simulator.setZoneState(number, flags);
+        await changed;
+    }
+
+    it('sends the snapshot first and then changes over SSE', async () => {
+        const sse = await openSSE(`${baseUrl}/events`, { Authorization: `Bearer ${TOKEN}` });
+        try {
+            const initialized = await sse.next(m => m.event === 'initialized');
+            assert.deepEqual(initialized.data.zones.map(z => z.name), ['Front Door', 'Living Room', 'Kitchen']);
+            assert.equal(initialized.data.areas[0].state.isUnset, true);
+            assert.equal(sse.messages[0].event, 'initialized');
+
+            session.simulator.setZoneState(2, { isActive: true });
+            const change = await sse.next(m => m.event === 'zoneChanged' && m.data.id === 2);
+            assert.equal(change.data.name, 'Living Room');
+            assert.equal(change.data.state.isActive, true);
+            assert.equal(change.data.oldState.isActive, false);
+            assert.ok(change.token);
+        } finally {
+            sse.close();
+            session.simulator.setZoneState(2, { isActive: false });
+        }
+    });
+
+    it('requires a token, accepting it as a query parameter', async () => {
+        const unauthorized = await openSSE(`${baseUrl}/events`);
+        assert.equal(unauthorized.status, 401);
+
+        const sse = await openSSE(`${baseUrl}/events?access_token=${TOKEN}`);
+        assert.equal(sse.status, 200);
+        sse.close();
+
+        // Query tokens are only accepted for the stream
+        const res = await fetch(`${baseUrl}/zones?access_token=${TOKEN}`);
+        assert.equal(res.status, 401);
+    });
+
+    it('applies subscription filters', async () => {
+        const sse = await openSSE(`${baseUrl}/events?access_token=${TOKEN}&zone=3`);
+        try {
+            const initialized = await sse.next(m => m.event === 'initialized');
+            assert.deepEqual(Object.keys(initialized.data), ['zones']);
+            assert.deepEqual(initialized.data.zones.map(z => z.number), [3]);
+
+            session.simulator.setZoneState(1, { isActive: true });
+            session.simulator.setOutputState(1, { isOn: true });
+            session.simulator.setZoneState(3, { isActive: true });
+            await sse.next(m => m.event === 'zoneChanged' && m.data.id === 3);
+            assert.deepEqual(sse.messages.filter(m => m.event !== 'initialized').map(m => m.data.id), [3]);
+        } finally {
+            sse.close();
+        }
+    });
+
+    it('streams over WebSocket and updates the filter on request', async () => {
+        const ws = await openWebSocket(`${wsUrl}/events?access_token=${TOKEN}&types=area`);
+        try {
+            const initialized = await ws.next(m => m.event === 'initialized');
+            assert.deepEqual(Object.keys(initialized.data), ['areas']);
+
+            ws.ws.send(JSON.stringify({ action: 'subscribe', filter: { types: ['zones'] } }));
+            const resubscribed = await ws.next(m => m.event === 'initialized' && m.data.zones);
+            assert.equal(resubscribed.data.zones.length, 3);
+
+            session.simulator.setZoneState(2, { isTampered: true });
+            const change = await ws.next(m => m.event === 'zoneChanged' && m.data.id === 2);
+            assert.equal(change.data.state.isTampered, true);
+        } finally {
+            ws.close();
+        }
+    });
+
+    it('rejects unauthenticated WebSocket upgrades', async () => {
+        await assert.rejects(openWebSocket(`${wsUrl}/events`), /401/);
+    });
+
+    it('replays missed changes for a resume token', async () => {
+        const first = await openSSE(`${baseUrl}/events?access_token=${TOKEN}&types=zone`);
+        const initialized = await first.next(m => m.event === 'initialized');
+        first.close();
+
+        // Changes while the browser is away
+        await changeZone(1, { isActive: false });
+        await changeZone(3, { isActive: false });
+
+        const resumed = await openSSE(`${baseUrl}/events?access_token=${TOKEN}&types=zone`, {
+            'Last-Event-ID': initialized.token
+        });
+        try {
+            const notice = await resumed.next(m => m.event === 'resumed');
+            assert.equal(notice.data.missed, 2);
+            await resumed.next(m => m.event === 'zoneChanged' && m.data.id === 1);
+            await resumed.next(m => m.event === 'zoneChanged' && m.data.id === 3);
+            assert.ok(!resumed.messages.some(m => m.event === 'initialized'));
+        } finally {
+            resumed.close();
+        }
+    });
+
+    it('falls back to a snapshot for unknown or expired tokens', async () => {
+        const sse = await openSSE(`${baseUrl}/events?access_token=${TOKEN}&resume=00000000-1`);
+        try {
+            await sse.next(m => m.event === 'initialized');
+        } finally {
+            sse.close();
+        }
+
+        // bufferSize is 5: a token older than the buffer cannot be honored
+        const expired = `${stream.streamId}-${stream.sequence}`;
+        for (let i = 0; i < 6; i++) {
+            await changeZone(1, { isActive: i % 2 === 0 });
+        }
+        assert.equal(stream.changesSince(expired), null);
+        assert.equal(stream.changesSince(stream.token).length, 0);
+    });
+});
+
+describe('parseFilter', () => {
+    it('parses types and id lists', () => {
+        const filter = parseFilter(new URLSearchParams('types=zones,area&zone=1,2'));
+        assert.deepEqual([...filter.types], ['zone', 'area']);
+        assert.ok(matchesFilter(filter, 'zone', 2));
+        assert.ok(!matchesFilter(filter, 'zone', 3));
+        assert.ok(matchesFilter(filter, 'area', 7));
+        assert.ok(!matchesFilter(filter, 'output', 1));
+    });
+
+    it('implies types from id lists and matches everything by default', () => {
+        assert.deepEqual([...parseFilter({ door: [4] }).types], ['door']);
+        assert.ok(matchesFilter(parseFilter(), 'filter', 9));
+    });
+});
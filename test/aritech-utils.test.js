@@ -0,0 +1,269 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import {
+    slipEncode,
+    slipDecode,
+    crc16,
+    appendCrc,
+    verifyCrc,
+    aesCtr,
+    makeEncryptionKey,
+    makeEncryptionKeyPBKDF2,
+    decodeSerial,
+    calculateProtocolVersion,
+    encodeBcdDate,
+    decodeBcdDate,
+    encodeBcdDateTime,
+    decodeBcdDateTime,
+    getWallClock,
+    normalizeCardNumber,
+    encodeCardNumber,
+    decodeCardNumber,
+    encryptMessage,
+    decryptMessage
+} from '../aritech-utils.js';
+
+describe('SLIP framing', () => {
+    it('wraps data in END markers', () => {
+        assert.deepEqual(slipEncode(Buffer.from([0x01, 0x02])), Buffer.from([0xC0, 0x01, 0x02, 0xC0]));
+    });
+
+    it('escapes END and ESC bytes', () => {
+        const encoded = slipEncode(Buffer.from([0xC0, 0xDB, 0x01]));
+        assert.deepEqual(encoded, Buffer.from([0xC0, 0xDB, 0xDC, 0xDB, 0xDD, 0x01, 0xC0]));
+    });
+
+    it('round-trips every byte value', () => {
+        const data = Buffer.from(Array.from({ length: 256 }, (_, i) => i));
+        assert.deepEqual(slipDecode(slipEncode(data)), data);
+    });
+
+    it('decodes frames without a leading END marker', () => {
+        assert.deepEqual(slipDecode(Buffer.from([0x01, 0xDB, 0xDC, 0xC0])), Buffer.from([0x01, 0xC0]));
+    });
+
+    it('stops at the first END marker', () => {
+        assert.deepEqual(slipDecode(Buffer.from([0xC0, 0x01, 0xC0, 0x02, 0xC0])), Buffer.from([0x01]));
+    });
+});
+
+describe('CRC-16', () => {
+    it('matches the CRC-16/MODBUS check value', () => {
+        assert.equal(crc16(Buffer.from('123456789', 'ascii')), 0x4B37);
+    });
+
+    it('supports offset and length', () => {
+        const data = Buffer.from('xx123456789yy', 'ascii');
+        assert.equal(crc16(data, 2, 9), 0x4B37);
+    });
+
+    it('appends the CRC big-endian and verifies it', () => {
+        const framed = appendCrc(Buffer.from('123456789', 'ascii'));
+        assert.deepEqual(framed.subarray(-2), Buffer.from([0x4B, 0x37]));
+        assert.equal(verifyCrc(framed), true);
+    });
+
+    it('rejects corrupted data', () => {
+        const framed = appendCrc(Buffer.from([0xA0, 0x00, 0x00]));
+        framed[1] ^= 0x01;
+        assert.equal(verifyCrc(framed), false);
+        assert.equal(verifyCrc(Buffer.from([0x01, 0x02])), false);
+    });
+});
+
+describe('makeEncryptionKey', () => {
+    it('derives key size from password length', () => {
+        assert.equal(makeEncryptionKey('0'.repeat(24)).length, 16);
+        assert.equal(makeEncryptionKey('0'.repeat(36)).length, 24);
+        assert.equal(makeEncryptionKey('0'.repeat(48)).length, 32);
+    });
+
+    it('produces known keys', () => {
+        assert.equal(makeEncryptionKey('000000000000000000000000').toString('hex'), '62046204620462046204620462046204');
+        assert.equal(makeEncryptionKey('ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789').toString('hex'),
+            'ce52d2f1d695faf6ee14e33fe7dffbb8dfc46e4672e57681');
+    });
+
+    it('returns an all-zero key for short passwords', () => {
+        assert.deepEqual(makeEncryptionKey('short'), Buffer.alloc(16));
+        assert.deepEqual(makeEncryptionKey(undefined), Buffer.alloc(16));
+    });
+});
+
+describe('makeEncryptionKeyPBKDF2', () => {
+    it('uses PBKDF2-SHA1 with zero salt and 1000 iterations', () => {
+        const password = '000000000000000000000000';
+        const expected = crypto.pbkdf2Sync(password, Buffer.alloc(8), 1000, 32, 'sha1');
+        assert.deepEqual(makeEncryptionKeyPBKDF2(password), expected);
+    });
+
+    it('produces a known 32-byte key', () => {
+        assert.equal(makeEncryptionKeyPBKDF2('000000000000000000000000').toString('hex'),
+            'bf3363d7a68f5a630b51eb338a5ea7b80004777a4dcedd03d4a2ae1538237959');
+    });
+
+    it('returns an all-zero key without password', () => {
+        assert.deepEqual(makeEncryptionKeyPBKDF2(''), Buffer.alloc(32));
+    });
+});
+
+describe('decodeSerial', () => {
+    it('decodes a base64 serial to 6 bytes', () => {
+        assert.equal(decodeSerial('SimulatorPanel01').toString('hex'), 'e6df09eff65d');
+    });
+
+    it('XORs both halves of the decoded serial', () => {
+        assert.deepEqual(decodeSerial('AAAAAAAAAAAAAAAA'), Buffer.alloc(6));
+        assert.deepEqual(decodeSerial('ABCDEFGHABCDEFGH'), Buffer.alloc(6));
+    });
+});
+
+describe('calculateProtocolVersion', () => {
+    it('combines major and minor version for classic firmware', () => {
+        assert.equal(calculateProtocolVersion('MR_4.1.38741'), 4001);
+        assert.equal(calculateProtocolVersion('MR_4.4.1234'), 4004);
+        assert.equal(calculateProtocolVersion('MR_21.0.1'), 21000);
+    });
+
+    it('uses the major version for newer firmware', () => {
+        assert.equal(calculateProtocolVersion('MR_22.1.100'), 22);
+    });
+
+    it('returns null for unparseable firmware', () => {
+        assert.equal(calculateProtocolVersion(null), null);
+        assert.equal(calculateProtocolVersion('garbage'), null);
+        assert.equal(calculateProtocolVersion('MR_x.y.z'), null);
+    });
+});
+
+describe('BCD dates', () => {
+    it('encodes calendar dates as YYMMDD', () => {
+        assert.equal(encodeBcdDate('2025-12-31').toString('hex'), '251231');
+        assert.equal(encodeBcdDate(new Date(2030, 0, 5)).toString('hex'), '300105');
+        assert.equal(encodeBcdDate(null).toString('hex'), '000000');
+    });
+
+    it('decodes YYMMDD, with 000000 as no date', () => {
+        assert.equal(decodeBcdDate(Buffer.from('251231', 'hex')), '2025-12-31');
+        assert.equal(decodeBcdDate(Buffer.alloc(3)), null);
+    });
+
+    it('rejects invalid dates', () => {
+        assert.throws(() => encodeBcdDate('2025-13-01'), /Invalid date/);
+        assert.throws(() => encodeBcdDate('2025-02-31'), /Invalid date/);
+        assert.throws(() => encodeBcdDate('2025-02-29'), /Invalid date/);
+        assert.throws(() => encodeBcdDate('2025-04-31'), /Invalid date/);
+        assert.equal(encodeBcdDate('2028-02-29').toString('hex'), '280229');
+        assert.throws(() => encodeBcdDate('1999-01-01'), /Invalid date/);
+        assert.throws(() => encodeBcdDate('tomorrow'), /Invalid date/);
+    });
+
+    it('encodes and decodes YYMMDDhhmmss in local time', () => {
+        const time = new Date(2025, 11, 31, 23, 59, 7);
+        assert.equal(encodeBcdDateTime(time).toString('hex'), '251231235907');
+        assert.equal(decodeBcdDateTime(Buffer.from('251231235907', 'hex')).getTime(), time.getTime());
+        assert.throws(() => encodeBcdDateTime(new Date(1999, 0, 1)), /Invalid date/);
+    });
+
+    it('decodes invalid BCD times as null', () => {
+        assert.equal(decodeBcdDateTime(Buffer.alloc(6)), null);
+        assert.equal(decodeBcdDateTime(Buffer.from('25123a000000', 'hex')), null);
+        // Days beyond the end of the month do not roll over into the next one
+        assert.equal(decodeBcdDateTime(Buffer.from('250230120000', 'hex')), null);
+        assert.equal(decodeBcdDateTime(Buffer.from('250229120000', 'hex')), null);
+        assert.equal(decodeBcdDateTime(Buffer.from('250431120000', 'hex')), null);
+        assert.equal(decodeBcdDateTime(Buffer.from('280229120000', 'hex')).getDate(), 29);
+    });
+
+    it('encodes and decodes the wall-clock time of a given time zone', () => {
+        const time = new Date(Date.UTC(2025, 11, 31, 23, 59, 7));
+        assert.equal(encodeBcdDateTime(time, 'Asia/Tokyo').toString('hex'), '260101085907');
+        assert.equal(decodeBcdDateTime(Buffer.from('260101085907', 'hex'), 'Asia/Tokyo').getTime(), time.getTime());
+
+        // Summer and winter time follow the zone's rules
+        const summer = new Date(Date.UTC(2025, 6, 1, 12, 0, 0));
+        assert.equal(encodeBcdDateTime(summer, 'Europe/Amsterdam').toString('hex'), '250701140000');
+        assert.equal(decodeBcdDateTime(Buffer.from('250701140000', 'hex'), 'Europe/Amsterdam').getTime(), summer.getTime());
+        assert.equal(decodeBcdDateTime(Buffer.from('250101130000', 'hex'), 'Europe/Amsterdam').getTime(), Date.UTC(2025, 0, 1, 12, 0, 0));
+        assert.deepEqual(getWallClock(summer, 'America/New_York'),
+            { year: 2025, month: 7, day: 1, hour: 8, minute: 0, second: 0, dayOfWeek: 2 });
+    });
+});
+
+describe('card numbers', () => {
+    it('normalizes card numbers to decimal strings', () => {
+        assert.equal(normalizeCardNumber('0001234567'), '1234567');
+        assert.equal(normalizeCardNumber(1234567), '1234567');
+        assert.equal(normalizeCardNumber(1099511627775n), '1099511627775');
+        for (const invalid of ['0', '1099511627776', 'A1B2', 2 ** 53 + 2, 1.5, -1, null]) {
+            assert.throws(() => normalizeCardNumber(invalid), /Invalid card number/);
+        }
+    });
+
+    it('encodes and decodes length-prefixed card fields', () => {
+        assert.equal(encodeCardNumber('1234567').toString('hex'), '0312d6870000');
+        assert.equal(encodeCardNumber('78187493530').toString('hex'), '05123456789a');
+        assert.equal(encodeCardNumber(null).toString('hex'), '000000000000');
+        assert.deepEqual(decodeCardNumber(Buffer.from('0312d6870000', 'hex')), { number: '1234567', hex: '12d687' });
+        assert.equal(decodeCardNumber(Buffer.alloc(6)), null);
+        // The size must fit the bytes given
+        assert.equal(decodeCardNumber(Buffer.from('0612345678', 'hex')), null);
+    });
+});
+
+describe('AES-CTR', () => {
+    const serialBytes = Buffer.from('e6df09eff65d', 'hex');
+    const nonce = Buffer.from('0102030405060708', 'hex');
+
+    for (const keySize of [16, 24, 32]) {
+        it(`matches aes-${keySize * 8}-ctr with IV = nonce + serial + 0000`, () => {
+            const key = crypto.createHash('sha256').update(`key${keySize}`).digest().subarray(0, keySize);
+            const data = Buffer.from(Array.from({ length: 53 }, (_, i) => i));
+            const iv = Buffer.concat([nonce, serialBytes, Buffer.alloc(2)]);
+            const reference = crypto.createCipheriv(`aes-${keySize * 8}-ctr`, key, iv).update(data);
+
+            assert.deepEqual(aesCtr(data, key, nonce, serialBytes), reference);
+        });
+    }
+
+    it('carries the counter across byte boundaries', () => {
+        const key = Buffer.alloc(16, 0x11);
+        const data = Buffer.alloc(257 * 16);  // Counter byte 15 wraps into byte 14
+        const iv = Buffer.concat([nonce, serialBytes, Buffer.alloc(2)]);
+        const reference = crypto.createCipheriv('aes-128-ctr', key, iv).update(data);
+
+        assert.deepEqual(aesCtr(data, key, nonce, serialBytes), reference);
+    });
+
+    it('is its own inverse', () => {
+        const key = makeEncryptionKey('000000000000000000000000');
+        const data = Buffer.from('hello panel', 'ascii');
+        assert.deepEqual(aesCtr(aesCtr(data, key, nonce, serialBytes), key, nonce, serialBytes), data);
+    });
+
+    it('rejects invalid key sizes', () => {
+        assert.throws(() => aesCtr(Buffer.alloc(4), Buffer.alloc(10), nonce, serialBytes), /Invalid AES key size/);
+    });
+});
+
+describe('encryptMessage / decryptMessage', () => {
+    const serialBytes = decodeSerial('SimulatorPanel01');
+    const key = makeEncryptionKey('000000000000000000000000');
+
+    it('round-trips a payload through a SLIP frame', () => {
+        const payload = Buffer.from([0xC0, 0x03, 0x50, 0x00, 0x00]);
+        const frame = slipEncode(encryptMessage(payload, key, serialBytes));
+        assert.deepEqual(decryptMessage(frame, key, serialBytes), payload);
+    });
+
+    it('returns null when decrypted with the wrong key', () => {
+        const payload = Buffer.from([0xA0, 0x00, 0x00]);
+        const frame = slipEncode(encryptMessage(payload, key, serialBytes));
+        assert.equal(decryptMessage(frame, makeEncryptionKey('111111111111111111111111'), serialBytes), null);
+    });
+
+    it('returns null for frames that are too short', () => {
+        assert.equal(decryptMessage(slipEncode(Buffer.alloc(6)), key, serialBytes), null);
+    });
+});
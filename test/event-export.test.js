@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    EVENT_EXPORT_COLUMNS, eventToRecord, csvHeader, formatEventCsv, formatEventJsonl, formatEventSyslog, formatEvent
+} from '../event-export.js';
+
+const EVENT = {
+    raw: '0020',
+    timestamp: '2025-03-14T15:09:26.000Z',
+    sequence: 42,
+    logType: 1,
+    type: 7,
+    name: 'Alarm',
+    category: 'Alarm',
+    area: { id: '3' },
+    entity: { type: 'zone', id: 12, description: 'Back Door, "rear"' },
+    decoded: null
+};
+
+const USER_EVENT = {
+    ...EVENT,
+    type: 25,
+    name: 'Set by user',
+    category: 'Set_Partset',
+    entity: { type: 'zone', id: 1, description: 'House' },
+    decoded: { kind: 'user', userId: 5, userName: 'Alice', origin: { type: 'keypad', id: 2, name: 'Hall' } }
+};
+
+describe('eventToRecord', () => {
+    it('flattens an event into the export columns in order', () => {
+        const record = eventToRecord(EVENT);
+        assert.deepEqual(Object.keys(record), EVENT_EXPORT_COLUMNS);
+        assert.deepEqual(record, {
+            timestamp: '2025-03-14T15:09:26.000Z',
+            sequence: 42,
+            category: 'Alarm',
+            name: 'Alarm',
+            entityType: 'zone',
+            entityId: 12,
+            entityDescription: 'Back Door, "rear"',
+            area: 3,
+            userId: null,
+            userName: null,
+            origin: null
+        });
+        assert.deepEqual(Object.values(eventToRecord(USER_EVENT)).slice(-3), [5, 'Alice', 'keypad 2 (Hall)']);
+        assert.equal(eventToRecord({ ...EVENT, area: null, entity: null }).area, null);
+    });
+});
+
+describe('CSV export', () => {
+    it('writes a stable header and quotes fields', () => {
+        assert.equal(csvHeader(), 'timestamp,sequence,category,name,entityType,entityId,entityDescription,area,userId,userName,origin');
+        assert.equal(formatEventCsv(EVENT), '2025-03-14T15:09:26.000Z,42,Alarm,Alarm,zone,12,"Back Door, ""rear""",3,,,');
+        assert.ok(formatEventCsv(USER_EVENT).endsWith(',3,5,Alice,keypad 2 (Hall)'));
+        assert.equal(formatEventCsv({ ...EVENT, area: null }).endsWith(','), true);
+    });
+});
+
+describe('JSON Lines export', () => {
+    it('writes one JSON object per event with the columns first', () => {
+        const line = formatEventJsonl(EVENT);
+        assert.ok(!line.includes('\n'));
+        const parsed = JSON.parse(line);
+        assert.deepEqual(Object.keys(parsed), [...EVENT_EXPORT_COLUMNS, 'type', 'decoded', 'raw']);
+        assert.equal(parsed.type, 7);
+        assert.equal(JSON.parse(formatEventJsonl(USER_EVENT)).decoded.origin.name, 'Hall');
+    });
+});
+
+describe('syslog export', () => {
+    it('writes RFC 5424 messages with a category severity and structured data', () => {
+        const line = formatEventSyslog(EVENT, { hostname: 'panel' });
+        // local0 (16) * 8 + alert (1)
+        assert.match(line, /^<129>1 2025-03-14T15:09:26.000Z panel aritech - Alarm \[aritech@32473 /);
+        assert.ok(line.includes('entityDescription="Back Door, \\"rear\\""'));
+        assert.ok(line.endsWith(' Alarm (zone 12: Back Door, "rear")'));
+        assert.ok(formatEventSyslog(USER_EVENT).endsWith(' Set by user (zone 1: House) by user 5 Alice at keypad 2 (Hall)'));
+
+        assert.match(formatEventSyslog({ ...EVENT, category: 'Trouble' }), /^<132>1 .* - Trouble /);
+        assert.match(formatEventSyslog({ ...EVENT, category: 'Restore' }, { facility: 1 }), /^<14>1 /);
+    });
+});
+
+describe('formatEvent', () => {
+    it('dispatches on the format name', () => {
+        assert.equal(formatEvent(EVENT, 'csv'), formatEventCsv(EVENT));
+        assert.equal(formatEvent(EVENT, 'jsonl'), formatEventJsonl(EVENT));
+        assert.equal(formatEvent(EVENT, 'syslog', { hostname: 'x' }), formatEventSyslog(EVENT, { hostname: 'x' }));
+        assert.throws(() => formatEvent(EVENT, 'xml'), /Unknown export format/);
+    });
+});
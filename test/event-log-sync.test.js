@@ -0,0 +1,115 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, readFile, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { EventLogSync } from '../event-log-sync.js';
+import { startSession } from './helpers.js';
+
+const START = new Date(2025, 0, 1, 0, 0, 0).getTime();
+
+/**
+ * Zone event logged `minute` minutes after START; sequence is assigned by the simulator unless given.
+ */
+function logEvent(minute, sequence) {
+    return {
+        eventId: 4,
+        entityId: 0x0101,
+        area: 1,
+        description: `Event ${minute}`,
+        timestamp: new Date(START + minute * 60000),
+        ...(sequence !== undefined && { sequence })
+    };
+}
+
+describe('EventLogSync', () => {
+    let session;
+    let dir;
+    let stateFile;
+    let runs = 0;
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'aritech-sync-'));
+    });
+
+    after(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        stateFile = join(dir, `cursor-${++runs}.json`);
+    });
+
+    afterEach(async () => {
+        await session?.close();
+        session = null;
+    });
+
+    async function start(events) {
+        session = await startSession({ events });
+        return new EventLogSync(session.client, { stateFile });
+    }
+
+    const descriptions = events => events.map(e => e.entity.description);
+
+    it('returns the whole log oldest first on the first run, then only new events', async () => {
+        const sync = await start([logEvent(1), logEvent(2), logEvent(3)]);
+        assert.deepEqual(descriptions(await sync.sync()), ['Event 1', 'Event 2', 'Event 3']);
+        assert.deepEqual(await sync.loadCursor(), { sequence: 2, timestamp: new Date(START + 3 * 60000).toISOString() });
+
+        assert.deepEqual(await sync.sync(), []);
+
+        session.simulator.addEvent(logEvent(4));
+        session.simulator.addEvent(logEvent(5));
+        const appended = [];
+        await sync.sync(async (events) => appended.push(...descriptions(events)));
+        assert.deepEqual(appended, ['Event 4', 'Event 5']);
+        assert.equal((await sync.loadCursor()).sequence, 4);
+    });
+
+    it('does not stop at a newer event with the cursor sequence after wraparound', async () => {
+        // Log starting at sequence 250, so it wraps to 0 and the oldest entry is not sequence 0
+        const sync = await start(Array.from({ length: 10 }, (_, i) => logEvent(i, (250 + i) & 0xFF)));
+        const first = await sync.sync();
+        assert.equal(first.length, 10);
+        assert.deepEqual(first.map(e => e.sequence), [250, 251, 252, 253, 254, 255, 0, 1, 2, 3]);
+
+        // 256 more events: the newest one has the cursor sequence (3) again
+        for (let i = 0; i < 256; i++) {
+            session.simulator.addEvent(logEvent(10 + i, (4 + i) & 0xFF));
+        }
+        const { events, gap } = await sync.readNew();
+        assert.equal(gap, false);
+        assert.equal(events.length, 256);
+        assert.equal(events[0].entity.description, 'Event 10');
+        assert.equal(events.at(-1).sequence, 3);
+    });
+
+    it('reports a gap when the cursor event was overwritten', async () => {
+        const sync = await start([logEvent(10), logEvent(11)]);
+        await sync.saveCursor({ sequence: 99, timestamp: new Date(START + 5 * 60000).toISOString() });
+        const { events, gap } = await sync.readNew();
+        assert.equal(gap, true);
+        assert.deepEqual(descriptions(events), ['Event 10', 'Event 11']);
+
+        await sync.saveCursor({ sequence: 1, timestamp: new Date(START + 11 * 60000).toISOString() });
+        assert.equal((await sync.readNew()).gap, false);
+    });
+
+    it('keeps the cursor when the handler fails', async () => {
+        const sync = await start([logEvent(1)]);
+        await assert.rejects(sync.sync(async () => { throw new Error('disk full'); }), /disk full/);
+        assert.equal(await sync.loadCursor(), null);
+        assert.equal((await sync.sync()).length, 1);
+    });
+
+    it('rejects a damaged state file and a missing state file option', async () => {
+        await writeFile(stateFile, '{"sequence":');
+        const sync = new EventLogSync({}, { stateFile });
+        await assert.rejects(sync.loadCursor(), /Invalid event log cursor/);
+        assert.throws(() => new EventLogSync({}), /stateFile/);
+
+        await sync.saveCursor({ sequence: 7, timestamp: '2025-01-01T00:00:00.000Z' });
+        assert.equal(JSON.parse(await readFile(stateFile, 'utf8')).sequence, 7);
+    });
+});
@@ -0,0 +1,158 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseEvent, parseEvents, decodeEventDetails } from '../event-parser.js';
+import { EVENT_TYPES, EVENT_DETAIL_KINDS } from '../event-types.js';
+
+/**
+ * Build an event buffer: 2025-03-14 15:09:26, sequence 42, zone 12 in area 3.
+ */
+function eventFixture(length, {
+    eventId = 4, classId = 0, entityId = 0x0C03, area = 3, details = [1, 2, 3, 4, 5, 6, 7], description = 'Back Door'
+} = {}) {
+    const buffer = Buffer.alloc(length);
+    buffer.writeUInt16BE(0x0020, 0);
+    Buffer.from([0x25, 0x03, 0x14, 0x15, 0x09, 0x26]).copy(buffer, 2);
+    buffer[12] = 42;
+    buffer[13] = 1;
+    buffer.writeUInt16BE(eventId, 14);
+    buffer[16] = classId;
+    buffer[17] = 0;
+    buffer.writeUInt16BE(entityId, 18);
+    buffer[20] = area;
+    Buffer.from(details).copy(buffer, 21);
+    buffer.write(description, 28, 'latin1');
+    return buffer;
+}
+
+describe('parseEvent', () => {
+    for (const length of [70, 60]) {
+        it(`parses a ${length}-byte event`, () => {
+            const event = parseEvent(eventFixture(length));
+
+            assert.equal(event.timestamp, new Date(2025, 2, 14, 15, 9, 26).toISOString());
+            assert.equal(event.sequence, 42);
+            assert.equal(event.logType, 1);
+            assert.equal(event.type, 4);
+            assert.equal(event.name, EVENT_TYPES[4].name);
+            assert.equal(event.category, EVENT_TYPES[4].category);
+            assert.equal(event.classId, 0);
+            assert.equal(event.classType, 'Zone');
+            assert.deepEqual(event.area, { id: '3' });
+            assert.deepEqual(event.entity, { type: 'zone', id: 12, description: 'Back Door' });
+            assert.deepEqual(event.details, Buffer.from([1, 2, 3, 4, 5, 6, 7]));
+            assert.equal(event.raw.length, length * 2);
+        });
+    }
+
+    it('limits the description to the format length', () => {
+        const long = 'x'.repeat(42);
+        assert.equal(parseEvent(eventFixture(70, { description: long })).entity.description.length, 42);
+        assert.equal(parseEvent(eventFixture(60, { description: long.slice(0, 32) })).entity.description.length, 32);
+    });
+
+    it('reports unknown event types', () => {
+        const event = parseEvent(eventFixture(70, { eventId: 0xFFFE }));
+        assert.equal(event.name, 'Unknown event type');
+        assert.match(event.category, /Unknown/);
+    });
+
+    it('maps entity classes without area to their type', () => {
+        const event = parseEvent(eventFixture(60, { classId: 7, entityId: 0x0500, area: 0 }));
+        assert.equal(event.entity.type, 'output');
+        assert.equal(event.entity.id, 5);
+        assert.equal(event.area, null);
+    });
+
+    it('rejects buffers of other lengths', () => {
+        assert.throws(() => parseEvent(Buffer.alloc(64)), /must be 60 \(extended\) or 70 \(legacy\) bytes/);
+        assert.throws(() => parseEvent('not a buffer'), /must be a Buffer/);
+    });
+});
+
+describe('parseEvents', () => {
+    it('parses consecutive 70-byte events', () => {
+        const events = parseEvents(Buffer.concat([eventFixture(70), eventFixture(70, { eventId: 1 })]));
+        assert.deepEqual(events.map(e => e.type), [4, 1]);
+    });
+});
+
+describe('decodeEventDetails', () => {
+    const eventIdOf = code => Number(Object.keys(EVENT_TYPES).find(id => EVENT_TYPES[id].code === code));
+
+    it('classifies event types by who or what caused them', () => {
+        assert.equal(EVENT_DETAIL_KINDS[eventIdOf('ev_CLUSER')], 'user');
+        assert.equal(EVENT_DETAIL_KINDS[eventIdOf('ev_USRDEL')], 'user');
+        assert.equal(EVENT_DETAIL_KINDS[eventIdOf('ev_USRG')], 'access');
+        assert.equal(EVENT_DETAIL_KINDS[eventIdOf('ev_USRD')], 'access');
+        assert.equal(EVENT_DETAIL_KINDS[eventIdOf('ev_CA')], 'card');
+        assert.equal(EVENT_DETAIL_KINDS[eventIdOf('ev_DD')], 'card');
+        assert.equal(EVENT_DETAIL_KINDS[eventIdOf('ev_OPPC')], 'pc');
+        assert.equal(EVENT_DETAIL_KINDS[eventIdOf('ev_ERDGPC')], undefined);
+        assert.equal(EVENT_DETAIL_KINDS[eventIdOf('ev_TARAS')], 'keypad');
+        assert.equal(EVENT_DETAIL_KINDS[eventIdOf('ev_TARDR')], 'reader');
+        assert.equal(EVENT_DETAIL_KINDS[eventIdOf('ev_YT')], 'trouble');
+        assert.equal(EVENT_DETAIL_KINDS[eventIdOf('ev_BA')], undefined);
+    });
+
+    it('decodes the user and keypad of a set by user event with names', () => {
+        const buffer = eventFixture(60, { eventId: eventIdOf('ev_CLUSER'), details: [0, 2, 0, 5, 0, 0, 0] });
+        const event = parseEvent(buffer, { names: { users: new Map([[5, 'Alice']]), keypads: { 2: 'Hall' } } });
+        assert.deepEqual(event.decoded, {
+            kind: 'user',
+            userId: 5,
+            userName: 'Alice',
+            origin: { type: 'keypad', id: 2, name: 'Hall' }
+        });
+        assert.equal(decodeEventDetails(buffer, eventIdOf('ev_CLUSER')).userName, null);
+    });
+
+    it('decodes user, reader and region of access events', () => {
+        const event = parseEvent(eventFixture(70, { eventId: eventIdOf('ev_USRG'), details: [3, 0, 0, 7, 2, 0, 0], description: 'Front Door' }));
+        assert.deepEqual(event.decoded, {
+            kind: 'access',
+            userId: 7,
+            userName: null,
+            origin: { type: 'reader', id: 3, name: null },
+            regionId: 2
+        });
+    });
+
+    it('reads 16-bit user numbers', () => {
+        const event = parseEvent(eventFixture(60, { eventId: eventIdOf('ev_CLUSER'), details: [0, 1, 0x01, 0x2C, 0, 0, 0] }));
+        assert.equal(event.decoded.userId, 300);
+    });
+
+    it('decodes the card number from the detail bytes, not the description', () => {
+        for (const length of [70, 60]) {
+            const event = parseEvent(eventFixture(length, {
+                eventId: eventIdOf('ev_DD'), details: [3, 0x04, 0x00, 0x12, 0xD6, 0x87, 0], description: 'Access denied Front Door'
+            }), { names: { readers: { 3: 'Front Door' } } });
+            assert.equal(event.entity.description, 'Access denied Front Door');
+            assert.deepEqual(event.decoded, {
+                kind: 'card',
+                origin: { type: 'reader', id: 3, name: 'Front Door' },
+                card: { number: '1234567', hex: '0012d687' }
+            });
+        }
+
+        // 5 card bytes fill the details; longer sizes would run into the description
+        const wide = parseEvent(eventFixture(60, { eventId: eventIdOf('ev_DD'), details: [1, 0x05, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF] }));
+        assert.deepEqual(wide.decoded.card, { number: '1099511627775', hex: 'ffffffffff' });
+        const overlong = parseEvent(eventFixture(60, { eventId: eventIdOf('ev_DD'), details: [1, 0x06, 1, 2, 3, 4, 5] }));
+        assert.equal(overlong.decoded.card, undefined);
+    });
+
+    it('decodes PC origin and trouble fault codes and leaves out empty fields', () => {
+        const pc = parseEvent(eventFixture(60, { eventId: eventIdOf('ev_OPPC'), area: 4, details: [2, 0, 0, 0, 0, 0, 0] }));
+        assert.deepEqual(pc.area, { id: '4' });
+        assert.deepEqual(pc.decoded, { kind: 'pc', origin: { type: 'pc_connection', id: 2, name: null } });
+
+        const trouble = parseEvent(eventFixture(60, { eventId: eventIdOf('ev_YT'), details: [0, 0, 9, 0, 0, 0, 0] }));
+        assert.deepEqual(trouble.decoded, { kind: 'trouble', faultCode: 9 });
+
+        const system = parseEvent(eventFixture(60, { eventId: eventIdOf('ev_CLUSER'), details: [0, 0, 0, 0, 0, 0, 0] }));
+        assert.deepEqual(system.decoded, { kind: 'user' });
+
+        assert.equal(parseEvent(eventFixture(60, { eventId: eventIdOf('ev_BA') })).decoded, null);
+    });
+});
@@ -0,0 +1,79 @@
+/**
+ * Shared test setup: a simulator plus a logged-in client.
+ */
+
+import { AritechClient } from '../aritech-client.js';
+import { PanelSimulator } from '../panel-simulator.js';
+
+export const X500_KEY = '000000000000000000000000';
+export const X700_KEY = '000000000000000000000000000000000000000000000000';
+
+export const X700_PANEL = {
+    productName: 'ATS1500A-IP-MM',
+    firmwareVersion: 'MR_4.4.10000',
+    encryptionMode: 5
+};
+
+/**
+ * Start a simulator with the given fixture and connect a client to it.
+ * @param {Object} [fixture] - Simulator fixture
+ * @param {Object} [clientConfig] - Extra client config (e.g. reconnect, username/password)
+ * @param {Object} [options]
+ * @param {boolean} [options.login=true] - Run the full session setup (description, key exchange, login)
+ * @returns {Promise<{simulator: PanelSimulator, client: AritechClient, close: Function}>}
+ */
+export async function startSession(fixture = {}, clientConfig = {}, { login = true } = {}) {
+    const simulator = new PanelSimulator(fixture);
+    const { host, port } = await simulator.start();
+
+    const client = new AritechClient({
+        host,
+        port,
+        pin: '1278',
+        encryptionKey: fixture.encryptionKey ?? X500_KEY,
+        ...clientConfig
+    });
+
+    await client.connect();
+    if (login) {
+        await client.getDescription();
+        await client.changeSessionKey();
+        const loggedIn = await client.login();
+        if (!loggedIn) {
+            throw new Error('Login against simulator failed');
+        }
+    }
+
+    return {
+        simulator,
+        client,
+        async close() {
+            await client.disconnect();
+            await simulator.stop();
+        }
+    };
+}
+
+/**
+ * Wait for an event, failing after a timeout.
+ * @param {EventEmitter} emitter - Emitter to listen on
+ * @param {string} eventName - Event name
+ * @param {Function} [predicate] - Only resolve for events matching this filter
+ * @param {number} [timeout=2000] - Timeout in ms
+ * @returns {Promise<*>} The event payload
+ */
+export function waitForEvent(emitter, eventName, predicate = () => true, timeout = 2000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            emitter.off(eventName, listener);
+            reject(new Error(`Timed out waiting for '${eventName}'`));
+        }, timeout);
+        const listener = (event) => {
+            if (!predicate(event)) return;
+            clearTimeout(timer);
+            emitter.off(eventName, listener);
+            resolve(event);
+        };
+        emitter.on(eventName, listener);
+    });
+}
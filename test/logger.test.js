@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Logger, redact } from '../logger.js';
+import { AritechMonitor } from '../aritech-monitor.js';
+import { PanelSimulator } from '../panel-simulator.js';
+import { startSession } from './helpers.js';
+
+/**
+ * pino-style logger keeping every entry (bindings of its children included).
+ */
+function captureLogger(isLevelEnabled = () => true, entries = [], bindings = {}) {
+    const logger = { isLevelEnabled, child: (more) => captureLogger(isLevelEnabled, entries, { ...bindings, ...more }) };
+    for (const level of ['trace', 'debug', 'info', 'warn', 'error']) {
+        logger[level] = (context, message) => entries.push({ level, message, context: { ...bindings, ...context } });
+    }
+    logger.entries = entries;
+    return logger;
+}
+
+describe('Logger', () => {
+    it('redacts secret fields and secret values', () => {
+        const logger = captureLogger();
+        const log = new Logger(logger, { secrets: () => ['4711', Buffer.from([0xab, 0xcd, 0xef, 0x01])] });
+
+        log.debug('Login with 4711, key ABCDEF01', {
+            pin: '4711', hasPin: true, keypadId: 2, nested: { sessionKey: 'x', encryptionKey: 'y', data: 'abcdef01ff' }
+        });
+
+        const [entry] = logger.entries;
+        assert.equal(entry.message, 'Login with [REDACTED], key [REDACTED]');
+        assert.deepEqual(entry.context, {
+            pin: '[REDACTED]',
+            hasPin: true,
+            keypadId: 2,
+            nested: { sessionKey: '[REDACTED]', encryptionKey: '[REDACTED]', data: '[REDACTED]ff' }
+        });
+    });
+
+    it('logs errors as err and respects isLevelEnabled', () => {
+        const logger = captureLogger((level) => level !== 'trace');
+        const log = new Logger(logger, { secrets: () => ['secret-value'] });
+
+        log.trace('Not logged');
+        log.error('Failed', new Error('Rejected secret-value'));
+
+        assert.equal(logger.entries.length, 1);
+        assert.equal(logger.entries[0].context.err.message, 'Rejected [REDACTED]');
+    });
+
+    it('keeps context and secrets in children, with or without a child() on the target', () => {
+        const entries = [];
+        const plain = { debug: (context, message) => entries.push({ context, message }) };
+        const log = new Logger(plain, { bindings: { host: 'panel' }, secrets: () => ['9876'] });
+
+        log.child({ component: 'monitor' }).debug('PIN 9876');
+
+        assert.deepEqual(entries, [{ context: { host: 'panel', component: 'monitor' }, message: 'PIN [REDACTED]' }]);
+        assert.equal(redact({ token: null, list: ['9876'] }, /9876/g).list[0], '[REDACTED]');
+    });
+});
+
+describe('client logging', () => {
+    it('never logs the PIN or keys of a session', async () => {
+        const logger = captureLogger();
+        const { client, close } = await startSession({ areas: [{ number: 1, name: 'House' }] }, { logger });
+        try {
+            const monitor = new AritechMonitor(client);
+            await monitor.start();
+            monitor.stop();
+
+            const sessionKey = client.sessionKey.toString('hex');
+            const output = JSON.stringify(logger.entries);
+            assert.ok(logger.entries.length > 0);
+            assert.ok(!output.includes('1278'), 'PIN in log output');
+            assert.ok(!output.toLowerCase().includes(sessionKey), 'session key in log output');
+            assert.ok(output.includes('[REDACTED]'));
+
+            // Entries carry the panel address, monitor entries their component
+            assert.ok(logger.entries.every(entry => entry.context.host === '127.0.0.1'));
+            assert.ok(logger.entries.some(entry => entry.context.component === 'monitor'));
+        } finally {
+            await close();
+        }
+    });
+});
+
+describe('simulator logging', () => {
+    it('logs through the given logger', async () => {
+        const logger = captureLogger();
+        const simulator = new PanelSimulator({}, { logger });
+        await simulator.start(0, '127.0.0.1');
+        await simulator.stop();
+
+        assert.deepEqual(logger.entries.map(entry => [entry.level, entry.context.component]), [['debug', 'simulator'], ['debug', 'simulator']]);
+        assert.match(logger.entries[0].message, /^Panel simulator listening on 127\.0\.0\.1:\d+$/);
+    });
+});
@@ -0,0 +1,256 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { messageTemplates } from '../messages.js';
+import {
+    constructMessage,
+    getProperty,
+    getAllProperties,
+    setProperties,
+    splitBatchResponse,
+    buildBatchStatRequest,
+    buildGetValidZonesMessage,
+    checkResponseError,
+    isMessageType,
+    parseCreateCCResponse,
+    parseReturnBool,
+    BATCH_PAYLOAD_LENGTHS
+} from '../message-helpers.js';
+
+const templateNames = Object.keys(messageTemplates);
+
+/**
+ * Value that survives a constructMessage → getProperty round trip for a property definition.
+ */
+function sampleValue(propDef) {
+    const { mask, length, type } = propDef[0];
+    if (type === 'string') return 'AB'.slice(0, length || 16);
+    if (type === 'bool') return true;
+    if (mask !== 0xFF) return true;
+    if (propDef.length > 1) return 0x0201;
+    return 1;
+}
+
+describe('message templates', () => {
+    for (const msgName of templateNames) {
+        it(`${msgName} has a well-formed definition`, () => {
+            const { msgIdBytes, templateBytes, properties } = messageTemplates[msgName];
+            assert.ok(Array.isArray(msgIdBytes) && msgIdBytes.length > 0, 'msgIdBytes');
+            assert.ok(msgIdBytes.every(b => Number.isInteger(b) && b >= 0 && b <= 0xFF), 'msgIdBytes are bytes');
+            assert.ok(Array.isArray(templateBytes), 'templateBytes');
+            assert.ok(templateBytes.every(b => Number.isInteger(b) && b >= 0 && b <= 0xFF), 'templateBytes are bytes');
+            for (const [propName, propDef] of Object.entries(properties)) {
+                assert.ok(Array.isArray(propDef) && propDef.length > 0, `${propName} definition`);
+                for (const { byte, mask } of propDef) {
+                    assert.ok(Number.isInteger(byte), `${propName} byte`);
+                    assert.ok(Number.isInteger(mask) && mask > 0 && mask <= 0xFF, `${propName} mask`);
+                }
+            }
+        });
+    }
+});
+
+describe('constructMessage', () => {
+    for (const msgName of templateNames) {
+        it(`${msgName} round-trips its properties through getProperty`, (t) => {
+            const template = messageTemplates[msgName];
+            const empty = constructMessage(messageTemplates, msgName);
+            assert.deepEqual(empty, Buffer.from([0xC0, ...template.msgIdBytes, ...template.templateBytes]));
+
+            t.mock.method(console, 'warn', () => {});
+            for (const [propName, propDef] of Object.entries(template.properties)) {
+                // Skip properties that live beyond the template (repeated entries, extended responses)
+                if (propDef.some(({ byte }) => byte < 0 || byte + 1 >= empty.length)) continue;
+
+                const value = sampleValue(propDef);
+                const msg = constructMessage(messageTemplates, msgName, { [propName]: value });
+                assert.deepEqual(getProperty(messageTemplates, msgName, msg.slice(1), propName), value, propName);
+            }
+        });
+    }
+
+    it('writes multi-byte values little-endian in property byte order', () => {
+        const msg = constructMessage(messageTemplates, 'controlSessionStatus', { stateId: 0x1234 });
+        const [low, high] = messageTemplates.controlSessionStatus.properties.stateId;
+        assert.equal(msg[low.byte + 1], 0x34);
+        assert.equal(msg[high.byte + 1], 0x12);
+    });
+
+    it('writes untyped full-byte values as 16-bit little-endian', () => {
+        const msg = constructMessage(messageTemplates, 'armAreas', { sessionId: 0x1234 });
+        const { byte } = messageTemplates.armAreas.properties.sessionId[0];
+        assert.deepEqual(msg.subarray(byte + 1, byte + 3), Buffer.from([0x34, 0x12]));
+    });
+
+    it('null-pads fixed-length strings', () => {
+        const msg = constructMessage(messageTemplates, 'loginWithPin', { pinCode: '1278' });
+        const { byte, length } = messageTemplates.loginWithPin.properties.pinCode[0];
+        assert.equal(msg.slice(byte + 1, byte + 1 + length).toString('latin1'), '1278\0\0\0\0\0\0');
+    });
+
+    it('throws for unknown messages', () => {
+        assert.throws(() => constructMessage(messageTemplates, 'noSuchMessage'), /Unknown message/);
+    });
+
+    it('warns about unknown properties', (t) => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        constructMessage(messageTemplates, 'getZoneStatus', { noSuchProperty: 1 });
+        assert.equal(warn.mock.callCount(), 1);
+    });
+});
+
+describe('getProperty', () => {
+    it('reads bitmask flags from a status payload', () => {
+        const payload = Buffer.from([0x31, 0x01, 0x00, 0x05, 0x11, 0x01, 0x00]);
+        assert.equal(getProperty(messageTemplates, 'zoneStatus', payload, 'isActive'), true);
+        assert.equal(getProperty(messageTemplates, 'zoneStatus', payload, 'hasFault'), true);
+        assert.equal(getProperty(messageTemplates, 'zoneStatus', payload, 'isTampered'), false);
+        assert.equal(getProperty(messageTemplates, 'zoneStatus', payload, 'isInhibited'), true);
+        assert.equal(getProperty(messageTemplates, 'zoneStatus', payload, 'objectId'), 5);
+    });
+
+    it('reads length-prefixed strings', () => {
+        const payload = Buffer.alloc(100);
+        const { byte } = messageTemplates.deviceDescription.properties.productName[0];
+        payload[byte] = 7;
+        payload.write('ATS1500', byte + 1, 'latin1');
+        assert.equal(getProperty(messageTemplates, 'deviceDescription', payload, 'productName'), 'ATS1500');
+    });
+
+    it('throws for unknown properties and out-of-range offsets', () => {
+        assert.throws(() => getProperty(messageTemplates, 'zoneStatus', Buffer.alloc(7), 'nope'), /Unknown property/);
+        assert.throws(() => getProperty(messageTemplates, 'zoneStatus', Buffer.alloc(2), 'isActive'), /out of range/);
+    });
+});
+
+describe('setProperties', () => {
+    for (const msgName of Object.keys(BATCH_PAYLOAD_LENGTHS)) {
+        it(`${msgName} flags parse back with getAllProperties`, () => {
+            const template = messageTemplates[msgName];
+            const payload = Buffer.alloc(BATCH_PAYLOAD_LENGTHS[msgName]);
+            // Flags with a bit of their own (some templates alias the same bit under two names)
+            const bitCounts = {};
+            for (const [{ byte, mask }] of Object.values(template.properties)) {
+                bitCounts[`${byte}:${mask}`] = (bitCounts[`${byte}:${mask}`] || 0) + 1;
+            }
+            const flags = Object.entries(template.properties)
+                .filter(([, propDef]) => propDef.length === 1 && propDef[0].mask !== 0xFF && propDef[0].byte < payload.length)
+                .filter(([, [{ byte, mask }]]) => bitCounts[`${byte}:${mask}`] === 1)
+                .map(([propName]) => propName);
+
+            // Set every other flag
+            const values = Object.fromEntries(flags.map((propName, i) => [propName, i % 2 === 0]));
+            setProperties(messageTemplates, msgName, payload, values);
+            const parsed = getAllProperties(messageTemplates, msgName, payload);
+
+            for (const propName of flags) {
+                assert.equal(parsed[propName], values[propName], propName);
+            }
+            assert.ok(flags.some(propName => parsed[propName]), 'at least one flag set');
+        });
+    }
+
+    it('writes length-prefixed strings', () => {
+        const payload = Buffer.alloc(100);
+        setProperties(messageTemplates, 'deviceDescription', payload, { firmwareVersion: 'MR_4.1.38741' });
+        assert.equal(getProperty(messageTemplates, 'deviceDescription', payload, 'firmwareVersion'), 'MR_4.1.38741');
+    });
+
+    it('clears flags set to false', () => {
+        const payload = Buffer.from([0x31, 0x01, 0x00, 0x01, 0xFF, 0x00, 0x00]);
+        setProperties(messageTemplates, 'zoneStatus', payload, { isActive: false });
+        assert.equal(payload[4], 0xFE);
+    });
+});
+
+describe('splitBatchResponse', () => {
+    const statusMessage = (msgName, objectId) => {
+        const template = messageTemplates[msgName];
+        const msg = Buffer.alloc(BATCH_PAYLOAD_LENGTHS[msgName]);
+        msg[0] = template.msgIdBytes[0];
+        msg[1] = template.templateBytes[0];
+        msg[3] = objectId;
+        msg[msg.length - 1] = 0x5A;
+        return msg;
+    };
+
+    for (const msgName of Object.keys(BATCH_PAYLOAD_LENGTHS)) {
+        it(`splits a ${msgName} batch`, () => {
+            const length = BATCH_PAYLOAD_LENGTHS[msgName];
+            const response = Buffer.concat([
+                Buffer.from([0xA0, 0xEE, 0xEE, length]), statusMessage(msgName, 1),
+                Buffer.from([length]), statusMessage(msgName, 2),
+                Buffer.from([length]), statusMessage(msgName, 3)
+            ]);
+
+            const messages = splitBatchResponse(messageTemplates, response, msgName);
+            assert.deepEqual(messages.map(m => m.objectId), [1, 2, 3]);
+            assert.ok(messages.every(m => m.template === msgName && m.bytes.length === length));
+            assert.deepEqual(messages[1].bytes, statusMessage(msgName, 2));
+        });
+    }
+
+    it('treats a non-batch response as a single message', () => {
+        const response = Buffer.concat([Buffer.from([0xA0]), statusMessage('zoneStatus', 9)]);
+        const messages = splitBatchResponse(messageTemplates, response, 'zoneStatus');
+        assert.equal(messages.length, 1);
+        assert.equal(messages[0].objectId, 9);
+    });
+
+    it('stops at an unexpected message ID', () => {
+        const other = statusMessage('zoneStatus', 2);
+        other[0] = 0x99;
+        const response = Buffer.concat([Buffer.from([0xA0, 0xEE, 0xEE, 7]), statusMessage('zoneStatus', 1), Buffer.from([7]), other]);
+        assert.deepEqual(splitBatchResponse(messageTemplates, response, 'zoneStatus').map(m => m.objectId), [1]);
+    });
+
+    it('returns no messages for short or unknown responses', (t) => {
+        t.mock.method(console, 'error', () => {});
+        assert.deepEqual(splitBatchResponse(messageTemplates, Buffer.from([0xA0, 0xEE]), 'zoneStatus'), []);
+        assert.deepEqual(splitBatchResponse(messageTemplates, Buffer.from([0xA0, 0xEE, 0xEE, 0x07, 0x00]), 'zoneNames'), []);
+        assert.deepEqual(splitBatchResponse(messageTemplates, Buffer.from([0xF0, 0x01, 0x02, 0x03]), 'zoneStatus'), []);
+    });
+});
+
+describe('request builders', () => {
+    it('builds batch status requests with separators', () => {
+        const request = buildBatchStatRequest(messageTemplates, 'ZONE', [1, 2]);
+        assert.equal(request.toString('hex'), 'c0eee0eeee06' + 'cb0100030001' + '06' + 'cb0100030002');
+    });
+
+    it('rejects empty batch requests', () => {
+        assert.throws(() => buildBatchStatRequest(messageTemplates, 'ZONE', []), /cannot be empty/);
+    });
+
+    it('builds zone assignment queries for all or selected areas', () => {
+        const all = buildGetValidZonesMessage(messageTemplates);
+        const selected = buildGetValidZonesMessage(messageTemplates, [1, 3]);
+        assert.equal(getProperty(messageTemplates, 'getZonesAssignedToAreas', all.slice(1), 'area.64'), true);
+        assert.equal(getProperty(messageTemplates, 'getZonesAssignedToAreas', selected.slice(1), 'area.1'), true);
+        assert.equal(getProperty(messageTemplates, 'getZonesAssignedToAreas', selected.slice(1), 'area.2'), false);
+        assert.equal(getProperty(messageTemplates, 'getZonesAssignedToAreas', selected.slice(1), 'area.3'), true);
+    });
+});
+
+describe('response helpers', () => {
+    it('throws on panel error responses', () => {
+        assert.throws(() => checkResponseError(Buffer.from([0xF0, 0x12])), /Panel error: 12/);
+        assert.doesNotThrow(() => checkResponseError(Buffer.from([0xA0, 0x00, 0x00])));
+    });
+
+    it('matches message types by msgId and typeId', () => {
+        assert.equal(isMessageType(messageTemplates, Buffer.from([0xA0, 0x20, 0x00, 0x05, 0x05]), 'controlSessionStatus', 1), true);
+        assert.equal(isMessageType(messageTemplates, Buffer.from([0xA0, 0x00, 0x01, 0x01]), 'controlSessionStatus', 1), false);
+        assert.equal(isMessageType(messageTemplates, Buffer.from([0xA0]), 'booleanResponse', 1), false);
+    });
+
+    it('parses control session IDs', () => {
+        assert.deepEqual(parseCreateCCResponse(messageTemplates, Buffer.from([0xA0, 0x00, 0x03, 0x02, 0x3D])), { sessionId: 0x3D02 });
+        assert.equal(parseCreateCCResponse(messageTemplates, Buffer.from([0xA0, 0x00, 0x01, 0x01])), null);
+    });
+
+    it('parses boolean responses', () => {
+        assert.equal(parseReturnBool(messageTemplates, Buffer.from([0xA0, 0x00, 0x01, 0x01])), true);
+        assert.equal(parseReturnBool(messageTemplates, Buffer.from([0xA0, 0x00, 0x01, 0x00])), false);
+        assert.equal(parseReturnBool(messageTemplates, Buffer.from([0xA0, 0x00, 0x00])), null);
+    });
+});
@@ -0,0 +1,138 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'net';
+import { PanelManager, PANEL_STATUS } from '../panel-manager.js';
+import { PanelSimulator } from '../panel-simulator.js';
+import { X500_KEY, waitForEvent } from './helpers.js';
+
+const NORTH = {
+    areas: [
+        { number: 1, name: 'Office', state: { isFullSet: true } },
+        { number: 2, name: 'Lab', state: { isUnset: true } }
+    ],
+    zones: [{ number: 1, name: 'Lab Door', areas: [2] }]
+};
+
+const SOUTH = {
+    areas: [{ number: 1, name: 'Warehouse', state: { isUnset: true } }],
+    zones: [{ number: 1, name: 'Loading Bay', areas: [1] }]
+};
+
+/**
+ * A local port nothing listens on.
+ */
+async function closedPort() {
+    const server = createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    await new Promise(resolve => server.close(resolve));
+    return port;
+}
+
+describe('PanelManager', () => {
+    let north;
+    let south;
+    let manager;
+    let deadPort;
+
+    before(async () => {
+        north = new PanelSimulator(NORTH);
+        south = new PanelSimulator(SOUTH);
+        const [n, s] = [await north.start(), await south.start()];
+        deadPort = await closedPort();
+
+        const panel = (id, { host, port }) => ({
+            id, host, port, pin: '1278', encryptionKey: X500_KEY, reconnect: { initialDelay: 20 }
+        });
+        manager = new PanelManager([
+            panel('north', n),
+            panel('south', s),
+            panel('east', { host: '127.0.0.1', port: deadPort })
+        ], { retryInterval: 60000 });
+        await manager.start();
+    });
+
+    after(async () => {
+        await manager.stop();
+        await north.stop();
+        await south.stop();
+    });
+
+    it('reports per-panel health, including panels that cannot be reached', () => {
+        const health = Object.fromEntries(manager.health().map(h => [h.id, h]));
+        assert.equal(health.north.status, PANEL_STATUS.CONNECTED);
+        assert.equal(health.north.connected, true);
+        assert.equal(health.south.status, PANEL_STATUS.CONNECTED);
+        assert.equal(health.east.status, PANEL_STATUS.FAILED);
+        assert.equal(health.east.connected, false);
+        assert.match(health.east.lastError, /ECONNREFUSED/);
+    });
+
+    it('namespaces entities by panel id and aggregates queries', () => {
+        assert.deepEqual(manager.areas().map(a => a.key), ['north:area:1', 'north:area:2', 'south:area:1']);
+        assert.deepEqual(manager.areasNotSet().map(a => `${a.panelId}/${a.name}`), ['north/Lab', 'south/Warehouse']);
+        assert.deepEqual(manager.zones(z => z.panelId === 'south').map(z => z.name), ['Loading Bay']);
+        assert.throws(() => manager.entities('sensor'), /Unknown entity type/);
+    });
+
+    it('forwards monitor events with the panel id', async () => {
+        const changed = waitForEvent(manager, 'zoneChanged', e => e.panelId === 'south');
+        south.setZoneState(1, { isActive: true });
+        const event = await changed;
+        assert.equal(event.id, 1);
+        assert.equal(event.name, 'Loading Bay');
+        assert.deepEqual(manager.zonesNotReady().map(z => z.key), ['south:zone:1']);
+    });
+
+    it('gives access to the client of a panel', async () => {
+        const { client } = manager.getPanel('north');
+        const set = waitForEvent(manager, 'areaChanged', e => e.panelId === 'north' && e.id === 2 && e.newData.state.isFullSet);
+        await client.armArea(2, 'full');
+        await set;
+        assert.deepEqual(manager.areasNotSet().map(a => a.key), ['south:area:1']);
+        assert.throws(() => manager.getPanel('west'), /Unknown panel: west/);
+    });
+
+    it('tracks reconnects of a panel', async () => {
+        const statuses = [];
+        const onHealth = ({ panelId, status }) => panelId === 'north' && statuses.push(status);
+        manager.on('healthChanged', onHealth);
+        const reconnected = waitForEvent(manager, 'healthChanged', e => e.panelId === 'north' && e.status === PANEL_STATUS.CONNECTED);
+        north.dropConnections();
+        await reconnected;
+        manager.off('healthChanged', onHealth);
+
+        assert.deepEqual(statuses, [PANEL_STATUS.RECONNECTING, PANEL_STATUS.CONNECTED]);
+        assert.equal(manager.health().find(h => h.id === 'north').reconnects, 1);
+    });
+});
+
+describe('PanelManager retry', () => {
+    it('sets up a failed panel again once it is reachable', async () => {
+        const port = await closedPort();
+        const manager = new PanelManager([
+            { id: 'late', host: '127.0.0.1', port, pin: '1278', encryptionKey: X500_KEY }
+        ], { retryInterval: 50 });
+        const simulator = new PanelSimulator(SOUTH);
+        try {
+            const [health] = await manager.start();
+            assert.equal(health.status, PANEL_STATUS.FAILED);
+
+            const connected = waitForEvent(manager, 'healthChanged', e => e.status === PANEL_STATUS.CONNECTED);
+            await simulator.start(port);
+            await connected;
+            assert.deepEqual(manager.areas().map(a => a.key), ['late:area:1']);
+        } finally {
+            await manager.stop();
+            await simulator.stop();
+        }
+    });
+});
+
+describe('PanelManager configuration', () => {
+    it('requires unique panel ids', () => {
+        assert.throws(() => new PanelManager([]), /at least one panel/);
+        assert.throws(() => new PanelManager([{ host: 'a' }]), /string id/);
+        assert.throws(() => new PanelManager([{ id: 'a' }, { id: 'a' }]), /Duplicate panel id: a/);
+    });
+});
@@ -0,0 +1,183 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readCapture, dissect } from '../protocol-dissector.js';
+import { slipEncode, appendCrc } from '../aritech-utils.js';
+import { startSession, X500_KEY } from './helpers.js';
+
+const FIXTURE = {
+    areas: [{ number: 1, name: 'House' }],
+    zones: [{ number: 1, name: 'Front Door', areas: [1] }]
+};
+
+const PANEL_PORT = 3001;
+
+/**
+ * Wrap the frames of a session into Ethernet/IPv4/TCP packets.
+ */
+function buildPackets(frames) {
+    const seq = { client: 1000, panel: 5000 };
+    return frames.map(({ dir, data }) => {
+        const tcp = Buffer.alloc(20);
+        tcp.writeUInt16BE(dir === 'client' ? 50000 : PANEL_PORT, 0);
+        tcp.writeUInt16BE(dir === 'client' ? PANEL_PORT : 50000, 2);
+        tcp.writeUInt32BE(seq[dir], 4);
+        tcp[12] = 5 << 4;
+        seq[dir] += data.length;
+
+        const ip = Buffer.alloc(20);
+        ip[0] = 0x45;
+        ip.writeUInt16BE(20 + 20 + data.length, 2);
+        ip[9] = 6;
+        Buffer.from(dir === 'client' ? [192, 168, 1, 10] : [192, 168, 1, 100]).copy(ip, 12);
+        Buffer.from(dir === 'client' ? [192, 168, 1, 100] : [192, 168, 1, 10]).copy(ip, 16);
+
+        const ethernet = Buffer.alloc(14);
+        ethernet.writeUInt16BE(0x0800, 12);
+
+        return Buffer.concat([ethernet, ip, tcp, data]);
+    });
+}
+
+/**
+ * Wrap the frames of a session into a pcap file.
+ */
+function buildPcap(frames) {
+    const header = Buffer.alloc(24);
+    header.writeUInt32LE(0xA1B2C3D4, 0);
+    header.writeUInt16LE(2, 4);
+    header.writeUInt16LE(4, 6);
+    header.writeUInt32LE(65535, 16);
+    header.writeUInt32LE(1, 20);
+
+    const records = buildPackets(frames).map((packet, i) => {
+        const record = Buffer.alloc(16);
+        record.writeUInt32LE(1700000000 + i, 0);
+        record.writeUInt32LE(packet.length, 8);
+        record.writeUInt32LE(packet.length, 12);
+        return Buffer.concat([record, packet]);
+    });
+    return Buffer.concat([header, ...records]);
+}
+
+/**
+ * Wrap the frames of a session into a big-endian pcapng file with nanosecond timestamps.
+ */
+function buildPcapng(frames) {
+    const block = (type, body) => {
+        const padded = Buffer.concat([body, Buffer.alloc((4 - body.length % 4) % 4)]);
+        const head = Buffer.alloc(8);
+        head.writeUInt32BE(type, 0);
+        head.writeUInt32BE(padded.length + 12, 4);
+        const tail = Buffer.alloc(4);
+        tail.writeUInt32BE(padded.length + 12, 0);
+        return Buffer.concat([head, padded, tail]);
+    };
+
+    const section = Buffer.alloc(16);
+    section.writeUInt32BE(0x1A2B3C4D, 0);
+    section.writeUInt16BE(1, 4);
+    section.writeBigInt64BE(-1n, 8);
+
+    // Interface: Ethernet, if_tsresol = 9 (nanoseconds)
+    const iface = Buffer.alloc(16);
+    iface.writeUInt16BE(1, 0);
+    iface.writeUInt32BE(65535, 4);
+    iface.writeUInt16BE(9, 8);
+    iface.writeUInt16BE(1, 10);
+    iface[12] = 9;
+
+    const packets = buildPackets(frames).map((packet, i) => {
+        const header = Buffer.alloc(20);
+        header.writeBigUInt64BE(BigInt(1700000000 + i) * 1000000000n + 250000000n, 4);
+        header.writeUInt32BE(packet.length, 12);
+        header.writeUInt32BE(packet.length, 16);
+        return block(6, Buffer.concat([header, packet]));
+    });
+    return Buffer.concat([block(0x0A0D0D0A, section), block(1, iface), ...packets]);
+}
+
+describe('protocol dissector', () => {
+    let captured;
+
+    before(async () => {
+        // Capture the raw frames of a session, as a sniffer would see them
+        const { client, close } = await startSession(FIXTURE, {}, { login: false });
+        captured = [];
+        try {
+            const write = client.socket.write.bind(client.socket);
+            client.socket.write = (frame) => {
+                captured.push({ dir: 'client', data: Buffer.from(frame) });
+                return write(frame);
+            };
+            client.socket.on('data', data => captured.push({ dir: 'panel', data: Buffer.from(data) }));
+
+            await client.getDescription();
+            await client.changeSessionKey();
+            assert.equal(await client.login(), true);
+            await client.getZones();
+        } finally {
+            await close();
+        }
+    });
+
+    it('follows the key exchange of a hex dump and decodes every message', () => {
+        const dump = captured.map(({ dir, data }) => `${dir === 'client' ? '>' : '<'} ${data.toString('hex')}`).join('\n');
+        const messages = dissect(readCapture(Buffer.from(dump)), { encryptionKey: X500_KEY });
+
+        assert.ok(messages.every(m => !m.crcError && !m.unknown));
+        assert.deepEqual(messages.slice(0, 4).map(m => [m.dir, m.encryption, m.name ?? m.request]), [
+            ['client', 'plain', 'getDeviceInfo'],
+            ['panel', 'plain', 'deviceDescription'],
+            ['client', 'initial', 'createSession'],
+            ['panel', 'initial', 'createSession']
+        ]);
+        assert.equal(messages[1].properties.serialNumber, 'SimulatorPanel01');
+
+        const login = messages.find(m => m.name === 'loginWithPin');
+        assert.equal(login.encryption, 'session');
+        assert.equal(login.properties.pinCode, '[REDACTED]');
+        assert.ok(!login.payload.includes(Buffer.from('1278').toString('hex')));
+
+        const names = messages.find(m => m.name === 'zoneNames');
+        assert.equal(names.request, 'getZoneNames');
+        const status = messages.find(m => m.parts.some(part => part.name === 'zoneStatus'));
+        assert.equal(status.parts[0].objectId, 1);
+    });
+
+    it('reads pcap captures', () => {
+        const frames = readCapture(buildPcap(captured));
+        assert.equal(frames[0].dir, 'client');
+        assert.equal(frames[0].connection, '192.168.1.10:50000');
+        assert.equal(frames[0].time, '2023-11-14T22:13:20.000Z');
+
+        const messages = dissect(frames, { encryptionKey: X500_KEY, serial: 'SimulatorPanel01' });
+        assert.ok(messages.every(m => !m.crcError && !m.unknown));
+        assert.ok(messages.some(m => m.name === 'zoneNames'));
+    });
+
+    it('reads pcapng captures', () => {
+        const frames = readCapture(buildPcapng(captured));
+        assert.equal(frames.length, readCapture(buildPcap(captured)).length);
+        assert.equal(frames[0].dir, 'client');
+        assert.equal(frames[1].time, '2023-11-14T22:13:21.250Z');
+
+        const messages = dissect(frames, { encryptionKey: X500_KEY, serial: 'SimulatorPanel01' });
+        assert.ok(messages.every(m => !m.crcError && !m.unknown));
+        assert.ok(messages.some(m => m.name === 'zoneNames'));
+
+        assert.throws(() => readCapture(buildPcapng(captured).subarray(0, 100)), /Truncated pcapng/);
+    });
+
+    it('flags CRC failures and unknown message ids', () => {
+        const corrupted = Buffer.from(captured[0].data);
+        corrupted[3] ^= 0xFF;
+        const unknown = slipEncode(appendCrc(Buffer.from([0xC0, 0x7F, 0x7F])));
+        const dump = [`> ${corrupted.toString('hex')}`, `> ${unknown.toString('hex')}`].join('\n');
+
+        const [crcMessage, unknownMessage] = dissect(readCapture(Buffer.from(dump)));
+        assert.equal(crcMessage.crcError, true);
+        assert.equal(crcMessage.payload, null);
+        assert.equal(unknownMessage.unknown, true);
+        assert.equal(unknownMessage.payload, 'c07f7f');
+    });
+});
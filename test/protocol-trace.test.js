@@ -0,0 +1,117 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, readFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { AritechClient } from '../aritech-client.js';
+import { AritechMonitor } from '../aritech-monitor.js';
+import { TraceReplay, readTrace, messageName } from '../protocol-trace.js';
+import { startSession, waitForEvent } from './helpers.js';
+
+const FIXTURE = {
+    areas: [{ number: 1, name: 'House', state: { isUnset: true } }],
+    zones: [
+        { number: 1, name: 'Front Door', areas: [1] },
+        { number: 2, name: 'Living Room', areas: [1] }
+    ]
+};
+
+/**
+ * Client set up against a replayed trace, like a session against the panel.
+ */
+async function replaySession(replay) {
+    const client = new AritechClient(replay.clientConfig());
+    await client.connect();
+    await client.getDescription();
+    await client.changeSessionKey();
+    assert.equal(await client.login(), true);
+    return client;
+}
+
+describe('protocol trace', () => {
+    let dir;
+    let traceFile;
+    let sessionKey;
+    let recordedZones;
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'aritech-trace-'));
+        traceFile = join(dir, 'session.trace');
+
+        // Record a session with a monitor picking up a zone change
+        const { client, simulator, close } = await startSession(FIXTURE, { trace: traceFile });
+        try {
+            sessionKey = client.sessionKey.toString('hex');
+            recordedZones = await client.getZones();
+
+            const monitor = new AritechMonitor(client);
+            await monitor.start();
+            const changed = waitForEvent(monitor, 'zoneChanged', e => e.id === 2);
+            simulator.setZoneState(2, { isActive: true });
+            await changed;
+            monitor.stop();
+        } finally {
+            await close();
+        }
+    });
+
+    after(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('records named frames without credentials', async () => {
+        const { header, records } = readTrace(traceFile);
+        assert.equal(header.login, 'pin');
+        assert.equal(header.keyLength, 24);
+        assert.equal(records[0].type, 'connect');
+
+        const sent = records.filter(r => r.dir === 'send').map(r => r.msg);
+        assert.deepEqual(sent.slice(0, 4), ['getDeviceInfo', 'createSession', 'enableEncryptionKey', 'loginWithPin']);
+        assert.ok(records.some(r => r.dir === 'cos'));
+        assert.ok(records.find(r => r.msg === 'loginWithPin').masked);
+        assert.equal(records.find(r => r.request === 'createSession').masked, true);
+
+        // Neither the PIN nor the session key appear anywhere in the file
+        const content = await readFile(traceFile, 'utf8');
+        assert.ok(!content.includes(Buffer.from('1278').toString('hex')));
+        assert.ok(!content.includes(sessionKey.slice(16)));
+    });
+
+    it('resolves message names by id and length', () => {
+        assert.equal(messageName(Buffer.from('c0f001000900', 'hex')), 'createSession');
+        assert.equal(messageName(Buffer.from('c0f0010000', 'hex')), 'enableEncryptionKey');
+        assert.equal(messageName(Buffer.from('ffff', 'hex')), null);
+    });
+
+    it('replays a recorded session offline', async () => {
+        const replay = new TraceReplay(readTrace(traceFile));
+        const ended = waitForEvent(replay, 'end', () => true, 5000);
+        const client = await replaySession(replay);
+        try {
+            assert.equal(client.panelModel, 'ATS1500');
+            assert.deepEqual(await client.getZones(), recordedZones);
+
+            const monitor = new AritechMonitor(client);
+            const changed = waitForEvent(monitor, 'zoneChanged', e => e.id === 2);
+            await monitor.start();
+            const event = await changed;
+            assert.equal(event.newData.state.isActive, true);
+            monitor.stop();
+        } finally {
+            await client.disconnect();
+        }
+        await ended;
+    });
+
+    it('reports where a replay diverges from the trace', async () => {
+        const replay = new TraceReplay(readTrace(traceFile));
+        const diverged = waitForEvent(replay, 'diverged', () => true);
+        const client = await replaySession(replay);
+        try {
+            await assert.rejects(client.getAreas());
+            assert.deepEqual(await diverged, { index: 9, expected: 'getValidAreas', actual: 'getAreaNames' });
+        } finally {
+            await client.disconnect();
+        }
+    });
+});
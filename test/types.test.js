@@ -0,0 +1,149 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { EventEmitter } from 'node:events';
+import ts from 'typescript';
+import * as lib from '../index.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const DECLARATIONS = `${ROOT}index.d.ts`;
+
+const program = ts.createProgram([DECLARATIONS], {
+    strict: true,
+    noEmit: true,
+    target: ts.ScriptTarget.ES2022,
+    module: ts.ModuleKind.NodeNext,
+    moduleResolution: ts.ModuleResolutionKind.NodeNext,
+    types: ['node']
+});
+const checker = program.getTypeChecker();
+const declared = new Map(
+    checker.getExportsOfModule(checker.getSymbolAtLocation(program.getSourceFile(DECLARATIONS)))
+        .map(symbol => [symbol.getName(), symbol])
+);
+
+// Sample instances for the field checks, constructed without connecting anywhere
+const client = new lib.AritechClient({ host: '127.0.0.1', port: 1, encryptionKey: '0'.repeat(48) });
+const monitor = new lib.AritechMonitor(client);
+const SAMPLES = {
+    AritechClient: () => client,
+    AritechError: () => new lib.AritechError('test', { code: lib.ErrorCodes.PANEL_ERROR }),
+    AritechMonitor: () => monitor,
+    AritechMqttBridge: () => new lib.AritechMqttBridge(client, { monitor, mqttClient: {} }),
+    AritechServer: () => new lib.AritechServer(client, { token: 'secret' }),
+    AritechEventStream: () => new lib.AritechEventStream(monitor),
+    PanelManager: () => new lib.PanelManager([{ id: 'site', host: '127.0.0.1', port: 1, encryptionKey: '0'.repeat(48) }]),
+    EventLogSync: () => new lib.EventLogSync(client, { stateFile: 'cursor.json' }),
+    PanelSimulator: () => new lib.PanelSimulator(),
+    TraceReplay: () => new lib.TraceReplay({ header: { type: 'header', version: 1 }, records: [] })
+};
+
+const isClass = (symbol) => (symbol.flags & ts.SymbolFlags.Class) !== 0;
+const isPublic = (name) => !name.startsWith('_') && name !== 'constructor';
+
+/**
+ * Members declared on a class itself, split by kind. Typed overloads of inherited
+ * EventEmitter methods (on, once) are not part of the class.
+ */
+function declaredMembers(symbol) {
+    const methods = [];
+    const fields = [];
+    for (const [name, member] of symbol.members) {
+        if (Object.hasOwn(EventEmitter.prototype, name)) continue;
+        if (member.flags & (ts.SymbolFlags.Method | ts.SymbolFlags.GetAccessor)) methods.push(name);
+        else if (member.flags & ts.SymbolFlags.Property) fields.push(name);
+    }
+    const statics = [...symbol.exports.keys()].filter(name => name !== 'prototype');
+    return { methods: new Set(methods), fields: new Set(fields), statics: new Set(statics) };
+}
+
+/**
+ * Keys and literal values of an exported `const X: { readonly KEY: 'value' }` declaration.
+ */
+function declaredConstants(name) {
+    const type = checker.getTypeOfSymbol(declared.get(name));
+    return Object.fromEntries(type.getProperties().map(property => [
+        property.getName(),
+        checker.getTypeOfSymbol(property).value
+    ]));
+}
+
+/**
+ * Event names of an `XxxEvents` interface.
+ */
+function declaredEvents(name) {
+    return checker.getDeclaredTypeOfSymbol(declared.get(name)).getProperties().map(p => p.getName()).sort();
+}
+
+/**
+ * Event names emitted in a source file (this.emit('name', ...)).
+ */
+function emittedEvents(file) {
+    const source = readFileSync(`${ROOT}${file}`, 'utf8');
+    return [...new Set([...source.matchAll(/\.emit\('(\w+)'/g)].map(match => match[1]))].sort();
+}
+
+describe('TypeScript declarations', () => {
+    it('type-check without errors', () => {
+        const diagnostics = ts.getPreEmitDiagnostics(program);
+        const messages = diagnostics.map(diagnostic => ts.formatDiagnostic(diagnostic, {
+            getCanonicalFileName: (fileName) => fileName,
+            getCurrentDirectory: () => ROOT,
+            getNewLine: () => '\n'
+        }));
+        assert.deepEqual(messages, []);
+    });
+
+    it('declare every runtime export and nothing else', () => {
+        const declaredValues = [...declared.values()]
+            .filter(symbol => symbol.flags & ts.SymbolFlags.Value)
+            .map(symbol => symbol.getName());
+        assert.deepEqual(declaredValues.sort(), Object.keys(lib).sort());
+    });
+
+    for (const [name, symbol] of declared) {
+        if (!isClass(symbol)) continue;
+
+        it(`match the methods of ${name}`, () => {
+            const runtime = lib[name];
+            const { methods, statics } = declaredMembers(symbol);
+            const runtimeMethods = Object.getOwnPropertyNames(runtime.prototype).filter(isPublic);
+            const runtimeStatics = Object.getOwnPropertyNames(runtime)
+                .filter(key => isPublic(key) && typeof runtime[key] === 'function');
+            assert.deepEqual([...methods].sort(), runtimeMethods.sort());
+            assert.deepEqual([...statics].sort(), runtimeStatics.sort());
+        });
+    }
+
+    for (const [name, symbol] of declared) {
+        if (!isClass(symbol) || !SAMPLES[name]) continue;
+
+        it(`declare only existing fields of ${name}`, () => {
+            const instance = SAMPLES[name]();
+            const missing = [...declaredMembers(symbol).fields].filter(field => !(field in instance));
+            assert.deepEqual(missing, []);
+        });
+    }
+
+    it('declare every state flag', () => {
+        for (const name of ['AreaState', 'ZoneState', 'OutputState', 'TriggerState', 'DoorState', 'FilterState', 'ReaderState']) {
+            const { fields } = declaredMembers(declared.get(name));
+            assert.deepEqual([...fields].sort(), Object.keys(new lib[name]()).sort(), name);
+        }
+    });
+
+    it('declare the error codes and panel status values', () => {
+        assert.deepEqual(declaredConstants('ErrorCodes'), { ...lib.ErrorCodes });
+        assert.deepEqual(declaredConstants('PANEL_STATUS'), { ...lib.PANEL_STATUS });
+    });
+
+    it('declare the emitted client, monitor and manager events', () => {
+        assert.deepEqual(declaredEvents('AritechClientEvents'), emittedEvents('aritech-client.js'));
+        assert.deepEqual(declaredEvents('AritechMonitorEvents'), emittedEvents('aritech-monitor.js'));
+
+        // The manager forwards all monitor events with the panel id
+        const managerEvents = [...emittedEvents('panel-manager.js'), ...emittedEvents('aritech-monitor.js')];
+        assert.deepEqual(declaredEvents('PanelManagerEvents'), [...new Set(managerEvents)].sort());
+    });
+});